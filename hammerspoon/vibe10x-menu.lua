@@ -50,9 +50,9 @@ local function buildCategorySubmenu(categoryId, categoryInfo)
 
     -- List apps in category
     table.insert(submenu, { title = "-" })
-    local CATEGORIES = vibe10x.CATEGORIES
-    if CATEGORIES and CATEGORIES[categoryId] then
-        for _, app in ipairs(CATEGORIES[categoryId].apps) do
+    local categoryDef = vibe10x.getCategoryDef(categoryId)
+    if categoryDef then
+        for _, app in ipairs(categoryDef.apps or {}) do
             table.insert(submenu, {
                 title = app,
                 disabled = true
@@ -166,18 +166,13 @@ local function buildMenu()
             menu = (function()
                 local catMenu = {}
 
-                -- Dynamically build menu for all categories from CATEGORIES
-                local CATEGORIES = vibe10x.CATEGORIES
-                if CATEGORIES then
-                    for categoryId, categoryDef in pairs(CATEGORIES) do
-                        if categories[categoryId] then
-                            local checkmark = categories[categoryId].enabled and "ON" or "OFF"
-                            table.insert(catMenu, {
-                                title = string.format("%s [%s]", categoryDef.name, checkmark),
-                                menu = buildCategorySubmenu(categoryId, categories[categoryId])
-                            })
-                        end
-                    end
+                -- Dynamically build menu for all categories (built-in and custom)
+                for categoryId, categoryInfo in pairs(categories) do
+                    local checkmark = categoryInfo.enabled and "ON" or "OFF"
+                    table.insert(catMenu, {
+                        title = string.format("%s [%s]", categoryInfo.name, checkmark),
+                        menu = buildCategorySubmenu(categoryId, categoryInfo)
+                    })
                 end
 
                 table.insert(catMenu, { title = "-" })
@@ -226,19 +221,23 @@ local function buildMenu()
                 -- Try global npm/bun command first, fallback to direct server
                 local result = hs.execute("which vibe10x")
                 if result and result ~= "" then
-                    hs.task.new("/bin/bash", nil, {"-c", "vibe10x --configure"}):start()
+                    hs.task.new("/bin/bash", nil, {"-c", string.format("vibe10x --configure --config-dir %q", vibe10x.DIR)}):start()
                 else
-                    -- Direct fallback: open the URL if server might be running
-                    hs.execute("open http://localhost:3847")
-                    hs.alert.show("Run 'vibe10x --configure' to start settings server")
+                    -- Direct fallback: open the running server's link from server.json (see lib/serve.js)
+                    local server = hs.json.read(vibe10x.DIR .. "/server.json")
+                    if server and server.url and server.token then
+                        hs.urlevent.openURL(server.url .. "?token=" .. server.token)
+                    else
+                        hs.alert.show("Run 'vibe10x --configure' to start settings server")
+                    end
                 end
             end
         },
         {
             title = "Open Config File",
             fn = function()
-                local configPath = os.getenv("HOME") .. "/.vibe10x/config.json"
-                hs.execute("open " .. configPath)
+                local configPath = vibe10x.DIR .. "/config.json"
+                hs.execute(string.format("open %q", configPath))
             end
         },
         {
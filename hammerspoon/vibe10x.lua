@@ -3,9 +3,19 @@
 
 local vibe10x = {}
 
--- Configuration paths
-local CONFIG_PATH = os.getenv("HOME") .. "/.vibe10x/config.json"
-local CATEGORIES_PATH = os.getenv("HOME") .. "/.vibe10x/categories.json"
+-- Configuration paths: VIBE10X_HOME is set by the vibe10x block in init.lua when
+-- setup ran with --config-dir or VIBE10X_HOME (see lib/paths.js), else ~/.vibe10x
+local VIBE10X_DIR = rawget(_G, "VIBE10X_HOME") or os.getenv("VIBE10X_HOME") or (os.getenv("HOME") .. "/.vibe10x")
+local CONFIG_PATH = VIBE10X_DIR .. "/config.json"
+local CATEGORIES_PATH = VIBE10X_DIR .. "/categories.json"
+local EVENTS_PATH = VIBE10X_DIR .. "/events.jsonl"
+local HISTORY_PATH = VIBE10X_DIR .. "/history.jsonl"
+local HISTORY_LIMIT = 50 -- same as lib/history.js
+local EVENTS_MAX_BYTES = 5 * 1024 * 1024 -- same as lib/stats.js
+local EVENTS_KEEP_BYTES = 2 * 1024 * 1024
+local LOCK_PATH = VIBE10X_DIR .. "/.vibe10x.lock" -- same as getLockPath in lib/store.js
+local LOCK_TIMEOUT = 5 -- seconds, same as lib/store.js
+local LOCK_STALE = 10
 
 -- Load categories from centralized JSON file
 -- This is the single source of truth for all category definitions
@@ -40,26 +50,97 @@ local function buildDefaultCategoryConfig()
 end
 
 local DEFAULT_CONFIG = {
+    configVersion = 2,
     enabled = true,
     threshold = 50,
     resetAfterSeconds = 30,
     alertDurationSeconds = 2,
     alertMessage = "Use your voice!",
+    alertRotation = "random", -- alertMessages and tiers are left unset (no default)
     voice = { enabled = false },
     categories = buildDefaultCategoryConfig(),
     customApps = {
         enabled = true,
         apps = {}
     },
+    customCategories = {},
+    schedule = { enabled = false, timezone = "", activeHours = {}, quietHours = {} },
     menuBar = { showCount = false, icon = "🦄" }
 }
 
+-- Legacy: default monitoredApps of version 0 configs (same as DEFAULT_APPS in lib/config.js)
+local LEGACY_DEFAULT_APPS = { "Code", "Cursor", "Zed", "Conductor", "Terminal", "iTerm2", "Warp" }
+
+local function listHasAll(list, items)
+    local present = {}
+    for _, item in ipairs(list) do
+        present[item] = true
+    end
+    for _, item in ipairs(items) do
+        if not present[item] then
+            return false
+        end
+    end
+    return true
+end
+
+-- Bring a stored config up to version 2 before defaults are merged in, the same way
+-- MIGRATIONS in lib/config.js does; otherwise a menu bar save would stamp version 2
+-- on a config that still has the legacy monitoredApps list
+local function migrateConfig(stored)
+    if type(stored.configVersion) == "number" then
+        return stored
+    end
+
+    -- 0 -> 1: flat monitoredApps list -> categories + customApps
+    if stored.categories == nil and stored.customApps == nil then
+        local apps = type(stored.monitoredApps) == "table" and stored.monitoredApps or LEGACY_DEFAULT_APPS
+        local categories = {}
+        local customApps = {}
+
+        if #apps == #LEGACY_DEFAULT_APPS and listHasAll(apps, LEGACY_DEFAULT_APPS) then
+            -- Untouched legacy default: keep the current default categories
+            categories = buildDefaultCategoryConfig()
+        else
+            -- Enable categories fully covered by the old list, keep the rest as custom apps
+            local covered = {}
+            for categoryId, category in pairs(CATEGORIES) do
+                local enabled = listHasAll(apps, category.apps or {})
+                categories[categoryId] = { enabled = enabled }
+                if enabled then
+                    for _, app in ipairs(category.apps or {}) do
+                        covered[app] = true
+                    end
+                end
+            end
+            for _, app in ipairs(apps) do
+                if not covered[app] then
+                    table.insert(customApps, app)
+                end
+            end
+        end
+
+        stored.categories = categories
+        stored.customApps = { enabled = true, apps = customApps }
+    end
+
+    -- 1 -> 2: add configVersion, drop the computed monitoredApps leftover
+    stored.monitoredApps = nil
+    stored.configVersion = 2
+    return stored
+end
+
 -- Internal state
 local config = {}
 local keystrokeCount = 0
+local nudgeCount = 0 -- nudges shown, for sequential message rotation
+local streak = 0 -- nudges in a row without a typing pause
+local lastKeyTime = nil
 local currentApp = nil
 local isMonitoring = false
 local monitoredAppsCache = {}
+local effectiveSettingsCache = {}
+local scheduleCache = { minute = nil, active = true }
 
 -- Watchers and timers
 local eventTap = nil
@@ -97,6 +178,17 @@ local ignoredKeyCodes = {
     [111] = true, -- F12
 }
 
+-- Look up a category definition: built-in first, then user-defined
+local function getCategoryDef(categoryId)
+    if CATEGORIES[categoryId] then
+        return CATEGORIES[categoryId]
+    end
+    if config.customCategories and config.customCategories[categoryId] then
+        return config.customCategories[categoryId]
+    end
+    return nil
+end
+
 -- Build the list of monitored apps from enabled categories + custom apps
 local function buildMonitoredAppsList()
     local apps = {}
@@ -105,8 +197,9 @@ local function buildMonitoredAppsList()
     -- Add apps from enabled categories
     if config.categories then
         for categoryId, categoryConfig in pairs(config.categories) do
-            if categoryConfig.enabled and CATEGORIES[categoryId] then
-                for _, app in ipairs(CATEGORIES[categoryId].apps) do
+            local categoryDef = getCategoryDef(categoryId)
+            if categoryConfig.enabled and categoryDef then
+                for _, app in ipairs(categoryDef.apps or {}) do
                     if not seen[app] then
                         table.insert(apps, app)
                         seen[app] = true
@@ -127,16 +220,93 @@ local function buildMonitoredAppsList()
     end
 
     monitoredAppsCache = apps
+    effectiveSettingsCache = {}
+    scheduleCache = { minute = nil, active = true }
     return apps
 end
 
+-- Settings that categories and custom apps may override
+local OVERRIDE_KEYS = { "threshold", "resetAfterSeconds", "alertMessage" }
+
+local function applyOverrides(settings, source)
+    if not source then return end
+    for _, key in ipairs(OVERRIDE_KEYS) do
+        if source[key] ~= nil then
+            settings[key] = source[key]
+        end
+    end
+    if source.alertMessage ~= nil then
+        settings.hasMessageOverride = true
+    end
+end
+
+-- Check if an app name matches any pattern in a list (substring match)
+local function matchesAny(appName, patterns)
+    for _, pattern in ipairs(patterns or {}) do
+        if appName:find(pattern, 1, true) then
+            return pattern
+        end
+    end
+    return nil
+end
+
+-- Resolve threshold/reset/message for an app: global, then the first enabled
+-- category containing it (by id, alphabetically), then its custom app override.
+-- Mirrors getEffectiveSettings in lib/config.js
+local function getEffectiveSettings(appName)
+    local key = appName or ""
+    if effectiveSettingsCache[key] then
+        return effectiveSettingsCache[key]
+    end
+
+    local settings = {
+        threshold = config.threshold,
+        resetAfterSeconds = config.resetAfterSeconds,
+        alertMessage = config.alertMessage
+    }
+
+    if appName and config.categories then
+        local categoryIds = {}
+        for categoryId, _ in pairs(CATEGORIES) do
+            table.insert(categoryIds, categoryId)
+        end
+        for categoryId, _ in pairs(config.customCategories or {}) do
+            if not CATEGORIES[categoryId] then
+                table.insert(categoryIds, categoryId)
+            end
+        end
+        table.sort(categoryIds)
+
+        for _, categoryId in ipairs(categoryIds) do
+            local categoryConfig = config.categories[categoryId]
+            local categoryDef = getCategoryDef(categoryId)
+            if categoryConfig and categoryConfig.enabled and categoryDef and matchesAny(appName, categoryDef.apps) then
+                applyOverrides(settings, categoryConfig)
+                break
+            end
+        end
+
+        local customApps = config.customApps
+        if customApps and customApps.enabled and customApps.overrides then
+            local match = matchesAny(appName, customApps.apps)
+            if match then
+                applyOverrides(settings, customApps.overrides[match])
+            end
+        end
+    end
+
+    effectiveSettingsCache[key] = settings
+    return settings
+end
+
 -- Get formatted list of enabled categories for logging
 local function getEnabledCategoriesString()
     local enabled = {}
     if config.categories then
         for categoryId, categoryConfig in pairs(config.categories) do
-            if categoryConfig.enabled and CATEGORIES[categoryId] then
-                table.insert(enabled, CATEGORIES[categoryId].name)
+            local categoryDef = getCategoryDef(categoryId)
+            if categoryConfig.enabled and categoryDef then
+                table.insert(enabled, categoryDef.name)
             end
         end
     end
@@ -157,6 +327,8 @@ local function loadConfig()
         file:close()
         local ok, parsed = pcall(hs.json.decode, content)
         if ok and parsed then
+            parsed = migrateConfig(parsed)
+
             -- Merge with defaults
             for key, value in pairs(DEFAULT_CONFIG) do
                 if parsed[key] == nil then
@@ -172,6 +344,10 @@ local function loadConfig()
             config = parsed
             buildMonitoredAppsList()
             return true
+        elseif next(config) ~= nil then
+            -- Keep running with the last good config rather than silently dropping to defaults
+            hs.printf("Vibe10X: Failed to parse config, keeping the current settings")
+            return false
         else
             hs.printf("Vibe10X: Failed to parse config, using defaults")
         end
@@ -183,17 +359,273 @@ local function loadConfig()
     return false
 end
 
--- Save configuration to file
-local function saveConfig()
-    local dir = os.getenv("HOME") .. "/.vibe10x"
-    os.execute("mkdir -p " .. dir)
-    local file = io.open(CONFIG_PATH, "w")
+-- Write a file via a temp file and rename, so readers never see a partial write
+-- (same as writeFileAtomic in lib/store.js)
+local function writeFileAtomic(path, content)
+    local tempPath = path:match("^(.*)/") .. "/.vibe10x-hammerspoon.tmp"
+    local file = io.open(tempPath, "w")
+    if not file then
+        return false
+    end
+    file:write(content)
+    file:close()
+    return os.rename(tempPath, path) ~= nil
+end
+
+-- Token identifying this Hammerspoon instance as the lock holder
+local LOCK_OWNER = "hammerspoon-" .. string.format("%.0f", hs.timer.absoluteTime())
+
+-- Create the lock file exclusively, like tryLock in lib/store.js. Lua cannot open
+-- a file exclusively, so the lock is written under another name and hard-linked
+-- into place, which fails if it exists. A lock older than LOCK_STALE (left by a
+-- crashed writer) is renamed away, so only one writer can take it over.
+local function tryLock()
+    local tempPath = LOCK_PATH .. "." .. LOCK_OWNER
+    while true do
+        local file = io.open(tempPath, "w")
+        if not file then
+            return false
+        end
+        file:write(LOCK_OWNER)
+        file:close()
+        local linked = hs.fs.link(tempPath, LOCK_PATH)
+        os.remove(tempPath)
+        if linked then
+            return true
+        end
+
+        -- Released meanwhile (withLock tries again shortly), or held by a live writer
+        local modified = hs.fs.attributes(LOCK_PATH, "modification")
+        if not modified or os.time() - modified <= LOCK_STALE then
+            return false
+        end
+
+        local stalePath = LOCK_PATH .. "." .. LOCK_OWNER .. ".stale"
+        if os.rename(LOCK_PATH, stalePath) then
+            local staleModified = hs.fs.attributes(stalePath, "modification")
+            if staleModified and os.time() - staleModified <= LOCK_STALE then
+                -- Another writer replaced the stale lock before our rename: give it back
+                hs.fs.link(stalePath, LOCK_PATH)
+            end
+            os.remove(stalePath)
+        end
+    end
+end
+
+-- Remove the lock, unless another writer took it over in the meantime
+local function unlock()
+    local file = io.open(LOCK_PATH, "r")
     if file then
-        file:write(hs.json.encode(config, true))
+        local owner = file:read("*all")
         file:close()
+        if owner == LOCK_OWNER then
+            os.remove(LOCK_PATH)
+        end
+    end
+end
+
+-- Run fn while holding the lock the JS writers use, waiting up to LOCK_TIMEOUT
+-- seconds for other writers to finish. Returns nil without running fn if the
+-- lock stays held.
+local function withLock(fn)
+    local deadline = hs.timer.secondsSinceEpoch() + LOCK_TIMEOUT
+    while not tryLock() do
+        if hs.timer.secondsSinceEpoch() > deadline then
+            hs.printf("Vibe10X: Config is locked by another process (%s), not saved", LOCK_PATH)
+            hs.alert.show("Vibe10X: Settings not saved, try again")
+            return nil
+        end
+        hs.timer.usleep(20000)
+    end
+    local ok, result = pcall(fn)
+    unlock()
+    if not ok then
+        error(result)
+    end
+    return result
+end
+
+-- hs.json.encode writes an empty Lua table as {}, so the empty lists among the
+-- array-valued settings (see validateConfig in lib/config.js) are written through
+-- a placeholder that is turned into [] afterwards
+local EMPTY_ARRAY = "__vibe10x_empty_array__"
+
+local function markEmptyArrays(settings)
+    local function list(value)
+        if type(value) == "table" and next(value) == nil then
+            return EMPTY_ARRAY
+        end
+        return value
+    end
+    local function copy(value)
+        local result = {}
+        for key, item in pairs(value) do
+            result[key] = item
+        end
+        return result
+    end
+
+    local marked = copy(settings)
+    marked.alertMessages = list(settings.alertMessages)
+    marked.tiers = list(settings.tiers)
+    if type(settings.customApps) == "table" then
+        marked.customApps = copy(settings.customApps)
+        marked.customApps.apps = list(settings.customApps.apps)
+    end
+    if type(settings.schedule) == "table" then
+        marked.schedule = copy(settings.schedule)
+        marked.schedule.activeHours = list(settings.schedule.activeHours)
+        marked.schedule.quietHours = list(settings.schedule.quietHours)
+    end
+    if type(settings.customCategories) == "table" then
+        marked.customCategories = {}
+        for categoryId, category in pairs(settings.customCategories) do
+            marked.customCategories[categoryId] = copy(category)
+            marked.customCategories[categoryId].apps = list(category.apps)
+        end
+    end
+    return marked
+end
+
+local function encodeJson(value, prettyPrint)
+    return (hs.json.encode(value, prettyPrint):gsub('"' .. EMPTY_ARRAY .. '"', "[]"))
+end
+
+-- Append the saved config to history.jsonl, keeping the last HISTORY_LIMIT snapshots
+-- (same format as recordHistory in lib/store.js)
+local function recordHistory(source)
+    local lines = {}
+    local file = io.open(HISTORY_PATH, "r")
+    if file then
+        for line in file:lines() do
+            if line ~= "" then
+                table.insert(lines, line)
+            end
+        end
+        file:close()
+    end
+
+    table.insert(lines, encodeJson({
+        timestamp = os.date("!%Y-%m-%dT%H:%M:%SZ"),
+        source = source,
+        config = markEmptyArrays(config)
+    }))
+
+    writeFileAtomic(HISTORY_PATH, table.concat(lines, "\n", math.max(1, #lines - HISTORY_LIMIT + 1)) .. "\n")
+end
+
+-- Save configuration to file (changes made here come from the menu bar)
+local function saveConfig()
+    os.execute(string.format("mkdir -p %q", VIBE10X_DIR))
+    return withLock(function()
+        if not writeFileAtomic(CONFIG_PATH, encodeJson(markEmptyArrays(config), true)) then
+            return false
+        end
+        recordHistory("menu")
         return true
+    end)
+end
+
+-- Schedule (active/quiet hours), mirroring isActiveAt in lib/schedule.js
+local DAYS = { "sun", "mon", "tue", "wed", "thu", "fri", "sat" }
+
+local function toMinutes(time)
+    local hours, minutes = time:match("^(%d+):(%d+)$")
+    return tonumber(hours) * 60 + tonumber(minutes)
+end
+
+-- UTC offset of the schedule's time zone, looked up with `date` in the background so
+-- the keystroke path never waits on a process; refreshed hourly to follow DST changes
+local TIMEZONE_REFRESH_SECONDS = 3600
+local timezoneOffset = { timezone = nil, seconds = 0, checkedAt = 0 }
+local timezoneTask = nil
+
+local function refreshTimezoneOffset(timezone)
+    if timezoneTask and timezoneTask:isRunning() then
+        return
+    end
+    local checkedAt = os.time()
+    timezoneOffset.checkedAt = checkedAt
+    -- No shell: the time zone only goes into the task's environment
+    timezoneTask = hs.task.new("/bin/date", function(exitCode, stdOut)
+        local sign, hours, minutes = (stdOut or ""):match("([+-])(%d%d)(%d%d)")
+        if exitCode == 0 and sign then
+            local seconds = tonumber(hours) * 3600 + tonumber(minutes) * 60
+            timezoneOffset = { timezone = timezone, seconds = sign == "-" and -seconds or seconds, checkedAt = checkedAt }
+            scheduleCache = { minute = nil, active = true }
+        end
+    end, { "+%z" })
+    if timezoneTask then
+        timezoneTask:setEnvironment({ TZ = timezone })
+        timezoneTask:start()
     end
-    return false
+end
+
+-- Weekday index (0 = Sunday) and minutes since midnight in the schedule's time zone.
+-- Until the zone's offset is known, the system's local time is used.
+local function getLocalTime(timezone)
+    if timezone and timezone ~= "" and timezone:match("^%a[%w_+%-/]*$") and not timezone:find("..", 1, true) then
+        if timezoneOffset.timezone ~= timezone or os.time() - timezoneOffset.checkedAt > TIMEZONE_REFRESH_SECONDS then
+            refreshTimezoneOffset(timezone)
+        end
+        if timezoneOffset.timezone == timezone then
+            local now = os.date("!*t", os.time() + timezoneOffset.seconds)
+            return now.wday - 1, now.hour * 60 + now.min
+        end
+    end
+    local now = os.date("*t")
+    return now.wday - 1, now.hour * 60 + now.min
+end
+
+local function ruleMatches(rule, day, minutes)
+    local function hasDay(d)
+        if not rule.days then return true end
+        for _, name in ipairs(rule.days) do
+            if name == DAYS[d + 1] then return true end
+        end
+        return false
+    end
+
+    local startMin = toMinutes(rule.start)
+    local endMin = toMinutes(rule["end"])
+    if startMin < endMin then
+        return hasDay(day) and minutes >= startMin and minutes < endMin
+    end
+    -- Overnight: the part after midnight belongs to the previous day's rule
+    return (hasDay(day) and minutes >= startMin) or (hasDay((day + 6) % 7) and minutes < endMin)
+end
+
+-- Check whether the schedule allows nudging now (re-evaluated once per minute)
+local function isScheduledActive()
+    local schedule = config.schedule
+    if not schedule or not schedule.enabled then
+        return true
+    end
+
+    local minute = math.floor(os.time() / 60)
+    if scheduleCache.minute == minute then
+        return scheduleCache.active
+    end
+
+    local day, minutes = getLocalTime(schedule.timezone)
+    local activeHours = schedule.activeHours or {}
+    local inActiveHours = #activeHours == 0
+    for _, rule in ipairs(activeHours) do
+        if ruleMatches(rule, day, minutes) then
+            inActiveHours = true
+            break
+        end
+    end
+    local inQuietHours = false
+    for _, rule in ipairs(schedule.quietHours or {}) do
+        if ruleMatches(rule, day, minutes) then
+            inQuietHours = true
+            break
+        end
+    end
+
+    scheduleCache = { minute = minute, active = inActiveHours and not inQuietHours }
+    return scheduleCache.active
 end
 
 -- Check if current app is in monitored list
@@ -207,12 +639,101 @@ local function isMonitoredApp(appName)
     return false
 end
 
--- Reset the keystroke counter
-local function resetCounter()
+-- Tiers from config, or nil when there are none
+local function getTiers()
+    if type(config.tiers) == "table" and #config.tiers > 0 then
+        return config.tiers
+    end
+    return nil
+end
+
+-- The highest tier reached at a keystroke count, config defaults filled in
+-- (mirrors resolveTier in lib/config.js)
+local function resolveTier(count)
+    local tiers = getTiers()
+    if not tiers then return nil end
+
+    local index = nil
+    for i, tier in ipairs(tiers) do
+        if count >= tier.threshold then
+            index = i
+        end
+    end
+    if not index then return nil end
+
+    local tier = tiers[index]
+    local voice = tier.voice
+    if voice == nil then
+        voice = config.voice ~= nil and config.voice.enabled == true
+    end
+    return {
+        level = index,
+        threshold = tier.threshold,
+        style = tier.style or "alert",
+        voice = voice,
+        alertDurationSeconds = tier.alertDurationSeconds or config.alertDurationSeconds,
+        alertMessage = tier.alertMessage,
+        isLast = index == #tiers
+    }
+end
+
+-- The threshold the counter is heading for: the next tier's, or the app's threshold
+local function getNextThreshold(threshold)
+    local tiers = getTiers()
+    if not tiers then return threshold end
+    for _, tier in ipairs(tiers) do
+        if tier.threshold > keystrokeCount then
+            return tier.threshold
+        end
+    end
+    return tiers[#tiers].threshold
+end
+
+-- Append an event to events.jsonl (same format as POST /api/events, see lib/stats.js)
+local function logEvent(eventType, fields)
+    local event = {
+        timestamp = os.date("!%Y-%m-%dT%H:%M:%SZ"),
+        type = eventType,
+        app = currentApp,
+        count = keystrokeCount
+    }
+    for key, value in pairs(fields or {}) do
+        event[key] = value
+    end
+
+    local file = io.open(EVENTS_PATH, "a")
+    if file then
+        file:write(hs.json.encode(event) .. "\n")
+        file:close()
+    end
+
+    -- Drop the oldest events once the file grows too big (same as appendEvents in lib/store.js)
+    if (hs.fs.attributes(EVENTS_PATH, "size") or 0) > EVENTS_MAX_BYTES then
+        local lines = {}
+        for line in io.lines(EVENTS_PATH) do
+            if line ~= "" then
+                table.insert(lines, line)
+            end
+        end
+        local first, size = #lines + 1, 0
+        while first > 1 and size + #lines[first - 1] + 1 <= EVENTS_KEEP_BYTES do
+            first = first - 1
+            size = size + #lines[first] + 1
+        end
+        writeFileAtomic(EVENTS_PATH, table.concat(lines, "\n", first) .. (first <= #lines and "\n" or ""))
+    end
+end
+
+-- Reset the keystroke counter, logging the burst being cleared
+-- (app defaults to the current app)
+local function resetCounter(reason, app)
+    if keystrokeCount > 0 then
+        logEvent("reset", { reason = reason or "manual", app = app })
+    end
     keystrokeCount = 0
     -- Notify menu bar module if loaded
     if vibe10x.onCountUpdate then
-        vibe10x.onCountUpdate(keystrokeCount, config.threshold)
+        vibe10x.onCountUpdate(keystrokeCount, getNextThreshold(getEffectiveSettings(currentApp).threshold))
     end
 end
 
@@ -221,13 +742,64 @@ local function resetInactivityTimer()
     if inactivityTimer then
         inactivityTimer:stop()
     end
-    inactivityTimer = hs.timer.doAfter(config.resetAfterSeconds, function()
-        resetCounter()
+    inactivityTimer = hs.timer.doAfter(getEffectiveSettings(currentApp).resetAfterSeconds, function()
+        resetCounter("inactivity")
     end)
 end
 
--- Show the nudge alert
-local function showNudge()
+-- Pick a message from alertMessages by alertRotation (mirrors pickAlertMessage in lib/messages.js)
+local function pickAlertMessage(messages, rotation)
+    local entries = {}
+    local total = 0
+    for _, entry in ipairs(messages) do
+        local text, weight = entry, 1
+        if type(entry) == "table" then
+            text, weight = entry.text, entry.weight or 1
+        end
+        table.insert(entries, { text = text, weight = weight })
+        total = total + weight
+    end
+
+    if rotation == "sequential" then
+        return entries[nudgeCount % #entries + 1].text
+    end
+    if rotation == "weighted" then
+        local target = math.random() * total
+        for _, entry in ipairs(entries) do
+            target = target - entry.weight
+            if target < 0 then
+                return entry.text
+            end
+        end
+        return entries[#entries].text
+    end
+    return entries[math.random(#entries)].text
+end
+
+-- The message for this nudge, placeholders filled in (mirrors renderAlertMessage in lib/config.js)
+local function renderAlertMessage(settings, tier)
+    local template = config.alertMessage
+    if tier and tier.alertMessage then
+        template = tier.alertMessage
+    elseif settings.hasMessageOverride then
+        template = settings.alertMessage
+    elseif type(config.alertMessages) == "table" and #config.alertMessages > 0 then
+        template = pickAlertMessage(config.alertMessages, config.alertRotation)
+    end
+
+    local values = {
+        count = tostring(keystrokeCount),
+        app = currentApp or "",
+        threshold = tostring(tier and tier.threshold or settings.threshold),
+        streak = tostring(streak)
+    }
+    return (template:gsub("{(%w+)}", function(name)
+        return values[name]
+    end))
+end
+
+-- Show the nudge alert (tier is nil without tiers)
+local function showNudge(tier)
     -- Configure alert style
     local style = {
         strokeWidth = 0,
@@ -243,21 +815,48 @@ local function showNudge()
         padding = 20
     }
 
-    hs.alert.show(config.alertMessage, style, hs.screen.mainScreen(), config.alertDurationSeconds)
+    local duration = config.alertDurationSeconds
+    local voice = config.voice and config.voice.enabled
+    if tier then
+        duration = tier.alertDurationSeconds
+        voice = tier.voice
+        -- A toast is a smaller alert at the top of the screen
+        if tier.style == "toast" then
+            style.textSize = 16
+            style.radius = 8
+            style.padding = 10
+            style.fillColor = { white = 0.1, alpha = 0.75 }
+            style.atScreenEdge = 1
+        end
+    end
+
+    streak = streak + 1
+    local message = renderAlertMessage(getEffectiveSettings(currentApp), tier)
+    nudgeCount = nudgeCount + 1
+    hs.alert.show(message, style, hs.screen.mainScreen(), duration)
 
     -- Speak the alert message if voice is enabled
-    if config.voice and config.voice.enabled then
-        hs.task.new("/usr/bin/say", nil, {config.alertMessage}):start()
+    if voice then
+        hs.task.new("/usr/bin/say", nil, {message}):start()
+    end
+
+    if tier then
+        logEvent("nudge", { tier = tier.level })
+    else
+        logEvent("nudge")
     end
 
-    -- Reset counter after showing alert
-    resetCounter()
+    -- Reset counter after showing alert (with tiers, only after the last one)
+    if not tier or tier.isLast then
+        resetCounter("nudge")
+    end
 end
 
 -- Handle keystroke event
 local function handleKeystroke(event)
     if not config.enabled then return false end
     if not isMonitoredApp(currentApp) then return false end
+    if not isScheduledActive() then return false end
 
     -- Check for modifier keys (ignore if Cmd, Ctrl, or Option is held)
     local flags = event:getFlags()
@@ -271,19 +870,33 @@ local function handleKeystroke(event)
         return false
     end
 
+    -- A pause of resetAfterSeconds ends a streak of nudges
+    local settings = getEffectiveSettings(currentApp)
+    local now = hs.timer.secondsSinceEpoch()
+    if lastKeyTime and now - lastKeyTime >= settings.resetAfterSeconds then
+        streak = 0
+    end
+    lastKeyTime = now
+
     -- Increment counter
     keystrokeCount = keystrokeCount + 1
+    local threshold = getNextThreshold(settings.threshold)
 
     -- Notify menu bar module if loaded
     if vibe10x.onCountUpdate then
-        vibe10x.onCountUpdate(keystrokeCount, config.threshold)
+        vibe10x.onCountUpdate(keystrokeCount, threshold)
     end
 
     -- Reset inactivity timer
     resetInactivityTimer()
 
-    -- Check threshold
-    if keystrokeCount >= config.threshold then
+    -- Check threshold; tiers nudge once at each tier's threshold
+    if getTiers() then
+        local tier = resolveTier(keystrokeCount)
+        if tier and tier.threshold == keystrokeCount then
+            showNudge(tier)
+        end
+    elseif keystrokeCount >= threshold then
         showNudge()
     end
 
@@ -296,9 +909,14 @@ local function handleAppEvent(appName, eventType, app)
         local previousApp = currentApp
         currentApp = appName
 
+        -- Only switches into or out of monitored apps are worth recording
+        if appName ~= previousApp and (isMonitoredApp(appName) or isMonitoredApp(previousApp)) then
+            logEvent("app_switch")
+        end
+
         -- Reset counter when switching away from monitored apps
         if previousApp and isMonitoredApp(previousApp) and not isMonitoredApp(currentApp) then
-            resetCounter()
+            resetCounter("app_switch", previousApp)
         end
     elseif eventType == hs.application.watcher.deactivated then
         if appName == currentApp then
@@ -336,8 +954,7 @@ function vibe10x.start()
     appWatcher:start()
 
     -- Start config file watcher for hot-reload
-    local configDir = os.getenv("HOME") .. "/.vibe10x"
-    configWatcher = hs.pathwatcher.new(configDir, function(paths)
+    configWatcher = hs.pathwatcher.new(VIBE10X_DIR, function(paths)
         for _, path in ipairs(paths) do
             if path:find("config.json") then
                 hs.printf("Vibe10X: Config changed, reloading...")
@@ -377,7 +994,7 @@ function vibe10x.stop()
         configWatcher = nil
     end
 
-    resetCounter()
+    resetCounter("stop")
     isMonitoring = false
     hs.printf("Vibe10X: Stopped")
 end
@@ -396,7 +1013,7 @@ end
 
 -- Toggle a specific category
 function vibe10x.toggleCategory(categoryId)
-    if not CATEGORIES[categoryId] then
+    if not getCategoryDef(categoryId) then
         hs.printf("Vibe10X: Unknown category: %s", categoryId)
         return false
     end
@@ -412,7 +1029,7 @@ function vibe10x.toggleCategory(categoryId)
     saveConfig()
     buildMonitoredAppsList()
 
-    local categoryName = CATEGORIES[categoryId].name
+    local categoryName = getCategoryDef(categoryId).name
     local state = config.categories[categoryId].enabled and "ON" or "OFF"
     hs.alert.show(string.format("%s: %s", categoryName, state))
     hs.printf("Vibe10X: Category '%s' %s", categoryName, state)
@@ -422,7 +1039,7 @@ end
 
 -- Enable a specific category
 function vibe10x.enableCategory(categoryId)
-    if not CATEGORIES[categoryId] then return false end
+    if not getCategoryDef(categoryId) then return false end
     if not config.categories then config.categories = {} end
     if not config.categories[categoryId] then config.categories[categoryId] = {} end
     config.categories[categoryId].enabled = true
@@ -433,7 +1050,7 @@ end
 
 -- Disable a specific category
 function vibe10x.disableCategory(categoryId)
-    if not CATEGORIES[categoryId] then return false end
+    if not getCategoryDef(categoryId) then return false end
     if not config.categories then config.categories = {} end
     if not config.categories[categoryId] then config.categories[categoryId] = {} end
     config.categories[categoryId].enabled = false
@@ -444,22 +1061,31 @@ end
 
 -- Get category status
 function vibe10x.getCategoryStatus(categoryId)
-    if not CATEGORIES[categoryId] then return nil end
+    if not getCategoryDef(categoryId) then return nil end
     return config.categories and config.categories[categoryId] and config.categories[categoryId].enabled or false
 end
 
 -- Get all categories with their status
 function vibe10x.getCategories()
     local result = {}
-    for categoryId, categoryDef in pairs(CATEGORIES) do
+    local function addCategory(categoryId, categoryDef, custom)
         local enabled = config.categories and config.categories[categoryId] and config.categories[categoryId].enabled or false
         result[categoryId] = {
             name = categoryDef.name,
             description = categoryDef.description,
             enabled = enabled,
-            appCount = #categoryDef.apps
+            appCount = #(categoryDef.apps or {}),
+            custom = custom
         }
     end
+    for categoryId, categoryDef in pairs(CATEGORIES) do
+        addCategory(categoryId, categoryDef, false)
+    end
+    for categoryId, categoryDef in pairs(config.customCategories or {}) do
+        if not result[categoryId] then
+            addCategory(categoryId, categoryDef, true)
+        end
+    end
     return result
 end
 
@@ -494,6 +1120,9 @@ function vibe10x.removeCustomApp(appName)
     for i, app in ipairs(config.customApps.apps) do
         if app == appName then
             table.remove(config.customApps.apps, i)
+            if config.customApps.overrides then
+                config.customApps.overrides[appName] = nil
+            end
             saveConfig()
             buildMonitoredAppsList()
             hs.printf("Vibe10X: Removed custom app '%s'", appName)
@@ -535,7 +1164,7 @@ function vibe10x.status()
     return {
         enabled = config.enabled and isMonitoring,
         count = keystrokeCount,
-        threshold = config.threshold,
+        threshold = getNextThreshold(getEffectiveSettings(currentApp).threshold),
         app = currentApp,
         isMonitoredApp = isMonitoredApp(currentApp),
         categories = vibe10x.getCategories(),
@@ -546,7 +1175,7 @@ end
 
 -- Reset counter manually
 function vibe10x.reset()
-    resetCounter()
+    resetCounter("manual")
     hs.printf("Vibe10X: Counter reset")
 end
 
@@ -569,8 +1198,11 @@ function vibe10x.getMonitoredApps()
     return monitoredAppsCache
 end
 
--- Export CATEGORIES for menu bar module
+-- Export the Vibe10X dir, CATEGORIES and the category lookup for menu bar module
+vibe10x.DIR = VIBE10X_DIR
 vibe10x.CATEGORIES = CATEGORIES
+vibe10x.getCategoryDef = getCategoryDef
+vibe10x.getEffectiveSettings = getEffectiveSettings
 
 -- Auto-start on load
 vibe10x.start()
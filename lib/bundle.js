@@ -0,0 +1,163 @@
+/**
+ * Vibe10X Export/Import Bundles
+ * Pure functions for moving a setup between machines
+ *
+ * A bundle holds everything the user has customized:
+ *   { "vibe10x": { "exportVersion": 1, "configVersion": 2, "exportedAt": "2026-01-05T10:00:00.000Z" },
+ *     "config": { ... },                       // config.json
+ *     "categories": { devTools: { add: [...] } }, // overlay on the shipped category lists
+ *     "presets": { focus: { ... } } }          // presets.json
+ */
+
+import { CONFIG_VERSION, migrateConfig, normalizeConfig, saveUserPreset } from './config.js';
+import { applyCategoryOverlay, diffCategories } from './categories.js';
+import { diffValues } from './diff.js';
+
+// Bundle format version, bumped when the layout above changes
+export const EXPORT_VERSION = 1;
+
+const BUNDLE_KEYS = ['vibe10x', 'config', 'categories', 'presets'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Build an export bundle
+ * @param {{ config: object, categories?: object, presets?: object }} state - Config, category overlay and user presets
+ * @param {Date} [now] - Export time
+ * @returns {object} Bundle
+ */
+export function createExport({ config, categories = {}, presets = {} }, now = new Date()) {
+  return {
+    vibe10x: {
+      exportVersion: EXPORT_VERSION,
+      configVersion: CONFIG_VERSION,
+      exportedAt: now.toISOString(),
+    },
+    config,
+    categories,
+    presets,
+  };
+}
+
+// Check one category overlay entry ({ add, remove, name, description })
+function validateOverlayEntry(entry, prefix, addError) {
+  if (!isPlainObject(entry)) {
+    addError(prefix, `${prefix} must be an object`);
+    return;
+  }
+  for (const key of ['add', 'remove']) {
+    if (entry[key] !== undefined && (!Array.isArray(entry[key]) || !entry[key].every(app => typeof app === 'string' && app.length > 0))) {
+      addError(`${prefix}.${key}`, `${prefix}.${key} must be a list of app names`);
+    }
+  }
+  for (const key of ['name', 'description']) {
+    if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+      addError(`${prefix}.${key}`, `${prefix}.${key} must be a string`);
+    }
+  }
+}
+
+/**
+ * Validate a bundle and bring its config up to the current schema
+ * @param {object} bundle - Parsed export file
+ * @returns {{ data: { config: object, categories: object, presets: object }|null, valid: boolean, errors: string[], fieldErrors: { field: string, message: string }[] }}
+ *   Normalized contents (null if invalid) and validation result
+ */
+export function readExport(bundle) {
+  const errors = [];
+  const fieldErrors = [];
+  const addError = (field, message) => {
+    errors.push(message);
+    fieldErrors.push({ field, message });
+  };
+  const result = () => ({ data: null, valid: false, errors, fieldErrors });
+
+  if (!isPlainObject(bundle)) {
+    addError('', 'Export file must contain a JSON object');
+    return result();
+  }
+
+  const exportVersion = bundle.vibe10x?.exportVersion;
+  if (!Number.isInteger(exportVersion) || exportVersion < 1) {
+    addError('vibe10x', 'Not a Vibe10X export: missing vibe10x.exportVersion header');
+    return result();
+  }
+  if (exportVersion > EXPORT_VERSION) {
+    addError('vibe10x.exportVersion', `Export was made by a newer Vibe10X (format ${exportVersion}); please upgrade`);
+    return result();
+  }
+
+  for (const key of Object.keys(bundle)) {
+    if (!BUNDLE_KEYS.includes(key)) {
+      addError(key, `${key} is not a recognized export section`);
+    }
+  }
+
+  // Config: migrated from the version it was exported with, then validated
+  let config = null;
+  if (!isPlainObject(bundle.config)) {
+    addError('config', 'config must be an object');
+  } else {
+    const normalized = normalizeConfig(migrateConfig(bundle.config).config);
+    for (const { field, message } of normalized.fieldErrors) {
+      addError(`config.${field}`, `config.${message}`);
+    }
+    config = normalized.config;
+  }
+
+  const categories = bundle.categories ?? {};
+  if (!isPlainObject(categories)) {
+    addError('categories', 'categories must be an object');
+  } else {
+    for (const [categoryId, entry] of Object.entries(categories)) {
+      validateOverlayEntry(entry, `categories.${categoryId}`, addError);
+    }
+  }
+
+  const presets = bundle.presets ?? {};
+  if (!isPlainObject(presets)) {
+    addError('presets', 'presets must be an object');
+  } else {
+    for (const [name, preset] of Object.entries(presets)) {
+      try {
+        saveUserPreset({}, name, preset);
+      } catch (err) {
+        const presetErrors = err.fieldErrors || [{ field: '', message: err.message }];
+        for (const { field, message } of presetErrors) {
+          addError(field ? `presets.${name}.${field}` : `presets.${name}`, `presets.${name}: ${message}`);
+        }
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    return result();
+  }
+  return { data: { config, categories, presets }, valid: true, errors, fieldErrors };
+}
+
+/**
+ * Work out what importing a bundle would change. The config and category overlay
+ * are replaced; imported presets are added to the user's, replacing same-named ones.
+ * @param {{ config: object, categories: object, presets: object }} current - Current config, category overlay and user presets
+ * @param {object} bundle - Parsed export file
+ * @param {object} [shipped] - Shipped categories; when given, the imported overlay is reduced to
+ *   what it changes on this machine (e.g. additions that are shipped here already are dropped)
+ * @returns {{ next: { config: object, categories: object, presets: object }|null, changes: { path: string, from: *, to: * }[], valid: boolean, errors: string[], fieldErrors: { field: string, message: string }[] }}
+ *   State after the import (null if invalid) and the changes it makes
+ */
+export function planImport(current, bundle, shipped = null) {
+  const { data, ...validation } = readExport(bundle);
+  if (!data) {
+    return { next: null, changes: [], ...validation };
+  }
+
+  const next = {
+    config: data.config,
+    categories: shipped ? diffCategories(shipped, applyCategoryOverlay(shipped, data.categories)) : data.categories,
+    presets: { ...current.presets, ...data.presets },
+  };
+  return { next, changes: diffValues(current, next), ...validation };
+}
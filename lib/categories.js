@@ -0,0 +1,104 @@
+/**
+ * Vibe10X Category Overlay Utilities
+ * Pure functions for layering user changes over the shipped categories
+ *
+ * An overlay maps category ids to the user's changes:
+ *   { devTools: { add: ['Nova Beta'], remove: ['Atom'] },
+ *     design: { name: 'Design', description: '', add: ['Figma'] } }
+ * Entries for ids missing from the shipped list define whole new categories.
+ */
+
+/**
+ * Apply an overlay to the shipped categories
+ * @param {object} base - Shipped categories (id -> { name, description, apps })
+ * @param {object} overlay - User changes (id -> { add, remove, name, description })
+ * @returns {object} Merged categories, in shipped order followed by new categories
+ */
+export function applyCategoryOverlay(base, overlay = {}) {
+  const result = {};
+
+  for (const [categoryId, category] of Object.entries(base)) {
+    result[categoryId] = { ...category, apps: [...category.apps] };
+  }
+
+  for (const [categoryId, entry] of Object.entries(overlay)) {
+    const add = entry.add || [];
+    const remove = entry.remove || [];
+
+    if (result[categoryId]) {
+      const apps = result[categoryId].apps.filter(app => !remove.includes(app));
+      for (const app of add) {
+        if (!apps.includes(app)) {
+          apps.push(app);
+        }
+      }
+      result[categoryId].apps = apps;
+    } else if (add.length > 0) {
+      result[categoryId] = {
+        name: entry.name || categoryId,
+        description: entry.description || '',
+        apps: [...new Set(add)],
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compute the overlay that turns one category list into another
+ * @param {object} base - Categories the changes are relative to
+ * @param {object} installed - Categories as installed (possibly edited by hand)
+ * @param {{ additionsOnly?: boolean }} [options] - Only record added apps and categories
+ * @returns {object} Overlay with only non-empty entries
+ */
+export function diffCategories(base, installed, { additionsOnly = false } = {}) {
+  const overlay = {};
+
+  for (const [categoryId, category] of Object.entries(installed)) {
+    const apps = Array.isArray(category?.apps) ? category.apps : [];
+    const baseCategory = base[categoryId];
+
+    if (!baseCategory) {
+      if (apps.length > 0) {
+        overlay[categoryId] = {
+          name: category.name || categoryId,
+          description: category.description || '',
+          add: apps,
+        };
+      }
+      continue;
+    }
+
+    const entry = {};
+    const add = apps.filter(app => !baseCategory.apps.includes(app));
+    const remove = additionsOnly ? [] : baseCategory.apps.filter(app => !apps.includes(app));
+    if (add.length > 0) entry.add = add;
+    if (remove.length > 0) entry.remove = remove;
+    if (Object.keys(entry).length > 0) {
+      overlay[categoryId] = entry;
+    }
+  }
+
+  return overlay;
+}
+
+/**
+ * Describe what an overlay effectively changes relative to the shipped categories.
+ * Additions already shipped and removals of apps no longer shipped are left out.
+ * @param {object} base - Shipped categories
+ * @param {object} overlay - User changes
+ * @returns {{ id: string, name: string, isNew: boolean, added: string[], removed: string[] }[]}
+ *   One entry per changed category
+ */
+export function describeCategoryOverlay(base, overlay) {
+  const effective = diffCategories(base, applyCategoryOverlay(base, overlay));
+
+  return Object.entries(effective).map(([categoryId, entry]) => ({
+    id: categoryId,
+    name: base[categoryId]?.name || entry.name,
+    isNew: !base[categoryId],
+    added: entry.add || [],
+    removed: entry.remove || [],
+  }));
+}
@@ -0,0 +1,322 @@
+/**
+ * Vibe10X API Client
+ * Wraps the settings server's API (described at GET /api/openapi.json, see lib/openapi.js).
+ * Method names are the operationIds of that document.
+ *
+ * Failed calls reject with an Error carrying the HTTP `status`, the parsed
+ * response `body`, its `fieldErrors` and the response's `etag`, if any.
+ *
+ * This module has no Node.js imports so the settings page can load it too.
+ */
+
+// Header the server expects the launch token in (see lib/security.js)
+const TOKEN_HEADER = 'X-Vibe10X-Token';
+
+/**
+ * @typedef {object} Config - A complete config (see DEFAULT_CONFIG in lib/config.js)
+ * @typedef {{ field: string, message: string }} FieldError
+ * @typedef {{ path: string, from?: *, to?: * }} Change
+ * @typedef {{ name: string, description?: string, apps: string[] }} Category
+ * @typedef {{ name: string, description?: string, apps: string[], custom?: true }} CategoryListing
+ * @typedef {{ number: number, timestamp: string, source: string, changes: Change[] }} HistoryEntry
+ * @typedef {{ nudges: number, bursts: number, keystrokes: number, appSwitches: number }} Counts
+ * @typedef {{ from: string|null, to: string|null, groupBy: string, totals: Counts, groups: (Counts & { key: string })[] }} Stats
+ * @typedef {{ type: string, timestamp?: string, app?: string|null, count?: number, reason?: string, tier?: number }} UsageEvent
+ * @typedef {{ success: true, config: Config, etag: string }} Saved - A saved config change and the new ETag
+ */
+
+/**
+ * Create an API client
+ * @param {object} [options] - Client options
+ * @param {string} [options.baseUrl] - Server URL, e.g. the url in server.json (default: same origin)
+ * @param {string} [options.token] - Launch token
+ * @param {typeof fetch} [options.fetch] - fetch implementation (default: the global one)
+ * @returns {object} Client with one method per API operation
+ */
+export function createClient({ baseUrl = '', token = '', fetch = globalThis.fetch } = {}) {
+  const origin = baseUrl.replace(/\/+$/, '');
+
+  // Build a URL, leaving out empty query parameters
+  function buildUrl(path, query = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, String(value));
+      }
+    }
+    const search = params.toString();
+    return `${origin}${path}${search ? `?${search}` : ''}`;
+  }
+
+  // Send a request and parse the JSON answer; rejects on error statuses
+  async function request(method, path, { query, body, headers = {}, contentType = 'application/json' } = {}) {
+    const init = { method, headers: { ...headers, [TOKEN_HEADER]: token } };
+    if (body !== undefined) {
+      init.headers['Content-Type'] = contentType;
+      init.body = JSON.stringify(body);
+    }
+
+    const res = await fetch(buildUrl(path, query), init);
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // not JSON, e.g. a proxy's error page
+    }
+    const etag = res.headers.get('ETag');
+
+    if (!res.ok) {
+      const err = new Error(data?.error || `${method} ${path} failed with ${res.status}`);
+      err.status = res.status;
+      err.body = data;
+      err.fieldErrors = Array.isArray(data?.errors) ? data.errors : [];
+      err.etag = etag;
+      throw err;
+    }
+    return { data, etag };
+  }
+
+  // A config change: the answer plus the new ETag
+  async function save(method, path, options) {
+    const { data, etag } = await request(method, path, options);
+    return { ...data, etag };
+  }
+
+  // Path segment for a category, preset or profile name
+  const segment = (name) => encodeURIComponent(name);
+
+  // Only send If-Match when there is an ETag to check
+  const ifMatch = (etag) => (etag ? { 'If-Match': etag } : {});
+
+  return {
+    /**
+     * Check that the server is up
+     * @returns {Promise<{ ok: true, pid: number }>} Server process id
+     */
+    async getHealth() {
+      return (await request('GET', '/api/health')).data;
+    },
+
+    /**
+     * Get the OpenAPI document of the API
+     * @returns {Promise<object>} OpenAPI 3.1 document
+     */
+    async getOpenApi() {
+      return (await request('GET', '/api/openapi.json')).data;
+    },
+
+    /**
+     * Get the config
+     * @returns {Promise<{ config: Config, etag: string }>} Config and its ETag, for saveConfig
+     */
+    async getConfig() {
+      const { data, etag } = await request('GET', '/api/config');
+      return { config: data, etag };
+    },
+
+    /**
+     * Replace the config
+     * @param {Config} config - New config; missing settings are filled in from the defaults
+     * @param {object} [options] - Save options
+     * @param {string} [options.etag] - ETag the edit started from (see getConfig); * overwrites whatever
+     *   is saved. Without it the server refuses the save with 428.
+     * @returns {Promise<Saved>} Saved config
+     */
+    async saveConfig(config, { etag } = {}) {
+      return save('POST', '/api/config', { body: config, headers: ifMatch(etag) });
+    },
+
+    /**
+     * Change some settings with a JSON Merge Patch
+     * @param {object} patch - Settings to change; null puts one back to its default
+     * @param {object} [options] - Save options
+     * @param {string} [options.etag] - Refuse the change if the config is no longer this version
+     * @returns {Promise<Saved>} Saved config
+     */
+    async patchConfig(patch, { etag } = {}) {
+      return save('PATCH', '/api/config', { body: patch, contentType: 'application/merge-patch+json', headers: ifMatch(etag) });
+    },
+
+    /**
+     * Put the config, or one top-level section of it, back to the defaults
+     * @param {string} [section] - Section to reset, e.g. categories (default: everything)
+     * @param {object} [options] - Save options
+     * @param {string} [options.etag] - Refuse the change if the config is no longer this version
+     * @returns {Promise<Saved>} Saved config
+     */
+    async resetConfig(section, { etag } = {}) {
+      return save('POST', '/api/config/reset', { query: { section }, headers: ifMatch(etag) });
+    },
+
+    /**
+     * List the apps being monitored
+     * @returns {Promise<{ enabled: boolean, apps: string[] }>} Whether Vibe10X is on, and the apps
+     */
+    async getEffectiveApps() {
+      return (await request('GET', '/api/config/effective')).data;
+    },
+
+    /**
+     * Get the default config
+     * @returns {Promise<Config>} Defaults
+     */
+    async getDefaults() {
+      return (await request('GET', '/api/defaults')).data;
+    },
+
+    /**
+     * Follow config changes made anywhere (Server-Sent Events)
+     * @param {(state: { config: Config, categories: Object<string, CategoryListing>, etag: string }) => void} onConfig
+     *   Called on connect and after every change
+     * @param {object} [options] - Stream options
+     * @param {typeof EventSource} [options.EventSource] - EventSource implementation (default: the global one)
+     * @returns {EventSource} The stream, to close() when done; it reconnects by itself
+     */
+    streamConfig(onConfig, { EventSource = globalThis.EventSource } = {}) {
+      // EventSource cannot send headers, so the token goes in the query
+      const stream = new EventSource(buildUrl('/api/stream', { token }));
+      stream.addEventListener('config', (e) => onConfig(JSON.parse(e.data)));
+      return stream;
+    },
+
+    /**
+     * List config snapshots, newest first
+     * @returns {Promise<HistoryEntry[]>} Snapshots; number 1 is the current config
+     */
+    async getHistory() {
+      return (await request('GET', '/api/config/history')).data;
+    },
+
+    /**
+     * Restore a config snapshot
+     * @param {number|string} number - Snapshot number from getHistory
+     * @returns {Promise<Saved>} Saved config
+     */
+    async restoreHistory(number) {
+      return save('POST', `/api/config/history/${segment(number)}/restore`);
+    },
+
+    /**
+     * List built-in and custom categories
+     * @returns {Promise<Object<string, CategoryListing>>} Categories by id
+     */
+    async getCategories() {
+      return (await request('GET', '/api/categories')).data;
+    },
+
+    /**
+     * Create a custom category
+     * @param {string} id - Category id
+     * @param {Category} category - Name, description and apps
+     * @returns {Promise<Saved>} Saved config
+     */
+    async addCategory(id, category) {
+      return save('POST', `/api/categories/${segment(id)}`, { body: category });
+    },
+
+    /**
+     * Change a custom category
+     * @param {string} id - Category id
+     * @param {Partial<Category>} changes - Fields to change
+     * @returns {Promise<Saved>} Saved config
+     */
+    async updateCategory(id, changes) {
+      return save('PUT', `/api/categories/${segment(id)}`, { body: changes });
+    },
+
+    /**
+     * Delete a custom category
+     * @param {string} id - Category id
+     * @returns {Promise<Saved>} Saved config
+     */
+    async removeCategory(id) {
+      return save('DELETE', `/api/categories/${segment(id)}`);
+    },
+
+    /**
+     * Record usage events
+     * @param {UsageEvent|UsageEvent[]} events - One event or a batch
+     * @returns {Promise<{ success: true, recorded: number }>} Number of events recorded
+     */
+    async recordEvents(events) {
+      return (await request('POST', '/api/events', { body: events })).data;
+    },
+
+    /**
+     * Aggregate recorded events
+     * @param {object} [range] - Range and grouping
+     * @param {string} [range.from] - Date or ISO timestamp
+     * @param {string} [range.to] - Date (inclusive) or ISO timestamp
+     * @param {string} [range.groupBy] - day, app or category (default: day)
+     * @returns {Promise<Stats>} Totals and groups
+     */
+    async getStats({ from, to, groupBy } = {}) {
+      return (await request('GET', '/api/stats', { query: { from, to, groupBy } })).data;
+    },
+
+    /**
+     * List built-in and saved presets
+     * @returns {Promise<Object<string, object>>} Presets by name; saved ones have custom: true
+     */
+    async getPresets() {
+      return (await request('GET', '/api/presets')).data;
+    },
+
+    /**
+     * Apply a preset to the config
+     * @param {string} name - Preset name
+     * @returns {Promise<Saved & { preset: string }>} Saved config
+     */
+    async applyPreset(name) {
+      return save('POST', `/api/presets/${segment(name)}/apply`);
+    },
+
+    /**
+     * Export the config, category changes and saved presets
+     * @returns {Promise<object>} Export bundle, for importSetup
+     */
+    async exportSetup() {
+      return (await request('GET', '/api/export')).data;
+    },
+
+    /**
+     * Import an export bundle
+     * @param {object} bundle - Bundle from exportSetup
+     * @param {object} [options] - Import options
+     * @param {boolean} [options.dryRun] - Only list the changes (default: false)
+     * @returns {Promise<{ changes: Change[], dryRun?: true, success?: true, config?: Config, etag: string|null }>}
+     *   The changes, and after a real import the saved config
+     */
+    async importSetup(bundle, { dryRun = false } = {}) {
+      return save('POST', '/api/import', { body: bundle, query: { dryRun: dryRun ? 1 : null } });
+    },
+
+    /**
+     * List profiles
+     * @returns {Promise<{ profiles: string[], active: string|null }>} Names and the one matching the config
+     */
+    async getProfiles() {
+      return (await request('GET', '/api/profiles')).data;
+    },
+
+    /**
+     * Save a profile
+     * @param {string} name - Profile name
+     * @param {Config} [config] - Config to save (default: the saved config)
+     * @returns {Promise<{ success: true, profile: string, profiles: string[] }>} All profile names
+     */
+    async saveProfile(name, config) {
+      return (await request('POST', '/api/profiles', { body: { name, config } })).data;
+    },
+
+    /**
+     * Switch the config to a profile
+     * @param {string} name - Profile name
+     * @returns {Promise<Saved & { profile: string }>} Saved config
+     */
+    async activateProfile(name) {
+      return save('POST', `/api/profiles/${segment(name)}/activate`);
+    },
+  };
+}
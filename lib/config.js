@@ -6,6 +6,11 @@
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { DEFAULT_SCHEDULE, validateSchedule } from './schedule.js';
+import { validateAlertMessages, describeUnknownPlaceholders, pickAlertMessage, fillPlaceholders } from './messages.js';
+
+export { isActiveAt, parseScheduleRules } from './schedule.js';
+export { ALERT_ROTATIONS, ALERT_PLACEHOLDERS } from './messages.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,26 +20,84 @@ const __dirname = dirname(__filename);
 const categoriesPath = join(__dirname, '..', 'config', 'categories.json');
 export const CATEGORIES = JSON.parse(readFileSync(categoriesPath, 'utf-8'));
 
+// Presets without tiers clear them, so switching from a tiered variant restores a single threshold
 export const PRESETS = {
   aggressive: {
     threshold: 30,
     resetAfterSeconds: 20,
-    alertMessage: 'Voice! Now!'
+    alertMessage: 'Voice! Now!',
+    tiers: []
   },
   relaxed: {
     threshold: 100,
     resetAfterSeconds: 60,
-    alertMessage: 'Consider using voice input'
+    alertMessage: 'Consider using voice input',
+    tiers: []
   },
   zen: {
     threshold: 25,
     resetAfterSeconds: 15,
     alertMessage: 'Breathe. Speak.',
-    voice: { enabled: true }
+    voice: { enabled: true },
+    tiers: []
+  },
+  'aggressive-tiered': {
+    threshold: 30,
+    resetAfterSeconds: 20,
+    alertMessage: 'Voice! Now!',
+    tiers: [
+      { threshold: 30, style: 'toast' },
+      { threshold: 60, style: 'alert' },
+      { threshold: 120, style: 'alert', voice: true, alertDurationSeconds: 4, alertMessage: '{count} keystrokes. Voice! Now!' }
+    ]
+  },
+  'relaxed-tiered': {
+    threshold: 100,
+    resetAfterSeconds: 60,
+    alertMessage: 'Consider using voice input',
+    tiers: [
+      { threshold: 100, style: 'toast' },
+      { threshold: 200, style: 'alert' },
+      { threshold: 400, style: 'alert', voice: true, alertDurationSeconds: 5 }
+    ]
+  },
+  'zen-tiered': {
+    threshold: 25,
+    resetAfterSeconds: 15,
+    alertMessage: 'Breathe. Speak.',
+    voice: { enabled: true },
+    tiers: [
+      { threshold: 25, style: 'toast', voice: false },
+      { threshold: 50, style: 'alert' },
+      { threshold: 100, style: 'alert', alertDurationSeconds: 4 }
+    ]
   },
 };
 
-// Legacy: flat list for backwards compatibility
+// Settings a preset may set; apps, schedule and the like stay as they are
+export const PRESET_KEYS = [
+  'threshold',
+  'resetAfterSeconds',
+  'alertDurationSeconds',
+  'alertMessage',
+  'alertMessages',
+  'alertRotation',
+  'tiers',
+  'voice',
+  'categories',
+];
+
+// How a tier's nudge is shown: a small toast at the top of the screen, or the full alert
+export const TIER_STYLES = ['toast', 'alert'];
+
+// Settings a tier may have; only threshold is required
+const TIER_KEYS = ['threshold', 'style', 'voice', 'alertDurationSeconds', 'alertMessage'];
+
+// Current config schema version (see MIGRATIONS)
+export const CONFIG_VERSION = 2;
+
+// Legacy: default `monitoredApps` of version 0 configs, used to recognize
+// untouched legacy configs during migration
 export const DEFAULT_APPS = [
   'Code',
   'Cursor',
@@ -53,11 +116,17 @@ for (const categoryId of Object.keys(CATEGORIES)) {
 }
 
 export const DEFAULT_CONFIG = {
+  configVersion: CONFIG_VERSION,
   enabled: true,
   threshold: 50,
   resetAfterSeconds: 30,
   alertDurationSeconds: 2,
   alertMessage: 'Use your voice!',
+  // Messages to rotate through instead of alertMessage (see lib/messages.js)
+  alertMessages: [],
+  alertRotation: 'random',
+  // Escalating nudges replacing threshold when not empty (see resolveTier)
+  tiers: [],
   voice: { enabled: false },
   // Category-based config (dynamically built from categories.json)
   categories: defaultCategoryConfig,
@@ -65,24 +134,91 @@ export const DEFAULT_CONFIG = {
     enabled: true,
     apps: []
   },
-  // Legacy field for backwards compatibility (computed from categories)
-  monitoredApps: DEFAULT_APPS,
+  // User-defined categories, keyed by id: { name, description, apps }
+  customCategories: {},
+  // Active/quiet hours (see lib/schedule.js)
+  schedule: DEFAULT_SCHEDULE,
   menuBar: { showCount: false, icon: '🦄' },
 };
 
+// Top-level keys accepted by validateConfig
+const CONFIG_KEYS = Object.keys(DEFAULT_CONFIG);
+
+// Settings that categories and custom apps may override
+export const OVERRIDE_KEYS = ['threshold', 'resetAfterSeconds', 'alertMessage'];
+
+// Validity checks shared by global settings and overrides
+const SETTING_RULES = {
+  threshold: {
+    isValid: (value) => typeof value === 'number' && value >= 10 && value <= 500,
+    message: 'must be a number between 10 and 500',
+  },
+  resetAfterSeconds: {
+    isValid: (value) => typeof value === 'number' && value >= 5 && value <= 300,
+    message: 'must be a number between 5 and 300',
+  },
+  alertDurationSeconds: {
+    isValid: (value) => typeof value === 'number' && value >= 0.5 && value <= 10,
+    message: 'must be a number between 0.5 and 10',
+  },
+  alertMessage: {
+    isValid: (value) => typeof value === 'string' && value.length > 0,
+    message: 'must be a non-empty string',
+  },
+};
+
+// Category ids and preset names: a letter followed by letters, digits, dashes or underscores
+const CATEGORY_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Create an Error carrying a machine-readable code (and optional field errors)
+function codedError(message, code, fieldErrors) {
+  const err = new Error(message);
+  err.code = code;
+  if (fieldErrors) {
+    err.fieldErrors = fieldErrors;
+  }
+  return err;
+}
+
+/**
+ * Get all category definitions: built-in categories plus the config's custom ones
+ * @param {object} config - Config object
+ * @param {object} [builtIn] - Built-in category definitions by id, e.g. the installed
+ *   categories.json (default: the shipped CATEGORIES)
+ * @returns {Object<string, { name: string, description: string, apps: string[] }>} Categories by id
+ */
+export function getAllCategories(config, builtIn = CATEGORIES) {
+  const categories = { ...builtIn };
+  if (isPlainObject(config?.customCategories)) {
+    for (const [categoryId, category] of Object.entries(config.customCategories)) {
+      if (!categories[categoryId]) {
+        categories[categoryId] = category;
+      }
+    }
+  }
+  return categories;
+}
+
 /**
  * Get all enabled apps from categories and custom apps
  * @param {object} config - Config object
+ * @param {object} [allCategories] - Category definitions by id, e.g. the installed
+ *   categories.json plus custom ones (default: getAllCategories(config))
  * @returns {string[]} Array of all monitored app names
  */
-export function getEnabledApps(config) {
+export function getEnabledApps(config, allCategories = getAllCategories(config)) {
   const apps = new Set();
 
-  // Add apps from enabled categories
+  // Add apps from enabled categories (built-in and custom)
   if (config.categories) {
     for (const [categoryId, categoryConfig] of Object.entries(config.categories)) {
-      if (categoryConfig.enabled && CATEGORIES[categoryId]) {
-        for (const app of CATEGORIES[categoryId].apps) {
+      const category = allCategories[categoryId];
+      if (categoryConfig.enabled && Array.isArray(category?.apps)) {
+        for (const app of category.apps) {
           apps.add(app);
         }
       }
@@ -99,19 +235,560 @@ export function getEnabledApps(config) {
   return Array.from(apps);
 }
 
+// Pick the override keys present on an object
+function pickOverrides(source) {
+  const overrides = {};
+  for (const key of OVERRIDE_KEYS) {
+    if (source?.[key] !== undefined) {
+      overrides[key] = source[key];
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Resolve the settings that apply while typing in an app.
+ * Global settings are overridden by the first enabled category containing the app
+ * (by id, alphabetically), which in turn is overridden by the app's own entry in
+ * customApps.overrides.
+ * Apps match category entries by substring, like the Hammerspoon module.
+ * @param {object} config - Config object
+ * @param {string} appName - Name of the frontmost app
+ * @param {object} [allCategories] - Category definitions by id, e.g. the installed
+ *   categories.json plus custom ones (default: getAllCategories(config))
+ * @returns {{ threshold: number, resetAfterSeconds: number, alertMessage: string }} Effective settings
+ */
+export function getEffectiveSettings(config, appName, allCategories = getAllCategories(config)) {
+  return {
+    threshold: config.threshold,
+    resetAfterSeconds: config.resetAfterSeconds,
+    alertMessage: config.alertMessage,
+    ...getAppOverrides(config, appName, allCategories),
+  };
+}
+
+// The category and custom app overrides that apply to an app (see getEffectiveSettings)
+function getAppOverrides(config, appName, allCategories) {
+  const overrides = {};
+  if (!appName) {
+    return overrides;
+  }
+
+  for (const categoryId of Object.keys(allCategories).sort()) {
+    const category = allCategories[categoryId];
+    const categoryConfig = config.categories?.[categoryId];
+    if (categoryConfig?.enabled && category.apps?.some(pattern => appName.includes(pattern))) {
+      Object.assign(overrides, pickOverrides(categoryConfig));
+      break;
+    }
+  }
+
+  if (config.customApps?.enabled && isPlainObject(config.customApps.overrides)) {
+    const match = (config.customApps.apps || []).find(pattern => appName.includes(pattern));
+    if (match) {
+      Object.assign(overrides, pickOverrides(config.customApps.overrides[match]));
+    }
+  }
+
+  return overrides;
+}
+
+/**
+ * Render the alert message for a nudge. An alertMessage override for the app's
+ * category or custom app entry wins; otherwise a message is picked from
+ * alertMessages by alertRotation, falling back to alertMessage when the list is empty.
+ * @param {object} config - Config object
+ * @param {object} [context] - What the nudge is about
+ * @param {string|null} [context.app] - Frontmost app
+ * @param {number} [context.count] - Keystrokes typed (default: the threshold)
+ * @param {number} [context.threshold] - Threshold reached (default: the app's effective threshold)
+ * @param {number} [context.streak] - Nudges in a row without a typing pause, including this one (default: 1)
+ * @param {number} [context.index] - Nudges shown before this one, for sequential rotation (default: 0)
+ * @param {number} [context.random] - Random number in [0, 1), for random and weighted rotation (default: Math.random())
+ * @param {object|null} [context.tier] - Tier reached (see resolveTier); its alertMessage wins over all others
+ * @param {object} [context.allCategories] - Category definitions by id (default: getAllCategories(config))
+ * @returns {string} Message to show
+ */
+export function renderAlertMessage(config, {
+  app = null, count, threshold, streak = 1, index = 0, random = Math.random(), tier = null,
+  allCategories = getAllCategories(config),
+} = {}) {
+  const overrides = getAppOverrides(config, app, allCategories);
+  const effectiveThreshold = threshold ?? overrides.threshold ?? config.threshold;
+
+  let template = config.alertMessage;
+  if (tier?.alertMessage) {
+    template = tier.alertMessage;
+  } else if (overrides.alertMessage !== undefined) {
+    template = overrides.alertMessage;
+  } else if (Array.isArray(config.alertMessages) && config.alertMessages.length > 0) {
+    template = pickAlertMessage(config.alertMessages, config.alertRotation, { index, random });
+  }
+
+  return fillPlaceholders(template, {
+    count: count ?? effectiveThreshold,
+    app: app ?? '',
+    threshold: effectiveThreshold,
+    streak,
+  });
+}
+
+/**
+ * Resolve the tier reached at a keystroke count. With tiers, the counter keeps running
+ * past each tier's threshold (each one nudging once) until the last tier resets it;
+ * category and app threshold overrides do not apply.
+ * @param {object} config - Config object
+ * @param {number} count - Keystrokes typed
+ * @returns {{ level: number, threshold: number, style: string, voice: boolean, alertDurationSeconds: number,
+ *   alertMessage: string|null, isLast: boolean }|null} The highest tier reached (level 1 is the first),
+ *   with unset settings taken from the config; null below the first tier or without tiers
+ */
+export function resolveTier(config, count) {
+  const tiers = Array.isArray(config.tiers) ? config.tiers : [];
+  let index = -1;
+  tiers.forEach((tier, i) => {
+    if (count >= tier.threshold) index = i;
+  });
+  if (index === -1) {
+    return null;
+  }
+
+  const tier = tiers[index];
+  return {
+    level: index + 1,
+    threshold: tier.threshold,
+    style: tier.style ?? 'alert',
+    voice: tier.voice ?? Boolean(config.voice?.enabled),
+    alertDurationSeconds: tier.alertDurationSeconds ?? config.alertDurationSeconds,
+    alertMessage: tier.alertMessage ?? null,
+    isLast: index === tiers.length - 1,
+  };
+}
+
+/**
+ * The threshold the counter is heading for: the next tier's, or with no tiers the app's threshold
+ * @param {object} config - Config object
+ * @param {number} count - Keystrokes typed
+ * @param {number} threshold - The app's effective threshold (see getEffectiveSettings)
+ * @returns {number} Threshold
+ */
+export function getNextThreshold(config, count, threshold) {
+  const tiers = Array.isArray(config.tiers) ? config.tiers : [];
+  if (tiers.length === 0) {
+    return threshold;
+  }
+  return (tiers.find(tier => tier.threshold > count) ?? tiers[tiers.length - 1]).threshold;
+}
+
+/**
+ * Validate a custom category definition
+ * @param {object} category - Category definition ({ name, description, apps })
+ * @returns {{ valid: boolean, errors: string[], fieldErrors: { field: string, message: string }[] }}
+ *   Validation result, with fields relative to the category
+ */
+export function validateCategory(category) {
+  const errors = [];
+  const fieldErrors = [];
+  const addError = (field, message) => {
+    errors.push(message);
+    fieldErrors.push({ field, message });
+  };
+
+  if (!isPlainObject(category)) {
+    addError('', 'Category must be an object');
+    return { valid: false, errors, fieldErrors };
+  }
+
+  for (const key of Object.keys(category)) {
+    if (!['name', 'description', 'apps'].includes(key)) {
+      addError(key, `${key} is not a recognized category field`);
+    }
+  }
+
+  if (typeof category.name !== 'string' || category.name.trim().length === 0) {
+    addError('name', 'name must be a non-empty string');
+  }
+
+  if (category.description !== undefined && typeof category.description !== 'string') {
+    addError('description', 'description must be a string');
+  }
+
+  if (!Array.isArray(category.apps)) {
+    addError('apps', 'apps must be an array');
+  } else {
+    category.apps.forEach((app, i) => {
+      if (typeof app !== 'string' || app.trim().length === 0) {
+        addError(`apps.${i}`, `apps[${i}] must be a non-empty string`);
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors, fieldErrors };
+}
+
+// Validate a category definition and return it with trimmed, de-duplicated values
+function normalizeCategory(category) {
+  const { valid, errors, fieldErrors } = validateCategory(category);
+  if (!valid) {
+    throw codedError(`Invalid category: ${errors.join(', ')}`, 'INVALID', fieldErrors);
+  }
+  return {
+    name: category.name.trim(),
+    description: (category.description || '').trim(),
+    apps: [...new Set(category.apps.map(app => app.trim()))],
+  };
+}
+
+/**
+ * Add a custom category and enable it
+ * @param {object} config - Config object
+ * @param {string} categoryId - New category id (e.g. designTools)
+ * @param {object} category - Category definition ({ name, description, apps })
+ * @returns {object} New config with the category added
+ * @throws {Error} With code INVALID or EXISTS
+ */
+export function addCustomCategory(config, categoryId, category) {
+  if (typeof categoryId !== 'string' || !CATEGORY_ID_PATTERN.test(categoryId)) {
+    throw codedError(`Invalid category id: ${categoryId}. Use letters, digits, - and _, starting with a letter`, 'INVALID');
+  }
+  if (getAllCategories(config)[categoryId]) {
+    throw codedError(`Category already exists: ${categoryId}`, 'EXISTS');
+  }
+
+  return {
+    ...config,
+    customCategories: { ...config.customCategories, [categoryId]: normalizeCategory(category) },
+    categories: { ...config.categories, [categoryId]: { enabled: true } },
+  };
+}
+
+// Throw unless categoryId names an existing custom category
+function assertCustomCategory(config, categoryId) {
+  if (CATEGORIES[categoryId]) {
+    throw codedError(`Built-in category cannot be modified: ${categoryId}`, 'BUILT_IN');
+  }
+  if (!config.customCategories?.[categoryId]) {
+    throw codedError(`Unknown category: ${categoryId}`, 'NOT_FOUND');
+  }
+}
+
+/**
+ * Update a custom category's definition
+ * @param {object} config - Config object
+ * @param {string} categoryId - Custom category id
+ * @param {object} changes - Fields to change ({ name, description, apps })
+ * @returns {object} New config with the category updated
+ * @throws {Error} With code INVALID, BUILT_IN or NOT_FOUND
+ */
+export function updateCustomCategory(config, categoryId, changes) {
+  assertCustomCategory(config, categoryId);
+  if (!isPlainObject(changes)) {
+    throw codedError('Category must be an object', 'INVALID', [{ field: '', message: 'Category must be an object' }]);
+  }
+
+  const category = normalizeCategory({ ...config.customCategories[categoryId], ...changes });
+  return {
+    ...config,
+    customCategories: { ...config.customCategories, [categoryId]: category },
+  };
+}
+
+/**
+ * Remove a custom category and its enabled state
+ * @param {object} config - Config object
+ * @param {string} categoryId - Custom category id
+ * @returns {object} New config without the category
+ * @throws {Error} With code BUILT_IN or NOT_FOUND
+ */
+export function removeCustomCategory(config, categoryId) {
+  assertCustomCategory(config, categoryId);
+
+  const { [categoryId]: _removed, ...customCategories } = config.customCategories;
+  const { [categoryId]: _state, ...categories } = config.categories || {};
+  return { ...config, customCategories, categories };
+}
+
+/**
+ * Drop the enabled state and overrides of custom categories a change removed,
+ * the way removeCustomCategory does (e.g. after a merge patch set one to null)
+ * @param {object} previous - Config before the change
+ * @param {object} next - Changed config
+ * @returns {object} Changed config without state for the removed categories
+ */
+export function dropRemovedCategoryStates(previous, next) {
+  const removed = Object.keys(previous.customCategories || {})
+    .filter(categoryId => !next.customCategories?.[categoryId] && !CATEGORIES[categoryId]);
+  if (!removed.some(categoryId => next.categories?.[categoryId])) {
+    return next;
+  }
+  const categories = Object.fromEntries(
+    Object.entries(next.categories).filter(([categoryId]) => !removed.includes(categoryId))
+  );
+  return { ...next, categories };
+}
+
+// Top-level keys resetConfig can put back to their defaults on their own
+const RESET_SECTIONS = CONFIG_KEYS.filter(key => key !== 'configVersion');
+
+/**
+ * Put a config, or one of its top-level sections, back to the defaults
+ * Resetting customCategories also drops the enabled state of the removed categories.
+ * @param {object} config - Config object
+ * @param {string} [section] - Top-level key to reset (default: the whole config)
+ * @returns {object} New config
+ * @throws {Error} With code INVALID if section is not a config key
+ */
+export function resetConfig(config, section) {
+  if (section === undefined || section === null) {
+    return structuredClone(DEFAULT_CONFIG);
+  }
+  if (!RESET_SECTIONS.includes(section)) {
+    const message = `Unknown section: ${section}. Use one of: ${RESET_SECTIONS.join(', ')}`;
+    throw codedError(message, 'INVALID', [{ field: 'section', message }]);
+  }
+
+  const result = { ...config, [section]: structuredClone(DEFAULT_CONFIG[section]) };
+  if (section === 'customCategories') {
+    result.categories = Object.fromEntries(
+      Object.entries(config.categories || {}).filter(([categoryId]) => CATEGORIES[categoryId])
+    );
+  }
+  return result;
+}
+
+/**
+ * Detect the schema version of a stored config
+ * Version 0 configs have a flat `monitoredApps` list, version 1 configs have
+ * `categories`/`customApps` but no version field, later ones carry `configVersion`.
+ * @param {object} config - Stored config
+ * @returns {number} Schema version
+ */
+export function detectConfigVersion(config) {
+  if (Number.isInteger(config.configVersion)) {
+    return config.configVersion;
+  }
+  if (config.categories || config.customApps) {
+    return 1;
+  }
+  return 0;
+}
+
 /**
- * Apply a preset to a config object
+ * Schema migrations, indexed by the version they upgrade from.
+ * Each takes a config of version N and returns a new config of version N + 1.
+ */
+export const MIGRATIONS = [
+  // 0 -> 1: flat monitoredApps list -> categories + customApps
+  (config) => {
+    const { monitoredApps, ...rest } = config;
+    const apps = Array.isArray(monitoredApps) ? monitoredApps : DEFAULT_APPS;
+    const categories = {};
+    let customApps = [];
+
+    const isLegacyDefault = apps.length === DEFAULT_APPS.length && DEFAULT_APPS.every(app => apps.includes(app));
+    if (isLegacyDefault) {
+      // Untouched legacy default: keep the current default categories
+      for (const [categoryId, categoryConfig] of Object.entries(defaultCategoryConfig)) {
+        categories[categoryId] = { ...categoryConfig };
+      }
+    } else {
+      // Enable categories fully covered by the old list, keep the rest as custom apps
+      const covered = new Set();
+      for (const [categoryId, category] of Object.entries(CATEGORIES)) {
+        const enabled = category.apps.every(app => apps.includes(app));
+        categories[categoryId] = { enabled };
+        if (enabled) {
+          category.apps.forEach(app => covered.add(app));
+        }
+      }
+      customApps = apps.filter(app => !covered.has(app));
+    }
+
+    return {
+      ...rest,
+      categories,
+      customApps: { enabled: true, apps: customApps },
+    };
+  },
+  // 1 -> 2: add configVersion, drop the computed monitoredApps leftover
+  (config) => {
+    const { monitoredApps, ...rest } = config;
+    return { configVersion: 2, ...rest };
+  },
+];
+
+// Earlier versions of the Hammerspoon menu wrote empty lists as {} (an empty
+// Lua table); read those back as [] so the config validates again
+function repairEmptyLists(config) {
+  let repaired = false;
+  const list = (value) => {
+    if (isPlainObject(value) && Object.keys(value).length === 0) {
+      repaired = true;
+      return [];
+    }
+    return value;
+  };
+  const result = { ...config };
+  for (const key of ['alertMessages', 'tiers']) {
+    if (key in result) {
+      result[key] = list(result[key]);
+    }
+  }
+  if (isPlainObject(result.customApps) && 'apps' in result.customApps) {
+    result.customApps = { ...result.customApps, apps: list(result.customApps.apps) };
+  }
+  if (isPlainObject(result.schedule)) {
+    result.schedule = { ...result.schedule };
+    for (const key of ['activeHours', 'quietHours']) {
+      if (key in result.schedule) {
+        result.schedule[key] = list(result.schedule[key]);
+      }
+    }
+  }
+  if (isPlainObject(result.customCategories)) {
+    result.customCategories = Object.fromEntries(Object.entries(result.customCategories).map(([categoryId, category]) => [
+      categoryId,
+      isPlainObject(category) && 'apps' in category ? { ...category, apps: list(category.apps) } : category,
+    ]));
+  }
+  return repaired ? result : config;
+}
+
+/**
+ * Migrate a stored config to CONFIG_VERSION
+ * Configs from a newer version are returned unchanged, and empty lists the
+ * Hammerspoon menu wrote as {} are read back as [].
+ * @param {object} config - Stored config of any historical shape
+ * @returns {{ config: object, fromVersion: number, toVersion: number, migrated: boolean }} Migration result
+ */
+export function migrateConfig(config) {
+  const fromVersion = detectConfigVersion(config);
+  let result = config;
+
+  for (let version = fromVersion; version < CONFIG_VERSION; version++) {
+    result = MIGRATIONS[version](result);
+  }
+  result = repairEmptyLists(result);
+
+  const toVersion = Math.max(fromVersion, CONFIG_VERSION);
+  return { config: result, fromVersion, toVersion, migrated: fromVersion < CONFIG_VERSION };
+}
+
+/**
+ * Get all presets: built-in presets plus the user's saved ones
+ * @param {object} [userPresets] - User presets by name (from ~/.vibe10x/presets.json)
+ * @returns {Object<string, object>} Presets by name; user presets never shadow built-in ones
+ */
+export function getAllPresets(userPresets = {}) {
+  const presets = { ...PRESETS };
+  for (const [name, preset] of Object.entries(userPresets || {})) {
+    if (!PRESETS[name.toLowerCase()]) {
+      presets[name] = preset;
+    }
+  }
+  return presets;
+}
+
+/**
+ * Apply a preset to a config object. `voice` and per-category settings are merged,
+ * so a preset only changes the categories it lists.
  * @param {object} config - Base config
- * @param {string} presetName - Name of preset (aggressive, relaxed, zen)
+ * @param {string} presetName - Name of a built-in or user preset (case insensitive)
+ * @param {object} [userPresets] - User presets by name
  * @returns {object} Config with preset applied
- * @throws {Error} If preset name is unknown
+ * @throws {Error} With code NOT_FOUND if preset name is unknown
+ */
+export function applyPreset(config, presetName, userPresets = {}) {
+  const presets = getAllPresets(userPresets);
+  const name = Object.keys(presets).find(key => key.toLowerCase() === String(presetName).toLowerCase());
+  if (!name) {
+    throw codedError(`Unknown preset: ${presetName}. Available: ${Object.keys(presets).join(', ')}`, 'NOT_FOUND');
+  }
+
+  const preset = presets[name];
+  const result = { ...config, ...preset };
+  if (preset.voice) {
+    result.voice = { ...config.voice, ...preset.voice };
+  }
+  if (preset.categories) {
+    result.categories = { ...config.categories };
+    for (const [categoryId, categoryConfig] of Object.entries(preset.categories)) {
+      result.categories[categoryId] = { ...config.categories?.[categoryId], ...categoryConfig };
+    }
+  }
+  return result;
+}
+
+/**
+ * Take the preset-able settings (see PRESET_KEYS) from a config
+ * @param {object} config - Config object
+ * @returns {object} Preset
+ */
+export function presetFromConfig(config) {
+  const preset = {};
+  for (const key of PRESET_KEYS) {
+    if (config[key] !== undefined) {
+      preset[key] = structuredClone(config[key]);
+    }
+  }
+  return preset;
+}
+
+/**
+ * Validate a preset: only PRESET_KEYS, each valid as it would be in a config
+ * @param {object} preset - Preset to validate
+ * @returns {{ valid: boolean, errors: string[], fieldErrors: { field: string, message: string }[] }} Validation result
  */
-export function applyPreset(config, presetName) {
-  const preset = PRESETS[presetName.toLowerCase()];
-  if (!preset) {
-    throw new Error(`Unknown preset: ${presetName}. Available: ${Object.keys(PRESETS).join(', ')}`);
+export function validatePreset(preset) {
+  const errors = [];
+  const fieldErrors = [];
+  const addError = (field, message) => {
+    errors.push(message);
+    fieldErrors.push({ field, message });
+  };
+
+  if (!isPlainObject(preset)) {
+    addError('', 'Preset must be an object');
+    return { valid: false, errors, fieldErrors };
   }
-  return { ...config, ...preset };
+
+  for (const key of Object.keys(preset)) {
+    if (!PRESET_KEYS.includes(key)) {
+      addError(key, `${key} cannot be set by a preset`);
+    }
+  }
+
+  const { fieldErrors: configErrors } = validateConfig({ ...DEFAULT_CONFIG, ...preset });
+  for (const { field, message } of configErrors) {
+    if (PRESET_KEYS.includes(field.split('.')[0])) {
+      addError(field, message);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, fieldErrors };
+}
+
+/**
+ * Add or replace a user preset
+ * @param {object} userPresets - User presets by name
+ * @param {string} name - Preset name (e.g. focus)
+ * @param {object} preset - Preset settings
+ * @returns {object} New user presets
+ * @throws {Error} With code INVALID or BUILT_IN
+ */
+export function saveUserPreset(userPresets, name, preset) {
+  if (typeof name !== 'string' || !CATEGORY_ID_PATTERN.test(name)) {
+    throw codedError(`Invalid preset name: ${name}. Use letters, digits, - and _, starting with a letter`, 'INVALID');
+  }
+  if (PRESETS[name.toLowerCase()]) {
+    throw codedError(`Built-in preset cannot be replaced: ${name}`, 'BUILT_IN');
+  }
+  const { valid, errors, fieldErrors } = validatePreset(preset);
+  if (!valid) {
+    throw codedError(`Invalid preset: ${errors.join('; ')}`, 'INVALID', fieldErrors);
+  }
+
+  return { ...userPresets, [name]: preset };
 }
 
 /**
@@ -195,54 +872,226 @@ export function mergeConfig(defaults, overrides) {
 
 /**
  * Validate config object
+ * Each error is reported twice: as a message in `errors`, and paired with the
+ * dotted path of the offending field in `fieldErrors` so UIs can show it inline.
  * @param {object} config - Config to validate
- * @returns {{ valid: boolean, errors: string[] }} Validation result
+ * @returns {{ valid: boolean, errors: string[], fieldErrors: { field: string, message: string }[] }} Validation result
  */
 export function validateConfig(config) {
   const errors = [];
+  const fieldErrors = [];
+  const addError = (field, message) => {
+    errors.push(message);
+    fieldErrors.push({ field, message });
+  };
 
-  if (typeof config !== 'object' || config === null) {
-    return { valid: false, errors: ['Config must be an object'] };
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    addError('', 'Config must be an object');
+    return { valid: false, errors, fieldErrors };
   }
 
-  if (typeof config.threshold !== 'number' || config.threshold < 10 || config.threshold > 500) {
-    errors.push('threshold must be a number between 10 and 500');
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      addError(key, `${key} is not a recognized setting`);
+    }
   }
 
-  if (typeof config.resetAfterSeconds !== 'number' || config.resetAfterSeconds < 5 || config.resetAfterSeconds > 300) {
-    errors.push('resetAfterSeconds must be a number between 5 and 300');
+  if (config.configVersion !== undefined && config.configVersion !== CONFIG_VERSION) {
+    addError('configVersion', `configVersion must be ${CONFIG_VERSION}`);
   }
 
-  if (typeof config.alertDurationSeconds !== 'number' || config.alertDurationSeconds < 0.5 || config.alertDurationSeconds > 10) {
-    errors.push('alertDurationSeconds must be a number between 0.5 and 10');
+  // Alert messages are templates; placeholders must be ones renderAlertMessage knows
+  const validateTemplate = (field, value) => {
+    const message = describeUnknownPlaceholders(field, value);
+    if (message) {
+      addError(field, message);
+    }
+  };
+
+  for (const [key, rule] of Object.entries(SETTING_RULES)) {
+    if (!rule.isValid(config[key])) {
+      addError(key, `${key} ${rule.message}`);
+    } else if (key === 'alertMessage') {
+      validateTemplate(key, config[key]);
+    }
   }
 
-  if (typeof config.alertMessage !== 'string' || config.alertMessage.length === 0) {
-    errors.push('alertMessage must be a non-empty string');
+  for (const { field, message } of validateAlertMessages(config.alertMessages, config.alertRotation)) {
+    addError(field, message);
+  }
+
+  // Check the optional override keys of a category or custom app entry
+  const validateOverrides = (overrides, prefix, allowedKeys) => {
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!allowedKeys.includes(key)) {
+        addError(`${prefix}.${key}`, `${prefix}.${key} is not a recognized setting`);
+      } else if (SETTING_RULES[key] && !SETTING_RULES[key].isValid(value)) {
+        addError(`${prefix}.${key}`, `${prefix}.${key} ${SETTING_RULES[key].message}`);
+      } else if (key === 'alertMessage') {
+        validateTemplate(`${prefix}.${key}`, value);
+      }
+    }
+  };
+
+  // Validate tiers
+  if (config.tiers !== undefined) {
+    if (!Array.isArray(config.tiers)) {
+      addError('tiers', 'tiers must be an array');
+    } else {
+      let previousThreshold = null;
+      config.tiers.forEach((tier, i) => {
+        const prefix = `tiers.${i}`;
+        if (!isPlainObject(tier)) {
+          addError(prefix, `${prefix} must be an object`);
+          return;
+        }
+        validateOverrides(tier, prefix, TIER_KEYS);
+        if (tier.threshold === undefined) {
+          addError(`${prefix}.threshold`, `${prefix}.threshold is required`);
+        } else if (SETTING_RULES.threshold.isValid(tier.threshold)) {
+          if (previousThreshold !== null && tier.threshold <= previousThreshold) {
+            addError(`${prefix}.threshold`, `${prefix}.threshold must be greater than the previous tier's (${previousThreshold})`);
+          }
+          previousThreshold = tier.threshold;
+        }
+        if (tier.style !== undefined && !TIER_STYLES.includes(tier.style)) {
+          addError(`${prefix}.style`, `${prefix}.style must be one of: ${TIER_STYLES.join(', ')}`);
+        }
+        if (tier.voice !== undefined && typeof tier.voice !== 'boolean') {
+          addError(`${prefix}.voice`, `${prefix}.voice must be a boolean`);
+        }
+      });
+    }
+  }
+
+  // Validate voice
+  if (config.voice !== undefined) {
+    if (!isPlainObject(config.voice)) {
+      addError('voice', 'voice must be an object');
+    } else if (typeof config.voice.enabled !== 'boolean') {
+      addError('voice.enabled', 'voice.enabled must be a boolean');
+    }
   }
 
   // Validate categories
-  if (config.categories && typeof config.categories === 'object') {
-    for (const [categoryId, categoryConfig] of Object.entries(config.categories)) {
-      if (typeof categoryConfig.enabled !== 'boolean') {
-        errors.push(`categories.${categoryId}.enabled must be a boolean`);
+  if (config.categories !== undefined) {
+    if (!isPlainObject(config.categories)) {
+      addError('categories', 'categories must be an object');
+    } else {
+      for (const [categoryId, categoryConfig] of Object.entries(config.categories)) {
+        if (typeof categoryConfig?.enabled !== 'boolean') {
+          addError(`categories.${categoryId}.enabled`, `categories.${categoryId}.enabled must be a boolean`);
+        }
+        if (isPlainObject(categoryConfig)) {
+          validateOverrides(categoryConfig, `categories.${categoryId}`, ['enabled', ...OVERRIDE_KEYS]);
+        }
+      }
+    }
+  }
+
+  // Validate custom category definitions
+  if (config.customCategories !== undefined) {
+    if (!isPlainObject(config.customCategories)) {
+      addError('customCategories', 'customCategories must be an object');
+    } else {
+      for (const [categoryId, category] of Object.entries(config.customCategories)) {
+        const prefix = `customCategories.${categoryId}`;
+        if (!CATEGORY_ID_PATTERN.test(categoryId)) {
+          addError(prefix, `${prefix} has an invalid id`);
+        } else if (CATEGORIES[categoryId]) {
+          addError(prefix, `${prefix} conflicts with a built-in category`);
+        }
+        for (const { field, message } of validateCategory(category).fieldErrors) {
+          if (field) {
+            addError(`${prefix}.${field}`, `${prefix}.${message}`);
+          } else {
+            addError(prefix, `${prefix} must be an object`);
+          }
+        }
       }
     }
   }
 
   // Validate customApps
-  if (config.customApps) {
-    if (typeof config.customApps.enabled !== 'boolean') {
-      errors.push('customApps.enabled must be a boolean');
+  if (config.customApps !== undefined) {
+    if (!isPlainObject(config.customApps)) {
+      addError('customApps', 'customApps must be an object');
+    } else {
+      if (typeof config.customApps.enabled !== 'boolean') {
+        addError('customApps.enabled', 'customApps.enabled must be a boolean');
+      }
+      if (!Array.isArray(config.customApps.apps)) {
+        addError('customApps.apps', 'customApps.apps must be an array');
+      } else {
+        config.customApps.apps.forEach((app, i) => {
+          if (typeof app !== 'string' || app.trim().length === 0) {
+            addError(`customApps.apps.${i}`, `customApps.apps[${i}] must be a non-empty string`);
+          }
+        });
+      }
+      if (config.customApps.overrides !== undefined) {
+        if (!isPlainObject(config.customApps.overrides)) {
+          addError('customApps.overrides', 'customApps.overrides must be an object');
+        } else {
+          const apps = Array.isArray(config.customApps.apps) ? config.customApps.apps : [];
+          for (const [appName, overrides] of Object.entries(config.customApps.overrides)) {
+            const prefix = `customApps.overrides.${appName}`;
+            if (!apps.includes(appName)) {
+              addError(prefix, `${prefix} does not match a custom app`);
+            }
+            if (!isPlainObject(overrides)) {
+              addError(prefix, `${prefix} must be an object`);
+            } else {
+              validateOverrides(overrides, prefix, OVERRIDE_KEYS);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Validate schedule
+  if (config.schedule !== undefined) {
+    for (const { field, message } of validateSchedule(config.schedule)) {
+      if (field) {
+        addError(`schedule.${field}`, `schedule.${message}`);
+      } else {
+        addError('schedule', `schedule ${message}`);
+      }
     }
-    if (!Array.isArray(config.customApps.apps)) {
-      errors.push('customApps.apps must be an array');
+  }
+
+  // Validate menuBar
+  if (config.menuBar !== undefined) {
+    if (!isPlainObject(config.menuBar)) {
+      addError('menuBar', 'menuBar must be an object');
+    } else {
+      if (config.menuBar.showCount !== undefined && typeof config.menuBar.showCount !== 'boolean') {
+        addError('menuBar.showCount', 'menuBar.showCount must be a boolean');
+      }
+      if (config.menuBar.icon !== undefined && (typeof config.menuBar.icon !== 'string' || config.menuBar.icon.length === 0)) {
+        addError('menuBar.icon', 'menuBar.icon must be a non-empty string');
+      }
     }
   }
 
   if (typeof config.enabled !== 'boolean') {
-    errors.push('enabled must be a boolean');
+    addError('enabled', 'enabled must be a boolean');
   }
 
-  return { valid: errors.length === 0, errors };
+  return { valid: errors.length === 0, errors, fieldErrors };
+}
+
+/**
+ * Merge user-supplied values over DEFAULT_CONFIG and validate the result
+ * @param {*} input - Candidate config (e.g. a parsed request body)
+ * @returns {{ config: object|null, valid: boolean, errors: string[], fieldErrors: { field: string, message: string }[] }}
+ *   The normalized config (null if input is not an object) and its validation result
+ */
+export function normalizeConfig(input) {
+  if (!isPlainObject(input)) {
+    return { config: null, ...validateConfig(input) };
+  }
+  const config = mergeConfig(DEFAULT_CONFIG, input);
+  return { config, ...validateConfig(config) };
 }
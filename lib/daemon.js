@@ -0,0 +1,268 @@
+/**
+ * Vibe10X Daemon
+ * Runs the nudge engine on Linux input: key events from an evdev device or a
+ * jsonl stream (see lib/input.js), focused-app changes from a window source,
+ * and nudges delivered by notifiers.
+ *
+ * Notifiers are given as specs:
+ *   stdout               - print each nudge as a JSON line
+ *   command:<command>    - run a shell command, with the alert message in $VIBE10X_MESSAGE
+ *                          (e.g. command:notify-send Vibe10X "$VIBE10X_MESSAGE")
+ *   webhook:<url>        - POST each nudge as JSON
+ */
+
+import { spawn, exec } from 'child_process';
+import { createEngine } from './engine.js';
+import { LINUX_IGNORED_KEY_CODES, createEvdevDecoder, parseInputLine } from './input.js';
+
+/**
+ * Parse a notifier spec
+ * @param {string} spec - stdout, command:<command> or webhook:<url>
+ * @returns {{ type: 'stdout' }|{ type: 'command', command: string }|{ type: 'webhook', url: string }} Notifier
+ * @throws {Error} With code INVALID if the spec is not recognized
+ */
+export function parseNotifier(spec) {
+  const invalid = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID';
+    return err;
+  };
+
+  const [type, ...rest] = String(spec).split(':');
+  const target = rest.join(':').trim();
+
+  if (type === 'stdout' && rest.length === 0) {
+    return { type };
+  }
+  if (type === 'command') {
+    if (!target) throw invalid('command: needs a command to run, e.g. command:notify-send Vibe10X');
+    return { type, command: target };
+  }
+  if (type === 'webhook') {
+    let url;
+    try {
+      url = new URL(target);
+    } catch {
+      throw invalid(`Invalid webhook URL: ${target}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw invalid(`Webhook URL must use http or https: ${target}`);
+    }
+    return { type, url: url.href };
+  }
+  throw invalid(`Unknown notifier: ${spec}. Use one of: stdout, command:<command>, webhook:<url>`);
+}
+
+/**
+ * Create a function delivering nudge events
+ * @param {string} spec - Notifier spec (see parseNotifier)
+ * @param {{ stdout?: { write: Function } }} [options] - Where the stdout notifier writes
+ * @returns {(event: object) => Promise<void>} Notifier
+ */
+export function createNotifier(spec, { stdout = process.stdout } = {}) {
+  const notifier = parseNotifier(spec);
+
+  if (notifier.type === 'stdout') {
+    return async (event) => {
+      stdout.write(JSON.stringify(event) + '\n');
+    };
+  }
+
+  if (notifier.type === 'command') {
+    return (event) => new Promise((resolve, reject) => {
+      const child = spawn('sh', ['-c', notifier.command], {
+        stdio: ['ignore', 'ignore', 'inherit'],
+        env: {
+          ...process.env,
+          VIBE10X_MESSAGE: event.message,
+          VIBE10X_APP: event.app || '',
+          VIBE10X_COUNT: String(event.count),
+        },
+      });
+      child.on('error', reject);
+      child.on('close', (code) => (code === 0 ? resolve() : reject(new Error(`${notifier.command} exited with code ${code}`))));
+    });
+  }
+
+  return async (event) => {
+    const res = await fetch(notifier.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(event),
+    });
+    if (!res.ok) {
+      throw new Error(`Webhook ${notifier.url} answered ${res.status}`);
+    }
+  };
+}
+
+/**
+ * Check that the daemon will learn which app is being typed in. evdev devices
+ * only report keys, so without a window command or a fixed app nothing would count.
+ * @param {{ format: string, windowCommand?: string, app?: string }} options - Input format and app sources
+ * @throws {Error} With code INVALID if evdev input has no app source
+ */
+export function checkDaemonOptions({ format, windowCommand, app }) {
+  if (format === 'evdev' && !windowCommand && !app) {
+    const err = new Error('evdev input has no app names: give --window-command CMD to follow the focused app, or --app NAME to count every keystroke as typed in NAME');
+    err.code = 'INVALID';
+    throw err;
+  }
+}
+
+/**
+ * A window source that polls a shell command printing the focused app's name
+ * (e.g. "xdotool getactivewindow getwindowclassname")
+ * @param {string} command - Shell command
+ * @param {number} [intervalMs] - Poll interval
+ * @returns {{ start: (onFocus: (app: string|null) => void) => void, stop: () => void }} Window source
+ */
+export function createCommandWindowSource(command, intervalMs = 1000) {
+  let timer = null;
+  return {
+    start(onFocus) {
+      const poll = () => {
+        exec(command, { timeout: intervalMs * 2 }, (err, stdout) => {
+          onFocus(err ? null : stdout.trim() || null);
+        });
+      };
+      poll();
+      timer = setInterval(poll, intervalMs);
+    },
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
+
+/**
+ * Create a daemon around a nudge engine. Its clock follows the time of the input
+ * events, so a recording plays back with its original timing, however fast it is read.
+ * @param {object} config - Config object
+ * @param {object} [options] - Daemon options
+ * @param {Function[]} [options.notifiers] - Called with every nudge event (see createNotifier)
+ * @param {Function} [options.onEvent] - Called with every engine event
+ * @param {Function} [options.onError] - Called with notifier failures (default: console.error)
+ * @param {number[]} [options.ignoredKeyCodes] - Key codes that never count (default: LINUX_IGNORED_KEY_CODES)
+ * @param {Function} [options.now] - Wall clock in milliseconds (default: Date.now)
+ * @param {object} [options.categories] - Built-in category definitions by id, e.g. the installed
+ *   categories.json (default: the shipped ones)
+ * @returns {{ engine: object, handle: Function, tick: Function, stop: Function, setConfig: Function }} Daemon
+ */
+export function createDaemon(config, {
+  notifiers = [],
+  onEvent,
+  onError = (err) => console.error(`Notifier failed: ${err.message}`),
+  ignoredKeyCodes = LINUX_IGNORED_KEY_CODES,
+  now = Date.now,
+  categories,
+} = {}) {
+  // Input time of the last event, and the wall time it was handled at.
+  // While an event is handled, the clock stands still at its input time.
+  let inputTime = now();
+  let wallTime = inputTime;
+  let handling = false;
+  const clock = () => (handling ? inputTime : inputTime + (now() - wallTime));
+  const pending = new Set();
+
+  const engine = createEngine(config, {
+    clock,
+    ignoredKeyCodes,
+    categories,
+    onEvent(event) {
+      onEvent?.(event);
+      if (event.type !== 'nudge') return;
+      for (const notify of notifiers) {
+        const delivery = Promise.resolve()
+          .then(() => notify(event))
+          .catch(onError)
+          .finally(() => pending.delete(delivery));
+        pending.add(delivery);
+      }
+    },
+  });
+
+  return {
+    engine,
+
+    /**
+     * Feed one input event (see lib/input.js) into the engine
+     * @param {object} input - Key or focus event
+     */
+    handle(input) {
+      wallTime = now();
+      inputTime = input.time ?? wallTime;
+      handling = true;
+      try {
+        // Resets due before this event happen first
+        engine.tick(inputTime);
+        if (input.type === 'key') {
+          engine.onKey(input);
+        } else if (input.type === 'focus') {
+          engine.onAppActivated(input.app);
+        }
+      } finally {
+        handling = false;
+      }
+    },
+
+    /** Let time pass without input, for inactivity resets */
+    tick() {
+      engine.tick();
+    },
+
+    /**
+     * Reset the counter and wait for notifiers still running
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      engine.reset('stop');
+      await Promise.all(pending);
+    },
+
+    setConfig: engine.setConfig,
+  };
+}
+
+/**
+ * Read input events from a stream into a daemon until the stream ends
+ * @param {object} daemon - Daemon from createDaemon
+ * @param {import('stream').Readable} stream - Device file or jsonl stream
+ * @param {{ format?: string, onError?: Function }} [options] - One of INPUT_FORMATS (default: jsonl),
+ *   and a function called with jsonl lines that cannot be parsed (default: skip them)
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readInput(daemon, stream, { format = 'jsonl', onError = () => {} } = {}) {
+  if (format === 'evdev') {
+    const decode = createEvdevDecoder();
+    for await (const chunk of stream) {
+      for (const input of decode(chunk)) {
+        daemon.handle(input);
+      }
+    }
+    return;
+  }
+
+  let buffered = '';
+  let lineNumber = 0;
+  const handleLine = (line) => {
+    lineNumber++;
+    try {
+      const input = parseInputLine(line);
+      if (input) daemon.handle(input);
+    } catch (err) {
+      onError(new Error(`Line ${lineNumber}: ${err.message}`));
+    }
+  };
+
+  stream.setEncoding?.('utf8');
+  for await (const chunk of stream) {
+    buffered += chunk;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+  }
+  if (buffered) {
+    handleLine(buffered);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Vibe10X Config Diffing
+ * Pure functions for comparing and merging configs field by field
+ *
+ * This module has no Node.js imports so the settings page can load it too.
+ */
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * List the differences between two values, field by field.
+ * Objects are compared key by key; arrays and other values as a whole.
+ * @param {*} before - Current value
+ * @param {*} after - New value
+ * @param {string} [path] - Path of the values (used as prefix)
+ * @returns {{ path: string, from: *, to: * }[]} Changes; `from`/`to` are undefined for added/removed fields
+ */
+export function diffValues(before, after, path = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  return [{ path, from: before, to: after }];
+}
+
+// Read a dotted path
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+}
+
+// Set (or delete, for undefined) a dotted path, creating objects along the way
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = object;
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = structuredClone(value);
+  }
+}
+
+// True if one path is the other or contains it (e.g. "voice" and "voice.enabled")
+function pathsOverlap(a, b) {
+  return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
+
+/**
+ * Merge changes made elsewhere into a config being edited (a three-way merge).
+ * Remote changes are applied unless the same field was also edited locally to
+ * a different value; those fields keep the local value and are reported as conflicts.
+ * @param {object} base - Config the local edits started from
+ * @param {object} local - Config with local edits
+ * @param {object} remote - Config as now saved elsewhere
+ * @returns {{ config: object, changed: string[], conflicts: { path: string, local: *, remote: * }[] }}
+ *   Merged config, paths taken from remote, and conflicting paths
+ */
+export function mergeRemoteChanges(base, local, remote) {
+  const localChanges = diffValues(base, local);
+  const config = structuredClone(local);
+  const changed = [];
+  const conflicts = [];
+
+  for (const { path, to } of diffValues(base, remote)) {
+    const edited = localChanges.some(change => pathsOverlap(change.path, path));
+    if (!edited) {
+      setPath(config, path, to);
+      changed.push(path);
+    } else if (JSON.stringify(getPath(local, path)) !== JSON.stringify(to)) {
+      conflicts.push({ path, local: getPath(local, path), remote: to });
+    }
+  }
+
+  return { config, changed, conflicts };
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7386) to a value.
+ * Objects in the patch are merged key by key, null removes a key, and
+ * anything else (arrays included) replaces the target value as a whole.
+ * @param {*} target - Value to patch (left untouched)
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched copy
+ */
+export function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isPlainObject(target) ? structuredClone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
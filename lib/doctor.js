@@ -0,0 +1,348 @@
+/**
+ * Vibe10X Doctor
+ * Checks that everything nudges depend on is in place, and repairs what it can
+ *
+ * Each check returns:
+ *   { id, label, status: 'pass'|'warn'|'fail', message, remedy?, fixable }
+ * `fixable` checks are repaired by fixProblems (symlinks, init.lua, config.json, categories.json).
+ */
+
+import { existsSync, readFileSync, mkdirSync, lstatSync, readlinkSync, symlinkSync, unlinkSync, copyFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { DEFAULT_CONFIG, mergeConfig, migrateConfig, validateConfig } from './config.js';
+import { saveConfigFile, syncCategories } from './store.js';
+import {
+  LUA_FILES,
+  getHammerspoonAppPaths,
+  findHsCli,
+  inspectInitLua,
+  installManagedBlock,
+  editInitLua,
+  isHammerspoonRunning,
+} from './hammerspoon.js';
+import { isDefaultVibe10xDir } from './paths.js';
+
+export const CHECK_STATUSES = ['pass', 'warn', 'fail'];
+
+// Oldest Node.js the CLI and server run on
+const MIN_NODE_MAJOR = 18;
+
+// Passes over the validation errors before repairConfig gives up and uses the defaults
+const MAX_REPAIR_PASSES = 10;
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function getPath(object, path) {
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// Set or remove (value undefined) the value at a path; array items are spliced out
+function setPath(object, path, value) {
+  const parent = getPath(object, path.slice(0, -1));
+  const key = path[path.length - 1];
+  if (parent == null || typeof parent !== 'object') return;
+  if (value !== undefined) {
+    parent[key] = value;
+  } else if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+}
+
+// Order paths so that array items come from the highest index down and children
+// before their parents: splicing out one item then never shifts another one still to do
+function compareRepairPaths(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      const [indexA, indexB] = [Number(a[i]), Number(b[i])];
+      return Number.isInteger(indexA) && Number.isInteger(indexB) ? indexB - indexA : b[i].localeCompare(a[i]);
+    }
+  }
+  return b.length - a.length;
+}
+
+/**
+ * Path of the copy of config.json kept before the doctor repairs it.
+ * Like the migration backups, it does not contain "config.json" so the Hammerspoon watcher ignores it.
+ * @param {string} configPath - Path to config.json
+ * @returns {string} Backup path
+ */
+export function getRepairBackupPath(configPath) {
+  return join(dirname(configPath), 'config.invalid.backup.json');
+}
+
+/**
+ * Repair a config by resetting each invalid setting to its default, or removing it
+ * when it has none. A setting still invalid after that is replaced as a whole.
+ * @param {*} input - Parsed config.json
+ * @returns {{ config: object, repaired: string[] }} Valid config and the fields that were reset
+ */
+export function repairConfig(input) {
+  if (!isPlainObject(input)) {
+    return { config: structuredClone(DEFAULT_CONFIG), repaired: [''] };
+  }
+
+  const config = mergeConfig(DEFAULT_CONFIG, structuredClone(migrateConfig(input).config));
+  const repaired = [];
+
+  for (let pass = 0; pass < MAX_REPAIR_PASSES; pass++) {
+    const { valid, fieldErrors } = validateConfig(config);
+    if (valid) {
+      return { config, repaired };
+    }
+
+    const paths = [];
+    for (const field of new Set(fieldErrors.map(({ field }) => field))) {
+      let path = field.split('.');
+      // Repairing a field again means resetting it did not help: try its parent instead
+      while (path.length > 1 && repaired.includes(path.join('.'))) {
+        path = path.slice(0, -1);
+      }
+      if (!paths.some(other => other.join('.') === path.join('.'))) {
+        paths.push(path);
+      }
+    }
+    repaired.push(...paths.map(path => path.join('.')).filter(key => !repaired.includes(key)));
+
+    for (const path of [...paths].sort(compareRepairPaths)) {
+      const defaultValue = getPath(DEFAULT_CONFIG, path);
+      setPath(config, path, defaultValue === undefined ? undefined : structuredClone(defaultValue));
+    }
+  }
+
+  return { config: structuredClone(DEFAULT_CONFIG), repaired: [''] };
+}
+
+function check(id, label, status, message, { remedy, fixable = false } = {}) {
+  return { id, label, status, message, ...(status !== 'pass' && remedy && { remedy }), fixable: status !== 'pass' && fixable };
+}
+
+// Check one linked Lua module
+function checkLuaFile(file, { hammerspoonDir, sourceLuaDir }) {
+  const id = `lua:${file}`;
+  const dest = join(hammerspoonDir, file);
+  const source = join(sourceLuaDir, file);
+  const remedy = `Run vibe10x doctor --fix to link ${dest} to ${source}`;
+
+  let stat;
+  try {
+    stat = lstatSync(dest);
+  } catch {
+    return check(id, file, 'fail', `${dest} is missing`, { remedy, fixable: true });
+  }
+  if (!stat.isSymbolicLink()) {
+    return check(id, file, 'warn', `${dest} is a copy, not a link to the repo, so updates do not reach it`, { remedy, fixable: true });
+  }
+
+  const target = resolve(hammerspoonDir, readlinkSync(dest));
+  if (target !== resolve(source)) {
+    return check(id, file, 'fail', `${dest} points at ${target} instead of ${source}`, { remedy, fixable: true });
+  }
+  if (!existsSync(target)) {
+    return check(id, file, 'fail', `${dest} points at ${target}, which does not exist`, { remedy, fixable: true });
+  }
+  return check(id, file, 'pass', `${dest} links to the repo`);
+}
+
+// The managed block points the modules at the Vibe10X dir unless it is ~/.vibe10x
+function getBlockOptions({ vibe10xDir, home }) {
+  return { vibe10xDir: vibe10xDir && !isDefaultVibe10xDir(vibe10xDir, home) ? vibe10xDir : null };
+}
+
+// Check that init.lua loads Vibe10X from an up-to-date managed block
+function checkInitLua(env) {
+  const { initPath } = env;
+  const remedy = 'Run vibe10x doctor --fix to update it (init.lua is backed up first)';
+  let state;
+  try {
+    state = inspectInitLua(existsSync(initPath) ? readFileSync(initPath, 'utf8') : '', getBlockOptions(env));
+  } catch (err) {
+    return check('init-lua', 'init.lua', 'fail', `${initPath}: ${err.message}`);
+  }
+
+  if (state === 'current') {
+    return check('init-lua', 'init.lua', 'pass', `${initPath} loads Vibe10X`);
+  }
+  if (state === 'outdated') {
+    return check('init-lua', 'init.lua', 'warn', `The vibe10x block in ${initPath} was changed or is outdated`, { remedy, fixable: true });
+  }
+  if (state === 'legacy') {
+    return check('init-lua', 'init.lua', 'warn', `${initPath} loads Vibe10X with bare require lines instead of a managed block`, {
+      remedy,
+      fixable: true,
+    });
+  }
+  return check('init-lua', 'init.lua', 'fail', `${initPath} does not load Vibe10X`, { remedy, fixable: true });
+}
+
+// Check config.json: it must parse and be valid once migrated
+function checkConfig({ configPath }) {
+  const label = 'config.json';
+  if (!existsSync(configPath)) {
+    return check('config', label, 'warn', `${configPath} does not exist yet`, {
+      remedy: 'Run vibe10x to set up, or vibe10x doctor --fix to write the defaults',
+      fixable: true,
+    });
+  }
+
+  let stored;
+  try {
+    stored = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    return check('config', label, 'fail', `${configPath} is not valid JSON: ${err.message}`, {
+      remedy: 'Fix the file by hand, or run vibe10x doctor --fix to back it up and start from the defaults',
+      fixable: true,
+    });
+  }
+
+  const { errors } = validateConfig(mergeConfig(DEFAULT_CONFIG, migrateConfig(stored).config));
+  if (errors.length > 0) {
+    return check('config', label, 'fail', `${configPath} is invalid: ${errors.join('; ')}`, {
+      remedy: 'Fix the settings listed, or run vibe10x doctor --fix to reset them to their defaults',
+      fixable: true,
+    });
+  }
+  return check('config', label, 'pass', `${configPath} is valid`);
+}
+
+/**
+ * Run all checks
+ * @param {object} env - Where things are, and probes tests can replace
+ * @param {string} env.home - Home directory
+ * @param {string} env.hammerspoonDir - Hammerspoon config dir (see resolveHammerspoonPaths)
+ * @param {string} env.initPath - Its init.lua
+ * @param {string} [env.vibe10xDir] - Vibe10X dir init.lua should point at (see lib/paths.js; default: ~/.vibe10x)
+ * @param {string} env.sourceLuaDir - The repo's hammerspoon/ directory
+ * @param {string} env.configPath - Path to config.json
+ * @param {string} env.categoriesPath - Installed categories.json
+ * @param {string} [env.nodeVersion] - Node.js version (default: process.version)
+ * @param {(path: string) => boolean} [env.exists] - Checks Hammerspoon.app and hs (default: existsSync)
+ * @param {() => Promise<boolean>} [env.isRunning] - Checks for a Hammerspoon process (default: isHammerspoonRunning)
+ * @returns {Promise<object[]>} Check results in a fixed order
+ */
+export async function runChecks(env) {
+  const {
+    home,
+    categoriesPath,
+    nodeVersion = process.version,
+    exists = existsSync,
+    isRunning = isHammerspoonRunning,
+  } = env;
+  const checks = [];
+
+  const major = parseInt(nodeVersion.replace(/^v/, ''), 10);
+  checks.push(major >= MIN_NODE_MAJOR
+    ? check('node', 'Node.js', 'pass', `Node.js ${nodeVersion}`)
+    : check('node', 'Node.js', 'fail', `Node.js ${MIN_NODE_MAJOR}+ required, found ${nodeVersion}`, {
+      remedy: 'Install a newer Node.js, e.g. brew install node',
+    }));
+
+  const appPath = getHammerspoonAppPaths(home).find(path => exists(path));
+  checks.push(appPath
+    ? check('hammerspoon-app', 'Hammerspoon', 'pass', `Installed at ${appPath}`)
+    : check('hammerspoon-app', 'Hammerspoon', 'fail', 'Hammerspoon.app not found', {
+      remedy: 'Install it with: brew install hammerspoon',
+    }));
+
+  checks.push(await isRunning()
+    ? check('hammerspoon-running', 'Hammerspoon running', 'pass', 'Hammerspoon is running')
+    : check('hammerspoon-running', 'Hammerspoon running', 'fail', 'Hammerspoon is not running', {
+      remedy: 'Start Hammerspoon, and check it has Accessibility permissions (System Settings > Privacy & Security > Accessibility)',
+    }));
+
+  const hsPath = findHsCli(exists);
+  checks.push(hsPath
+    ? check('hs-cli', 'hs CLI', 'pass', `Found ${hsPath}`)
+    : check('hs-cli', 'hs CLI', 'warn', 'hs not found, so config changes need a manual Hammerspoon reload', {
+      remedy: 'Run hs.ipc.cliInstall() in the Hammerspoon console',
+    }));
+
+  for (const file of LUA_FILES) {
+    checks.push(checkLuaFile(file, env));
+  }
+
+  checks.push(checkInitLua(env));
+  checks.push(checkConfig(env));
+
+  checks.push(existsSync(categoriesPath)
+    ? check('categories', 'categories.json', 'pass', `${categoriesPath} is installed`)
+    : check('categories', 'categories.json', 'fail', `${categoriesPath} is missing, so Hammerspoon has no app lists`, {
+      remedy: 'Run vibe10x doctor --fix to install it',
+      fixable: true,
+    }));
+
+  return checks;
+}
+
+/**
+ * Repair the fixable problems found by runChecks
+ * @param {object[]} checks - Results of runChecks
+ * @param {object} env - As for runChecks, plus:
+ * @param {string} env.sourceCategoriesPath - The repo's config/categories.json
+ * @param {string} [env.source] - History label for a repaired config (default: doctor --fix)
+ * @returns {{ id: string, message: string }[]} What was fixed
+ */
+export function fixProblems(checks, env) {
+  const { hammerspoonDir, initPath, sourceLuaDir, configPath, categoriesPath, sourceCategoriesPath, source = 'doctor --fix' } = env;
+  const fixed = [];
+
+  for (const { id, fixable } of checks) {
+    if (!fixable) continue;
+
+    if (id.startsWith('lua:')) {
+      const file = id.slice('lua:'.length);
+      const dest = join(hammerspoonDir, file);
+      mkdirSync(hammerspoonDir, { recursive: true });
+      try {
+        unlinkSync(dest);
+      } catch {
+        // Nothing to replace
+      }
+      symlinkSync(join(sourceLuaDir, file), dest);
+      fixed.push({ id, message: `Linked ${dest}` });
+    } else if (id === 'init-lua') {
+      const { backupPath } = editInitLua(initPath, content => installManagedBlock(content, getBlockOptions(env)));
+      fixed.push({ id, message: `Updated the vibe10x block in ${initPath}${backupPath ? ` (backup: ${backupPath})` : ''}` });
+    } else if (id === 'config') {
+      mkdirSync(dirname(configPath), { recursive: true });
+      let stored = null;
+      if (existsSync(configPath)) {
+        copyFileSync(configPath, getRepairBackupPath(configPath));
+        try {
+          stored = JSON.parse(readFileSync(configPath, 'utf8'));
+        } catch {
+          // Start over from the defaults
+        }
+      }
+      const { config, repaired } = stored === null ? { config: structuredClone(DEFAULT_CONFIG), repaired: [''] } : repairConfig(stored);
+      saveConfigFile(configPath, config, source);
+      fixed.push({
+        id,
+        message: repaired.includes('')
+          ? `Wrote the default config to ${configPath}`
+          : `Reset ${repaired.join(', ')} in ${configPath}`,
+      });
+    } else if (id === 'categories') {
+      syncCategories(sourceCategoriesPath, categoriesPath);
+      fixed.push({ id, message: `Installed ${categoriesPath}` });
+    }
+  }
+
+  return fixed;
+}
+
+/**
+ * Count check results by status
+ * @param {object[]} checks - Results of runChecks
+ * @returns {{ pass: number, warn: number, fail: number }} Counts
+ */
+export function summarizeChecks(checks) {
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const { status } of checks) {
+    summary[status]++;
+  }
+  return summary;
+}
@@ -0,0 +1,247 @@
+/**
+ * Vibe10X Nudge Engine
+ * The keystroke counting state machine, mirroring hammerspoon/vibe10x.lua
+ *
+ * A frontend feeds it keystrokes and app focus changes and acts on the events it emits:
+ *   { type: 'count', timestamp, app, count, threshold }   // the counter changed
+ *   { type: 'nudge', timestamp, app, count, message }     // time to show the alert
+ *     (with tiers, also tier, style, voice and alertDurationSeconds; see resolveTier)
+ *   { type: 'reset', timestamp, app, count, reason }      // a burst was cleared
+ *   { type: 'app_switch', timestamp, app, count }         // switched into or out of a monitored app
+ * nudge, reset and app_switch events use the events.jsonl format (see lib/stats.js).
+ * Inactivity resets are only noticed by tick(), so frontends call it regularly.
+ */
+
+import { getAllCategories, getEnabledApps, getEffectiveSettings, renderAlertMessage, resolveTier, getNextThreshold } from './config.js';
+import { isActiveAt } from './schedule.js';
+
+// macOS virtual key codes that never count: arrows, home/end, page up/down,
+// delete, escape, return, enter, tab and F1-F12
+export const IGNORED_KEY_CODES = [
+  123, 124, 125, 126,
+  115, 119, 116, 121,
+  117, 51, 53, 36, 76, 48,
+  122, 120, 99, 118, 96, 97, 98, 100, 101, 109, 103, 111,
+];
+
+/**
+ * Create a nudge engine
+ * @param {object} config - Config object (as used by getEnabledApps)
+ * @param {object} [options] - Engine options
+ * @param {Function} [options.clock] - Returns the current time in milliseconds (default: Date.now)
+ * @param {number[]} [options.ignoredKeyCodes] - Key codes that never count (default: IGNORED_KEY_CODES)
+ * @param {string|null} [options.app] - Frontmost app at start
+ * @param {Function} [options.onEvent] - Called with every emitted event
+ * @param {Function} [options.random] - Random numbers in [0, 1) for message rotation (default: Math.random)
+ * @param {object} [options.categories] - Built-in category definitions by id, e.g. the installed
+ *   categories.json (default: the shipped ones)
+ * @returns {object} Engine; each input method returns the events it emitted
+ */
+export function createEngine(config, {
+  clock = Date.now,
+  ignoredKeyCodes = IGNORED_KEY_CODES,
+  app = null,
+  onEvent,
+  random = Math.random,
+  categories,
+} = {}) {
+  let allCategories = {};
+  let monitoredApps = [];
+  let settingsCache = new Map();
+  const ignored = new Set(ignoredKeyCodes);
+
+  let currentApp = app;
+  let count = 0;
+  let resetDeadline = null;
+  // For alert messages: nudges shown so far, and nudges in a row without a typing pause
+  let nudgeCount = 0;
+  let streak = 0;
+  let lastKeyTime = null;
+
+  function setConfig(newConfig, newCategories = categories) {
+    config = newConfig;
+    categories = newCategories;
+    allCategories = getAllCategories(config, categories);
+    monitoredApps = getEnabledApps(config, allCategories);
+    settingsCache = new Map();
+  }
+
+  // Substring match, like isMonitoredApp in the Lua module
+  function isMonitored(appName) {
+    return Boolean(appName) && monitoredApps.some(pattern => appName.includes(pattern));
+  }
+
+  function settingsFor(appName) {
+    const key = appName || '';
+    if (!settingsCache.has(key)) {
+      settingsCache.set(key, getEffectiveSettings(config, appName, allCategories));
+    }
+    return settingsCache.get(key);
+  }
+
+  // Threshold shown next to the count: the next tier's when tiers are set
+  function thresholdFor(appName) {
+    return getNextThreshold(config, count, settingsFor(appName).threshold);
+  }
+
+  function emit(events, event, time = clock()) {
+    const full = { type: event.type, timestamp: new Date(time).toISOString(), ...event };
+    events.push(full);
+    onEvent?.(full);
+  }
+
+  // Clear the counter, reporting the burst being cleared (app defaults to the current app)
+  function clear(events, reason, appName = currentApp, time = clock()) {
+    resetDeadline = null;
+    if (count === 0) {
+      return;
+    }
+    emit(events, { type: 'reset', app: appName, count, reason }, time);
+    count = 0;
+    emit(events, { type: 'count', app: currentApp, count, threshold: thresholdFor(currentApp) }, time);
+  }
+
+  function nudge(events, settings, tier = null) {
+    streak++;
+    const message = renderAlertMessage(config, {
+      app: currentApp,
+      count,
+      threshold: tier ? tier.threshold : settings.threshold,
+      streak,
+      index: nudgeCount++,
+      random: random(),
+      tier,
+      allCategories,
+    });
+    const event = { type: 'nudge', app: currentApp, count, message };
+    if (tier) {
+      Object.assign(event, {
+        tier: tier.level,
+        style: tier.style,
+        voice: tier.voice,
+        alertDurationSeconds: tier.alertDurationSeconds,
+      });
+    }
+    emit(events, event);
+  }
+
+  setConfig(config);
+
+  return {
+    /**
+     * Count a key press in the frontmost app
+     * @param {{ keyCode: number, cmd?: boolean, ctrl?: boolean, alt?: boolean }} key - Key event
+     * @returns {object[]} Emitted events
+     */
+    onKey({ keyCode, cmd = false, ctrl = false, alt = false }) {
+      const events = [];
+      if (!config.enabled || !isMonitored(currentApp) || !isActiveAt(config, new Date(clock()))) {
+        return events;
+      }
+      // Shortcuts (Cmd, Ctrl or Option held) and navigation keys are not typing
+      if (cmd || ctrl || alt || ignored.has(keyCode)) {
+        return events;
+      }
+
+      const settings = settingsFor(currentApp);
+      const now = clock();
+      if (lastKeyTime !== null && now - lastKeyTime >= settings.resetAfterSeconds * 1000) {
+        streak = 0;
+      }
+      lastKeyTime = now;
+
+      count++;
+      emit(events, { type: 'count', app: currentApp, count, threshold: thresholdFor(currentApp) });
+      resetDeadline = now + settings.resetAfterSeconds * 1000;
+
+      // Tiers nudge once at each tier's threshold and reset after the last one
+      if (config.tiers?.length > 0) {
+        const tier = resolveTier(config, count);
+        if (tier?.threshold === count) {
+          nudge(events, settings, tier);
+          if (tier.isLast) clear(events, 'nudge');
+        }
+      } else if (count >= settings.threshold) {
+        nudge(events, settings);
+        clear(events, 'nudge');
+      }
+      return events;
+    },
+
+    /**
+     * Handle an app coming to the front. Switching away from monitored apps resets the counter.
+     * @param {string|null} appName - Name of the activated app
+     * @returns {object[]} Emitted events
+     */
+    onAppActivated(appName) {
+      const events = [];
+      const previousApp = currentApp;
+      currentApp = appName;
+
+      // Only switches into or out of monitored apps are worth recording
+      if (appName !== previousApp && (isMonitored(appName) || isMonitored(previousApp))) {
+        emit(events, { type: 'app_switch', app: appName, count });
+      }
+      if (previousApp && isMonitored(previousApp) && !isMonitored(appName)) {
+        clear(events, 'app_switch', previousApp);
+      }
+      return events;
+    },
+
+    /**
+     * Handle an app losing focus without another one being reported
+     * @param {string} appName - Name of the deactivated app
+     * @returns {object[]} Emitted events (always none)
+     */
+    onAppDeactivated(appName) {
+      if (appName === currentApp) {
+        currentApp = null;
+      }
+      return [];
+    },
+
+    /**
+     * Advance time, resetting the counter once typing has paused for resetAfterSeconds
+     * @param {number} [now] - Current time in milliseconds (default: the engine clock)
+     * @returns {object[]} Emitted events
+     */
+    tick(now = clock()) {
+      const events = [];
+      if (resetDeadline !== null && now >= resetDeadline) {
+        clear(events, 'inactivity', currentApp, now);
+      }
+      return events;
+    },
+
+    /**
+     * Reset the counter, e.g. from a hotkey or when the frontend stops
+     * @param {string} [reason] - One of RESET_REASONS in lib/stats.js (default: manual)
+     * @returns {object[]} Emitted events
+     */
+    reset(reason = 'manual') {
+      const events = [];
+      clear(events, reason);
+      return events;
+    },
+
+    /**
+     * Switch to a new config, keeping the current count
+     * @param {object} newConfig - Config object
+     * @param {object} [newCategories] - Built-in category definitions by id (default: the current ones)
+     */
+    setConfig,
+
+    /**
+     * Current state, as shown by the menu bar
+     * @returns {{ count: number, threshold: number, app: string|null, isMonitoredApp: boolean }} State
+     */
+    getState() {
+      return {
+        count,
+        threshold: thresholdFor(currentApp),
+        app: currentApp,
+        isMonitoredApp: isMonitored(currentApp),
+      };
+    },
+  };
+}
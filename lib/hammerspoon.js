@@ -0,0 +1,249 @@
+/**
+ * Vibe10X Hammerspoon Install
+ * Where the Hammerspoon modules go and how init.lua loads them
+ *
+ * init.lua loads Vibe10X from a managed block that install, upgrade and uninstall
+ * rewrite as a whole, leaving the rest of the file alone:
+ *   -- BEGIN vibe10x (managed by vibe10x; changes inside this block are overwritten)
+ *   require("hs.ipc")
+ *   require("vibe10x")
+ *   require("vibe10x-menu")
+ *   -- END vibe10x
+ * With a Vibe10X dir other than ~/.vibe10x (see lib/paths.js), the block also sets
+ * VIBE10X_HOME = "/path/to/dir" before the modules load, since Hammerspoon does not
+ * see the shell's environment.
+ */
+
+import { existsSync, readFileSync, writeFileSync, copyFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { spawn, execFileSync } from 'child_process';
+
+// Modules linked from the repo's hammerspoon/ directory into the Hammerspoon config dir
+export const LUA_FILES = ['vibe10x.lua', 'vibe10x-menu.lua'];
+
+// hs.ipc lets the `hs` CLI reload Hammerspoon
+export const IPC_LINE = 'require("hs.ipc")';
+export const REQUIRE_LINES = ['require("vibe10x")', 'require("vibe10x-menu")'];
+
+export const BLOCK_BEGIN = '-- BEGIN vibe10x';
+export const BLOCK_END = '-- END vibe10x';
+
+// Where Homebrew puts the `hs` CLI on Apple Silicon and Intel Macs
+export const HS_CLI_PATHS = ['/opt/homebrew/bin/hs', '/usr/local/bin/hs'];
+
+/**
+ * Where Hammerspoon.app may be installed
+ * @param {string} home - Home directory
+ * @returns {string[]} App paths
+ */
+export function getHammerspoonAppPaths(home) {
+  return ['/Applications/Hammerspoon.app', join(home, 'Applications', 'Hammerspoon.app')];
+}
+
+/**
+ * Find the `hs` CLI
+ * @param {(path: string) => boolean} [exists] - File check (default: existsSync)
+ * @returns {string|null} Path to hs, or null if it is not installed
+ */
+export function findHsCli(exists = existsSync) {
+  return HS_CLI_PATHS.find(path => exists(path)) ?? null;
+}
+
+/**
+ * Read the custom init.lua path set with
+ * `defaults write org.hammerspoon.Hammerspoon MJConfigFile ~/.config/hammerspoon/init.lua`
+ * @returns {string|null} The setting, or null if it is not set or this is not macOS
+ */
+export function readMJConfigFile() {
+  if (process.platform !== 'darwin') {
+    return null;
+  }
+  try {
+    const value = execFileSync('defaults', ['read', 'org.hammerspoon.Hammerspoon', 'MJConfigFile'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 5000,
+    }).trim();
+    return value || null;
+  } catch {
+    return null;
+  }
+}
+
+// Quote a string as a Lua string literal
+function luaString(value) {
+  return `"${value.replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+/**
+ * The managed block as it should be
+ * @param {{ vibe10xDir?: string|null }} [options] - Vibe10X dir to point the modules at (omit for ~/.vibe10x)
+ * @returns {string[]} Block lines
+ */
+export function buildManagedBlock({ vibe10xDir = null } = {}) {
+  return [
+    `${BLOCK_BEGIN} (managed by vibe10x; changes inside this block are overwritten)`,
+    IPC_LINE,
+    ...(vibe10xDir ? [`VIBE10X_HOME = ${luaString(vibe10xDir)}`] : []),
+    ...REQUIRE_LINES,
+    BLOCK_END,
+  ];
+}
+
+/**
+ * Find the managed block in init.lua
+ * @param {string[]} lines - init.lua lines
+ * @returns {{ start: number, end: number }|null} Indexes of the BEGIN and END lines, or null if there is no block
+ * @throws {Error} With code INVALID if a BEGIN line has no END line after it
+ */
+export function findManagedBlock(lines) {
+  const start = lines.findIndex(line => line.trim().startsWith(BLOCK_BEGIN));
+  if (start === -1) {
+    return null;
+  }
+  const end = lines.findIndex((line, i) => i > start && line.trim() === BLOCK_END);
+  if (end === -1) {
+    const err = new Error(`init.lua has "${BLOCK_BEGIN}" without "${BLOCK_END}"; fix it by hand`);
+    err.code = 'INVALID';
+    throw err;
+  }
+  return { start, end };
+}
+
+// Drop the bare require lines earlier versions added outside the managed block.
+// Their require("hs.ipc") went on the first line, so only that one is taken as ours.
+function removeLegacyLines(lines) {
+  const block = findManagedBlock(lines);
+  const isLegacy = (line, i) => REQUIRE_LINES.includes(line.trim()) && !(block && i >= block.start && i <= block.end);
+  const hasLegacy = lines.some(isLegacy);
+  return lines.filter((line, i) => !isLegacy(line, i) && !(hasLegacy && i === 0 && line.trim() === IPC_LINE));
+}
+
+// Remove blank lines at the end (joinLines adds the final newline)
+function trimTrailingBlankLines(lines) {
+  const result = [...lines];
+  while (result.length > 0 && result[result.length - 1].trim() === '') {
+    result.pop();
+  }
+  return result;
+}
+
+function joinLines(lines) {
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Check how init.lua loads Vibe10X
+ * @param {string} content - init.lua content ('' if it does not exist)
+ * @param {{ vibe10xDir?: string|null }} [options] - Vibe10X dir the block should point at (see buildManagedBlock)
+ * @returns {'current'|'outdated'|'legacy'|'missing'} current: the managed block is as it should be;
+ *   outdated: the block was edited, comes from an older version or sits next to bare require lines;
+ *   legacy: bare require lines from before the managed block; missing: Vibe10X is not loaded
+ */
+export function inspectInitLua(content, options = {}) {
+  const lines = content.split('\n');
+  if (findManagedBlock(lines)) {
+    // Blank lines at the end do not matter
+    return installManagedBlock(content, options).content.trimEnd() === content.trimEnd() ? 'current' : 'outdated';
+  }
+  return REQUIRE_LINES.every(line => lines.some(l => l.trim() === line)) ? 'legacy' : 'missing';
+}
+
+/**
+ * Add or update the managed block, replacing the bare require lines of earlier versions.
+ * An existing block is rewritten in place; a new one goes at the end.
+ * @param {string} content - init.lua content ('' if it does not exist)
+ * @param {{ vibe10xDir?: string|null }} [options] - Vibe10X dir to point the modules at (see buildManagedBlock)
+ * @returns {{ content: string, changed: boolean }} New content
+ */
+export function installManagedBlock(content, options = {}) {
+  let lines = removeLegacyLines(content.split('\n'));
+  const block = findManagedBlock(lines);
+
+  if (block) {
+    lines.splice(block.start, block.end - block.start + 1, ...buildManagedBlock(options));
+  } else {
+    lines = trimTrailingBlankLines(lines);
+    if (lines.length > 0) {
+      lines.push('');
+    }
+    lines.push(...buildManagedBlock(options));
+  }
+
+  const result = joinLines(trimTrailingBlankLines(lines));
+  return { content: result, changed: result !== content };
+}
+
+/**
+ * Remove the managed block and any bare require lines of earlier versions,
+ * along with the blank line that separated the block from the rest of the file
+ * @param {string} content - init.lua content
+ * @returns {{ content: string, changed: boolean }} New content
+ */
+export function removeManagedBlock(content) {
+  const lines = removeLegacyLines(content.split('\n'));
+  const block = findManagedBlock(lines);
+
+  if (block) {
+    let { start } = block;
+    const after = lines[block.end + 1];
+    if (start > 0 && lines[start - 1].trim() === '' && (after === undefined || after.trim() === '')) {
+      start--;
+    }
+    lines.splice(start, block.end - start + 1);
+  }
+
+  const result = joinLines(trimTrailingBlankLines(lines));
+  return { content: result, changed: result !== content };
+}
+
+/**
+ * Path of the backup of init.lua written before an edit
+ * @param {string} initPath - Path to init.lua
+ * @param {Date} [now] - Time of the edit
+ * @returns {string} Backup path, e.g. init.lua.20260105-100000.vibe10x.bak
+ */
+export function getInitBackupPath(initPath, now = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`
+    + `-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${initPath}.${stamp}.vibe10x.bak`;
+}
+
+/**
+ * Edit init.lua, backing it up first. Nothing is written if the edit changes nothing.
+ * @param {string} initPath - Path to init.lua
+ * @param {(content: string) => { content: string, changed: boolean }} edit - installManagedBlock or removeManagedBlock
+ * @param {Date} [now] - Time of the edit, for the backup name
+ * @returns {{ changed: boolean, backupPath: string|null }} Whether init.lua changed, and where the old one was kept
+ */
+export function editInitLua(initPath, edit, now = new Date()) {
+  const exists = existsSync(initPath);
+  const { content, changed } = edit(exists ? readFileSync(initPath, 'utf8') : '');
+  if (!changed) {
+    return { changed, backupPath: null };
+  }
+
+  let backupPath = null;
+  if (exists) {
+    backupPath = getInitBackupPath(initPath, now);
+    copyFileSync(initPath, backupPath);
+  } else {
+    mkdirSync(dirname(initPath), { recursive: true });
+  }
+  // Written in place rather than renamed over, so an init.lua symlinked from a dotfiles repo stays a link
+  writeFileSync(initPath, content);
+  return { changed, backupPath };
+}
+
+/**
+ * Check whether Hammerspoon is running
+ * @returns {Promise<boolean>} True if a Hammerspoon process exists
+ */
+export function isHammerspoonRunning() {
+  return new Promise((done) => {
+    const child = spawn('pgrep', ['-x', 'Hammerspoon'], { stdio: 'ignore' });
+    child.on('close', (code) => done(code === 0));
+    child.on('error', () => done(false));
+  });
+}
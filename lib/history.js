@@ -0,0 +1,74 @@
+/**
+ * Vibe10X Config History
+ * Pure functions for browsing config snapshots
+ *
+ * Every save appends a snapshot to ~/.vibe10x/history.jsonl, one JSON object per line:
+ *   { "timestamp": "2026-01-05T10:00:00.000Z", "source": "web", "config": { ... } }
+ * `source` says what made the change: "cli --preset aggressive", "web", "menu", ...
+ * Only the last HISTORY_LIMIT snapshots are kept.
+ */
+
+import { diffValues } from './diff.js';
+
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Parse a history.jsonl file, skipping blank or malformed lines
+ * @param {string} text - File content
+ * @returns {{ timestamp: string, source: string, config: object }[]} Snapshots, oldest first
+ */
+export function parseHistory(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.config === 'object' && entry.config !== null) {
+        entries.push({ timestamp: entry.timestamp, source: entry.source || 'unknown', config: entry.config });
+      }
+    } catch {
+      // Skip lines truncated by a crash mid-write
+    }
+  }
+  return entries;
+}
+
+/**
+ * Describe snapshots newest first, numbered the way --rollback takes them
+ * (1 is the current config, 2 the one before it, ...)
+ * @param {object[]} entries - Snapshots, oldest first
+ * @returns {{ number: number, timestamp: string, source: string, changes: { path: string, from: *, to: * }[] }[]}
+ *   Snapshots with the fields each one changed relative to the snapshot before it
+ */
+export function summarizeHistory(entries) {
+  return entries
+    .map((entry, i) => ({
+      timestamp: entry.timestamp,
+      source: entry.source,
+      changes: i > 0 ? diffValues(entries[i - 1].config, entry.config) : [],
+    }))
+    .reverse()
+    .map((entry, i) => ({ number: i + 1, ...entry }));
+}
+
+/**
+ * Find a snapshot by its --rollback number
+ * @param {object[]} entries - Snapshots, oldest first
+ * @param {number|string} number - 1 for the newest snapshot, 2 for the one before, ...
+ * @returns {{ timestamp: string, source: string, config: object }} Snapshot
+ * @throws {Error} With code INVALID or NOT_FOUND
+ */
+export function getHistoryEntry(entries, number) {
+  const n = Number(number);
+  if (!Number.isInteger(n) || n < 1) {
+    const err = new Error(`Invalid history number: ${number}. Use the numbers shown by --history`);
+    err.code = 'INVALID';
+    throw err;
+  }
+  if (n > entries.length) {
+    const err = new Error(`No history entry #${n} (${entries.length} saved)`);
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+  return entries[entries.length - n];
+}
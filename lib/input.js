@@ -0,0 +1,152 @@
+/**
+ * Vibe10X Input Decoding
+ * Pure functions turning Linux input into nudge engine events (see lib/engine.js)
+ *
+ * Two input formats are understood:
+ *   - evdev: the binary records read from /dev/input/event* (64-bit struct input_event)
+ *   - jsonl: one JSON object per line, e.g. a recording or the output of another tool:
+ *       { "type": "key", "keyCode": 30, "ctrl": false, "time": "2026-01-05T10:00:00.000Z" }
+ *       { "type": "focus", "app": "Code", "time": 1767607200000 }
+ * Key codes are Linux key codes in both formats; `cmd` is the Super/Meta key.
+ * `time` is optional (ISO string or milliseconds) and defaults to the time it was read.
+ */
+
+export const INPUT_FORMATS = ['evdev', 'jsonl'];
+
+// Size of struct input_event on 64-bit Linux: timeval (2 x 8 bytes), type, code (2 x 2), value (4)
+export const EVDEV_EVENT_SIZE = 24;
+
+const EV_KEY = 1;
+
+// Linux key codes that never count, matching IGNORED_KEY_CODES in lib/engine.js:
+// arrows, home/end, page up/down, delete, backspace, escape, enter, tab and F1-F12
+export const LINUX_IGNORED_KEY_CODES = [
+  103, 105, 106, 108,
+  102, 107, 104, 109,
+  111, 14, 1, 28, 96, 15,
+  59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 87, 88,
+];
+
+// Modifier keys by Linux key code. Pressing them alone is not typing
+// (macOS reports them as flag changes, not key presses).
+const MODIFIER_KEYS = {
+  29: 'ctrl', 97: 'ctrl',
+  56: 'alt', 100: 'alt',
+  125: 'cmd', 126: 'cmd',
+  42: 'shift', 54: 'shift',
+  58: 'capsLock',
+};
+
+// Milliseconds for an optional ISO string or millisecond time
+function parseTime(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Parse one line of the jsonl input format
+ * @param {string} line - Input line
+ * @returns {{ type: 'key', keyCode: number, cmd: boolean, ctrl: boolean, alt: boolean, time?: number }|{ type: 'focus', app: string|null, time?: number }|null}
+ *   Input event, or null for a blank line
+ * @throws {Error} If the line is not a valid input event
+ */
+export function parseInputLine(line) {
+  if (!line.trim()) {
+    return null;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (typeof event !== 'object' || event === null || Array.isArray(event)) {
+    throw new Error('Input event must be an object');
+  }
+
+  const time = parseTime(event.time);
+  if (event.type === 'key') {
+    if (!Number.isInteger(event.keyCode) || event.keyCode < 0) {
+      throw new Error('keyCode must be a non-negative integer');
+    }
+    return {
+      type: 'key',
+      keyCode: event.keyCode,
+      cmd: Boolean(event.cmd),
+      ctrl: Boolean(event.ctrl),
+      alt: Boolean(event.alt),
+      ...(time !== undefined && { time }),
+    };
+  }
+  if (event.type === 'focus') {
+    if (event.app !== null && typeof event.app !== 'string') {
+      throw new Error('app must be a string or null');
+    }
+    return { type: 'focus', app: event.app || null, ...(time !== undefined && { time }) };
+  }
+  throw new Error('type must be one of: key, focus');
+}
+
+/**
+ * Create a decoder for evdev records. It keeps partial records between chunks and
+ * tracks which modifiers are held; modifier presses and key releases produce no events.
+ * Auto-repeat counts like a press, as it does on macOS.
+ * @returns {(chunk: Buffer) => { type: 'key', keyCode: number, cmd: boolean, ctrl: boolean, alt: boolean, time: number }[]}
+ *   Function decoding the next chunk of the device file into key events
+ */
+export function createEvdevDecoder() {
+  let pending = Buffer.alloc(0);
+  const held = { ctrl: 0, alt: 0, cmd: 0 };
+  const pressed = new Set();
+
+  return (chunk) => {
+    pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    const events = [];
+
+    let offset = 0;
+    for (; offset + EVDEV_EVENT_SIZE <= pending.length; offset += EVDEV_EVENT_SIZE) {
+      const type = pending.readUInt16LE(offset + 16);
+      if (type !== EV_KEY) continue;
+
+      const seconds = Number(pending.readBigInt64LE(offset));
+      const micros = Number(pending.readBigInt64LE(offset + 8));
+      const code = pending.readUInt16LE(offset + 18);
+      const value = pending.readInt32LE(offset + 20);
+
+      const modifier = MODIFIER_KEYS[code];
+      if (modifier) {
+        // Count left and right keys separately so releasing one keeps the other held
+        if (modifier in held) {
+          if (value === 1 && !pressed.has(code)) {
+            pressed.add(code);
+            held[modifier]++;
+          } else if (value === 0 && pressed.delete(code)) {
+            held[modifier]--;
+          }
+        }
+        continue;
+      }
+
+      if (value === 1 || value === 2) {
+        events.push({
+          type: 'key',
+          keyCode: code,
+          cmd: held.cmd > 0,
+          ctrl: held.ctrl > 0,
+          alt: held.alt > 0,
+          time: seconds * 1000 + Math.floor(micros / 1000),
+        });
+      }
+    }
+
+    pending = pending.subarray(offset);
+    return events;
+  };
+}
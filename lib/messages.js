@@ -0,0 +1,140 @@
+/**
+ * Vibe10X Alert Messages
+ * Pure functions for rotating, templated alert messages
+ *
+ * This module has no Node.js imports so the settings page can load it too.
+ *
+ * `alertMessages` lists the messages to rotate through; an entry is a string or
+ * { text, weight } (weight is only used by the weighted rotation):
+ *   alertMessages: ['Use your voice!', { text: '{count} keys in {app}. Talk instead?', weight: 3 }]
+ *   alertRotation: 'random' | 'sequential' | 'weighted'
+ * Messages may use the placeholders {count}, {app}, {threshold} and {streak}
+ * (nudges in a row without a typing pause).
+ */
+
+export const ALERT_ROTATIONS = ['random', 'sequential', 'weighted'];
+
+export const ALERT_PLACEHOLDERS = ['count', 'app', 'threshold', 'streak'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Find placeholders in a message that are not in ALERT_PLACEHOLDERS
+ * @param {string} text - Message
+ * @returns {string[]} Unknown placeholder names
+ */
+export function findUnknownPlaceholders(text) {
+  const unknown = [];
+  for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!ALERT_PLACEHOLDERS.includes(name) && !unknown.includes(name)) {
+      unknown.push(name);
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Describe the unknown placeholders in a message, for validation errors
+ * @param {string} label - Setting name to start the message with (e.g. alertMessage)
+ * @param {string} text - Message
+ * @returns {string|null} Error message, or null if all placeholders are known
+ */
+export function describeUnknownPlaceholders(label, text) {
+  const unknown = findUnknownPlaceholders(text);
+  if (unknown.length === 0) {
+    return null;
+  }
+  const list = unknown.map(name => `{${name}}`).join(', ');
+  const available = ALERT_PLACEHOLDERS.map(name => `{${name}}`).join(', ');
+  return `${label} uses unknown placeholder${unknown.length > 1 ? 's' : ''} ${list} (available: ${available})`;
+}
+
+/**
+ * Validate alertMessages and alertRotation
+ * @param {*} messages - alertMessages value
+ * @param {*} rotation - alertRotation value
+ * @returns {{ field: string, message: string }[]} Errors, with fields relative to the config
+ */
+export function validateAlertMessages(messages, rotation) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (rotation !== undefined && !ALERT_ROTATIONS.includes(rotation)) {
+    addError('alertRotation', `alertRotation must be one of: ${ALERT_ROTATIONS.join(', ')}`);
+  }
+
+  if (messages === undefined) {
+    return errors;
+  }
+  if (!Array.isArray(messages)) {
+    addError('alertMessages', 'alertMessages must be an array');
+    return errors;
+  }
+
+  messages.forEach((entry, i) => {
+    const label = `alertMessages[${i}]`;
+    const isObject = typeof entry === 'object' && entry !== null && !Array.isArray(entry);
+    const text = isObject ? entry.text : entry;
+    const field = isObject ? `alertMessages.${i}.text` : `alertMessages.${i}`;
+
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      addError(field, `${isObject ? `${label}.text` : label} must be a non-empty string`);
+      return;
+    }
+    const placeholderError = describeUnknownPlaceholders(isObject ? `${label}.text` : label, text);
+    if (placeholderError) {
+      addError(field, placeholderError);
+    }
+    if (isObject) {
+      for (const key of Object.keys(entry)) {
+        if (key !== 'text' && key !== 'weight') {
+          addError(`alertMessages.${i}.${key}`, `${label}.${key} is not a recognized setting`);
+        }
+      }
+      if (entry.weight !== undefined && (typeof entry.weight !== 'number' || !(entry.weight > 0))) {
+        addError(`alertMessages.${i}.weight`, `${label}.weight must be a positive number`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Pick the message for a nudge
+ * @param {(string|{ text: string, weight?: number })[]} messages - alertMessages entries (non-empty)
+ * @param {string} rotation - One of ALERT_ROTATIONS
+ * @param {{ index?: number, random?: number }} [options] - Number of nudges shown before this one
+ *   (for sequential) and a random number in [0, 1) (for random and weighted)
+ * @returns {string} Message text, placeholders not filled in
+ */
+export function pickAlertMessage(messages, rotation, { index = 0, random = 0 } = {}) {
+  const entries = messages.map(entry => (typeof entry === 'string' ? { text: entry, weight: 1 } : { weight: 1, ...entry }));
+
+  if (rotation === 'sequential') {
+    return entries[index % entries.length].text;
+  }
+  if (rotation === 'weighted') {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let target = random * total;
+    for (const entry of entries) {
+      target -= entry.weight;
+      if (target < 0) return entry.text;
+    }
+    return entries[entries.length - 1].text;
+  }
+  return entries[Math.min(Math.floor(random * entries.length), entries.length - 1)].text;
+}
+
+/**
+ * Fill in a message's placeholders
+ * @param {string} text - Message
+ * @param {{ count?: number, app?: string|null, threshold?: number, streak?: number }} values - Placeholder values
+ * @returns {string} Message with known placeholders replaced
+ */
+export function fillPlaceholders(text, values) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!ALERT_PLACEHOLDERS.includes(name)) return match;
+    return String(values[name] ?? '');
+  });
+}
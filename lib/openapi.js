@@ -0,0 +1,625 @@
+/**
+ * Vibe10X API Description
+ * OpenAPI 3.1 document for the settings server, served at GET /api/openapi.json.
+ *
+ * The config schema mirrors validateConfig in lib/config.js, and each operationId
+ * is the name of the matching lib/client.js method. tests/openapi.test.js checks
+ * that the server answers exactly the operations listed here.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { CONFIG_VERSION, TIER_STYLES, ALERT_ROTATIONS } from './config.js';
+import { DAYS } from './schedule.js';
+import { EVENT_TYPES, RESET_REASONS, GROUP_BY } from './stats.js';
+import { TOKEN_HEADER } from './security.js';
+import { DEFAULT_PORT } from './serve.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const { version } = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf-8'));
+
+// Schema helpers
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nonEmptyString = { type: 'string', minLength: 1 };
+const time = { type: 'string', pattern: '^([01]\\d|2[0-3]):([0-5]\\d)$|^24:00$' };
+
+// Settings that categories, custom apps and tiers may override (OVERRIDE_KEYS and SETTING_RULES)
+const SETTINGS = {
+  threshold: { type: 'number', minimum: 10, maximum: 500 },
+  resetAfterSeconds: { type: 'number', minimum: 5, maximum: 300 },
+  alertDurationSeconds: { type: 'number', minimum: 0.5, maximum: 10 },
+  alertMessage: { ...nonEmptyString, description: 'May use {count}, {app}, {threshold} and {streak}' },
+};
+
+const OVERRIDES = {
+  threshold: SETTINGS.threshold,
+  resetAfterSeconds: SETTINGS.resetAfterSeconds,
+  alertMessage: SETTINGS.alertMessage,
+};
+
+// Top-level config properties; every one is present in a config the server returns
+const CONFIG_PROPERTIES = {
+  configVersion: { const: CONFIG_VERSION },
+  enabled: { type: 'boolean' },
+  ...SETTINGS,
+  alertMessages: { type: 'array', items: ref('AlertMessage'), description: 'Rotated instead of alertMessage when not empty' },
+  alertRotation: { enum: ALERT_ROTATIONS },
+  tiers: { type: 'array', items: ref('Tier'), description: 'Escalating nudges, thresholds ascending; replace threshold when not empty' },
+  voice: {
+    type: 'object',
+    properties: { enabled: { type: 'boolean' } },
+    required: ['enabled'],
+    additionalProperties: false,
+  },
+  categories: {
+    type: 'object',
+    description: 'Enabled state and overrides by category id (built-in or custom)',
+    additionalProperties: ref('CategoryState'),
+  },
+  customApps: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      apps: { type: 'array', items: nonEmptyString },
+      overrides: {
+        type: 'object',
+        description: 'Overrides by app name; each must be in apps',
+        additionalProperties: ref('Overrides'),
+      },
+    },
+    required: ['enabled', 'apps'],
+    additionalProperties: false,
+  },
+  customCategories: {
+    type: 'object',
+    propertyNames: { pattern: '^[A-Za-z][A-Za-z0-9_-]*$' },
+    additionalProperties: ref('Category'),
+  },
+  schedule: ref('Schedule'),
+  menuBar: {
+    type: 'object',
+    properties: {
+      showCount: { type: 'boolean' },
+      icon: nonEmptyString,
+    },
+    additionalProperties: false,
+  },
+};
+
+const SCHEMAS = {
+  Config: {
+    type: 'object',
+    description: 'A complete config (see DEFAULT_CONFIG in lib/config.js)',
+    properties: CONFIG_PROPERTIES,
+    required: Object.keys(CONFIG_PROPERTIES),
+    additionalProperties: false,
+  },
+  ConfigInput: {
+    type: 'object',
+    description: 'A config to save; missing settings are filled in from the defaults',
+    properties: CONFIG_PROPERTIES,
+    additionalProperties: false,
+  },
+  MergePatch: {
+    type: 'object',
+    description: 'JSON Merge Patch (RFC 7386): objects are merged, null puts a setting back to its default, arrays are replaced',
+  },
+  Overrides: {
+    type: 'object',
+    properties: OVERRIDES,
+    additionalProperties: false,
+  },
+  CategoryState: {
+    type: 'object',
+    properties: { enabled: { type: 'boolean' }, ...OVERRIDES },
+    required: ['enabled'],
+    additionalProperties: false,
+  },
+  Tier: {
+    type: 'object',
+    properties: {
+      threshold: SETTINGS.threshold,
+      style: { enum: TIER_STYLES },
+      voice: { type: 'boolean' },
+      alertDurationSeconds: SETTINGS.alertDurationSeconds,
+      alertMessage: SETTINGS.alertMessage,
+    },
+    required: ['threshold'],
+    additionalProperties: false,
+  },
+  AlertMessage: {
+    oneOf: [
+      nonEmptyString,
+      {
+        type: 'object',
+        properties: {
+          text: nonEmptyString,
+          weight: { type: 'number', exclusiveMinimum: 0 },
+        },
+        required: ['text'],
+        additionalProperties: false,
+      },
+    ],
+  },
+  Schedule: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      timezone: { type: 'string', description: 'IANA time zone, or empty for the local one' },
+      activeHours: { type: 'array', items: ref('ScheduleRule') },
+      quietHours: { type: 'array', items: ref('ScheduleRule') },
+    },
+    required: ['enabled'],
+    additionalProperties: false,
+  },
+  ScheduleRule: {
+    type: 'object',
+    properties: {
+      days: { type: 'array', items: { enum: DAYS }, minItems: 1 },
+      start: time,
+      end: time,
+    },
+    required: ['start', 'end'],
+    additionalProperties: false,
+  },
+  Category: {
+    type: 'object',
+    properties: {
+      name: nonEmptyString,
+      description: { type: 'string' },
+      apps: { type: 'array', items: nonEmptyString },
+    },
+    required: ['name', 'apps'],
+    additionalProperties: false,
+  },
+  CategoryListing: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      apps: { type: 'array', items: { type: 'string' } },
+      custom: { const: true, description: 'Set on custom categories' },
+    },
+    required: ['name', 'apps'],
+  },
+  Change: {
+    type: 'object',
+    description: 'A changed field; from or to is missing for added or removed fields',
+    properties: {
+      path: { type: 'string' },
+      from: {},
+      to: {},
+    },
+    required: ['path'],
+  },
+  Event: {
+    type: 'object',
+    properties: {
+      timestamp: { type: 'string', format: 'date-time' },
+      type: { enum: EVENT_TYPES },
+      app: { type: ['string', 'null'] },
+      count: { type: 'integer', minimum: 0 },
+      reason: { enum: RESET_REASONS, description: 'Reset events only' },
+      tier: { type: 'integer', minimum: 1, description: 'Nudge events only' },
+    },
+    required: ['type'],
+    additionalProperties: false,
+  },
+  Counts: {
+    type: 'object',
+    properties: {
+      nudges: { type: 'integer' },
+      bursts: { type: 'integer' },
+      keystrokes: { type: 'integer' },
+      appSwitches: { type: 'integer' },
+    },
+    required: ['nudges', 'bursts', 'keystrokes', 'appSwitches'],
+  },
+  Saved: {
+    type: 'object',
+    description: 'Answer to a config change; the new ETag is in the ETag header',
+    properties: {
+      success: { const: true },
+      config: ref('Config'),
+    },
+    required: ['success', 'config'],
+  },
+  FieldError: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'Dotted path of the setting, empty for the whole value' },
+      message: { type: 'string' },
+    },
+    required: ['field', 'message'],
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      errors: { type: 'array', items: ref('FieldError') },
+      config: { ...ref('Config'), description: 'The current config, on 409 and 423' },
+    },
+    required: ['error'],
+  },
+};
+
+// Response helpers
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const error = (description) => json(description, ref('Error'));
+const withEtag = (response) => ({ ...response, headers: { ETag: { $ref: '#/components/headers/ETag' } } });
+const body = (schema, mediaType = 'application/json') => ({ required: true, content: { [mediaType]: { schema } } });
+
+const INVALID_BODY = error('Body is not JSON');
+const TOO_LARGE = error('Body over 1 MB');
+const INVALID = error('Invalid; nothing was written');
+const CONFLICT = error('If-Match is not the current ETag; the current config is included');
+const LOCKED = error('Another writer holds the config lock');
+const NOT_FOUND = error('Not found');
+const BAD_PARAM = error('Malformed escape in the path');
+const BAD_PARAM_OR_BODY = error('Malformed escape in the path, or body is not JSON');
+
+// Responses of every route that saves the config
+const saveResponses = (status = 200) => ({
+  [status]: withEtag(json('Saved; Hammerspoon reloads', ref('Saved'))),
+  422: INVALID,
+  409: CONFLICT,
+  423: LOCKED,
+});
+
+const IF_MATCH = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'ETag from GET /api/config; when given, the change is refused with 409 if the config changed since',
+  schema: { type: 'string' },
+};
+
+const nameParameter = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+
+const PATHS = {
+  '/api/health': {
+    get: {
+      operationId: 'getHealth',
+      summary: 'Check that the server is up',
+      responses: {
+        200: json('Up', {
+          type: 'object',
+          properties: { ok: { const: true }, pid: { type: 'integer' } },
+          required: ['ok', 'pid'],
+        }),
+      },
+    },
+  },
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApi',
+      summary: 'This document',
+      responses: { 200: json('OpenAPI document', { type: 'object' }) },
+    },
+  },
+  '/api/config': {
+    get: {
+      operationId: 'getConfig',
+      summary: 'Get the config',
+      responses: { 200: withEtag(json('The config, with defaults filled in', ref('Config'))) },
+    },
+    post: {
+      operationId: 'saveConfig',
+      summary: 'Replace the config',
+      parameters: [{ ...IF_MATCH, required: true, description: 'ETag from GET /api/config, or * to overwrite whatever is saved' }],
+      requestBody: body(ref('ConfigInput')),
+      responses: {
+        ...saveResponses(),
+        400: INVALID_BODY,
+        413: TOO_LARGE,
+        428: error('If-Match header missing'),
+      },
+    },
+    patch: {
+      operationId: 'patchConfig',
+      summary: 'Change some settings',
+      parameters: [IF_MATCH],
+      requestBody: body(ref('MergePatch'), 'application/merge-patch+json'),
+      responses: { ...saveResponses(), 400: INVALID_BODY, 413: TOO_LARGE },
+    },
+  },
+  '/api/config/reset': {
+    post: {
+      operationId: 'resetConfig',
+      summary: 'Put the config, or one section of it, back to the defaults',
+      parameters: [
+        { name: 'section', in: 'query', description: 'Top-level setting to reset, e.g. categories (default: everything)', schema: { type: 'string' } },
+        IF_MATCH,
+      ],
+      responses: saveResponses(),
+    },
+  },
+  '/api/config/effective': {
+    get: {
+      operationId: 'getEffectiveApps',
+      summary: 'List the apps being monitored',
+      responses: {
+        200: json('Apps of the enabled categories plus the enabled custom apps', {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            apps: { type: 'array', items: { type: 'string' } },
+          },
+          required: ['enabled', 'apps'],
+        }),
+      },
+    },
+  },
+  '/api/defaults': {
+    get: {
+      operationId: 'getDefaults',
+      summary: 'Get the default config',
+      responses: { 200: json('Default config', ref('Config')) },
+    },
+  },
+  '/api/stream': {
+    get: {
+      operationId: 'streamConfig',
+      summary: 'Follow config changes',
+      description: 'Server-Sent Events: a `config` event with `{ config, categories, etag }` on connect and after every change. '
+        + `EventSource cannot send headers, so pass the token as the token query parameter.`,
+      responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } },
+    },
+  },
+  '/api/config/history': {
+    get: {
+      operationId: 'getHistory',
+      summary: 'List config snapshots, newest first',
+      responses: {
+        200: json('Snapshots; 1 is the current config', {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              number: { type: 'integer', minimum: 1 },
+              timestamp: { type: 'string', format: 'date-time' },
+              source: { type: 'string' },
+              changes: { type: 'array', items: ref('Change') },
+            },
+            required: ['number', 'timestamp', 'source', 'changes'],
+          },
+        }),
+      },
+    },
+  },
+  '/api/config/history/{number}/restore': {
+    post: {
+      operationId: 'restoreHistory',
+      summary: 'Restore a snapshot',
+      parameters: [nameParameter('number', 'Snapshot number from GET /api/config/history')],
+      responses: { ...saveResponses(), 400: BAD_PARAM, 404: NOT_FOUND },
+    },
+  },
+  '/api/categories': {
+    get: {
+      operationId: 'getCategories',
+      summary: 'List built-in and custom categories',
+      responses: { 200: json('Categories by id', { type: 'object', additionalProperties: ref('CategoryListing') }) },
+    },
+  },
+  '/api/categories/{id}': {
+    parameters: [nameParameter('id', 'Category id')],
+    post: {
+      operationId: 'addCategory',
+      summary: 'Create a custom category',
+      requestBody: body(ref('Category')),
+      responses: {
+        ...saveResponses(201),
+        400: BAD_PARAM_OR_BODY,
+        409: error('A category with this id exists, or If-Match conflict'),
+        413: TOO_LARGE,
+      },
+    },
+    put: {
+      operationId: 'updateCategory',
+      summary: 'Change a custom category',
+      requestBody: body({ type: 'object', description: 'Fields of Category to change' }),
+      responses: {
+        ...saveResponses(),
+        400: BAD_PARAM_OR_BODY,
+        403: error('Built-in categories cannot be changed here'),
+        404: NOT_FOUND,
+        413: TOO_LARGE,
+      },
+    },
+    delete: {
+      operationId: 'removeCategory',
+      summary: 'Delete a custom category',
+      responses: {
+        ...saveResponses(),
+        400: BAD_PARAM,
+        403: error('Built-in categories cannot be deleted'),
+        404: NOT_FOUND,
+      },
+    },
+  },
+  '/api/events': {
+    post: {
+      operationId: 'recordEvents',
+      summary: 'Record usage events',
+      requestBody: body({ oneOf: [ref('Event'), { type: 'array', items: ref('Event') }] }),
+      responses: {
+        201: json('Recorded', {
+          type: 'object',
+          properties: { success: { const: true }, recorded: { type: 'integer' } },
+          required: ['success', 'recorded'],
+        }),
+        400: INVALID_BODY,
+        413: TOO_LARGE,
+        422: error('Invalid event; nothing was recorded'),
+      },
+    },
+  },
+  '/api/stats': {
+    get: {
+      operationId: 'getStats',
+      summary: 'Aggregate recorded events',
+      parameters: [
+        { name: 'from', in: 'query', description: 'Date or ISO timestamp', schema: { type: 'string' } },
+        { name: 'to', in: 'query', description: 'Date (inclusive) or ISO timestamp', schema: { type: 'string' } },
+        { name: 'groupBy', in: 'query', schema: { enum: GROUP_BY, default: 'day' } },
+      ],
+      responses: {
+        200: json('Totals and groups', {
+          type: 'object',
+          properties: {
+            from: { type: ['string', 'null'] },
+            to: { type: ['string', 'null'] },
+            groupBy: { enum: GROUP_BY },
+            totals: ref('Counts'),
+            groups: {
+              type: 'array',
+              items: { allOf: [ref('Counts'), { type: 'object', properties: { key: { type: 'string' } }, required: ['key'] }] },
+            },
+          },
+          required: ['from', 'to', 'groupBy', 'totals', 'groups'],
+        }),
+        400: error('Invalid range or groupBy'),
+      },
+    },
+  },
+  '/api/presets': {
+    get: {
+      operationId: 'getPresets',
+      summary: 'List built-in and saved presets',
+      responses: { 200: json('Presets by name; saved ones have custom: true', { type: 'object', additionalProperties: { type: 'object' } }) },
+    },
+  },
+  '/api/presets/{name}/apply': {
+    post: {
+      operationId: 'applyPreset',
+      summary: 'Apply a preset to the config',
+      parameters: [nameParameter('name', 'Preset name')],
+      responses: { ...saveResponses(), 400: BAD_PARAM, 404: NOT_FOUND },
+    },
+  },
+  '/api/export': {
+    get: {
+      operationId: 'exportSetup',
+      summary: 'Export the config, category changes and saved presets',
+      responses: {
+        200: json('Export bundle', {
+          type: 'object',
+          properties: {
+            vibe10x: { type: 'object', properties: { exportVersion: { type: 'integer' }, configVersion: { type: 'integer' }, exportedAt: { type: 'string' } } },
+            config: ref('Config'),
+            categories: { type: 'object' },
+            presets: { type: 'object' },
+          },
+          required: ['vibe10x', 'config', 'categories', 'presets'],
+        }),
+      },
+    },
+  },
+  '/api/import': {
+    post: {
+      operationId: 'importSetup',
+      summary: 'Import an export bundle',
+      parameters: [{ name: 'dryRun', in: 'query', description: '1 to only list the changes', schema: { enum: ['1'] } }],
+      requestBody: body({ type: 'object', description: 'Bundle from GET /api/export' }),
+      responses: {
+        200: {
+          ...json('Imported (or, for a dry run, the changes it would make)', {
+            type: 'object',
+            properties: {
+              dryRun: { const: true },
+              success: { const: true },
+              changes: { type: 'array', items: ref('Change') },
+              config: ref('Config'),
+            },
+            required: ['changes'],
+          }),
+          headers: { ETag: { description: 'Version of the saved config; not sent for a dry run', schema: { type: 'string' } } },
+        },
+        400: INVALID_BODY,
+        409: CONFLICT,
+        413: TOO_LARGE,
+        422: error('Invalid bundle; nothing was written'),
+        423: LOCKED,
+      },
+    },
+  },
+  '/api/profiles': {
+    get: {
+      operationId: 'getProfiles',
+      summary: 'List profiles',
+      responses: {
+        200: json('Profile names and the one matching the config', {
+          type: 'object',
+          properties: {
+            profiles: { type: 'array', items: { type: 'string' } },
+            active: { type: ['string', 'null'] },
+          },
+          required: ['profiles', 'active'],
+        }),
+      },
+    },
+    post: {
+      operationId: 'saveProfile',
+      summary: 'Save a profile',
+      requestBody: body({
+        type: 'object',
+        properties: {
+          name: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_-]*$' },
+          config: { ...ref('ConfigInput'), description: 'Config to save (default: the saved config)' },
+        },
+        required: ['name'],
+      }),
+      responses: {
+        201: json('Saved', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            profile: { type: 'string' },
+            profiles: { type: 'array', items: { type: 'string' } },
+          },
+          required: ['success', 'profile', 'profiles'],
+        }),
+        400: INVALID_BODY,
+        413: TOO_LARGE,
+        422: INVALID,
+      },
+    },
+  },
+  '/api/profiles/{name}/activate': {
+    post: {
+      operationId: 'activateProfile',
+      summary: 'Switch the config to a profile',
+      parameters: [nameParameter('name', 'Profile name')],
+      responses: { ...saveResponses(), 400: BAD_PARAM, 404: NOT_FOUND },
+    },
+  },
+};
+
+/**
+ * Build the OpenAPI document of the settings API
+ * @returns {object} OpenAPI 3.1 document (a fresh copy)
+ */
+export function createOpenApiDocument() {
+  return structuredClone({
+    openapi: '3.1.0',
+    info: {
+      title: 'Vibe10X settings API',
+      version,
+      description: 'Local API of the settings server started by `vibe10x --configure`. '
+        + 'Every call needs the launch token printed by it (also in server.json of the Vibe10X dir).',
+    },
+    servers: [{ url: `http://localhost:${DEFAULT_PORT}` }],
+    security: [{ token: [] }],
+    paths: PATHS,
+    components: {
+      schemas: SCHEMAS,
+      headers: {
+        ETag: { description: 'Version of the saved config, for If-Match', required: true, schema: { type: 'string' } },
+      },
+      securitySchemes: {
+        token: { type: 'apiKey', in: 'header', name: TOKEN_HEADER },
+      },
+    },
+  });
+}
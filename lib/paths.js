@@ -0,0 +1,121 @@
+/**
+ * Vibe10X Paths
+ * Where Vibe10X keeps its files and where Hammerspoon loads it from. Setup, the
+ * settings server and the uninstall script all resolve their paths here.
+ *
+ * The Vibe10X dir is, most specific first:
+ *   --config-dir DIR      (command-line flag)
+ *   VIBE10X_HOME          (environment)
+ *   ~/.vibe10x
+ */
+
+import { homedir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { getHistoryPath, getLockPath, getPresetsPath, getProfilesDir } from './store.js';
+import { getServerStatePath } from './serve.js';
+import { readMJConfigFile } from './hammerspoon.js';
+
+export const DEFAULT_DIR_NAME = '.vibe10x';
+
+/**
+ * Expand a leading ~ like the shell does
+ * @param {string} path - Path as given
+ * @param {string} home - Home directory
+ * @returns {string} Path with ~ replaced
+ */
+export function expandHome(path, home) {
+  return path === '~' || path.startsWith('~/') ? join(home, path.slice(1)) : path;
+}
+
+/**
+ * Resolve the Vibe10X dir
+ * @param {object} [options] - Where to look, most specific first
+ * @param {string} [options.configDir] - Dir given with --config-dir
+ * @param {object} [options.env] - Environment, for VIBE10X_HOME (default: process.env)
+ * @param {string} [options.home] - Home directory (default: os.homedir())
+ * @returns {string} Absolute path of the Vibe10X dir
+ */
+export function resolveVibe10xDir({ configDir, env = process.env, home = homedir() } = {}) {
+  const dir = configDir || env.VIBE10X_HOME;
+  return dir ? resolve(expandHome(dir, home)) : join(home, DEFAULT_DIR_NAME);
+}
+
+/**
+ * Check whether a Vibe10X dir is the default one, which the Hammerspoon module finds by itself
+ * @param {string} vibe10xDir - Vibe10X dir
+ * @param {string} [home] - Home directory (default: os.homedir())
+ * @returns {boolean} True for ~/.vibe10x
+ */
+export function isDefaultVibe10xDir(vibe10xDir, home = homedir()) {
+  return resolve(vibe10xDir) === join(home, DEFAULT_DIR_NAME);
+}
+
+/**
+ * Paths of the files in a Vibe10X dir
+ * @param {string} vibe10xDir - Vibe10X dir
+ * @returns {{ vibe10xDir: string, configPath: string, categoriesPath: string, eventsPath: string,
+ *   historyPath: string, presetsPath: string, profilesDir: string, lockPath: string, serverStatePath: string }} Paths
+ */
+export function getVibe10xPaths(vibe10xDir) {
+  const configPath = join(vibe10xDir, 'config.json');
+  return {
+    vibe10xDir,
+    configPath,
+    categoriesPath: join(vibe10xDir, 'categories.json'),
+    eventsPath: join(vibe10xDir, 'events.jsonl'),
+    historyPath: getHistoryPath(configPath),
+    presetsPath: getPresetsPath(configPath),
+    profilesDir: getProfilesDir(configPath),
+    lockPath: getLockPath(configPath),
+    serverStatePath: getServerStatePath(vibe10xDir),
+  };
+}
+
+/**
+ * Resolve the Hammerspoon config dir and its init.lua
+ * @param {object} [options] - Where to look, most specific first
+ * @param {string} [options.dir] - Dir chosen by the user (--hammerspoon-dir or VIBE10X_HAMMERSPOON_DIR)
+ * @param {string|null} [options.configFile] - Hammerspoon's MJConfigFile setting (see readMJConfigFile)
+ * @param {string} [options.home] - Home directory (default: os.homedir())
+ * @returns {{ dir: string, initPath: string }} Config dir and init.lua path (default: ~/.hammerspoon/init.lua)
+ */
+export function resolveHammerspoonPaths({ dir, configFile, home = homedir() } = {}) {
+  if (dir) {
+    const resolved = resolve(expandHome(dir, home));
+    return { dir: resolved, initPath: join(resolved, 'init.lua') };
+  }
+  if (configFile) {
+    const initPath = resolve(expandHome(configFile, home));
+    return { dir: dirname(initPath), initPath };
+  }
+  const defaultDir = join(home, '.hammerspoon');
+  return { dir: defaultDir, initPath: join(defaultDir, 'init.lua') };
+}
+
+/**
+ * Resolve every path an entry point needs
+ * @param {object} [options] - Flags and environment
+ * @param {string} [options.configDir] - --config-dir
+ * @param {string} [options.hammerspoonDir] - --hammerspoon-dir (else VIBE10X_HAMMERSPOON_DIR, else MJConfigFile)
+ * @param {object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.home] - Home directory (default: os.homedir())
+ * @param {() => string|null} [options.readConfigFile] - Reads MJConfigFile, only when no dir is given
+ *   (default: readMJConfigFile)
+ * @returns {object} home, the paths of getVibe10xPaths, hammerspoonDir and initPath
+ */
+export function resolvePaths({
+  configDir,
+  hammerspoonDir,
+  env = process.env,
+  home = homedir(),
+  readConfigFile = readMJConfigFile,
+} = {}) {
+  const hsDir = hammerspoonDir || env.VIBE10X_HAMMERSPOON_DIR;
+  const { dir, initPath } = resolveHammerspoonPaths({ home, dir: hsDir, configFile: hsDir ? null : readConfigFile() });
+  return {
+    home,
+    ...getVibe10xPaths(resolveVibe10xDir({ configDir, env, home })),
+    hammerspoonDir: dir,
+    initPath,
+  };
+}
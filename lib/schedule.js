@@ -0,0 +1,219 @@
+/**
+ * Vibe10X Schedule Utilities
+ * Pure functions for active hours and quiet hours
+ *
+ * This module has no Node.js imports so the settings page can load it too.
+ *
+ * A schedule looks like:
+ *   { enabled: true, timezone: 'Europe/Berlin',
+ *     activeHours: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00' }],
+ *     quietHours: [{ start: '12:00', end: '13:00' }] }
+ * Rules without `days` apply every day; a rule whose end is before its start runs
+ * past midnight. An empty timezone means the system's local time.
+ */
+
+// Day names, indexed like Date#getDay()
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DEFAULT_SCHEDULE = {
+  enabled: false,
+  timezone: '',
+  activeHours: [],
+  quietHours: [],
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+// Minutes since midnight for an HH:MM string
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a string names a time zone the runtime knows
+ * @param {string} timezone - IANA time zone (e.g. Europe/Berlin)
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a schedule
+ * @param {object} schedule - Schedule to validate
+ * @returns {{ field: string, message: string }[]} Errors, with fields relative to the schedule
+ */
+export function validateSchedule(schedule) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+    addError('', 'must be an object');
+    return errors;
+  }
+
+  for (const key of Object.keys(schedule)) {
+    if (!(key in DEFAULT_SCHEDULE)) {
+      addError(key, `${key} is not a recognized setting`);
+    }
+  }
+
+  if (typeof schedule.enabled !== 'boolean') {
+    addError('enabled', 'enabled must be a boolean');
+  }
+
+  if (schedule.timezone !== undefined && schedule.timezone !== '') {
+    if (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone)) {
+      addError('timezone', 'timezone must be an IANA time zone such as Europe/Berlin');
+    }
+  }
+
+  for (const listKey of ['activeHours', 'quietHours']) {
+    const rules = schedule[listKey];
+    if (rules === undefined) continue;
+    if (!Array.isArray(rules)) {
+      addError(listKey, `${listKey} must be an array`);
+      continue;
+    }
+
+    rules.forEach((rule, i) => {
+      const prefix = `${listKey}.${i}`;
+      const label = `${listKey}[${i}]`;
+      if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+        addError(prefix, `${label} must be an object`);
+        return;
+      }
+      if (rule.days !== undefined && (!Array.isArray(rule.days) || rule.days.length === 0 || !rule.days.every(day => DAYS.includes(day)))) {
+        addError(`${prefix}.days`, `${label}.days must be a non-empty list of ${DAYS.join(', ')}`);
+      }
+      for (const key of ['start', 'end']) {
+        if (typeof rule[key] !== 'string' || !TIME_PATTERN.test(rule[key])) {
+          addError(`${prefix}.${key}`, `${label}.${key} must be a time in HH:MM format`);
+        }
+      }
+      if (rule.start === rule.end && typeof rule.start === 'string') {
+        addError(`${prefix}.end`, `${label}.end must differ from start`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Weekday index and minutes since midnight of a date in a time zone
+function getLocalTime(date, timezone) {
+  if (!timezone) {
+    return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  return {
+    day: DAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+  };
+}
+
+// Check whether a rule covers a weekday/minute
+function ruleMatches(rule, day, minutes) {
+  const days = rule.days || DAYS;
+  const start = toMinutes(rule.start);
+  const end = toMinutes(rule.end);
+
+  if (start < end) {
+    return days.includes(DAYS[day]) && minutes >= start && minutes < end;
+  }
+
+  // Overnight: the part after midnight belongs to the previous day's rule
+  const previousDay = DAYS[(day + 6) % 7];
+  return (days.includes(DAYS[day]) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * Check whether nudges are active at a given time
+ * @param {object} config - Config object
+ * @param {Date} [date] - Time to check (default: now)
+ * @returns {boolean} True if Vibe10X is enabled and the schedule allows nudging
+ */
+export function isActiveAt(config, date = new Date()) {
+  if (!config.enabled) {
+    return false;
+  }
+
+  const schedule = config.schedule;
+  if (!schedule?.enabled) {
+    return true;
+  }
+
+  const { day, minutes } = getLocalTime(date, schedule.timezone);
+  const activeHours = schedule.activeHours || [];
+  const quietHours = schedule.quietHours || [];
+
+  const inActiveHours = activeHours.length === 0 || activeHours.some(rule => ruleMatches(rule, day, minutes));
+  const inQuietHours = quietHours.some(rule => ruleMatches(rule, day, minutes));
+  return inActiveHours && !inQuietHours;
+}
+
+// Expand "mon-fri" or "mon,wed" into day names
+function parseDays(spec) {
+  const days = [];
+  for (const part of spec.toLowerCase().split(',')) {
+    const [from, to] = part.split('-').map(s => s.trim().slice(0, 3));
+    if (!DAYS.includes(from) || (to !== undefined && !DAYS.includes(to))) {
+      throw new Error(`Invalid days: ${spec}. Use e.g. mon-fri or mon,wed,fri`);
+    }
+    let i = DAYS.indexOf(from);
+    const last = DAYS.indexOf(to ?? from);
+    days.push(DAYS[i]);
+    while (i !== last) {
+      i = (i + 1) % 7;
+      days.push(DAYS[i]);
+    }
+  }
+  return [...new Set(days)];
+}
+
+/**
+ * Parse schedule rules written as "[days] HH:MM-HH:MM", separated by semicolons
+ * (e.g. "mon-fri 09:00-18:00; sat 10:00-14:00")
+ * @param {string} text - Rules text
+ * @returns {{ days?: string[], start: string, end: string }[]} Parsed rules
+ * @throws {Error} If a rule cannot be parsed
+ */
+export function parseScheduleRules(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return text
+    .split(';')
+    .map(s => s.trim())
+    .filter(s => s.length > 0)
+    .map((ruleText) => {
+      const match = /^(?:(\S+)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(ruleText);
+      if (!match) {
+        throw new Error(`Invalid schedule rule: "${ruleText}". Use e.g. "mon-fri 09:00-18:00"`);
+      }
+      const [, daysSpec, start, end] = match;
+      const rule = { start: start.padStart(5, '0'), end: end.padStart(5, '0') };
+      for (const time of [rule.start, rule.end]) {
+        if (!TIME_PATTERN.test(time)) {
+          throw new Error(`Invalid time: ${time}. Use HH:MM`);
+        }
+      }
+      return daysSpec ? { days: parseDays(daysSpec), ...rule } : rule;
+    });
+}
@@ -0,0 +1,164 @@
+/**
+ * Vibe10X Settings Server Security
+ * Checks keeping other web pages and other hosts away from the settings server
+ *
+ * The server only answers requests that:
+ *   - name it by a loopback Host (localhost, 127.0.0.1 or [::1] on its port), so a
+ *     DNS rebinding attack, where evil.example resolves to 127.0.0.1, is refused
+ *   - come from its own origin, if the browser says where they come from
+ *   - carry the token created at launch (API routes only), which reaches the page
+ *     through the link the server opens: http://localhost:3847/?token=...
+ */
+
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { resolve, sep } from 'path';
+
+// Header the settings page sends the token in. EventSource cannot set headers,
+// so the token is also accepted as a `token` query parameter.
+export const TOKEN_HEADER = 'X-Vibe10X-Token';
+
+// Request bodies larger than this are refused; the biggest real ones are imports
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Create a random token for one server launch
+ * @returns {string} URL-safe token
+ */
+export function createToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Origins the settings page can be loaded from
+ * @param {number} port - Server port
+ * @param {string[]} [extraHosts] - Names besides the loopback ones (the --host address)
+ * @returns {string[]} Origins, e.g. http://localhost:3847
+ */
+export function getAllowedOrigins(port, extraHosts = []) {
+  return [...LOOPBACK_HOSTS, ...extraHosts].map(host => `http://${host.toLowerCase()}:${port}`);
+}
+
+/**
+ * Check the Host header
+ * @param {string|undefined} host - Host header
+ * @param {number} port - Server port
+ * @param {string[]} [extraHosts] - Names besides the loopback ones (the --host address)
+ * @returns {boolean} True if the request names the server by a loopback address or an extra name
+ */
+export function isAllowedHost(host, port, extraHosts = []) {
+  return typeof host === 'string'
+    && [...LOOPBACK_HOSTS, ...extraHosts].some(name => host.toLowerCase() === `${name.toLowerCase()}:${port}`);
+}
+
+/**
+ * Check the Origin header
+ * @param {string|undefined} origin - Origin header
+ * @param {number} port - Server port
+ * @param {string[]} [extraHosts] - Names besides the loopback ones (the --host address)
+ * @returns {boolean} True if there is no Origin (curl, same-origin GETs) or it is the server's own
+ */
+export function isAllowedOrigin(origin, port, extraHosts = []) {
+  return origin === undefined || getAllowedOrigins(port, extraHosts).includes(origin.toLowerCase());
+}
+
+/**
+ * Compare a token from a request with the server's, in constant time
+ * @param {string|null|undefined} given - Token sent with the request
+ * @param {string} expected - Token of this launch
+ * @returns {boolean} True if they match
+ */
+export function tokenMatches(given, expected) {
+  if (typeof given !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Decide whether to answer a request
+ * @param {{ path: string, headers: object, query?: URLSearchParams }} request - URL path, lowercased
+ *   headers as node's http module gives them, and query parameters
+ * @param {{ token: string, port: number, hosts?: string[] }} server - Token of this launch, the port the
+ *   request came in on, and host names allowed besides the loopback ones
+ * @returns {{ status: number, error: string }|null} Rejection to send, or null if the request may go ahead
+ */
+export function checkRequest({ path, headers, query }, { token, port, hosts = [] }) {
+  if (!isAllowedHost(headers.host, port, hosts)) {
+    return { status: 403, error: `Host ${headers.host ?? '(none)'} is not allowed; use http://localhost:${port}` };
+  }
+  if (!isAllowedOrigin(headers.origin, port, hosts)) {
+    return { status: 403, error: `Origin ${headers.origin} is not allowed` };
+  }
+  if (path.startsWith('/api/')) {
+    const given = headers[TOKEN_HEADER.toLowerCase()] || query?.get('token');
+    if (!tokenMatches(given, token)) {
+      return { status: 401, error: 'Missing or wrong token; open the link printed when the settings server started' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a URL path to a file inside a directory
+ * @param {string} root - Directory files are served from
+ * @param {string} path - URL path (already percent-decoded or not; both are checked)
+ * @returns {string|null} Absolute file path, or null if the path leaves the directory
+ */
+export function resolveStaticPath(root, path) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0')) {
+    return null;
+  }
+  const base = resolve(root);
+  const full = resolve(base, `.${decoded.startsWith('/') ? '' : '/'}${decoded}`);
+  return full.startsWith(base + sep) ? full : null;
+}
+
+/**
+ * Read a request body, refusing one over the limit
+ * @param {import('stream').Readable & { headers?: object }} req - Request
+ * @param {number} [limit] - Maximum size in bytes (default: MAX_BODY_BYTES)
+ * @returns {Promise<string>} Body
+ * @throws {Error} With code TOO_LARGE if the body (or its Content-Length) is over the limit
+ */
+export function readBody(req, limit = MAX_BODY_BYTES) {
+  const tooLarge = () => {
+    const err = new Error(`Request body is larger than ${limit} bytes`);
+    err.code = 'TOO_LARGE';
+    return err;
+  };
+
+  return new Promise((done, fail) => {
+    if (Number(req.headers?.['content-length']) > limit) {
+      // Drain what the client sends, so it gets the answer instead of a reset connection
+      req.resume();
+      fail(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let refused = false;
+    req.on('data', (chunk) => {
+      if (refused) return;
+      size += chunk.length;
+      if (size > limit) {
+        refused = true;
+        fail(tooLarge());
+        return;
+      }
+      chunks.push(Buffer.from(chunk));
+    });
+    req.on('end', () => done(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', fail);
+  });
+}
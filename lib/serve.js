@@ -0,0 +1,201 @@
+/**
+ * Vibe10X Settings Server Launch
+ * Where the settings server listens, how it opens the browser, and how a second
+ * `vibe10x --configure` finds the one already running
+ *
+ * A running server records itself in ~/.vibe10x/server.json:
+ *   { "pid": 4242, "host": "127.0.0.1", "port": 3847, "url": "http://localhost:3847/", "token": "..." }
+ */
+
+import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { TOKEN_HEADER } from './security.js';
+
+export const DEFAULT_PORT = 3847;
+export const DEFAULT_HOST = '127.0.0.1';
+
+// Ports tried after the requested one before letting the OS pick any free port
+export const PORT_ATTEMPTS = 10;
+
+// Bind addresses meaning "every interface"
+const WILDCARD_HOSTS = ['0.0.0.0', '::', ''];
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID';
+  return err;
+}
+
+/**
+ * Resolve the server options from command-line flags, falling back to the environment
+ * (VIBE10X_PORT, VIBE10X_HOST, VIBE10X_NO_OPEN=1), then to the defaults
+ * @param {{ port?: string, host?: string, noOpen?: boolean }} [flags] - --port, --host and --no-open
+ * @param {object} [env] - Environment (default: process.env)
+ * @returns {{ port: number, host: string, open: boolean }} Server options
+ * @throws {Error} With code INVALID for a port that is not 1-65535
+ */
+export function resolveServeOptions({ port, host, noOpen } = {}, env = process.env) {
+  const portValue = port ?? env.VIBE10X_PORT ?? String(DEFAULT_PORT);
+  const portNumber = Number(portValue);
+  if (!/^\d+$/.test(String(portValue).trim()) || portNumber < 1 || portNumber > 65535) {
+    throw invalid(`Invalid port: ${portValue} (use 1-65535)`);
+  }
+
+  const noOpenEnv = ['1', 'true', 'yes'].includes(String(env.VIBE10X_NO_OPEN ?? '').toLowerCase());
+  return {
+    port: portNumber,
+    host: host || env.VIBE10X_HOST || DEFAULT_HOST,
+    open: !(noOpen || noOpenEnv),
+  };
+}
+
+/**
+ * Host names a server bound to an address may be reached by, besides the loopback names
+ * @param {string} host - Bind address
+ * @returns {string[]} The address as it appears in a Host header, or none for a wildcard
+ */
+export function getExtraHostNames(host) {
+  if (WILDCARD_HOSTS.includes(host)) {
+    return [];
+  }
+  return [host.includes(':') ? `[${host}]` : host];
+}
+
+/**
+ * URL of the settings page
+ * @param {string} host - Bind address
+ * @param {number} port - Port the server listens on
+ * @returns {string} URL, using localhost for loopback and wildcard addresses
+ */
+export function getServerUrl(host, port) {
+  const loopback = ['127.0.0.1', '::1', 'localhost', ...WILDCARD_HOSTS].includes(host);
+  return `http://${loopback ? 'localhost' : getExtraHostNames(host)[0]}:${port}/`;
+}
+
+/**
+ * Command opening a URL in the default browser
+ * @param {string} url - URL to open
+ * @param {string} [platform] - process.platform value
+ * @returns {{ command: string, args: string[] }} Command to spawn
+ */
+export function getBrowserCommand(url, platform = process.platform) {
+  if (platform === 'darwin') {
+    return { command: 'open', args: [url] };
+  }
+  if (platform === 'win32') {
+    return { command: 'cmd', args: ['/c', 'start', '', url] };
+  }
+  return { command: 'xdg-open', args: [url] };
+}
+
+/**
+ * Start listening on a port, moving on to the next ones while they are taken
+ * (PORT_ATTEMPTS of them), then to any free port
+ * @param {import('http').Server} server - Server to start
+ * @param {{ port: number, host: string, attempts?: number }} options - Preferred port and bind address
+ * @returns {Promise<number>} Port the server listens on
+ */
+export async function listenWithFallback(server, { port, host, attempts = PORT_ATTEMPTS }) {
+  const candidates = [...Array.from({ length: attempts }, (_, i) => port + i).filter(p => p <= 65535), 0];
+
+  for (const candidate of candidates) {
+    try {
+      await new Promise((done, fail) => {
+        server.once('error', fail);
+        server.listen(candidate, host, () => {
+          server.off('error', fail);
+          done();
+        });
+      });
+      return server.address().port;
+    } catch (err) {
+      if (err.code !== 'EADDRINUSE' || candidate === 0) throw err;
+    }
+  }
+  throw new Error('No free port');
+}
+
+/**
+ * Path of the file recording the running server
+ * @param {string} vibe10xDir - Vibe10X dir (~/.vibe10x)
+ * @returns {string} Path to server.json
+ */
+export function getServerStatePath(vibe10xDir) {
+  return join(vibe10xDir, 'server.json');
+}
+
+/**
+ * Record the running server. Only the user can read the file, since it holds the token.
+ * @param {string} statePath - Path to server.json
+ * @param {{ pid: number, host: string, port: number, url: string, token: string }} state - Server details
+ */
+export function writeServerState(statePath, state) {
+  writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Read the recorded server
+ * @param {string} statePath - Path to server.json
+ * @returns {object|null} Server details, or null if there are none or they cannot be read
+ */
+export function readServerState(statePath) {
+  try {
+    const state = JSON.parse(readFileSync(statePath, 'utf8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the record of a server that is stopping, unless another one has replaced it
+ * @param {string} statePath - Path to server.json
+ * @param {number} pid - Process id of the stopping server
+ */
+export function removeServerState(statePath, pid) {
+  if (existsSync(statePath) && readServerState(statePath)?.pid === pid) {
+    unlinkSync(statePath);
+  }
+}
+
+/**
+ * Find a settings server that is already running
+ * @param {string} statePath - Path to server.json
+ * @param {object} [options] - Checks, replaceable in tests
+ * @param {(pid: number) => boolean} [options.isAlive] - Process check (default: signal 0)
+ * @param {Function} [options.fetch] - fetch implementation (default: globalThis.fetch)
+ * @param {number} [options.timeoutMs] - How long to wait for it to answer
+ * @returns {Promise<object|null>} Recorded details of the server if its process is alive and it answers, else null
+ */
+export async function findRunningServer(statePath, {
+  isAlive = isProcessAlive,
+  fetch = globalThis.fetch,
+  timeoutMs = 2000,
+} = {}) {
+  const state = readServerState(statePath);
+  if (!state || !Number.isInteger(state.pid) || typeof state.url !== 'string' || !isAlive(state.pid)) {
+    return null;
+  }
+
+  try {
+    const res = await fetch(new URL('api/health', state.url), {
+      headers: { [TOKEN_HEADER]: state.token },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) return null;
+    const health = await res.json();
+    return health.pid === state.pid ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+// Signal 0 checks that a process exists without touching it
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
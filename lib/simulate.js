@@ -0,0 +1,111 @@
+/**
+ * Vibe10X Trace Simulator
+ * Pure functions replaying a recorded input trace through the nudge engine,
+ * for tuning threshold and resetAfterSeconds
+ *
+ * A trace uses the jsonl input format of the daemon (see lib/input.js);
+ * every line needs a `time`, since the replay follows it.
+ */
+
+import { createEngine } from './engine.js';
+import { LINUX_IGNORED_KEY_CODES, parseInputLine } from './input.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Parse a trace file
+ * @param {string} text - File content
+ * @returns {{ inputs: object[], errors: string[] }} Input events in time order, and the lines that were skipped
+ */
+export function parseTrace(text) {
+  const inputs = [];
+  const errors = [];
+
+  text.split('\n').forEach((line, i) => {
+    try {
+      const input = parseInputLine(line);
+      if (!input) return;
+      if (input.time === undefined) {
+        throw new Error('time is required to replay a trace');
+      }
+      inputs.push(input);
+    } catch (err) {
+      errors.push(`Line ${i + 1}: ${err.message}`);
+    }
+  });
+
+  // Stable sort keeps same-time events in file order
+  inputs.sort((a, b) => a.time - b.time);
+  return { inputs, errors };
+}
+
+// Start of the local hour containing a time, as YYYY-MM-DD HH:00
+function formatHour(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:00`;
+}
+
+/**
+ * Replay a trace against a config
+ * @param {object} config - Config object
+ * @param {object[]} inputs - Input events with times, as returned by parseTrace
+ * @param {{ ignoredKeyCodes?: number[], categories?: object }} [options] - Key codes that never count
+ *   (default: LINUX_IGNORED_KEY_CODES), and built-in category definitions by id (default: the shipped ones)
+ * @returns {{ nudges: { timestamp: string, app: string, count: number }[], totals: { nudges: number, keystrokes: number, hours: number },
+ *   perHour: number|null, byHour: { hour: string, nudges: number }[], byApp: { app: string, nudges: number, keystrokes: number }[] }}
+ *   When nudges fired, how often, and where. perHour is null for traces shorter than a minute.
+ */
+export function simulateTrace(config, inputs, { ignoredKeyCodes = LINUX_IGNORED_KEY_CODES, categories } = {}) {
+  let now = inputs[0]?.time ?? 0;
+  const nudges = [];
+  const byHour = new Map();
+  const byApp = new Map();
+  let keystrokes = 0;
+
+  const appCounts = (app) => {
+    const key = app || 'unknown';
+    if (!byApp.has(key)) {
+      byApp.set(key, { app: key, nudges: 0, keystrokes: 0 });
+    }
+    return byApp.get(key);
+  };
+
+  const engine = createEngine(config, {
+    clock: () => now,
+    ignoredKeyCodes,
+    categories,
+    onEvent(event) {
+      if (event.type === 'count' && event.count > 0) {
+        keystrokes++;
+        appCounts(event.app).keystrokes++;
+      } else if (event.type === 'nudge') {
+        nudges.push({ timestamp: event.timestamp, app: event.app, count: event.count });
+        appCounts(event.app).nudges++;
+        const hour = formatHour(now);
+        byHour.set(hour, (byHour.get(hour) || 0) + 1);
+      }
+    },
+  });
+
+  for (const input of inputs) {
+    now = input.time;
+    engine.tick(now);
+    if (input.type === 'key') {
+      engine.onKey(input);
+    } else if (input.type === 'focus') {
+      engine.onAppActivated(input.app);
+    }
+  }
+
+  const duration = inputs.length > 0 ? inputs[inputs.length - 1].time - inputs[0].time : 0;
+  const hours = duration / HOUR_MS;
+
+  return {
+    nudges,
+    totals: { nudges: nudges.length, keystrokes, hours },
+    perHour: duration >= 60 * 1000 ? nudges.length / hours : null,
+    byHour: Array.from(byHour, ([hour, count]) => ({ hour, nudges: count })).sort((a, b) => a.hour.localeCompare(b.hour)),
+    byApp: Array.from(byApp.values()).sort((a, b) => b.nudges - a.nudges || b.keystrokes - a.keystrokes || a.app.localeCompare(b.app)),
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * Vibe10X Event Stats
+ * Pure functions for validating and aggregating logged events
+ *
+ * Events are stored one JSON object per line in ~/.vibe10x/events.jsonl:
+ *   { "timestamp": "2026-01-05T10:00:00.000Z", "type": "nudge", "app": "Code", "count": 50 }
+ * Reset events also carry a `reason` (nudge, inactivity, app_switch, manual, stop);
+ * their `count` is the size of the keystroke burst that was cleared.
+ * Nudges from escalating tiers carry the `tier` level (1 is the first tier).
+ * Once the file grows past EVENTS_MAX_BYTES, the oldest events are dropped
+ * until EVENTS_KEEP_BYTES are left.
+ */
+
+export const EVENT_TYPES = ['nudge', 'reset', 'app_switch'];
+
+export const RESET_REASONS = ['nudge', 'inactivity', 'app_switch', 'manual', 'stop'];
+
+export const GROUP_BY = ['day', 'app', 'category'];
+
+export const EVENTS_MAX_BYTES = 5 * 1024 * 1024;
+
+export const EVENTS_KEEP_BYTES = 2 * 1024 * 1024;
+
+const EVENT_KEYS = ['timestamp', 'type', 'app', 'count', 'reason', 'tier'];
+
+/**
+ * Validate an event
+ * @param {object} event - Event to validate
+ * @returns {{ valid: boolean, errors: string[], fieldErrors: { field: string, message: string }[] }} Validation result
+ */
+export function validateEvent(event) {
+  const errors = [];
+  const fieldErrors = [];
+  const addError = (field, message) => {
+    errors.push(message);
+    fieldErrors.push({ field, message });
+  };
+
+  if (typeof event !== 'object' || event === null || Array.isArray(event)) {
+    addError('', 'Event must be an object');
+    return { valid: false, errors, fieldErrors };
+  }
+
+  for (const key of Object.keys(event)) {
+    if (!EVENT_KEYS.includes(key)) {
+      addError(key, `${key} is not a recognized event field`);
+    }
+  }
+
+  if (!EVENT_TYPES.includes(event.type)) {
+    addError('type', `type must be one of: ${EVENT_TYPES.join(', ')}`);
+  }
+
+  if (event.timestamp !== undefined && (typeof event.timestamp !== 'string' || isNaN(Date.parse(event.timestamp)))) {
+    addError('timestamp', 'timestamp must be an ISO 8601 date string');
+  }
+
+  if (event.app !== undefined && event.app !== null && typeof event.app !== 'string') {
+    addError('app', 'app must be a string');
+  }
+
+  if (event.count !== undefined && (!Number.isInteger(event.count) || event.count < 0)) {
+    addError('count', 'count must be a non-negative integer');
+  }
+
+  if (event.reason !== undefined && (event.type !== 'reset' || !RESET_REASONS.includes(event.reason))) {
+    addError('reason', `reason is only allowed on reset events and must be one of: ${RESET_REASONS.join(', ')}`);
+  }
+
+  if (event.tier !== undefined && (event.type !== 'nudge' || !Number.isInteger(event.tier) || event.tier < 1)) {
+    addError('tier', 'tier is only allowed on nudge events and must be a positive integer');
+  }
+
+  return { valid: errors.length === 0, errors, fieldErrors };
+}
+
+/**
+ * Fill in defaults for a valid event
+ * @param {object} event - Validated event
+ * @param {Date} [now] - Timestamp to use when the event has none
+ * @returns {object} Event with timestamp, app and count set
+ */
+export function normalizeEvent(event, now = new Date()) {
+  return {
+    timestamp: event.timestamp ? new Date(event.timestamp).toISOString() : now.toISOString(),
+    type: event.type,
+    app: event.app ?? null,
+    count: event.count ?? 0,
+    ...(event.reason !== undefined && { reason: event.reason }),
+    ...(event.tier !== undefined && { tier: event.tier }),
+  };
+}
+
+/**
+ * Parse an events.jsonl file, skipping blank, malformed or invalid lines
+ * @param {string} text - File content
+ * @returns {object[]} Normalized events in file order
+ */
+export function parseEvents(text) {
+  const events = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (validateEvent(event).valid && event.timestamp) {
+        events.push(normalizeEvent(event));
+      }
+    } catch {
+      // Skip lines truncated by a crash mid-write
+    }
+  }
+  return events;
+}
+
+/**
+ * Drop the oldest lines of an events.jsonl file so that at most keepBytes are left
+ * @param {string} text - File content
+ * @param {number} [keepBytes] - Size to trim to (default: EVENTS_KEEP_BYTES)
+ * @returns {string} Newest whole lines, each ending in a newline
+ */
+export function trimEvents(text, keepBytes = EVENTS_KEEP_BYTES) {
+  const lines = text.split('\n').filter(line => line.trim());
+  let size = 0;
+  let start = lines.length;
+  while (start > 0) {
+    size += Buffer.byteLength(lines[start - 1]) + 1;
+    if (size > keepBytes) break;
+    start--;
+  }
+  return lines.slice(start).map(line => line + '\n').join('');
+}
+
+/**
+ * Parse a from/to query value. Date-only values (YYYY-MM-DD) are local days;
+ * with endOfDay they cover the whole day.
+ * @param {string|null|undefined} value - ISO date or date-time string
+ * @param {{ endOfDay?: boolean }} [options] - Treat a date-only value as the end of that day
+ * @returns {Date|null} Parsed date, or null if no value was given
+ * @throws {Error} If the value is not a valid date
+ */
+export function parseRangeBound(value, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return endOfDay
+      ? new Date(year, month - 1, day + 1, 0, 0, 0, -1)
+      : new Date(year, month - 1, day);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+// Local calendar day of a date, as YYYY-MM-DD
+function formatDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Category ids whose app list matches an app name (same substring match as the Lua module)
+function getAppCategories(appName, categories) {
+  const matches = [];
+  for (const [categoryId, category] of Object.entries(categories)) {
+    if (category.apps?.some(pattern => appName.includes(pattern))) {
+      matches.push(categoryId);
+    }
+  }
+  return matches;
+}
+
+function emptyCounts() {
+  return { nudges: 0, bursts: 0, keystrokes: 0, appSwitches: 0 };
+}
+
+// Add one event to a counts object
+function countEvent(counts, event) {
+  if (event.type === 'nudge') {
+    counts.nudges++;
+  } else if (event.type === 'reset' && event.count > 0) {
+    counts.bursts++;
+    counts.keystrokes += event.count;
+  } else if (event.type === 'app_switch') {
+    counts.appSwitches++;
+  }
+}
+
+/**
+ * Aggregate events into totals and groups
+ * Keystrokes are the sum of reset burst sizes, since every burst ends in a reset.
+ * @param {object[]} events - Normalized events
+ * @param {object} [options] - Aggregation options
+ * @param {Date|null} [options.from] - Include events at or after this time
+ * @param {Date|null} [options.to] - Include events at or before this time
+ * @param {string} [options.groupBy] - One of GROUP_BY (default: day)
+ * @param {object} [options.categories] - Categories by id, required for groupBy category
+ * @returns {{ totals: object, groups: { key: string, nudges: number, bursts: number, keystrokes: number, appSwitches: number }[] }}
+ *   Totals over the range and one entry per group
+ * @throws {Error} If groupBy is unknown
+ */
+export function aggregateEvents(events, { from = null, to = null, groupBy = 'day', categories = {} } = {}) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`Unknown groupBy: ${groupBy}. Available: ${GROUP_BY.join(', ')}`);
+  }
+
+  const totals = emptyCounts();
+  const groups = new Map();
+
+  for (const event of events) {
+    const time = new Date(event.timestamp);
+    if ((from && time < from) || (to && time > to)) continue;
+
+    countEvent(totals, event);
+
+    let keys;
+    if (groupBy === 'day') {
+      keys = [formatDay(time)];
+    } else if (groupBy === 'app') {
+      keys = [event.app || 'unknown'];
+    } else {
+      const matches = event.app ? getAppCategories(event.app, categories) : [];
+      keys = matches.length > 0 ? matches : ['uncategorized'];
+    }
+
+    for (const key of keys) {
+      if (!groups.has(key)) {
+        groups.set(key, emptyCounts());
+      }
+      countEvent(groups.get(key), event);
+    }
+  }
+
+  const result = Array.from(groups, ([key, counts]) => ({ key, ...counts }));
+  if (groupBy === 'day') {
+    result.sort((a, b) => a.key.localeCompare(b.key));
+  } else {
+    result.sort((a, b) => b.keystrokes - a.keystrokes || b.nudges - a.nudges || a.key.localeCompare(b.key));
+  }
+
+  return { totals, groups: result };
+}
@@ -0,0 +1,642 @@
+/**
+ * Vibe10X Config Storage
+ * Reading and upgrading config files on disk
+ */
+
+import {
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  copyFileSync,
+  mkdirSync,
+  readdirSync,
+  appendFileSync,
+  renameSync,
+  openSync,
+  writeSync,
+  closeSync,
+  statSync,
+  rmSync,
+  linkSync,
+} from 'fs';
+import { dirname, join } from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { migrateConfig, normalizeConfig } from './config.js';
+import { applyCategoryOverlay, diffCategories } from './categories.js';
+import { HISTORY_LIMIT, parseHistory } from './history.js';
+import { EVENTS_MAX_BYTES, trimEvents } from './stats.js';
+
+// How long to wait for another writer's lock, and when to consider it abandoned
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 20;
+
+// Build an error carrying a machine-readable code
+function storeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Block the thread briefly; locks are only held for the duration of a write
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Wait without blocking the event loop
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Write a file via a temp file and rename, so readers never see a partial write.
+ * The temp name deliberately does not contain the target name, so the
+ * Hammerspoon watcher (which looks for "config.json") only sees the rename.
+ * @param {string} path - File to write
+ * @param {string} content - File content
+ */
+export function writeFileAtomic(path, content) {
+  const tempPath = join(dirname(path), `.vibe10x-${process.pid}.tmp`);
+  writeFileSync(tempPath, content);
+  renameSync(tempPath, path);
+}
+
+/**
+ * Path of the lock file guarding writes to config.json and its history
+ * @param {string} configPath - Path to config.json
+ * @returns {string} Lock path
+ */
+export function getLockPath(configPath) {
+  return join(dirname(configPath), '.vibe10x.lock');
+}
+
+// A token identifying one lock holder, written into the lock file
+function createLockOwner() {
+  return `${process.pid}-${randomBytes(4).toString('hex')}`;
+}
+
+// Create the lock file exclusively, taking over one left behind by a crashed
+// writer once it is stale. Returns false if another writer holds it.
+function tryLock(lockPath, owner) {
+  for (;;) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      writeSync(fd, owner);
+      closeSync(fd);
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    let modified;
+    try {
+      modified = statSync(lockPath).mtimeMs;
+    } catch {
+      // Released between our attempt and the stat; try again
+      continue;
+    }
+    if (Date.now() - modified <= LOCK_STALE_MS) {
+      return false;
+    }
+
+    // Take over by renaming the stale lock away: only one writer's rename can
+    // succeed, and everyone then competes for a fresh lock again
+    const stalePath = `${lockPath}.${owner}.stale`;
+    try {
+      renameSync(lockPath, stalePath);
+    } catch {
+      continue;
+    }
+    if (Date.now() - statSync(stalePath).mtimeMs <= LOCK_STALE_MS) {
+      // Another writer replaced the stale lock before our rename: give it back
+      try {
+        linkSync(stalePath, lockPath);
+      } catch {
+        // Someone else took the lock meanwhile; its owner keeps it
+      }
+    }
+    rmSync(stalePath, { force: true });
+  }
+}
+
+// Remove the lock file, unless another writer took it over in the meantime
+function unlock(lockPath, owner) {
+  try {
+    if (readFileSync(lockPath, 'utf8') === owner) {
+      rmSync(lockPath, { force: true });
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+function lockedError(lockPath) {
+  return storeError('LOCKED', `Config is locked by another process (${lockPath}); try again`);
+}
+
+/**
+ * Run a function while holding a lock file, waiting for other writers to finish.
+ * Locks left behind by a crashed writer are taken over once they are stale.
+ * Blocks the thread while waiting; servers use withLockAsync.
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ * @throws {Error} With code LOCKED if the lock cannot be taken in time
+ */
+export function withLock(lockPath, fn) {
+  const owner = createLockOwner();
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (!tryLock(lockPath, owner)) {
+    if (Date.now() > deadline) {
+      throw lockedError(lockPath);
+    }
+    sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    unlock(lockPath, owner);
+  }
+}
+
+/**
+ * Like withLock, but waits for the lock without blocking the event loop
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ * @throws {Error} With code LOCKED if the lock cannot be taken in time
+ */
+export async function withLockAsync(lockPath, fn) {
+  const owner = createLockOwner();
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (!tryLock(lockPath, owner)) {
+    if (Date.now() > deadline) {
+      throw lockedError(lockPath);
+    }
+    await delay(LOCK_RETRY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    unlock(lockPath, owner);
+  }
+}
+
+// Entity tag for file content: a quoted prefix of its SHA-256
+function hashContent(content) {
+  return `"${createHash('sha256').update(content).digest('hex').slice(0, 16)}"`;
+}
+
+/**
+ * ETag of config.json as stored on disk, for optimistic concurrency
+ * @param {string} configPath - Path to config.json
+ * @returns {string} Quoted content hash (of an empty file if none exists)
+ */
+export function getConfigEtag(configPath) {
+  return hashContent(existsSync(configPath) ? readFileSync(configPath) : '');
+}
+
+// Read a JSON file, returning null if it is missing or unparseable
+function readJsonFile(path) {
+  if (!existsSync(path)) {
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Write a JSON file only if its content would change
+function writeJsonFile(path, data) {
+  const content = JSON.stringify(data, null, 2);
+  if (!existsSync(path) || readFileSync(path, 'utf8') !== content) {
+    writeFileAtomic(path, content);
+  }
+}
+
+/**
+ * Paths of the files kept next to the installed categories.json:
+ * the user's overlay and a snapshot of the shipped list it was installed from
+ * @param {string} installedPath - Path to ~/.vibe10x/categories.json
+ * @returns {{ overlayPath: string, basePath: string }} Paths
+ */
+export function getCategoryOverlayPaths(installedPath) {
+  const dir = dirname(installedPath);
+  return {
+    overlayPath: join(dir, 'categories.overlay.json'),
+    basePath: join(dir, 'categories.base.json'),
+  };
+}
+
+/**
+ * Work out the user's category overlay without writing anything.
+ * Hand edits to the installed categories.json are folded into the overlay by
+ * diffing it against the shipped snapshot it was installed from. Installs that
+ * predate the snapshot only keep additions, so newly shipped apps still flow in.
+ * @param {string} shippedPath - Path to the repo's config/categories.json
+ * @param {string} installedPath - Path to ~/.vibe10x/categories.json
+ * @returns {{ shipped: object, overlay: object, categories: object }}
+ *   Shipped list, user overlay and the merged categories to install
+ */
+export function readCategoryState(shippedPath, installedPath) {
+  const { overlayPath, basePath } = getCategoryOverlayPaths(installedPath);
+  const shipped = JSON.parse(readFileSync(shippedPath, 'utf8'));
+  const installed = readJsonFile(installedPath);
+  const previousBase = readJsonFile(basePath);
+
+  let overlay;
+  if (!installed) {
+    overlay = readJsonFile(overlayPath) || {};
+  } else if (previousBase) {
+    overlay = diffCategories(previousBase, installed);
+  } else {
+    overlay = diffCategories(shipped, installed, { additionsOnly: true });
+  }
+
+  return { shipped, overlay, categories: applyCategoryOverlay(shipped, overlay) };
+}
+
+/**
+ * Install categories.json as the shipped list plus the user's overlay,
+ * recording the overlay and the shipped snapshot for the next upgrade
+ * @param {string} shippedPath - Path to the repo's config/categories.json
+ * @param {string} installedPath - Path to ~/.vibe10x/categories.json
+ * @returns {{ shipped: object, overlay: object, categories: object }} State that was written
+ */
+export function syncCategories(shippedPath, installedPath) {
+  const { overlayPath, basePath } = getCategoryOverlayPaths(installedPath);
+  const state = readCategoryState(shippedPath, installedPath);
+
+  writeJsonFile(overlayPath, state.overlay);
+  writeJsonFile(basePath, state.shipped);
+  writeJsonFile(installedPath, state.categories);
+
+  return state;
+}
+
+/**
+ * Replace the user's category overlay (e.g. when importing a setup) and
+ * reinstall categories.json from the shipped list plus that overlay
+ * @param {string} shippedPath - Path to the repo's config/categories.json
+ * @param {string} installedPath - Path to ~/.vibe10x/categories.json
+ * @param {object} overlay - New overlay
+ * @returns {{ shipped: object, overlay: object, categories: object }} State that was written
+ */
+export function writeCategoryOverlay(shippedPath, installedPath, overlay) {
+  const { overlayPath, basePath } = getCategoryOverlayPaths(installedPath);
+  const shipped = JSON.parse(readFileSync(shippedPath, 'utf8'));
+  const categories = applyCategoryOverlay(shipped, overlay);
+
+  writeJsonFile(overlayPath, overlay);
+  writeJsonFile(basePath, shipped);
+  writeJsonFile(installedPath, categories);
+
+  return { shipped, overlay, categories };
+}
+
+/**
+ * Remember the content of some files so a multi-file change can be undone
+ * @param {string[]} paths - Files about to be written
+ * @returns {() => void} Puts every file back as it was, deleting those that did not exist
+ */
+export function snapshotFiles(paths) {
+  const saved = paths.map(path => [path, existsSync(path) ? readFileSync(path, 'utf8') : null]);
+  return () => {
+    for (const [path, content] of saved) {
+      if (content === null) {
+        rmSync(path, { force: true });
+      } else {
+        writeFileAtomic(path, content);
+      }
+    }
+  };
+}
+
+/**
+ * Write an import's presets and category overlay, then save its config.
+ * Presets and categories go first so Hammerspoon reloads with everything in
+ * place; they are put back as they were if the config is not saved.
+ * @param {{ presetsPath: string, shippedPath: string, installedPath: string }} paths -
+ *   presets.json, the repo's config/categories.json and ~/.vibe10x/categories.json
+ * @param {{ presets: object, categories: object }} next - Presets and category overlay to write
+ * @param {() => *} saveConfig - Saves the config; a falsy result or a throw means it was not saved
+ * @returns {Promise<*>} What saveConfig returned
+ */
+export async function applyImport({ presetsPath, shippedPath, installedPath }, next, saveConfig) {
+  const { overlayPath, basePath } = getCategoryOverlayPaths(installedPath);
+  const restore = snapshotFiles([presetsPath, installedPath, overlayPath, basePath]);
+  let saved = null;
+  try {
+    saveUserPresets(presetsPath, next.presets);
+    writeCategoryOverlay(shippedPath, installedPath, next.categories);
+    saved = await saveConfig();
+  } finally {
+    if (!saved) {
+      restore();
+    }
+  }
+  return saved;
+}
+
+/**
+ * Path of the config history, next to config.json
+ * @param {string} configPath - Path to config.json
+ * @returns {string} Path to history.jsonl
+ */
+export function getHistoryPath(configPath) {
+  return join(dirname(configPath), 'history.jsonl');
+}
+
+/**
+ * Read the config history
+ * @param {string} historyPath - Path to history.jsonl
+ * @returns {{ timestamp: string, source: string, config: object }[]} Snapshots, oldest first
+ */
+export function readHistory(historyPath) {
+  if (!existsSync(historyPath)) {
+    return [];
+  }
+  return parseHistory(readFileSync(historyPath, 'utf8'));
+}
+
+/**
+ * Append a config snapshot to the history, dropping the oldest beyond HISTORY_LIMIT
+ * @param {string} historyPath - Path to history.jsonl
+ * @param {object} config - Config as saved
+ * @param {string} source - What made the change (e.g. "web", "cli --preset zen")
+ * @param {Date} [now] - Snapshot time
+ */
+export function recordHistory(historyPath, config, source, now = new Date()) {
+  const line = JSON.stringify({ timestamp: now.toISOString(), source, config }) + '\n';
+  const entries = readHistory(historyPath);
+
+  if (entries.length < HISTORY_LIMIT) {
+    appendFileSync(historyPath, line);
+    return;
+  }
+  const kept = entries.slice(entries.length - HISTORY_LIMIT + 1).map(entry => JSON.stringify(entry) + '\n');
+  writeFileAtomic(historyPath, kept.join('') + line);
+}
+
+/**
+ * Append events to events.jsonl, dropping the oldest once it grows past EVENTS_MAX_BYTES
+ * @param {string} eventsPath - Path to events.jsonl
+ * @param {object[]} events - Events to append
+ */
+export function appendEvents(eventsPath, events) {
+  appendFileSync(eventsPath, events.map(event => JSON.stringify(event) + '\n').join(''));
+  if (statSync(eventsPath).size > EVENTS_MAX_BYTES) {
+    writeFileAtomic(eventsPath, trimEvents(readFileSync(eventsPath, 'utf8')));
+  }
+}
+
+// Write config.json and its history; the caller holds the config lock
+function writeConfigLocked(configPath, config, source, ifMatch) {
+  const historyPath = getHistoryPath(configPath);
+  const content = JSON.stringify(config, null, 2);
+
+  if (ifMatch && ifMatch !== '*' && ifMatch !== getConfigEtag(configPath)) {
+    throw storeError('CONFLICT', 'Config was changed by someone else since it was loaded');
+  }
+
+  if (existsSync(configPath) && readHistory(historyPath).length === 0) {
+    try {
+      recordHistory(historyPath, JSON.parse(readFileSync(configPath, 'utf8')), 'before history');
+    } catch {
+      // An unparseable config cannot be restored anyway
+    }
+  }
+
+  writeFileAtomic(configPath, content);
+  recordHistory(historyPath, config, source);
+  return hashContent(content);
+}
+
+/**
+ * Write config.json atomically under the config lock and record the new config
+ * in the history. The first time, the config being replaced is recorded too,
+ * so the first save can be undone.
+ * @param {string} configPath - Path to config.json
+ * @param {object} config - Config to save
+ * @param {string} source - What made the change (e.g. "web", "cli --preset zen")
+ * @param {{ ifMatch?: string }} [options] - Only save if the stored config still has this ETag
+ * @returns {string} ETag of the saved config
+ * @throws {Error} With code CONFLICT if ifMatch is stale, or LOCKED
+ */
+export function saveConfigFile(configPath, config, source, { ifMatch } = {}) {
+  return withLock(getLockPath(configPath), () => writeConfigLocked(configPath, config, source, ifMatch));
+}
+
+/**
+ * Like saveConfigFile, but waits for the lock without blocking the event loop
+ * @param {string} configPath - Path to config.json
+ * @param {object} config - Config to save
+ * @param {string} source - What made the change
+ * @param {{ ifMatch?: string }} [options] - Only save if the stored config still has this ETag
+ * @returns {Promise<string>} ETag of the saved config
+ * @throws {Error} With code CONFLICT if ifMatch is stale, or LOCKED
+ */
+export async function saveConfigFileAsync(configPath, config, source, { ifMatch } = {}) {
+  return withLockAsync(getLockPath(configPath), () => writeConfigLocked(configPath, config, source, ifMatch));
+}
+
+/**
+ * Path of the backup written before migrating a config of the given version.
+ * Deliberately does not contain "config.json" so the Hammerspoon watcher ignores it.
+ * @param {string} configPath - Path to config.json
+ * @param {number} version - Schema version being migrated from
+ * @returns {string} Backup path
+ */
+export function getBackupPath(configPath, version) {
+  return join(dirname(configPath), `config.v${version}.backup.json`);
+}
+
+/**
+ * Load a stored config, migrating it in place if it uses an older schema.
+ * The original file is backed up before the migrated config is written.
+ * @param {string} configPath - Path to config.json
+ * @param {{ migrateFile?: boolean }} [options] - Whether to write the migrated config
+ *   (default: true); without it the migration's backupPath is null
+ * @returns {{ config: object|null, migration: { fromVersion: number, toVersion: number, backupPath: string|null }|null }}
+ *   The (migrated) stored config, or null if the file does not exist
+ * @throws {Error} If the file exists but is not valid JSON
+ */
+export function loadStoredConfig(configPath, { migrateFile = true } = {}) {
+  if (!existsSync(configPath)) {
+    return { config: null, migration: null };
+  }
+
+  const stored = JSON.parse(readFileSync(configPath, 'utf8'));
+  const { config, fromVersion, toVersion, migrated } = migrateConfig(stored);
+  if (!migrated) {
+    return { config, migration: null };
+  }
+  if (!migrateFile) {
+    return { config, migration: { fromVersion, toVersion, backupPath: null } };
+  }
+
+  const backupPath = getBackupPath(configPath, fromVersion);
+  copyFileSync(configPath, backupPath);
+  saveConfigFile(configPath, config, 'migration');
+
+  return { config, migration: { fromVersion, toVersion, backupPath } };
+}
+
+/**
+ * Migrate config.json in place if it uses an older schema, waiting for the
+ * config lock without blocking the event loop. A config changed meanwhile is left alone.
+ * @param {string} configPath - Path to config.json
+ * @returns {Promise<{ fromVersion: number, toVersion: number, backupPath: string }|null>}
+ *   The migration, or null if none was needed
+ * @throws {Error} If the file is not valid JSON, or with code CONFLICT or LOCKED
+ */
+export async function migrateConfigFileAsync(configPath) {
+  const etag = getConfigEtag(configPath);
+  const { config, migration } = loadStoredConfig(configPath, { migrateFile: false });
+  if (!migration) {
+    return null;
+  }
+
+  const backupPath = getBackupPath(configPath, migration.fromVersion);
+  copyFileSync(configPath, backupPath);
+  await saveConfigFileAsync(configPath, config, 'migration', { ifMatch: etag });
+  return { ...migration, backupPath };
+}
+
+/**
+ * Path of the user's saved presets, next to config.json
+ * @param {string} configPath - Path to config.json
+ * @returns {string} Path to presets.json
+ */
+export function getPresetsPath(configPath) {
+  return join(dirname(configPath), 'presets.json');
+}
+
+/**
+ * Load the user's saved presets
+ * @param {string} presetsPath - Path to presets.json
+ * @returns {object} User presets by name (empty if the file does not exist)
+ * @throws {Error} If the file exists but is not valid JSON, so it is never overwritten by mistake
+ */
+export function loadUserPresets(presetsPath) {
+  if (!existsSync(presetsPath)) {
+    return {};
+  }
+  const presets = JSON.parse(readFileSync(presetsPath, 'utf8'));
+  return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+}
+
+/**
+ * Write the user's saved presets
+ * @param {string} presetsPath - Path to presets.json
+ * @param {object} presets - User presets by name
+ */
+export function saveUserPresets(presetsPath, presets) {
+  mkdirSync(dirname(presetsPath), { recursive: true });
+  writeJsonFile(presetsPath, presets);
+}
+
+// Profile names double as file names, so keep them to a safe character set
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Build an error carrying a machine-readable code (same shape as the category helpers)
+function profileError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.fieldErrors = [{ field: 'name', message }];
+  return err;
+}
+
+// Path of a profile file, after checking the name
+function getProfilePath(profilesDir, name) {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    throw profileError('INVALID', 'Profile name must be 1-64 letters, digits, "-" or "_", starting with a letter or digit');
+  }
+  return join(profilesDir, `${name}.json`);
+}
+
+/**
+ * Directory holding named profiles, next to config.json
+ * @param {string} configPath - Path to config.json
+ * @returns {string} Path to the profiles directory
+ */
+export function getProfilesDir(configPath) {
+  return join(dirname(configPath), 'profiles');
+}
+
+/**
+ * List saved profiles
+ * @param {string} profilesDir - Profiles directory
+ * @returns {string[]} Profile names, sorted
+ */
+export function listProfiles(profilesDir) {
+  if (!existsSync(profilesDir)) {
+    return [];
+  }
+  return readdirSync(profilesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(name => PROFILE_NAME_PATTERN.test(name))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Read a profile, migrating it in memory if it was saved with an older schema.
+ * The result is not validated; callers commit it like any other config.
+ * @param {string} profilesDir - Profiles directory
+ * @param {string} name - Profile name
+ * @returns {object} Profile config
+ * @throws {Error} With code INVALID (bad name or unparseable file) or NOT_FOUND
+ */
+export function loadProfile(profilesDir, name) {
+  const path = getProfilePath(profilesDir, name);
+  if (!existsSync(path)) {
+    throw profileError('NOT_FOUND', `Unknown profile: ${name}`);
+  }
+
+  try {
+    return migrateConfig(JSON.parse(readFileSync(path, 'utf8'))).config;
+  } catch (err) {
+    throw profileError('INVALID', `Profile ${name} could not be read: ${err.message}`);
+  }
+}
+
+/**
+ * Save a config as a named profile, replacing any profile with that name
+ * @param {string} profilesDir - Profiles directory
+ * @param {string} name - Profile name
+ * @param {object} config - Validated config to snapshot
+ * @returns {string} Path of the profile file
+ * @throws {Error} With code INVALID if the name is not allowed
+ */
+export function saveProfile(profilesDir, name, config) {
+  const path = getProfilePath(profilesDir, name);
+  mkdirSync(profilesDir, { recursive: true });
+  writeFileAtomic(path, JSON.stringify(config, null, 2));
+  return path;
+}
+
+/**
+ * Find the profile the current config was switched to or saved as.
+ * There is no separate "active" marker: a profile is active while the config matches it.
+ * @param {string} profilesDir - Profiles directory
+ * @param {object} config - Current config
+ * @returns {string|null} Name of the first matching profile, or null if none match
+ */
+export function findActiveProfile(profilesDir, config) {
+  const current = JSON.stringify(normalizeConfig(config).config);
+  for (const name of listProfiles(profilesDir)) {
+    try {
+      if (JSON.stringify(normalizeConfig(loadProfile(profilesDir, name)).config) === current) {
+        return name;
+      }
+    } catch {
+      // Unreadable profiles never match
+    }
+  }
+  return null;
+}
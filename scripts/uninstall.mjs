@@ -5,9 +5,11 @@
  * Removes Vibe10X configuration and Hammerspoon modules
  */
 
-import { existsSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
-import { homedir } from 'os';
+import { existsSync, unlinkSync } from 'fs';
 import { join } from 'path';
+import { parseArgs } from 'util';
+import { LUA_FILES, editInitLua, removeManagedBlock } from '../lib/hammerspoon.js';
+import { resolvePaths, isDefaultVibe10xDir } from '../lib/paths.js';
 
 // Colors
 const colors = {
@@ -25,11 +27,19 @@ const log = {
   error: (msg) => console.log(`${colors.red}[ERROR]${colors.reset} ${msg}`),
 };
 
-// Paths
-const HOME = homedir();
-const VIBE10X_DIR = join(HOME, '.vibe10x');
-const HAMMERSPOON_DIR = join(HOME, '.hammerspoon');
-const INIT_LUA_PATH = join(HAMMERSPOON_DIR, 'init.lua');
+// Paths: the same flags and environment as setup (see lib/paths.js)
+const { values: argv } = parseArgs({
+  args: process.argv.slice(2),
+  options: {
+    'config-dir': { type: 'string' },
+    'hammerspoon-dir': { type: 'string' },
+  },
+  strict: false,
+});
+const paths = resolvePaths({ configDir: argv['config-dir'], hammerspoonDir: argv['hammerspoon-dir'] });
+const VIBE10X_DIR = paths.vibe10xDir;
+const HAMMERSPOON_DIR = paths.hammerspoonDir;
+const INIT_LUA_PATH = paths.initPath;
 
 async function uninstall() {
   console.log(`\n${colors.cyan}Vibe10X Uninstaller${colors.reset}\n`);
@@ -51,17 +61,18 @@ async function uninstall() {
     return;
   }
 
-  // Remove config directory
-  if (existsSync(VIBE10X_DIR)) {
+  // Remove config directory; one chosen with --config-dir or VIBE10X_HOME is left to the user
+  if (!isDefaultVibe10xDir(VIBE10X_DIR, paths.home)) {
+    log.info(`Kept ${VIBE10X_DIR}; delete it yourself if you no longer need it`);
+  } else if (existsSync(VIBE10X_DIR)) {
     await $`rm -rf ${VIBE10X_DIR}`;
-    log.success('Removed ~/.vibe10x directory');
+    log.success(`Removed ${VIBE10X_DIR}`);
   } else {
     log.info('Config directory not found (already removed?)');
   }
 
   // Remove Lua symlinks
-  const luaFiles = ['vibe10x.lua', 'vibe10x-menu.lua'];
-  for (const file of luaFiles) {
+  for (const file of LUA_FILES) {
     const filePath = join(HAMMERSPOON_DIR, file);
     if (existsSync(filePath)) {
       unlinkSync(filePath);
@@ -69,21 +80,15 @@ async function uninstall() {
     }
   }
 
-  // Clean init.lua
+  // Remove the vibe10x block from init.lua
   if (existsSync(INIT_LUA_PATH)) {
-    let content = readFileSync(INIT_LUA_PATH, 'utf8');
-    const originalContent = content;
-
-    // Remove require lines
-    content = content.replace(/require\("vibe10x"\)\n?/g, '');
-    content = content.replace(/require\("vibe10x-menu"\)\n?/g, '');
-
-    // Remove any empty lines at the start
-    content = content.replace(/^\n+/, '');
-
-    if (content !== originalContent) {
-      writeFileSync(INIT_LUA_PATH, content);
-      log.success('Cleaned init.lua');
+    try {
+      const { changed, backupPath } = editInitLua(INIT_LUA_PATH, removeManagedBlock);
+      if (changed) {
+        log.success(`Cleaned init.lua (backup: ${backupPath})`);
+      }
+    } catch (err) {
+      log.warn(err.message);
     }
   }
 
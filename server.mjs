@@ -3,66 +3,102 @@
 /**
  * Vibe10X Configuration Server
  * Local web server for the settings UI
+ *
+ * Usage: server.mjs [--port N] [--host ADDR] [--no-open] [--config-dir DIR]
+ * (or VIBE10X_PORT, VIBE10X_HOST, VIBE10X_NO_OPEN=1, VIBE10X_HOME; see lib/serve.js and lib/paths.js)
  */
 
 import { createServer } from 'http';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { homedir } from 'os';
+import { readFileSync, existsSync, mkdirSync, realpathSync, watch } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import { parseArgs } from 'util';
+import {
+  DEFAULT_CONFIG,
+  normalizeConfig,
+  mergeConfig,
+  resetConfig,
+  getEnabledApps,
+  migrateConfig,
+  addCustomCategory,
+  updateCustomCategory,
+  removeCustomCategory,
+  dropRemovedCategoryStates,
+  getAllPresets,
+  applyPreset,
+} from './lib/config.js';
+import {
+  validateEvent,
+  normalizeEvent,
+  parseEvents,
+  parseRangeBound,
+  aggregateEvents,
+} from './lib/stats.js';
+import {
+  loadStoredConfig,
+  migrateConfigFileAsync,
+  saveConfigFileAsync,
+  getConfigEtag,
+  readHistory,
+  syncCategories,
+  listProfiles,
+  loadProfile,
+  saveProfile,
+  findActiveProfile,
+  loadUserPresets,
+  readCategoryState,
+  applyImport,
+  appendEvents,
+} from './lib/store.js';
+import { createExport, planImport } from './lib/bundle.js';
+import {
+  TOKEN_HEADER,
+  createToken,
+  checkRequest,
+  resolveStaticPath,
+  readBody,
+} from './lib/security.js';
+import {
+  resolveServeOptions,
+  getExtraHostNames,
+  getServerUrl,
+  getBrowserCommand,
+  listenWithFallback,
+  writeServerState,
+  removeServerState,
+  findRunningServer,
+} from './lib/serve.js';
+import { resolveVibe10xDir, getVibe10xPaths } from './lib/paths.js';
+import { applyMergePatch } from './lib/diff.js';
+import { createOpenApiDocument } from './lib/openapi.js';
+import { summarizeHistory, getHistoryEntry } from './lib/history.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-// Paths
-const HOME = homedir();
-const VIBE10X_DIR = join(HOME, '.vibe10x');
-const CONFIG_PATH = join(VIBE10X_DIR, 'config.json');
-const CATEGORIES_PATH = join(VIBE10X_DIR, 'categories.json');
+// Shipped files
 const SOURCE_CATEGORIES_PATH = join(__dirname, 'config', 'categories.json');
 const DEFAULT_CONFIG_PATH = join(__dirname, 'config', 'default.json');
 const WEB_DIR = join(__dirname, 'web');
+const LIB_DIR = join(__dirname, 'lib');
 
-const PORT = 3847;
+// lib/ modules without Node.js imports, served to the settings page under /lib/
+const BROWSER_MODULES = ['schedule.js', 'diff.js', 'messages.js', 'client.js'];
 
-// Ensure config directory exists
-if (!existsSync(VIBE10X_DIR)) {
-  mkdirSync(VIBE10X_DIR, { recursive: true });
-}
-
-// Install categories.json if missing
-if (!existsSync(CATEGORIES_PATH)) {
-  const categoriesContent = readFileSync(SOURCE_CATEGORIES_PATH, 'utf8');
-  writeFileSync(CATEGORIES_PATH, categoriesContent);
-  console.log('Installed categories.json');
-}
+// HTTP status for each error code thrown by the category, preset, profile and history helpers in lib/
+const ERROR_STATUS = {
+  INVALID: 422,
+  EXISTS: 409,
+  NOT_FOUND: 404,
+  BUILT_IN: 403,
+  CONFLICT: 409,
+  LOCKED: 423,
+  TOO_LARGE: 413,
+};
 
-// Load config (with defaults)
-function loadConfig() {
-  const defaults = JSON.parse(readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
-
-  if (existsSync(CONFIG_PATH)) {
-    try {
-      const existing = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
-      return { ...defaults, ...existing };
-    } catch {
-      return defaults;
-    }
-  }
-  return defaults;
-}
-
-// Save config
-function saveConfig(config) {
-  writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
-}
-
-// Load categories
-function loadCategories() {
-  if (existsSync(CATEGORIES_PATH)) {
-    return JSON.parse(readFileSync(CATEGORIES_PATH, 'utf8'));
-  }
-  return JSON.parse(readFileSync(SOURCE_CATEGORIES_PATH, 'utf8'));
+// Send a Server-Sent Event to one client
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 // Reload Hammerspoon
@@ -92,89 +128,824 @@ function getContentType(path) {
   return 'text/plain';
 }
 
-// Request handler
-async function handler(req, res) {
-  const url = new URL(req.url, `http://localhost:${PORT}`);
-  const path = url.pathname;
+// Send a JSON response
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Read and parse a JSON request body (see MAX_BODY_BYTES in lib/security.js)
+async function readJsonBody(req) {
+  return JSON.parse(await readBody(req));
+}
 
-  // CORS headers for local dev
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// Decode a route parameter such as a preset name. Returns null after answering
+// with a 400 when it has a malformed escape (e.g. %E0%A4%A).
+function decodePathParam(res, value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    sendJson(res, 400, { error: `Malformed path parameter: ${value}` });
+    return null;
+  }
+}
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
+// Answer a request whose body could not be read: too large, or not JSON
+function sendBodyError(res, err) {
+  if (err.code === 'TOO_LARGE') {
+    res.setHeader('Connection', 'close');
+    sendJson(res, ERROR_STATUS.TOO_LARGE, { error: err.message });
     return;
   }
+  sendJson(res, 400, { error: `Invalid JSON: ${err.message}` });
+}
+
+/**
+ * Create the settings server's request handler. Nothing is read or written until
+ * requests come in, so tests can run it in-process against a temp dir.
+ * @param {object} [options] - App options
+ * @param {string} [options.dir] - Vibe10X dir holding config.json and friends (default: $VIBE10X_HOME, else ~/.vibe10x)
+ * @param {string} [options.token] - Token API calls must send (default: a new random one)
+ * @param {string[]} [options.hosts] - Host names allowed besides the loopback ones (see lib/serve.js)
+ * @param {Function} [options.reload] - Called after each saved config change (default: reload Hammerspoon)
+ * @returns {{ handler: Function, token: string, watch: Function, close: Function }} The handler, its token,
+ *   watch() to push outside config changes to open pages, and close() to stop watching and end the streams
+ */
+export function createApp({
+  dir = resolveVibe10xDir(),
+  token = createToken(),
+  hosts = [],
+  reload = reloadHammerspoon,
+} = {}) {
+  const {
+    configPath: CONFIG_PATH,
+    categoriesPath: CATEGORIES_PATH,
+    eventsPath: EVENTS_PATH,
+    profilesDir: PROFILES_DIR,
+    presetsPath: PRESETS_PATH,
+    historyPath: HISTORY_PATH,
+  } = getVibe10xPaths(dir);
+
+  // Load config (with defaults), migrating old schemas
+  function loadConfig() {
+    const defaults = JSON.parse(readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
 
-  // API routes
-  if (path === '/api/config') {
-    if (req.method === 'GET') {
+    try {
+      const { config, migration } = loadStoredConfig(CONFIG_PATH, { migrateFile: false });
+      if (migration) {
+        migrateConfigFile();
+      }
+      return config ? mergeConfig(defaults, config) : defaults;
+    } catch {
+      return defaults;
+    }
+  }
+
+  // Write an old config back in the current schema, in the background so the
+  // config lock is never waited for on the event loop
+  let migrating = null;
+  function migrateConfigFile() {
+    if (migrating) {
+      return;
+    }
+    migrating = migrateConfigFileAsync(CONFIG_PATH)
+      .then((migration) => {
+        if (migration) {
+          console.log(`Migrated config from v${migration.fromVersion} to v${migration.toVersion} (backup: ${migration.backupPath})`);
+        }
+      })
+      .catch(err => console.error(`Config migration failed: ${err.message}`))
+      .finally(() => { migrating = null; });
+  }
+
+  // Save config, recording what changed it in the history. Resolves to the new ETag.
+  function saveConfig(config, source, options) {
+    return saveConfigFileAsync(CONFIG_PATH, config, source, options);
+  }
+
+  // Load categories
+  function loadCategories() {
+    if (existsSync(CATEGORIES_PATH)) {
+      return JSON.parse(readFileSync(CATEGORIES_PATH, 'utf8'));
+    }
+    return JSON.parse(readFileSync(SOURCE_CATEGORIES_PATH, 'utf8'));
+  }
+
+  // Built-in categories plus the user's custom ones (flagged with `custom: true`)
+  function listCategories(config = loadConfig()) {
+    const categories = loadCategories();
+    for (const [id, category] of Object.entries(config.customCategories || {})) {
+      if (!categories[id]) {
+        categories[id] = { ...category, custom: true };
+      }
+    }
+    return categories;
+  }
+
+  // Built-in presets plus the user's saved ones (flagged with `custom: true`)
+  function listPresets() {
+    const userPresets = loadUserPresets(PRESETS_PATH);
+    const presets = getAllPresets(userPresets);
+    for (const name of Object.keys(presets)) {
+      if (userPresets[name] === presets[name]) {
+        presets[name] = { ...presets[name], custom: true };
+      }
+    }
+    return presets;
+  }
+
+  // Everything an export contains: config, category overlay and user presets
+  function loadSetup() {
+    return {
+      config: loadConfig(),
+      categories: readCategoryState(SOURCE_CATEGORIES_PATH, CATEGORIES_PATH).overlay,
+      presets: loadUserPresets(PRESETS_PATH),
+    };
+  }
+
+  // Read all logged events
+  function loadEvents() {
+    if (!existsSync(EVENTS_PATH)) {
+      return [];
+    }
+    return parseEvents(readFileSync(EVENTS_PATH, 'utf8'));
+  }
+
+  // Live updates: settings pages subscribed to /api/stream
+  const streamClients = new Set();
+  let lastStreamedConfig = null;
+
+  // Current config and categories, as pushed to settings pages
+  function getStreamState() {
+    // ETag first, like GET /api/config
+    const etag = getConfigEtag(CONFIG_PATH);
+    return { config: loadConfig(), categories: listCategories(), etag };
+  }
+
+  // Push the config to every settings page if it changed since the last push
+  function broadcastConfig() {
+    // config.json may be caught mid-write by a hand edit or an older writer;
+    // skip until the file parses, the write's own watch event will follow
+    try {
+      if (existsSync(CONFIG_PATH)) {
+        JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
+      }
+    } catch {
+      return;
+    }
+
+    let state;
+    try {
+      state = getStreamState();
+    } catch (err) {
+      console.error(`Could not read the config to push: ${err.message}`);
+      return;
+    }
+    const serialized = JSON.stringify(state);
+    if (serialized === lastStreamedConfig) {
+      return;
+    }
+    lastStreamedConfig = serialized;
+    for (const client of streamClients) {
+      sendEvent(client, 'config', state);
+    }
+  }
+
+  // Watch the Vibe10X dir for changes made by the CLI, the Hammerspoon menu or hand edits
+  function watchConfigDir() {
+    let timer = null;
+    const dirWatcher = watch(dir, (eventType, filename) => {
+      if (filename && !['config.json', 'categories.json'].includes(filename)) {
+        return;
+      }
+      // Editors and the CLI often write in several steps; wait for them to settle
+      clearTimeout(timer);
+      timer = setTimeout(broadcastConfig, 100);
+    });
+    dirWatcher.on('error', (err) => console.error(`Config watcher stopped: ${err.message}`));
+    return dirWatcher;
+  }
+
+  // Validate and persist a complete config, then reload Hammerspoon.
+  // The new ETag is set on the response. Resolves to the saved config, or null after
+  // answering with a 422 (invalid), 409 (If-Match no longer current) or 423 (locked).
+  async function commitConfig(res, candidate, source = 'web', { ifMatch } = {}) {
+    const { config, valid, fieldErrors } = normalizeConfig(candidate);
+    if (!valid) {
+      sendJson(res, 422, { error: 'Invalid config', errors: fieldErrors });
+      return null;
+    }
+
+    let etag;
+    try {
+      etag = await saveConfig(config, source, { ifMatch });
+    } catch (err) {
+      if (err.code !== 'CONFLICT' && err.code !== 'LOCKED') throw err;
+      if (err.code === 'CONFLICT') {
+        res.setHeader('ETag', getConfigEtag(CONFIG_PATH));
+      }
+      sendJson(res, ERROR_STATUS[err.code], { error: err.message, config: loadConfig() });
+      return null;
+    }
+    res.setHeader('ETag', etag);
+    reload();
+    return config;
+  }
+
+  // Request handler
+  async function handler(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+
+    // Refuse other hosts (DNS rebinding), other origins and API calls without the token
+    const rejection = checkRequest({ path, headers: req.headers, query: url.searchParams }, { token, port: req.socket.localPort, hosts });
+    if (rejection) {
+      sendJson(res, rejection.status, { error: rejection.error });
+      return;
+    }
+
+    // Same-origin only: CORS headers just for the settings page's own origin
+    if (req.headers.origin) {
+      res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', `Content-Type, If-Match, ${TOKEN_HEADER}`);
+      res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    // API routes
+    // Lets a second `vibe10x --configure` check that this server is the one in server.json
+    if (path === '/api/health' && req.method === 'GET') {
+      sendJson(res, 200, { ok: true, pid: process.pid });
+      return;
+    }
+
+    // Description of every route below (see lib/openapi.js)
+    if (path === '/api/openapi.json' && req.method === 'GET') {
+      sendJson(res, 200, createOpenApiDocument());
+      return;
+    }
+
+    if (path === '/api/config') {
+      if (req.method === 'GET') {
+        // Hash the file before loading, so a concurrent write makes the ETag stale rather than wrong
+        res.setHeader('ETag', getConfigEtag(CONFIG_PATH));
+        sendJson(res, 200, loadConfig());
+        return;
+      }
+
+      if (req.method === 'POST') {
+        // Optimistic concurrency: the page must say which version it edited
+        const ifMatch = req.headers['if-match'];
+        if (!ifMatch) {
+          sendJson(res, 428, { error: 'If-Match header required; send the ETag from GET /api/config' });
+          return;
+        }
+
+        let payload;
+        try {
+          payload = await readJsonBody(req);
+        } catch (err) {
+          sendBodyError(res, err);
+          return;
+        }
+
+        // Fill in missing fields from defaults, then refuse anything invalid or stale
+        try {
+          const config = await commitConfig(res, payload, 'web', { ifMatch });
+          if (config) {
+            sendJson(res, 200, { success: true, config });
+          }
+        } catch (err) {
+          sendJson(res, 500, { error: err.message });
+        }
+        return;
+      }
+
+      // JSON Merge Patch (RFC 7386): send only the fields to change, null puts one back to its default
+      if (req.method === 'PATCH') {
+        let patch;
+        try {
+          patch = await readJsonBody(req);
+        } catch (err) {
+          sendBodyError(res, err);
+          return;
+        }
+        if (typeof patch !== 'object' || patch === null || Array.isArray(patch)) {
+          sendJson(res, 422, { error: 'Merge patch must be a JSON object' });
+          return;
+        }
+
+        // If-Match is optional here, a patch only touches the fields it names
+        try {
+          const current = loadConfig();
+          const candidate = dropRemovedCategoryStates(current, applyMergePatch(current, patch));
+          const config = await commitConfig(res, candidate, 'web: patch', {
+            ifMatch: req.headers['if-match'],
+          });
+          if (config) {
+            sendJson(res, 200, { success: true, config });
+          }
+        } catch (err) {
+          sendJson(res, 500, { error: err.message });
+        }
+        return;
+      }
+    }
+
+    // Back to the defaults: everything, or one top-level section with ?section=
+    if (path === '/api/config/reset' && req.method === 'POST') {
+      const section = url.searchParams.get('section');
+
+      let candidate;
+      try {
+        candidate = resetConfig(loadConfig(), section);
+      } catch (err) {
+        const status = ERROR_STATUS[err.code] || 500;
+        sendJson(res, status, { error: err.message, errors: err.fieldErrors || [] });
+        return;
+      }
+
+      try {
+        const config = await commitConfig(res, candidate, section ? `web: reset ${section}` : 'web: reset', {
+          ifMatch: req.headers['if-match'],
+        });
+        if (config) {
+          sendJson(res, 200, { success: true, config });
+        }
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    // The apps Hammerspoon actually watches, after categories and custom apps are combined
+    if (path === '/api/config/effective' && req.method === 'GET') {
       const config = loadConfig();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(config));
+      try {
+        // Resolve against the installed categories, which include the user's changes
+        sendJson(res, 200, { enabled: config.enabled, apps: getEnabledApps(config, listCategories(config)) });
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    if (path === '/api/defaults' && req.method === 'GET') {
+      sendJson(res, 200, DEFAULT_CONFIG);
+      return;
+    }
+
+    if (path === '/api/stream' && req.method === 'GET') {
+      let state;
+      try {
+        state = getStreamState();
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      // Start with the current state, so reconnecting pages catch up on missed changes
+      sendEvent(res, 'config', state);
+      streamClients.add(res);
+      req.on('close', () => streamClients.delete(res));
+      return;
+    }
+
+    if (path === '/api/config/history' && req.method === 'GET') {
+      sendJson(res, 200, summarizeHistory(readHistory(HISTORY_PATH)));
       return;
     }
 
-    if (req.method === 'POST') {
-      let body = '';
-      for await (const chunk of req) {
-        body += chunk;
+    // Restore a snapshot; the restore is itself recorded, so it can be undone too
+    const restoreMatch = path.match(/^\/api\/config\/history\/([^/]+)\/restore$/);
+    if (restoreMatch && req.method === 'POST') {
+      const number = decodePathParam(res, restoreMatch[1]);
+      if (number === null) {
+        return;
+      }
+
+      let entry;
+      try {
+        entry = getHistoryEntry(readHistory(HISTORY_PATH), number);
+      } catch (err) {
+        const status = ERROR_STATUS[err.code] || 500;
+        sendJson(res, status, { error: err.message });
+        return;
       }
 
       try {
-        const config = JSON.parse(body);
-        saveConfig(config);
-        reloadHammerspoon();
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
+        const config = await commitConfig(res, migrateConfig(entry.config).config, `web: rollback to #${number}`);
+        if (config) {
+          sendJson(res, 200, { success: true, config });
+        }
       } catch (err) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: err.message }));
+        sendJson(res, 500, { error: err.message });
       }
       return;
     }
-  }
 
-  if (path === '/api/categories' && req.method === 'GET') {
-    const categories = loadCategories();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(categories));
-    return;
+    if (path === '/api/categories' && req.method === 'GET') {
+      try {
+        sendJson(res, 200, listCategories());
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    if (path === '/api/events' && req.method === 'POST') {
+      let payload;
+      try {
+        payload = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+
+      // Accept a single event or a batch
+      const events = Array.isArray(payload) ? payload : [payload];
+      const errors = [];
+      events.forEach((event, i) => {
+        for (const { field, message } of validateEvent(event).fieldErrors) {
+          errors.push({ field: Array.isArray(payload) ? `${i}.${field}` : field, message });
+        }
+      });
+      if (errors.length > 0) {
+        sendJson(res, 422, { error: 'Invalid event', errors });
+        return;
+      }
+
+      const now = new Date();
+      try {
+        appendEvents(EVENTS_PATH, events.map(event => normalizeEvent(event, now)));
+        sendJson(res, 201, { success: true, recorded: events.length });
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    if (path === '/api/stats' && req.method === 'GET') {
+      let from;
+      let to;
+      let events;
+      let categories;
+      try {
+        from = parseRangeBound(url.searchParams.get('from'));
+        to = parseRangeBound(url.searchParams.get('to'), { endOfDay: true });
+      } catch (err) {
+        sendJson(res, 400, { error: err.message });
+        return;
+      }
+      try {
+        events = loadEvents();
+        categories = listCategories();
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+        return;
+      }
+
+      try {
+        const groupBy = url.searchParams.get('groupBy') || 'day';
+        const stats = aggregateEvents(events, { from, to, groupBy, categories });
+        sendJson(res, 200, {
+          from: from?.toISOString() ?? null,
+          to: to?.toISOString() ?? null,
+          groupBy,
+          ...stats,
+        });
+      } catch (err) {
+        sendJson(res, 400, { error: err.message });
+      }
+      return;
+    }
+
+    if (path === '/api/presets' && req.method === 'GET') {
+      try {
+        sendJson(res, 200, listPresets());
+      } catch (err) {
+        sendJson(res, 500, { error: `Could not read presets: ${err.message}` });
+      }
+      return;
+    }
+
+    const presetMatch = path.match(/^\/api\/presets\/([^/]+)\/apply$/);
+    if (presetMatch && req.method === 'POST') {
+      const name = decodePathParam(res, presetMatch[1]);
+      if (name === null) {
+        return;
+      }
+
+      let candidate;
+      try {
+        candidate = applyPreset(loadConfig(), name, loadUserPresets(PRESETS_PATH));
+      } catch (err) {
+        const status = ERROR_STATUS[err.code] || 500;
+        sendJson(res, status, { error: err.message, errors: err.fieldErrors || [] });
+        return;
+      }
+
+      try {
+        const config = await commitConfig(res, candidate, `web: preset ${name}`);
+        if (config) {
+          sendJson(res, 200, { success: true, preset: name, config });
+        }
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    if (path === '/api/export' && req.method === 'GET') {
+      try {
+        sendJson(res, 200, createExport(loadSetup()));
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    if (path === '/api/import' && req.method === 'POST') {
+      let payload;
+      try {
+        payload = await readJsonBody(req);
+      } catch (err) {
+        sendBodyError(res, err);
+        return;
+      }
+
+      try {
+        const { next, changes, valid, fieldErrors } = planImport(loadSetup(), payload, readCategoryState(SOURCE_CATEGORIES_PATH, CATEGORIES_PATH).shipped);
+        if (!valid) {
+          sendJson(res, 422, { error: 'Invalid import', errors: fieldErrors });
+          return;
+        }
+        if (url.searchParams.get('dryRun') === '1') {
+          sendJson(res, 200, { dryRun: true, changes });
+          return;
+        }
+
+        const paths = { presetsPath: PRESETS_PATH, shippedPath: SOURCE_CATEGORIES_PATH, installedPath: CATEGORIES_PATH };
+        const config = await applyImport(paths, next, () => commitConfig(res, next.config, 'web: import'));
+        if (config) {
+          sendJson(res, 200, { success: true, changes, config });
+        }
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    if (path === '/api/profiles') {
+      if (req.method === 'GET') {
+        try {
+          sendJson(res, 200, {
+            profiles: listProfiles(PROFILES_DIR),
+            active: findActiveProfile(PROFILES_DIR, loadConfig()),
+          });
+        } catch (err) {
+          sendJson(res, 500, { error: err.message });
+        }
+        return;
+      }
+
+      if (req.method === 'POST') {
+        let payload;
+        try {
+          payload = await readJsonBody(req);
+        } catch (err) {
+          sendBodyError(res, err);
+          return;
+        }
+
+        // Snapshot the given config (e.g. unsaved edits in the UI), or the stored one
+        const { config, valid, fieldErrors } = normalizeConfig(payload?.config ?? loadConfig());
+        if (!valid) {
+          sendJson(res, 422, { error: 'Invalid config', errors: fieldErrors });
+          return;
+        }
+
+        try {
+          saveProfile(PROFILES_DIR, payload?.name, config);
+          sendJson(res, 201, { success: true, profile: payload.name, profiles: listProfiles(PROFILES_DIR) });
+        } catch (err) {
+          const status = ERROR_STATUS[err.code] || 500;
+          sendJson(res, status, { error: err.message, errors: err.fieldErrors || [] });
+        }
+        return;
+      }
+    }
+
+    // Switch to a profile: it becomes config.json, validated and reloaded like any save
+    const profileMatch = path.match(/^\/api\/profiles\/([^/]+)\/activate$/);
+    if (profileMatch && req.method === 'POST') {
+      const name = decodePathParam(res, profileMatch[1]);
+      if (name === null) {
+        return;
+      }
+
+      let candidate;
+      try {
+        candidate = loadProfile(PROFILES_DIR, name);
+      } catch (err) {
+        const status = ERROR_STATUS[err.code] || 500;
+        sendJson(res, status, { error: err.message, errors: err.fieldErrors || [] });
+        return;
+      }
+
+      try {
+        const config = await commitConfig(res, candidate, `web: profile ${name}`);
+        if (config) {
+          sendJson(res, 200, { success: true, profile: name, config });
+        }
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    const categoryMatch = path.match(/^\/api\/categories\/([^/]+)$/);
+    if (categoryMatch && ['POST', 'PUT', 'DELETE'].includes(req.method)) {
+      const categoryId = decodePathParam(res, categoryMatch[1]);
+      if (categoryId === null) {
+        return;
+      }
+
+      let payload = null;
+      if (req.method !== 'DELETE') {
+        try {
+          payload = await readJsonBody(req);
+        } catch (err) {
+          sendBodyError(res, err);
+          return;
+        }
+      }
+
+      let candidate;
+      try {
+        const current = loadConfig();
+        if (req.method === 'POST') {
+          candidate = addCustomCategory(current, categoryId, payload);
+        } else if (req.method === 'PUT') {
+          candidate = updateCustomCategory(current, categoryId, payload);
+        } else {
+          candidate = removeCustomCategory(current, categoryId);
+        }
+      } catch (err) {
+        const status = ERROR_STATUS[err.code] || 500;
+        sendJson(res, status, { error: err.message, errors: err.fieldErrors || [] });
+        return;
+      }
+
+      try {
+        const config = await commitConfig(res, candidate, `web: category ${categoryId}`);
+        if (config) {
+          sendJson(res, req.method === 'POST' ? 201 : 200, { success: true, config });
+        }
+      } catch (err) {
+        sendJson(res, 500, { error: err.message });
+      }
+      return;
+    }
+
+    // Static files
+    let filePath = path === '/' ? '/index.html' : path;
+    const libModule = filePath.match(/^\/lib\/([^/]+)$/)?.[1];
+    const fullPath = BROWSER_MODULES.includes(libModule) ? join(LIB_DIR, libModule) : resolveStaticPath(WEB_DIR, filePath);
+
+    try {
+      if (!fullPath) {
+        throw new Error(`${filePath} is outside ${WEB_DIR}`);
+      }
+      const content = readFileSync(fullPath);
+      res.writeHead(200, { 'Content-Type': getContentType(filePath) });
+      res.end(content);
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    }
   }
 
-  // Static files
-  let filePath = path === '/' ? '/index.html' : path;
-  const fullPath = join(WEB_DIR, filePath);
+  let watcher = null;
+  let pingTimer = null;
+
+  return {
+    handler,
+    token,
+
+    // Start following changes to the config dir
+    watch() {
+      watcher = watchConfigDir();
+      // Keep idle event streams from being closed by the browser
+      pingTimer = setInterval(() => {
+        for (const client of streamClients) {
+          client.write(': ping\n\n');
+        }
+      }, 30 * 1000);
+      pingTimer.unref();
+    },
+
+    // Stop watching and end open event streams
+    close() {
+      watcher?.close();
+      clearInterval(pingTimer);
+      for (const client of streamClients) {
+        client.end();
+      }
+      streamClients.clear();
+    },
+  };
+}
 
+// Open a URL in the default browser; without one, the printed link is enough
+function openBrowser(url) {
+  const { command, args } = getBrowserCommand(url);
+  spawn(command, args, { stdio: 'ignore' }).on('error', () => {});
+}
+
+// Start the server for `vibe10x --configure`, or point the browser at the one already running
+async function main() {
+  const { values: flags } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      port: { type: 'string' },
+      host: { type: 'string' },
+      'no-open': { type: 'boolean' },
+      'config-dir': { type: 'string' },
+    },
+    strict: false,
+  });
+
+  let options;
   try {
-    const content = readFileSync(fullPath);
-    res.writeHead(200, { 'Content-Type': getContentType(filePath) });
-    res.end(content);
-  } catch {
-    res.writeHead(404, { 'Content-Type': 'text/plain' });
-    res.end('Not Found');
+    options = resolveServeOptions({ port: flags.port, host: flags.host, noOpen: flags['no-open'] });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const vibe10xDir = resolveVibe10xDir({ configDir: flags['config-dir'] });
+  const { categoriesPath, serverStatePath: statePath } = getVibe10xPaths(vibe10xDir);
+
+  // Ensure config directory exists
+  if (!existsSync(vibe10xDir)) {
+    mkdirSync(vibe10xDir, { recursive: true });
   }
-}
 
-// Create and start server
-const server = createServer(handler);
+  // Install categories.json: shipped list plus the user's overlay (same as setup)
+  syncCategories(SOURCE_CATEGORIES_PATH, categoriesPath);
 
-server.listen(PORT, '127.0.0.1', () => {
-  const url = `http://localhost:${PORT}`;
+  const running = await findRunningServer(statePath);
+  if (running) {
+    const url = `${running.url}?token=${running.token}`;
+    console.log(`\n  Vibe10X Settings is already running: ${url}\n`);
+    if (options.open) openBrowser(url);
+    return;
+  }
+
+  const app = createApp({ dir: vibe10xDir, hosts: getExtraHostNames(options.host) });
+  const server = createServer(app.handler);
+  const port = await listenWithFallback(server, options);
+  if (port !== options.port) {
+    console.log(`Port ${options.port} is in use, using ${port}`);
+  }
+  app.watch();
+
+  const baseUrl = getServerUrl(options.host, port);
+  writeServerState(statePath, { pid: process.pid, host: options.host, port, url: baseUrl, token: app.token });
+
+  const url = `${baseUrl}?token=${app.token}`;
   console.log(`\n  Vibe10X Settings: ${url}\n`);
+  // The page takes the token from the URL
+  if (options.open) openBrowser(url);
 
-  // Open browser
-  spawn('open', [url], { stdio: 'ignore' });
-});
+  // Handle shutdown
+  const shutdown = () => {
+    console.log('\nShutting down...');
+    removeServerState(statePath, process.pid);
+    app.close();
+    server.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 
-// Handle shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down...');
-  server.close();
-  process.exit(0);
-});
+  // Keep server running
+  process.stdin.resume();
+}
 
-// Keep server running
-process.stdin.resume();
+// Run only when started directly, not when imported by tests
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
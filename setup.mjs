@@ -5,8 +5,7 @@
  * Interactive installer for Vibe10X Hammerspoon module
  */
 
-import { existsSync, readFileSync, writeFileSync, mkdirSync, symlinkSync, unlinkSync } from 'fs';
-import { homedir } from 'os';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, symlinkSync, unlinkSync, createReadStream, watch } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { parseArgs } from 'util';
@@ -15,17 +14,61 @@ import {
   PRESETS,
   CATEGORIES,
   applyPreset,
+  getAllPresets,
+  migrateConfig,
+  presetFromConfig,
+  saveUserPreset,
   clampThreshold,
   clampResetPeriod,
   clampAlertDuration,
   parseApps,
   getEnabledApps,
+  getAllCategories,
+  addCustomCategory,
+  removeCustomCategory,
+  mergeConfig,
+  validateConfig,
+  normalizeConfig,
+  isActiveAt,
+  parseScheduleRules,
 } from './lib/config.js';
+import {
+  loadStoredConfig,
+  saveConfigFile,
+  readHistory,
+  syncCategories,
+  readCategoryState,
+  listProfiles,
+  loadProfile,
+  saveProfile,
+  findActiveProfile,
+  loadUserPresets,
+  saveUserPresets,
+  applyImport,
+  appendEvents,
+} from './lib/store.js';
+import { createExport, planImport } from './lib/bundle.js';
+import { HISTORY_LIMIT, summarizeHistory, getHistoryEntry } from './lib/history.js';
+import { describeCategoryOverlay } from './lib/categories.js';
+import { createDaemon, createNotifier, createCommandWindowSource, checkDaemonOptions, readInput } from './lib/daemon.js';
+import { INPUT_FORMATS } from './lib/input.js';
+import { parseTrace, simulateTrace } from './lib/simulate.js';
+import {
+  LUA_FILES,
+  getHammerspoonAppPaths,
+  findHsCli,
+  isHammerspoonRunning,
+  installManagedBlock,
+  removeManagedBlock,
+  editInitLua,
+} from './lib/hammerspoon.js';
+import { runChecks, fixProblems, summarizeChecks } from './lib/doctor.js';
+import { resolvePaths, isDefaultVibe10xDir } from './lib/paths.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Parse command line arguments
-const { values: argv } = parseArgs({
+const { values: argv, positionals } = parseArgs({
   args: process.argv.slice(2),
   options: {
     reconfigure: { type: 'boolean', short: 'r' },
@@ -33,10 +76,43 @@ const { values: argv } = parseArgs({
     threshold: { type: 'string', short: 't' },
     apps: { type: 'string', short: 'a' },
     preset: { type: 'string', short: 'p' },
+    'save-preset': { type: 'string' },
     enable: { type: 'boolean' },
     disable: { type: 'boolean' },
     'enable-category': { type: 'string' },
     'disable-category': { type: 'string' },
+    'add-category': { type: 'string' },
+    'remove-category': { type: 'string' },
+    'categories-diff': { type: 'boolean' },
+    category: { type: 'string' },
+    'active-hours': { type: 'string' },
+    'quiet-hours': { type: 'string' },
+    timezone: { type: 'string' },
+    'clear-schedule': { type: 'boolean' },
+    profile: { type: 'string' },
+    'save-profile': { type: 'string' },
+    'list-profiles': { type: 'boolean' },
+    export: { type: 'string' },
+    import: { type: 'string' },
+    history: { type: 'boolean' },
+    rollback: { type: 'string' },
+    input: { type: 'string' },
+    'input-format': { type: 'string' },
+    notify: { type: 'string', multiple: true },
+    'window-command': { type: 'string' },
+    app: { type: 'string' },
+    'no-log': { type: 'boolean' },
+    config: { type: 'string' },
+    compare: { type: 'string' },
+    json: { type: 'boolean' },
+    'hammerspoon-dir': { type: 'string' },
+    'config-dir': { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    'no-open': { type: 'boolean' },
+    fix: { type: 'boolean' },
+    name: { type: 'string' },
+    description: { type: 'string' },
     uninstall: { type: 'boolean', short: 'u' },
     verbose: { type: 'boolean', short: 'v' },
     help: { type: 'boolean', short: 'h' },
@@ -87,27 +163,66 @@ const log = {
   error: (msg) => console.log(`${colors.red}[ERROR]${colors.reset} ${msg}`),
 };
 
-// Paths
-const HOME = homedir();
-const VIBE10X_DIR = join(HOME, '.vibe10x');
-const CONFIG_PATH = join(VIBE10X_DIR, 'config.json');
-const CATEGORIES_PATH = join(VIBE10X_DIR, 'categories.json');
+// Paths (see lib/paths.js): --config-dir or VIBE10X_HOME, else ~/.vibe10x;
+// --hammerspoon-dir or VIBE10X_HAMMERSPOON_DIR, else where Hammerspoon's MJConfigFile points, else ~/.hammerspoon
+const paths = resolvePaths({ configDir: argv['config-dir'], hammerspoonDir: argv['hammerspoon-dir'] });
+const HOME = paths.home;
+const VIBE10X_DIR = paths.vibe10xDir;
+const CONFIG_PATH = paths.configPath;
+const CATEGORIES_PATH = paths.categoriesPath;
+const EVENTS_PATH = paths.eventsPath;
+const PROFILES_DIR = paths.profilesDir;
+const PRESETS_PATH = paths.presetsPath;
+const HISTORY_PATH = paths.historyPath;
+const HAMMERSPOON_DIR = paths.hammerspoonDir;
+const INIT_LUA_PATH = paths.initPath;
+// init.lua tells the Hammerspoon modules where the Vibe10X dir is, unless it is ~/.vibe10x
+const IS_DEFAULT_DIR = isDefaultVibe10xDir(VIBE10X_DIR, HOME);
+const BLOCK_OPTIONS = { vibe10xDir: IS_DEFAULT_DIR ? null : VIBE10X_DIR };
 const SOURCE_CATEGORIES_PATH = join(__dirname, 'config', 'categories.json');
-const HAMMERSPOON_DIR = join(HOME, '.hammerspoon');
-const INIT_LUA_PATH = join(HAMMERSPOON_DIR, 'init.lua');
 const SOURCE_LUA_DIR = join(__dirname, 'hammerspoon');
 
 // Parse CLI arguments
 const args = {
+  command: positionals[0],
   reconfigure: argv.reconfigure || argv.r,
   configure: argv.configure || argv.c,
   threshold: argv.threshold || argv.t,
   apps: argv.apps || argv.a,
   preset: argv.preset || argv.p,
+  savePreset: argv['save-preset'],
   enable: argv.enable,
   disable: argv.disable,
   enableCategory: argv['enable-category'],
   disableCategory: argv['disable-category'],
+  addCategory: argv['add-category'],
+  removeCategory: argv['remove-category'],
+  categoriesDiff: argv['categories-diff'],
+  category: argv.category,
+  activeHours: argv['active-hours'],
+  quietHours: argv['quiet-hours'],
+  timezone: argv.timezone,
+  clearSchedule: argv['clear-schedule'],
+  profile: argv.profile,
+  saveProfile: argv['save-profile'],
+  listProfiles: argv['list-profiles'],
+  exportPath: argv.export,
+  importPath: argv.import,
+  history: argv.history,
+  rollback: argv.rollback,
+  input: argv.input,
+  inputFormat: argv['input-format'],
+  notify: argv.notify,
+  windowCommand: argv['window-command'],
+  app: argv.app,
+  noLog: argv['no-log'],
+  tracePath: positionals[1],
+  configPath: argv.config,
+  compare: argv.compare,
+  json: argv.json,
+  fix: argv.fix,
+  name: argv.name,
+  description: argv.description,
   uninstall: argv.uninstall || argv.u,
   verbose: argv.verbose || argv.v,
   help: argv.help || argv.h,
@@ -133,21 +248,63 @@ A behavioral nudge tool that reminds developers to use voice input.
 ${colors.yellow}Usage:${colors.reset}
   vibe10x              Interactive setup
   vibe10x [options]    Non-interactive setup
+  vibe10x daemon       Run the nudge engine on Linux input (see Daemon options)
+  vibe10x simulate FILE  Replay a recorded trace and show when nudges would fire
+  vibe10x doctor       Check the installation when nudges stop (see Doctor options)
 
 ${colors.yellow}Options:${colors.reset}
-  -c, --configure            Open web-based settings UI
+  -c, --configure            Open web-based settings UI (see Settings UI options)
   -r, --reconfigure          Re-run interactive CLI setup
   -t, --threshold N          Set keystroke threshold (10-500)
+  --category NAME            With --threshold: override it for one category only
   -a, --apps "A,B,C"         Add custom apps (comma-separated)
-  -p, --preset NAME          Use preset (aggressive, relaxed, zen)
+  -p, --preset NAME          Use preset (aggressive, relaxed, zen, their -tiered variants, or one you saved)
+  --save-preset NAME         Save the current behavior, voice and categories as a preset
   --enable                   Enable Vibe10X
   --disable                  Disable Vibe10X
   --enable-category NAME     Enable a category
   --disable-category NAME    Disable a category
+  --add-category ID          Create a custom category (with --name, --description, --apps)
+  --remove-category ID       Delete a custom category
+  --categories-diff          Show your changes to the shipped category app lists
+  --active-hours "RULES"     Only nudge during these hours (e.g. "mon-fri 09:00-18:00")
+  --quiet-hours "RULES"      Never nudge during these hours (e.g. "12:00-13:00")
+  --timezone ZONE            Time zone for the schedule (e.g. Europe/Berlin)
+  --clear-schedule           Remove active/quiet hours
+  --profile NAME             Switch to a saved profile
+  --save-profile NAME        Save the current config as a profile
+  --list-profiles            List saved profiles
+  --export FILE              Export config, category changes and presets to a file
+  --import FILE              Preview and apply a file written by --export
+  --history                  List recent config changes
+  --rollback N               Restore config #N from --history
+  --hammerspoon-dir DIR      Hammerspoon config dir to install into (default: from MJConfigFile, else ~/.hammerspoon)
+  --config-dir DIR           Keep config and logs in DIR instead of ~/.vibe10x (or set VIBE10X_HOME)
   -u, --uninstall            Remove Vibe10X
   -v, --verbose              Show debug output
   -h, --help                 Show this help
 
+${colors.yellow}Settings UI options:${colors.reset}
+  --port N                   Port to listen on (default: 3847, or the next free one)
+  --host ADDR                Address to listen on (default: 127.0.0.1)
+  --no-open                  Print the settings link instead of opening a browser
+
+${colors.yellow}Daemon options:${colors.reset}
+  --input PATH               evdev device (/dev/input/event*) or jsonl file (default: - for stdin)
+  --input-format FORMAT      ${INPUT_FORMATS.join(' or ')} (default: evdev for /dev/input, else jsonl)
+  --notify SPEC              stdout, command:CMD or webhook:URL (repeatable, default: stdout)
+  --window-command CMD       Command printing the focused app, polled every second
+  --app NAME                 Count every keystroke as typed in NAME (instead of --window-command)
+  --no-log                   Do not record nudges in ~/.vibe10x/events.jsonl
+
+${colors.yellow}Simulate options:${colors.reset}
+  --config FILE              Replay against this config instead of the current one
+  --compare PRESETS          Also replay against presets side by side ("all" or e.g. "aggressive,zen")
+
+${colors.yellow}Doctor options:${colors.reset}
+  --fix                      Repair links, init.lua, categories.json and invalid settings
+  --json                     Print the results as JSON
+
 ${colors.yellow}Categories:${colors.reset}
 ${getCategoriesHelp()}
 
@@ -157,7 +314,19 @@ ${colors.yellow}Examples:${colors.reset}
   vibe10x --enable-category communication
   vibe10x --enable-category aiApps
   vibe10x --threshold 75 --apps "Notion,Obsidian"
+  vibe10x --threshold 80 --category communication
+  vibe10x --active-hours "mon-fri 09:00-18:00" --quiet-hours "12:00-13:00"
+  vibe10x --add-category designTools --name "Design Tools" --apps "Figma,Sketch"
+  vibe10x --save-preset focus
+  vibe10x --save-profile deep-work
+  vibe10x --profile pairing
+  vibe10x --export vibe10x-setup.json
+  vibe10x --rollback 2
   vibe10x --disable
+  vibe10x daemon --input /dev/input/event3 --window-command "xdotool getactivewindow getwindowclassname"
+  vibe10x daemon --notify 'command:notify-send Vibe10X "$VIBE10X_MESSAGE"' < recording.jsonl
+  vibe10x simulate recording.jsonl --compare all
+  vibe10x doctor --fix
 `);
 }
 
@@ -173,19 +342,15 @@ async function checkPrerequisites() {
   }
   log.success(`Node.js ${nodeVersion}`);
 
-  const hammerspoonApp = '/Applications/Hammerspoon.app';
-  const brewHammerspoon = join(HOME, '/Applications/Hammerspoon.app');
-
-  if (!existsSync(hammerspoonApp) && !existsSync(brewHammerspoon)) {
+  if (!getHammerspoonAppPaths(HOME).some(path => existsSync(path))) {
     log.error('Hammerspoon not found. Install it with: brew install hammerspoon');
     process.exit(1);
   }
   log.success('Hammerspoon installed');
 
-  try {
-    await $`pgrep -x Hammerspoon`.quiet();
+  if (await isHammerspoonRunning()) {
     log.success('Hammerspoon is running');
-  } catch {
+  } else {
     log.warn('Hammerspoon is not running. Please start it first.');
   }
 
@@ -195,34 +360,48 @@ async function checkPrerequisites() {
   return true;
 }
 
-// Load existing config or defaults
+// Load existing config or defaults, migrating old schemas
 function loadConfig() {
   const defaultConfigPath = join(__dirname, 'config', 'default.json');
   let config = JSON.parse(readFileSync(defaultConfigPath, 'utf8'));
 
-  if (existsSync(CONFIG_PATH)) {
-    try {
-      const existingConfig = JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
-      config = { ...config, ...existingConfig };
-    } catch (e) {
-      log.warn('Could not parse existing config, using defaults');
+  try {
+    const { config: existingConfig, migration } = loadStoredConfig(CONFIG_PATH);
+    if (migration) {
+      log.info(`Migrated config from v${migration.fromVersion} to v${migration.toVersion} (backup: ${migration.backupPath})`);
+    }
+    if (existingConfig) {
+      config = mergeConfig(config, existingConfig);
     }
+  } catch (e) {
+    log.warn('Could not parse existing config, using defaults');
   }
 
   return config;
 }
 
-// Save config and install categories.json
+// Load the installed categories.json, or the shipped one before the first install
+function loadCategories() {
+  if (existsSync(CATEGORIES_PATH)) {
+    return JSON.parse(readFileSync(CATEGORIES_PATH, 'utf8'));
+  }
+  return JSON.parse(readFileSync(SOURCE_CATEGORIES_PATH, 'utf8'));
+}
+
+// How saves from this run are labelled in the config history
+const HISTORY_SOURCE = process.argv.length > 2 ? `cli ${process.argv.slice(2).join(' ')}` : 'cli interactive setup';
+
+// Save config (recording it in the history) and install categories.json
 function saveConfig(config) {
   if (!existsSync(VIBE10X_DIR)) {
     mkdirSync(VIBE10X_DIR, { recursive: true });
   }
-  writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+  saveConfigFile(CONFIG_PATH, config, HISTORY_SOURCE);
   log.success(`Config saved to ${CONFIG_PATH}`);
 
-  // Also copy categories.json to ~/.vibe10x/ for Lua to read
-  const categoriesContent = readFileSync(SOURCE_CATEGORIES_PATH, 'utf8');
-  writeFileSync(CATEGORIES_PATH, categoriesContent);
+  // Also install categories.json to ~/.vibe10x/ for Lua to read,
+  // keeping the user's changes to the shipped lists
+  syncCategories(SOURCE_CATEGORIES_PATH, CATEGORIES_PATH);
   log.success(`Categories installed to ${CATEGORIES_PATH}`);
 }
 
@@ -258,10 +437,11 @@ async function selectCategories(config) {
     config.categories = {};
   }
 
-  const categoryIds = Object.keys(CATEGORIES);
+  const allCategories = getAllCategories(config, loadCategories());
+  const categoryIds = Object.keys(allCategories);
   for (let i = 0; i < categoryIds.length; i++) {
     const categoryId = categoryIds[i];
-    const category = CATEGORIES[categoryId];
+    const category = allCategories[categoryId];
     const color = categoryColors[i % categoryColors.length];
 
     // Default: devTools enabled, others disabled
@@ -278,7 +458,8 @@ async function selectCategories(config) {
     console.log(`  ${colors.dim}Apps: ${appsPreview}${colors.reset}`);
 
     const input = await prompt(`Enable ${category.name}?`, currentEnabled ? 'y' : 'n');
-    config.categories[categoryId] = { enabled: input.toLowerCase() === 'y' };
+    // Keep the category's threshold and message overrides
+    config.categories[categoryId] = { ...config.categories[categoryId], enabled: input.toLowerCase() === 'y' };
 
     console.log('');
   }
@@ -366,9 +547,7 @@ async function installLuaFiles() {
     mkdirSync(HAMMERSPOON_DIR, { recursive: true });
   }
 
-  const files = ['vibe10x.lua', 'vibe10x-menu.lua'];
-
-  for (const file of files) {
+  for (const file of LUA_FILES) {
     const source = join(SOURCE_LUA_DIR, file);
     const dest = join(HAMMERSPOON_DIR, file);
 
@@ -380,35 +559,15 @@ async function installLuaFiles() {
     log.success(`Linked ${file}`);
   }
 
-  const requireIpc = 'require("hs.ipc")';
-  const requireLine = 'require("vibe10x")';
-  const requireMenuLine = 'require("vibe10x-menu")';
-
-  let initContent = '';
-  if (existsSync(INIT_LUA_PATH)) {
-    initContent = readFileSync(INIT_LUA_PATH, 'utf8');
-  }
-
-  let modified = false;
-
-  if (!initContent.includes(requireIpc)) {
-    initContent = `${requireIpc}\n${initContent}`;
-    modified = true;
-  }
-
-  if (!initContent.includes(requireLine)) {
-    initContent = `${initContent}\n${requireLine}`;
-    modified = true;
-  }
-
-  if (!initContent.includes(requireMenuLine)) {
-    initContent = `${initContent}\n${requireMenuLine}`;
-    modified = true;
+  let result;
+  try {
+    result = editInitLua(INIT_LUA_PATH, content => installManagedBlock(content, BLOCK_OPTIONS));
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
   }
-
-  if (modified) {
-    writeFileSync(INIT_LUA_PATH, initContent);
-    log.success('Updated init.lua');
+  if (result.changed) {
+    log.success(`Updated the vibe10x block in ${INIT_LUA_PATH}${result.backupPath ? ` (backup: ${result.backupPath})` : ''}`);
   } else {
     log.info('init.lua already configured');
   }
@@ -418,16 +577,7 @@ async function installLuaFiles() {
 async function reloadHammerspoon() {
   log.info('Reloading Hammerspoon...');
 
-  const hsPaths = ['/opt/homebrew/bin/hs', '/usr/local/bin/hs'];
-  let hsPath = null;
-
-  for (const path of hsPaths) {
-    if (existsSync(path)) {
-      hsPath = path;
-      break;
-    }
-  }
-
+  const hsPath = findHsCli();
   if (!hsPath) {
     log.warn('Hammerspoon CLI (hs) not found.');
     log.info('Please reload manually: Click Hammerspoon icon in menu bar > Reload Config');
@@ -459,34 +609,370 @@ async function toggleEnabled(enable) {
 
 // Toggle category
 async function toggleCategory(categoryId, enable) {
-  if (!CATEGORIES[categoryId]) {
-    log.error(`Unknown category: ${categoryId}. Available: ${Object.keys(CATEGORIES).join(', ')}`);
+  let config = loadConfig();
+  const allCategories = getAllCategories(config, loadCategories());
+  if (!allCategories[categoryId]) {
+    log.error(`Unknown category: ${categoryId}. Available: ${Object.keys(allCategories).join(', ')}`);
     process.exit(1);
   }
 
-  let config = loadConfig();
   if (!config.categories) {
     config.categories = {};
   }
-  config.categories[categoryId] = { enabled: enable };
+  config.categories[categoryId] = { ...config.categories[categoryId], enabled: enable };
   saveConfig(config);
   await reloadHammerspoon();
 
-  const categoryName = CATEGORIES[categoryId].name;
+  const categoryName = allCategories[categoryId].name;
   log.success(`${categoryName} ${enable ? 'enabled' : 'disabled'}`);
 }
 
+// Describe schedule rules as "mon,tue 09:00-18:00; 12:00-13:00"
+function formatScheduleRules(rules) {
+  if (!rules?.length) return 'any time';
+  return rules
+    .map(rule => `${rule.days ? rule.days.join(',') + ' ' : ''}${rule.start}-${rule.end}`)
+    .join('; ');
+}
+
+// Set active/quiet hours and time zone from CLI flags
+async function updateSchedule() {
+  let config = loadConfig();
+  const schedule = { ...config.schedule };
+
+  try {
+    if (args.clearSchedule) {
+      Object.assign(schedule, { enabled: false, activeHours: [], quietHours: [] });
+    }
+    if (args.activeHours !== undefined) {
+      schedule.activeHours = parseScheduleRules(args.activeHours);
+    }
+    if (args.quietHours !== undefined) {
+      schedule.quietHours = parseScheduleRules(args.quietHours);
+    }
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  if (args.timezone !== undefined) {
+    schedule.timezone = args.timezone;
+  }
+  if (!args.clearSchedule) {
+    schedule.enabled = true;
+  }
+
+  config.schedule = schedule;
+  const scheduleErrors = validateConfig(config).fieldErrors.filter(e => e.field.startsWith('schedule'));
+  if (scheduleErrors.length > 0) {
+    scheduleErrors.forEach(e => log.error(e.message));
+    process.exit(1);
+  }
+
+  saveConfig(config);
+  await reloadHammerspoon();
+
+  if (!schedule.enabled) {
+    log.success('Schedule cleared: nudges are active any time');
+    return;
+  }
+  log.success(`Active hours: ${formatScheduleRules(schedule.activeHours)}`);
+  log.success(`Quiet hours: ${schedule.quietHours?.length ? formatScheduleRules(schedule.quietHours) : 'none'}`);
+  log.info(`Time zone: ${schedule.timezone || 'system local time'} (currently ${isActiveAt(config) ? 'active' : 'inactive'})`);
+}
+
+// Override the threshold for a single category
+async function setCategoryThreshold(categoryId, threshold) {
+  let config = loadConfig();
+  const allCategories = getAllCategories(config, loadCategories());
+  if (!allCategories[categoryId]) {
+    log.error(`Unknown category: ${categoryId}. Available: ${Object.keys(allCategories).join(', ')}`);
+    process.exit(1);
+  }
+  if (!threshold) {
+    log.error('--category requires --threshold');
+    process.exit(1);
+  }
+
+  if (!config.categories) {
+    config.categories = {};
+  }
+  const value = clampThreshold(threshold, config.threshold);
+  config.categories[categoryId] = {
+    enabled: false,
+    ...config.categories[categoryId],
+    threshold: value,
+  };
+  saveConfig(config);
+  await reloadHammerspoon();
+  log.success(`${allCategories[categoryId].name} threshold set to ${value}`);
+}
+
+// Create a custom category from --name, --description and --apps
+async function addCategory(categoryId) {
+  let config = loadConfig();
+  const category = {
+    name: args.name || categoryId,
+    description: args.description || '',
+    apps: parseApps(args.apps),
+  };
+
+  try {
+    config = addCustomCategory(config, categoryId, category);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  saveConfig(config);
+  await reloadHammerspoon();
+  log.success(`Created category ${category.name} (${config.customCategories[categoryId].apps.length} apps)`);
+}
+
+// Delete a custom category
+async function removeCategory(categoryId) {
+  let config = loadConfig();
+  const category = config.customCategories?.[categoryId];
+
+  try {
+    config = removeCustomCategory(config, categoryId);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  saveConfig(config);
+  await reloadHammerspoon();
+  log.success(`Removed category ${category.name}`);
+}
+
+// Save the current behavior, voice and category settings as a user preset
+function savePreset(name) {
+  try {
+    const presets = saveUserPreset(loadUserPresets(PRESETS_PATH), name, presetFromConfig(loadConfig()));
+    saveUserPresets(PRESETS_PATH, presets);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  log.success(`Saved preset ${name} to ${PRESETS_PATH}`);
+  log.info(`Apply it with: vibe10x --preset ${name}`);
+}
+
+// Everything an export contains: config, category overlay and user presets
+function loadSetup() {
+  return {
+    config: loadConfig(),
+    categories: readCategoryState(SOURCE_CATEGORIES_PATH, CATEGORIES_PATH).overlay,
+    presets: loadUserPresets(PRESETS_PATH),
+  };
+}
+
+// Write the current setup to a file
+function exportSetup(path) {
+  try {
+    writeFileSync(path, JSON.stringify(createExport(loadSetup()), null, 2) + '\n');
+  } catch (err) {
+    log.error(`Could not export: ${err.message}`);
+    process.exit(1);
+  }
+  log.success(`Exported config, category changes and presets to ${path}`);
+}
+
+// Show a field-level change from an import diff
+function formatChange({ path, from, to }) {
+  const format = (value) => JSON.stringify(value);
+  if (from === undefined) return `  ${colors.green}+ ${path}: ${format(to)}${colors.reset}`;
+  if (to === undefined) return `  ${colors.red}- ${path}: ${format(from)}${colors.reset}`;
+  return `  ${colors.yellow}~ ${path}:${colors.reset} ${format(from)} -> ${format(to)}`;
+}
+
+// Show what an export file would change, then apply it after confirmation
+async function importSetup(path) {
+  let bundle;
+  try {
+    bundle = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    log.error(`Could not read ${path}: ${err.message}`);
+    process.exit(1);
+  }
+
+  const { next, changes, valid, errors } = planImport(loadSetup(), bundle, readCategoryState(SOURCE_CATEGORIES_PATH, CATEGORIES_PATH).shipped);
+  if (!valid) {
+    log.error(`${path} cannot be imported:`);
+    errors.forEach(message => log.error(`  ${message}`));
+    process.exit(1);
+  }
+  if (changes.length === 0) {
+    log.info('Nothing to import: your setup already matches this file');
+    return;
+  }
+
+  console.log(`\n${colors.cyan}Changes from ${path}:${colors.reset}\n`);
+  changes.forEach(change => console.log(formatChange(change)));
+  console.log('');
+
+  const answer = await prompt('Apply these changes? (y/N)', 'n');
+  if (answer.toLowerCase() !== 'y') {
+    log.info('Import cancelled');
+    return;
+  }
+
+  try {
+    const paths = { presetsPath: PRESETS_PATH, shippedPath: SOURCE_CATEGORIES_PATH, installedPath: CATEGORIES_PATH };
+    await applyImport(paths, next, () => {
+      saveConfig(next.config);
+      return true;
+    });
+  } catch (err) {
+    log.error(`Import failed, nothing was changed: ${err.message}`);
+    process.exit(1);
+  }
+  await reloadHammerspoon();
+  log.success(`Imported ${changes.length} change${changes.length === 1 ? '' : 's'}`);
+}
+
+// Print recent config snapshots with what each one changed
+function showHistory() {
+  const history = summarizeHistory(readHistory(HISTORY_PATH));
+  if (history.length === 0) {
+    log.info('No config history yet. It is recorded from the next save on.');
+    return;
+  }
+
+  console.log(`\n${colors.cyan}Config history (newest first, last ${HISTORY_LIMIT} kept):${colors.reset}\n`);
+  for (const entry of history) {
+    const time = new Date(entry.timestamp).toLocaleString();
+    const current = entry.number === 1 ? ` ${colors.green}(current)${colors.reset}` : '';
+    console.log(`  #${String(entry.number).padEnd(3)} ${time}  ${colors.dim}${entry.source}${colors.reset}${current}`);
+    for (const change of entry.changes.slice(0, 3)) {
+      console.log(`       ${formatChange(change)}`);
+    }
+    if (entry.changes.length > 3) {
+      console.log(`       ${colors.dim}...and ${entry.changes.length - 3} more${colors.reset}`);
+    }
+  }
+  console.log(`\n${colors.dim}Restore one with: vibe10x --rollback N${colors.reset}\n`);
+}
+
+// Restore a config snapshot from the history
+async function rollback(number) {
+  let entry;
+  try {
+    entry = getHistoryEntry(readHistory(HISTORY_PATH), number);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  const { config, valid, errors } = normalizeConfig(migrateConfig(entry.config).config);
+  if (!valid) {
+    log.error(`Config #${number} is not valid:`);
+    errors.forEach(message => log.error(`  ${message}`));
+    process.exit(1);
+  }
+
+  saveConfig(config);
+  await reloadHammerspoon();
+  log.success(`Restored config #${number} from ${new Date(entry.timestamp).toLocaleString()} (${entry.source})`);
+}
+
+// Replace the config with a saved profile
+async function switchProfile(name) {
+  let profile;
+  try {
+    profile = loadProfile(PROFILES_DIR, name);
+  } catch (err) {
+    log.error(err.message);
+    const available = listProfiles(PROFILES_DIR);
+    if (err.code === 'NOT_FOUND' && available.length > 0) {
+      log.info(`Available: ${available.join(', ')}`);
+    }
+    process.exit(1);
+  }
+
+  const { config, valid, errors } = normalizeConfig(profile);
+  if (!valid) {
+    log.error(`Profile ${name} is not a valid config:`);
+    errors.forEach(message => log.error(`  ${message}`));
+    process.exit(1);
+  }
+
+  saveConfig(config);
+  await reloadHammerspoon();
+  log.success(`Switched to profile ${name}`);
+}
+
+// Snapshot the current config as a profile
+function saveCurrentProfile(name) {
+  // Refuse to snapshot a config that could not be switched back to
+  const { config, valid, errors } = normalizeConfig(loadConfig());
+  if (!valid) {
+    log.error('The current config is not valid, not saving it as a profile:');
+    errors.forEach(message => log.error(`  ${message}`));
+    process.exit(1);
+  }
+
+  try {
+    const path = saveProfile(PROFILES_DIR, name, config);
+    log.success(`Saved profile ${name} to ${path}`);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+}
+
+// Print saved profiles, marking the one the config currently matches
+function showProfiles() {
+  const profiles = listProfiles(PROFILES_DIR);
+  if (profiles.length === 0) {
+    log.info('No profiles saved yet. Create one with: vibe10x --save-profile NAME');
+    return;
+  }
+
+  const active = findActiveProfile(PROFILES_DIR, loadConfig());
+  console.log(`\n${colors.cyan}Profiles:${colors.reset}\n`);
+  for (const name of profiles) {
+    console.log(name === active ? `  ${colors.green}* ${name}${colors.reset}` : `    ${name}`);
+  }
+  console.log('');
+}
+
+// Print what the user's overlay changes relative to the shipped categories
+function showCategoriesDiff() {
+  const { shipped, overlay } = readCategoryState(SOURCE_CATEGORIES_PATH, CATEGORIES_PATH);
+  const changes = describeCategoryOverlay(shipped, overlay);
+
+  if (changes.length === 0) {
+    log.info('No changes: installed categories match the shipped list');
+    return;
+  }
+
+  console.log(`\n${colors.cyan}Category changes (relative to shipped list):${colors.reset}\n`);
+  for (const change of changes) {
+    console.log(`  ${change.name} ${colors.dim}(${change.id})${change.isNew ? ' [new]' : ''}${colors.reset}`);
+    for (const app of change.added) {
+      console.log(`    ${colors.green}+ ${app}${colors.reset}`);
+    }
+    for (const app of change.removed) {
+      console.log(`    ${colors.red}- ${app}${colors.reset}`);
+    }
+  }
+  console.log('');
+}
+
 // Uninstall
 async function uninstall() {
   log.info('Uninstalling Vibe10X...');
 
-  if (existsSync(VIBE10X_DIR)) {
+  // A dir chosen with --config-dir or VIBE10X_HOME may live in a dotfiles repo; leave it to the user
+  if (!IS_DEFAULT_DIR) {
+    log.info(`Kept ${VIBE10X_DIR}; delete it yourself if you no longer need it`);
+  } else if (existsSync(VIBE10X_DIR)) {
     await $`rm -rf ${VIBE10X_DIR}`;
     log.success('Removed config directory (includes config.json and categories.json)');
   }
 
-  const files = ['vibe10x.lua', 'vibe10x-menu.lua'];
-  for (const file of files) {
+  for (const file of LUA_FILES) {
     const dest = join(HAMMERSPOON_DIR, file);
     if (existsSync(dest)) {
       unlinkSync(dest);
@@ -495,12 +981,14 @@ async function uninstall() {
   }
 
   if (existsSync(INIT_LUA_PATH)) {
-    let content = readFileSync(INIT_LUA_PATH, 'utf8');
-    content = content
-      .replace(/require\("vibe10x"\)\n?/g, '')
-      .replace(/require\("vibe10x-menu"\)\n?/g, '');
-    writeFileSync(INIT_LUA_PATH, content);
-    log.success('Cleaned init.lua');
+    try {
+      const { changed, backupPath } = editInitLua(INIT_LUA_PATH, removeManagedBlock);
+      if (changed) {
+        log.success(`Removed the vibe10x block from ${INIT_LUA_PATH} (backup: ${backupPath})`);
+      }
+    } catch (err) {
+      log.warn(err.message);
+    }
   }
 
   await reloadHammerspoon();
@@ -510,10 +998,11 @@ async function uninstall() {
 // Get enabled categories summary
 function getEnabledCategoriesSummary(config) {
   const enabled = [];
+  const allCategories = getAllCategories(config, loadCategories());
   if (config.categories) {
     for (const [id, cat] of Object.entries(config.categories)) {
-      if (cat.enabled && CATEGORIES[id]) {
-        enabled.push(CATEGORIES[id].name);
+      if (cat.enabled && allCategories[id]) {
+        enabled.push(allCategories[id].name);
       }
     }
   }
@@ -528,7 +1017,12 @@ async function launchConfigUI() {
   log.info('Starting Vibe10X Settings UI...');
 
   const serverPath = join(__dirname, 'server.mjs');
-  const child = spawn('bun', ['run', serverPath], {
+  const serverArgs = [];
+  if (argv['config-dir']) serverArgs.push('--config-dir', VIBE10X_DIR);
+  if (argv.port) serverArgs.push('--port', argv.port);
+  if (argv.host) serverArgs.push('--host', argv.host);
+  if (argv['no-open']) serverArgs.push('--no-open');
+  const child = spawn('bun', ['run', serverPath, ...serverArgs], {
     stdio: 'inherit',
     detached: false
   });
@@ -549,6 +1043,241 @@ async function launchConfigUI() {
   });
 }
 
+// Run the nudge engine on Linux input until the input ends or we are stopped.
+// Status goes to stderr so stdout stays clean for the stdout notifier.
+async function runDaemon() {
+  const inputPath = args.input || '-';
+  const format = args.inputFormat || (inputPath.startsWith('/dev/input/') ? 'evdev' : 'jsonl');
+  if (!INPUT_FORMATS.includes(format)) {
+    log.error(`Unknown input format: ${format}. Available: ${INPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  try {
+    checkDaemonOptions({ format, windowCommand: args.windowCommand, app: args.app });
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  let notifiers;
+  let categories;
+  try {
+    notifiers = (args.notify || ['stdout']).map(spec => createNotifier(spec));
+    categories = loadCategories();
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+
+  const LOGGED_EVENTS = ['nudge', 'reset', 'app_switch'];
+  const daemon = createDaemon(loadConfig(), {
+    categories,
+    notifiers,
+    onEvent(event) {
+      if (args.noLog || !LOGGED_EVENTS.includes(event.type)) return;
+      // Keep the events.jsonl fields (see lib/stats.js)
+      const { message, threshold, style, voice, alertDurationSeconds, ...logged } = event;
+      mkdirSync(VIBE10X_DIR, { recursive: true });
+      appendEvents(EVENTS_PATH, [logged]);
+    },
+  });
+
+  // Follow config changes made with the CLI or the settings UI
+  if (existsSync(VIBE10X_DIR)) {
+    watch(VIBE10X_DIR, (eventType, filename) => {
+      if (filename === 'config.json' || filename === 'categories.json') {
+        try {
+          daemon.setConfig(loadConfig(), loadCategories());
+        } catch (err) {
+          log.warn(`Could not reload categories: ${err.message}`);
+        }
+      }
+    }).unref();
+  }
+
+  if (args.app) {
+    daemon.handle({ type: 'focus', app: args.app });
+  }
+  const windowSource = args.windowCommand ? createCommandWindowSource(args.windowCommand) : null;
+  windowSource?.start(app => daemon.handle({ type: 'focus', app }));
+  setInterval(() => daemon.tick(), 1000).unref();
+
+  const stop = async () => {
+    windowSource?.stop();
+    await daemon.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.error(`${colors.dim}Vibe10X daemon reading ${format} from ${inputPath === '-' ? 'stdin' : inputPath}${colors.reset}`);
+  const stream = inputPath === '-' ? process.stdin : createReadStream(inputPath);
+  await readInput(daemon, stream, {
+    format,
+    onError: err => console.error(`${colors.yellow}[WARN]${colors.reset} Skipped input: ${err.message}`),
+  });
+  await stop();
+}
+
+// Load a config file given with --config
+function loadConfigFile(path) {
+  const defaults = JSON.parse(readFileSync(join(__dirname, 'config', 'default.json'), 'utf8'));
+  const { config, valid, errors } = normalizeConfig(mergeConfig(defaults, migrateConfig(JSON.parse(readFileSync(path, 'utf8'))).config));
+  if (!valid) {
+    throw new Error(`${path} is not a valid config: ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+// Format a nudge rate
+function formatRate(perHour) {
+  return perHour === null ? '-' : perHour.toFixed(1);
+}
+
+// Replay a recorded trace and report when nudges would have fired
+function simulate() {
+  if (!args.tracePath) {
+    log.error('Usage: vibe10x simulate TRACE.jsonl [--config FILE] [--compare PRESETS]');
+    process.exit(1);
+  }
+
+  let inputs;
+  let config;
+  let categories;
+  try {
+    const trace = parseTrace(readFileSync(args.tracePath, 'utf8'));
+    trace.errors.forEach(message => log.warn(`Skipped ${message}`));
+    inputs = trace.inputs;
+    config = args.configPath ? loadConfigFile(args.configPath) : loadConfig();
+    categories = loadCategories();
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  if (inputs.length === 0) {
+    log.error(`No input events in ${args.tracePath}`);
+    process.exit(1);
+  }
+
+  if (args.compare) {
+    compareSimulations(inputs, config, categories);
+    return;
+  }
+
+  const result = simulateTrace(config, inputs, { categories });
+  console.log(`\n${colors.cyan}Replaying ${args.tracePath}${colors.reset} ${colors.dim}(${result.totals.hours.toFixed(1)}h, ${result.totals.keystrokes} keystrokes counted)${colors.reset}`);
+  console.log(`Threshold ${config.threshold}, reset after ${config.resetAfterSeconds}s\n`);
+
+  if (result.nudges.length === 0) {
+    log.info('No nudges would have fired');
+    return;
+  }
+
+  console.log(`${colors.yellow}Nudges:${colors.reset}`);
+  for (const nudge of result.nudges) {
+    console.log(`  ${new Date(nudge.timestamp).toLocaleString()}  ${nudge.app} ${colors.dim}(${nudge.count} keystrokes)${colors.reset}`);
+  }
+
+  console.log(`\n${colors.yellow}Per hour:${colors.reset} ${formatRate(result.perHour)} on average`);
+  for (const { hour, nudges } of result.byHour) {
+    console.log(`  ${hour}  ${nudges}`);
+  }
+
+  console.log(`\n${colors.yellow}Per app:${colors.reset}`);
+  for (const { app, nudges, keystrokes } of result.byApp) {
+    console.log(`  ${app.padEnd(20)} ${String(nudges).padStart(4)} nudges  ${String(keystrokes).padStart(6)} keystrokes`);
+  }
+  console.log();
+}
+
+// Replay the same trace against the current config and presets, side by side
+function compareSimulations(inputs, config, categories) {
+  const userPresets = loadUserPresets(PRESETS_PATH);
+  const available = Object.keys(getAllPresets(userPresets));
+  const names = args.compare === 'all' ? available : args.compare.split(',').map(name => name.trim()).filter(Boolean);
+
+  const columns = [{ name: args.configPath ? 'config' : 'current', config }];
+  for (const name of names) {
+    try {
+      columns.push({ name, config: applyPreset(config, name, userPresets) });
+    } catch (err) {
+      log.error(err.message);
+      process.exit(1);
+    }
+  }
+
+  const results = columns.map(column => simulateTrace(column.config, inputs, { categories }));
+  const apps = [...new Set(results.flatMap(result => result.byApp.filter(a => a.nudges > 0).map(a => a.app)))];
+  const width = Math.max(12, ...columns.map(column => column.name.length + 2));
+  const row = (label, values) => console.log(`  ${label.padEnd(20)}${values.map(value => String(value).padStart(width)).join('')}`);
+
+  console.log(`\n${colors.cyan}Replaying ${args.tracePath}${colors.reset} ${colors.dim}(${results[0].totals.hours.toFixed(1)}h)${colors.reset}\n`);
+  row('', columns.map(column => column.name));
+  row('Threshold', columns.map(column => column.config.threshold));
+  row('Reset after (s)', columns.map(column => column.config.resetAfterSeconds));
+  row('Nudges', results.map(result => result.totals.nudges));
+  row('Per hour', results.map(result => formatRate(result.perHour)));
+  for (const app of apps) {
+    row(`  ${app}`, results.map(result => result.byApp.find(a => a.app === app)?.nudges ?? 0));
+  }
+  console.log();
+}
+
+// Check the installation, optionally repairing what can be repaired
+async function doctor() {
+  const env = {
+    home: HOME,
+    hammerspoonDir: HAMMERSPOON_DIR,
+    initPath: INIT_LUA_PATH,
+    vibe10xDir: VIBE10X_DIR,
+    sourceLuaDir: SOURCE_LUA_DIR,
+    configPath: CONFIG_PATH,
+    categoriesPath: CATEGORIES_PATH,
+    sourceCategoriesPath: SOURCE_CATEGORIES_PATH,
+    source: HISTORY_SOURCE,
+  };
+
+  let checks = await runChecks(env);
+  let fixed = [];
+  if (args.fix) {
+    fixed = fixProblems(checks, env);
+    if (fixed.length > 0) {
+      checks = await runChecks(env);
+    }
+  }
+  const summary = summarizeChecks(checks);
+
+  if (args.json) {
+    console.log(JSON.stringify({ checks, fixed, summary }, null, 2));
+  } else {
+    const labels = {
+      pass: `${colors.green}[PASS]${colors.reset}`,
+      warn: `${colors.yellow}[WARN]${colors.reset}`,
+      fail: `${colors.red}[FAIL]${colors.reset}`,
+    };
+    for (const { message } of fixed) {
+      console.log(`${colors.cyan}[FIXED]${colors.reset} ${message}`);
+    }
+    for (const { status, label, message, remedy } of checks) {
+      console.log(`${labels[status]} ${label}: ${message}`);
+      if (remedy) {
+        console.log(`       ${colors.dim}${remedy}${colors.reset}`);
+      }
+    }
+    console.log(`\n${summary.pass} passed, ${summary.warn} warning${summary.warn === 1 ? '' : 's'}, ${summary.fail} failed`);
+    if (!args.fix && checks.some(c => c.fixable)) {
+      log.info('Run vibe10x doctor --fix to repair what can be repaired');
+    }
+    if (fixed.length > 0) {
+      await reloadHammerspoon();
+    }
+  }
+
+  if (summary.fail > 0) {
+    process.exitCode = 1;
+  }
+}
+
 // Main
 async function main() {
   if (args.help) {
@@ -556,6 +1285,21 @@ async function main() {
     return;
   }
 
+  if (args.command === 'daemon') {
+    await runDaemon();
+    return;
+  }
+
+  if (args.command === 'simulate') {
+    simulate();
+    return;
+  }
+
+  if (args.command === 'doctor') {
+    await doctor();
+    return;
+  }
+
   if (args.configure) {
     await launchConfigUI();
     return;
@@ -576,6 +1320,71 @@ async function main() {
     return;
   }
 
+  if (args.history) {
+    showHistory();
+    return;
+  }
+
+  if (args.rollback) {
+    await rollback(args.rollback);
+    return;
+  }
+
+  if (args.exportPath) {
+    exportSetup(args.exportPath);
+    return;
+  }
+
+  if (args.importPath) {
+    await importSetup(args.importPath);
+    return;
+  }
+
+  if (args.savePreset) {
+    savePreset(args.savePreset);
+    return;
+  }
+
+  if (args.profile) {
+    await switchProfile(args.profile);
+    return;
+  }
+
+  if (args.saveProfile) {
+    saveCurrentProfile(args.saveProfile);
+    return;
+  }
+
+  if (args.listProfiles) {
+    showProfiles();
+    return;
+  }
+
+  if (args.activeHours !== undefined || args.quietHours !== undefined || args.timezone !== undefined || args.clearSchedule) {
+    await updateSchedule();
+    return;
+  }
+
+  if (args.category) {
+    await setCategoryThreshold(args.category, args.threshold);
+    return;
+  }
+
+  if (args.categoriesDiff) {
+    showCategoriesDiff();
+    return;
+  }
+
+  if (args.addCategory) {
+    await addCategory(args.addCategory);
+    return;
+  }
+
+  if (args.removeCategory) {
+    await removeCategory(args.removeCategory);
+    return;
+  }
+
   if (args.enableCategory) {
     await toggleCategory(args.enableCategory, true);
     return;
@@ -600,7 +1409,7 @@ async function main() {
 
     if (args.preset) {
       try {
-        config = applyPreset(config, args.preset);
+        config = applyPreset(config, args.preset, loadUserPresets(PRESETS_PATH));
       } catch (err) {
         log.error(err.message);
         process.exit(1);
@@ -628,7 +1437,7 @@ async function main() {
   }
 
   // Compute monitored apps for display
-  const monitoredApps = getEnabledApps(config);
+  const monitoredApps = getEnabledApps(config, getAllCategories(config, loadCategories()));
 
   // Show config preview
   console.log(`\n${colors.cyan}Configuration:${colors.reset}`);
@@ -639,6 +1448,7 @@ async function main() {
   console.log(`  Voice: ${config.voice?.enabled ? 'on (speaks message)' : 'off'}`);
   console.log(`  Categories: ${getEnabledCategoriesSummary(config)}`);
   console.log(`  Monitoring: ${monitoredApps.length} apps`);
+  console.log(`  Schedule: ${config.schedule?.enabled ? formatScheduleRules(config.schedule.activeHours) : 'always'}`);
   console.log(`  Menu bar count: ${config.menuBar?.showCount ? 'yes' : 'no'}`);
 
   // Install
@@ -648,9 +1458,10 @@ async function main() {
 
   console.log(`\n${colors.green}Vibe10X installed successfully!${colors.reset}`);
   console.log(`\n${colors.dim}Tips:`);
-  console.log(`  - Edit config: ~/.vibe10x/config.json`);
+  console.log(`  - Edit config: ${CONFIG_PATH}`);
   console.log(`  - Reconfigure: vibe10x --reconfigure`);
   console.log(`  - Toggle categories: vibe10x --enable-category communication`);
+  console.log(`  - Switch profiles: vibe10x --profile NAME`);
   console.log(`  - Toggle: vibe10x --enable/--disable`);
   console.log(`  - Uninstall: vibe10x --uninstall${colors.reset}\n`);
 }
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_VERSION, DEFAULT_CONFIG } from '../lib/config.js';
+import {
+  EXPORT_VERSION,
+  createExport,
+  readExport,
+  planImport,
+} from '../lib/bundle.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const loadFixture = (name) => JSON.parse(readFileSync(join(fixturesDir, name), 'utf8'));
+
+const setup = {
+  config: DEFAULT_CONFIG,
+  categories: { devTools: { add: ['Nova'] } },
+  presets: { focus: { threshold: 40 } },
+};
+
+describe('createExport', () => {
+  it('adds a version header', () => {
+    const bundle = createExport(setup, new Date('2026-01-05T10:00:00Z'));
+    expect(bundle.vibe10x).toEqual({
+      exportVersion: EXPORT_VERSION,
+      configVersion: CONFIG_VERSION,
+      exportedAt: '2026-01-05T10:00:00.000Z',
+    });
+    expect(bundle.config).toBe(DEFAULT_CONFIG);
+    expect(bundle.categories).toEqual(setup.categories);
+    expect(bundle.presets).toEqual(setup.presets);
+  });
+});
+
+describe('readExport', () => {
+  it('reads its own exports', () => {
+    const { data, valid } = readExport(createExport(setup));
+    expect(valid).toBe(true);
+    expect(data).toEqual(setup);
+  });
+
+  it('defaults missing categories and presets to empty', () => {
+    const { data } = readExport({ vibe10x: { exportVersion: 1 }, config: DEFAULT_CONFIG });
+    expect(data.categories).toEqual({});
+    expect(data.presets).toEqual({});
+  });
+
+  it('migrates configs exported with an older schema', () => {
+    const { data, valid } = readExport({ vibe10x: { exportVersion: 1 }, config: loadFixture('config-v1.json') });
+    expect(valid).toBe(true);
+    expect(data.config.configVersion).toBe(CONFIG_VERSION);
+    expect(data.config.threshold).toBe(60);
+    expect(data.config.monitoredApps).toBeUndefined();
+  });
+
+  it('rejects files without a header', () => {
+    const result = readExport(DEFAULT_CONFIG);
+    expect(result.valid).toBe(false);
+    expect(result.fieldErrors[0].field).toBe('vibe10x');
+  });
+
+  it('rejects exports from a newer format', () => {
+    const result = readExport({ vibe10x: { exportVersion: EXPORT_VERSION + 1 }, config: DEFAULT_CONFIG });
+    expect(result.errors[0]).toContain('newer Vibe10X');
+  });
+
+  it('rejects non-object files', () => {
+    expect(readExport([]).valid).toBe(false);
+    expect(readExport(null).valid).toBe(false);
+  });
+
+  it('reports invalid sections with prefixed fields', () => {
+    const result = readExport({
+      vibe10x: { exportVersion: 1 },
+      config: { ...DEFAULT_CONFIG, threshold: 1 },
+      categories: { devTools: { add: 'Nova' } },
+      presets: { zen: { threshold: 40 }, focus: { threshold: 'x' } },
+      extra: true,
+    });
+    expect(result.valid).toBe(false);
+    expect(result.data).toBeNull();
+    expect(result.fieldErrors.map(e => e.field)).toEqual([
+      'extra',
+      'config.threshold',
+      'categories.devTools.add',
+      'presets.zen',
+      'presets.focus.threshold',
+    ]);
+  });
+});
+
+describe('planImport', () => {
+  it('replaces config and categories and merges presets', () => {
+    const bundle = createExport({
+      config: { ...DEFAULT_CONFIG, threshold: 80 },
+      categories: {},
+      presets: { docs: { threshold: 90 } },
+    });
+    const { next, changes, valid } = planImport(setup, bundle);
+
+    expect(valid).toBe(true);
+    expect(next.config.threshold).toBe(80);
+    expect(next.categories).toEqual({});
+    expect(next.presets).toEqual({ focus: { threshold: 40 }, docs: { threshold: 90 } });
+    expect(changes).toEqual([
+      { path: 'config.threshold', from: 50, to: 80 },
+      { path: 'categories.devTools', from: { add: ['Nova'] }, to: undefined },
+      { path: 'presets.docs', from: undefined, to: { threshold: 90 } },
+    ]);
+  });
+
+  it('drops category changes that the shipped list already has', () => {
+    const shipped = { devTools: { name: 'Dev Tools', description: '', apps: ['Code', 'Nova'] } };
+    const bundle = createExport({ ...setup, categories: { devTools: { add: ['Nova', 'Zed'] } } });
+    const { next } = planImport(setup, bundle, shipped);
+    expect(next.categories).toEqual({ devTools: { add: ['Zed'] } });
+  });
+
+  it('reports no changes when importing the current setup', () => {
+    expect(planImport(setup, createExport(setup)).changes).toEqual([]);
+  });
+
+  it('does not plan invalid imports', () => {
+    const result = planImport(setup, { config: DEFAULT_CONFIG });
+    expect(result.valid).toBe(false);
+    expect(result.next).toBeNull();
+    expect(result.changes).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { applyCategoryOverlay, diffCategories, describeCategoryOverlay } from '../lib/categories.js';
+
+const shipped = {
+  devTools: { name: 'Dev Tools', description: 'Editors', apps: ['Code', 'Atom', 'Zed'] },
+  communication: { name: 'Communication', description: 'Chat', apps: ['Slack'] },
+};
+
+describe('applyCategoryOverlay', () => {
+  it('returns a copy of the shipped list without an overlay', () => {
+    const result = applyCategoryOverlay(shipped);
+    expect(result).toEqual(shipped);
+    expect(result.devTools.apps).not.toBe(shipped.devTools.apps);
+  });
+
+  it('adds and removes apps in shipped categories', () => {
+    const result = applyCategoryOverlay(shipped, { devTools: { add: ['Nova'], remove: ['Atom'] } });
+    expect(result.devTools.apps).toEqual(['Code', 'Zed', 'Nova']);
+  });
+
+  it('does not duplicate additions that are already shipped', () => {
+    const result = applyCategoryOverlay(shipped, { devTools: { add: ['Zed'] } });
+    expect(result.devTools.apps).toEqual(['Code', 'Atom', 'Zed']);
+  });
+
+  it('creates categories that are not shipped', () => {
+    const result = applyCategoryOverlay(shipped, { design: { name: 'Design', add: ['Figma'] } });
+    expect(result.design).toEqual({ name: 'Design', description: '', apps: ['Figma'] });
+    expect(Object.keys(result)).toEqual(['devTools', 'communication', 'design']);
+  });
+
+  it('does not mutate the shipped list', () => {
+    applyCategoryOverlay(shipped, { devTools: { add: ['Nova'], remove: ['Code'] } });
+    expect(shipped.devTools.apps).toEqual(['Code', 'Atom', 'Zed']);
+  });
+});
+
+describe('diffCategories', () => {
+  it('returns an empty overlay for identical lists', () => {
+    expect(diffCategories(shipped, shipped)).toEqual({});
+  });
+
+  it('records added and removed apps', () => {
+    const installed = { ...shipped, devTools: { ...shipped.devTools, apps: ['Code', 'Zed', 'Nova'] } };
+    expect(diffCategories(shipped, installed)).toEqual({ devTools: { add: ['Nova'], remove: ['Atom'] } });
+  });
+
+  it('records only additions when asked', () => {
+    const installed = { ...shipped, devTools: { ...shipped.devTools, apps: ['Code', 'Nova'] } };
+    expect(diffCategories(shipped, installed, { additionsOnly: true })).toEqual({ devTools: { add: ['Nova'] } });
+  });
+
+  it('records new categories with their definition', () => {
+    const installed = { ...shipped, design: { name: 'Design', description: 'Art', apps: ['Figma'] } };
+    expect(diffCategories(shipped, installed)).toEqual({
+      design: { name: 'Design', description: 'Art', add: ['Figma'] },
+    });
+  });
+
+  it('round-trips through applyCategoryOverlay', () => {
+    const installed = {
+      devTools: { ...shipped.devTools, apps: ['Code', 'Zed', 'Nova'] },
+      communication: shipped.communication,
+      design: { name: 'Design', description: '', apps: ['Figma'] },
+    };
+    expect(applyCategoryOverlay(shipped, diffCategories(shipped, installed))).toEqual(installed);
+  });
+});
+
+describe('describeCategoryOverlay', () => {
+  it('lists effective changes per category', () => {
+    const overlay = {
+      devTools: { add: ['Nova', 'Zed'], remove: ['Atom', 'Gone'] },
+      design: { name: 'Design', add: ['Figma'] },
+    };
+    expect(describeCategoryOverlay(shipped, overlay)).toEqual([
+      { id: 'devTools', name: 'Dev Tools', isNew: false, added: ['Nova'], removed: ['Atom'] },
+      { id: 'design', name: 'Design', isNew: true, added: ['Figma'], removed: [] },
+    ]);
+  });
+
+  it('is empty when the overlay changes nothing', () => {
+    expect(describeCategoryOverlay(shipped, { devTools: { add: ['Code'] } })).toEqual([]);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { mkdtempSync, mkdirSync, rmSync, existsSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createApp } from '../server.mjs';
+import { createClient } from '../lib/client.js';
+import { createOpenApiDocument } from '../lib/openapi.js';
+
+const TOKEN = 'test-token';
+
+describe('API client', () => {
+  let dir;
+  let app;
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-client-'));
+    app = createApp({ dir, token: TOKEN, reload: () => {} });
+    server = createServer(app.handler);
+    await new Promise(done => server.listen(0, '127.0.0.1', done));
+    client = createClient({ baseUrl: `http://localhost:${server.address().port}/`, token: TOKEN });
+  });
+
+  afterEach(async () => {
+    app.close();
+    await new Promise(done => server.close(done));
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const saved = () => JSON.parse(readFileSync(join(dir, 'config.json'), 'utf8'));
+
+  it('has a method for every operation in the OpenAPI document', () => {
+    const { paths } = createOpenApiDocument();
+    for (const item of Object.values(paths)) {
+      for (const { operationId } of Object.values(item).filter(operation => operation.operationId)) {
+        expect(typeof client[operationId], operationId).toBe('function');
+      }
+    }
+  });
+
+  it('gets the config with its ETag and saves against it', async () => {
+    const { config, etag } = await client.getConfig();
+    expect(etag).toBeTruthy();
+
+    const result = await client.saveConfig({ ...config, threshold: 120 }, { etag });
+    expect(result.config.threshold).toBe(120);
+    expect(result.etag).not.toBe(etag);
+    expect(saved().threshold).toBe(120);
+  });
+
+  it('rejects stale saves with the current config and ETag', async () => {
+    const { config, etag } = await client.getConfig();
+    await client.patchConfig({ threshold: 90 });
+
+    const err = await client.saveConfig({ ...config, threshold: 120 }, { etag }).catch(e => e);
+    expect(err.status).toBe(409);
+    expect(err.body.config.threshold).toBe(90);
+    expect(err.etag).toBe((await client.getConfig()).etag);
+  });
+
+  it('leaves out If-Match without an ETag, so the server asks for one', async () => {
+    const { config } = await client.getConfig();
+    const err = await client.saveConfig({ ...config, threshold: 120 }).catch(e => e);
+    expect(err.status).toBe(428);
+    expect(existsSync(join(dir, 'config.json'))).toBe(false);
+  });
+
+  it('rejects invalid configs with the field errors', async () => {
+    const err = await client.saveConfig({ threshold: 5 }, { etag: '*' }).catch(e => e);
+    expect(err.status).toBe(422);
+    expect(err.message).toBe('Invalid config');
+    expect(err.fieldErrors).toEqual([expect.objectContaining({ field: 'threshold' })]);
+    expect(existsSync(join(dir, 'config.json'))).toBe(false);
+  });
+
+  it('patches, resets and lists the monitored apps', async () => {
+    await client.patchConfig({ categories: { devTools: { enabled: false } }, customApps: { apps: ['Figma'] } });
+    expect(await client.getEffectiveApps()).toEqual({ enabled: true, apps: ['Figma'] });
+
+    const { config } = await client.resetConfig('customApps');
+    expect(config.customApps.apps).toEqual([]);
+    expect(config.categories.devTools.enabled).toBe(false);
+
+    await client.resetConfig();
+    expect(saved()).toEqual(await client.getDefaults());
+  });
+
+  it('adds, updates and removes custom categories', async () => {
+    await client.addCategory('designTools', { name: 'Design Tools', apps: ['Figma'] });
+    await client.updateCategory('designTools', { apps: ['Figma', 'Sketch'] });
+    expect((await client.getCategories()).designTools).toMatchObject({ apps: ['Figma', 'Sketch'], custom: true });
+
+    await client.removeCategory('designTools');
+    expect((await client.getCategories()).designTools).toBeUndefined();
+    await expect(client.removeCategory('designTools')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('saves and activates profiles', async () => {
+    const { config } = await client.getConfig();
+    expect(await client.saveProfile('work', { ...config, threshold: 200 })).toMatchObject({ profile: 'work', profiles: ['work'] });
+
+    const result = await client.activateProfile('work');
+    expect(result).toMatchObject({ profile: 'work', config: { threshold: 200 } });
+    expect(await client.getProfiles()).toEqual({ profiles: ['work'], active: 'work' });
+  });
+
+  it('applies presets and restores history', async () => {
+    await client.patchConfig({ threshold: 90 });
+    await client.applyPreset('zen');
+    expect(saved().threshold).toBe(25);
+
+    const history = await client.getHistory();
+    expect(history[0].source).toBe('web: preset zen');
+    await client.restoreHistory(2);
+    expect(saved().threshold).toBe(90);
+  });
+
+  it('previews and applies imports', async () => {
+    await client.patchConfig({ threshold: 90 });
+    const bundle = await client.exportSetup();
+    await client.patchConfig({ threshold: 120 });
+
+    const preview = await client.importSetup(bundle, { dryRun: true });
+    expect(preview.dryRun).toBe(true);
+    expect(preview.changes).toContainEqual({ path: 'config.threshold', from: 120, to: 90 });
+    expect(saved().threshold).toBe(120);
+
+    const result = await client.importSetup(bundle);
+    expect(result.etag).toBeTruthy();
+    expect(saved().threshold).toBe(90);
+  });
+
+  it('puts the categories back when an import cannot save the config', async () => {
+    const bundle = await client.exportSetup();
+    const before = await client.getCategories();
+    mkdirSync(join(dir, 'history.jsonl'));
+
+    const err = await client.importSetup({ ...bundle, categories: { devTools: { add: ['Zed'] } } }).catch(e => e);
+    expect(err.status).toBe(500);
+    expect(await client.getCategories()).toEqual(before);
+    expect(existsSync(join(dir, 'categories.overlay.json'))).toBe(false);
+  });
+
+  it('records events and reads stats', async () => {
+    expect(await client.recordEvents([{ type: 'nudge', app: 'Code', count: 50 }])).toEqual({ success: true, recorded: 1 });
+    const stats = await client.getStats({ groupBy: 'app' });
+    expect(stats.groups).toEqual([expect.objectContaining({ key: 'Code', nudges: 1 })]);
+  });
+
+  it('rejects with 401 when the token is wrong', async () => {
+    const stranger = createClient({ baseUrl: `http://localhost:${server.address().port}`, token: 'guess' });
+    await expect(stranger.getConfig()).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('streams config changes with the token in the query', () => {
+    const sources = [];
+    class FakeEventSource {
+      constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        sources.push(this);
+      }
+
+      addEventListener(type, listener) {
+        this.listeners[type] = listener;
+      }
+    }
+
+    const received = [];
+    const stream = createClient({ token: 'a b' }).streamConfig(state => received.push(state), { EventSource: FakeEventSource });
+    expect(stream).toBe(sources[0]);
+    expect(stream.url).toBe('/api/stream?token=a+b');
+
+    stream.listeners.config({ data: JSON.stringify({ config: { threshold: 80 }, categories: {}, etag: '"1"' }) });
+    expect(received).toEqual([{ config: { threshold: 80 }, categories: {}, etag: '"1"' }]);
+  });
+
+  it('uses the given fetch and leaves out empty query parameters', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, init });
+      return new Response('{"totals":{}}', { status: 200 });
+    };
+    await createClient({ baseUrl: 'http://localhost:3847', token: TOKEN, fetch }).getStats({ from: '2026-01-01' });
+    expect(calls).toEqual([{
+      url: 'http://localhost:3847/api/stats?from=2026-01-01',
+      init: { method: 'GET', headers: { 'X-Vibe10X-Token': TOKEN } },
+    }]);
+  });
+});
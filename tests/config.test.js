@@ -1,4 +1,7 @@
 import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import {
   PRESETS,
   DEFAULT_CONFIG,
@@ -10,15 +13,39 @@ import {
   parseApps,
   mergeConfig,
   validateConfig,
+  normalizeConfig,
   getEnabledApps,
+  CONFIG_VERSION,
+  detectConfigVersion,
+  migrateConfig,
+  getAllCategories,
+  validateCategory,
+  addCustomCategory,
+  updateCustomCategory,
+  removeCustomCategory,
+  dropRemovedCategoryStates,
+  resetConfig,
+  getEffectiveSettings,
+  getAllPresets,
+  presetFromConfig,
+  validatePreset,
+  saveUserPreset,
+  renderAlertMessage,
+  resolveTier,
+  getNextThreshold,
+  isActiveAt,
 } from '../lib/config.js';
 
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const loadFixture = (name) => JSON.parse(readFileSync(join(fixturesDir, name), 'utf8'));
+
 describe('PRESETS', () => {
   it('has aggressive preset', () => {
     expect(PRESETS.aggressive).toEqual({
       threshold: 30,
       resetAfterSeconds: 20,
       alertMessage: 'Voice! Now!',
+      tiers: [],
     });
   });
 
@@ -27,6 +54,7 @@ describe('PRESETS', () => {
       threshold: 100,
       resetAfterSeconds: 60,
       alertMessage: 'Consider using voice input',
+      tiers: [],
     });
   });
 
@@ -36,8 +64,18 @@ describe('PRESETS', () => {
       resetAfterSeconds: 15,
       alertMessage: 'Breathe. Speak.',
       voice: { enabled: true },
+      tiers: [],
     });
   });
+
+  it('has a valid tiered variant of each preset', () => {
+    for (const name of ['aggressive', 'relaxed', 'zen']) {
+      const tiered = PRESETS[`${name}-tiered`];
+      expect(tiered.threshold).toBe(PRESETS[name].threshold);
+      expect(tiered.tiers[0].threshold).toBe(PRESETS[name].threshold);
+      expect(validatePreset(tiered).errors).toEqual([]);
+    }
+  });
 });
 
 describe('CATEGORIES', () => {
@@ -177,6 +215,301 @@ describe('getEnabledApps', () => {
     const apps = getEnabledApps(config);
     expect(apps).toContain('Code');
   });
+
+  it('includes apps from enabled custom categories', () => {
+    const config = {
+      categories: { devTools: { enabled: false }, designTools: { enabled: true } },
+      customCategories: { designTools: { name: 'Design Tools', description: '', apps: ['Figma', 'Sketch'] } },
+    };
+    expect(getEnabledApps(config)).toEqual(['Figma', 'Sketch']);
+  });
+
+  it('skips disabled custom categories', () => {
+    const config = {
+      categories: { designTools: { enabled: false } },
+      customCategories: { designTools: { name: 'Design Tools', description: '', apps: ['Figma'] } },
+    };
+    expect(getEnabledApps(config)).toEqual([]);
+  });
+});
+
+describe('getEffectiveSettings', () => {
+  const base = {
+    ...DEFAULT_CONFIG,
+    categories: {
+      devTools: { enabled: true },
+      communication: { enabled: true, threshold: 120, alertMessage: 'Just talk' },
+      aiApps: { enabled: false, threshold: 20 },
+    },
+    customApps: { enabled: true, apps: ['Slack', 'Notion'], overrides: { Slack: { threshold: 200 } } },
+  };
+
+  it('returns global settings for apps without overrides', () => {
+    expect(getEffectiveSettings(base, 'Code')).toEqual({
+      threshold: 50,
+      resetAfterSeconds: 30,
+      alertMessage: 'Use your voice!',
+    });
+  });
+
+  it('returns global settings without an app', () => {
+    expect(getEffectiveSettings(base, null).threshold).toBe(50);
+  });
+
+  it('applies category overrides', () => {
+    expect(getEffectiveSettings(base, 'Discord')).toEqual({
+      threshold: 120,
+      resetAfterSeconds: 30,
+      alertMessage: 'Just talk',
+    });
+  });
+
+  it('ignores overrides of disabled categories', () => {
+    expect(getEffectiveSettings(base, 'ChatGPT').threshold).toBe(50);
+  });
+
+  it('lets custom app overrides win over category overrides', () => {
+    expect(getEffectiveSettings(base, 'Slack')).toEqual({
+      threshold: 200,
+      resetAfterSeconds: 30,
+      alertMessage: 'Just talk',
+    });
+  });
+
+  it('matches app names by substring like the Lua module', () => {
+    expect(getEffectiveSettings(base, 'Slack Beta').threshold).toBe(200);
+  });
+
+  it('applies overrides of custom categories', () => {
+    const config = {
+      ...base,
+      categories: { ...base.categories, design: { enabled: true, resetAfterSeconds: 90 } },
+      customCategories: { design: { name: 'Design', description: '', apps: ['Figma'] } },
+    };
+    expect(getEffectiveSettings(config, 'Figma').resetAfterSeconds).toBe(90);
+  });
+
+  it('resolves categories against the installed definitions when given', () => {
+    const installed = { ...CATEGORIES, communication: { ...CATEGORIES.communication, apps: ['Signal'] } };
+    const allCategories = getAllCategories(base, installed);
+    expect(getEffectiveSettings(base, 'Signal', allCategories).threshold).toBe(120);
+    expect(getEffectiveSettings(base, 'Discord', allCategories).threshold).toBe(50);
+  });
+});
+
+describe('renderAlertMessage', () => {
+  const base = mergeConfig(DEFAULT_CONFIG, {
+    threshold: 40,
+    alertMessage: '{count} keys in {app}',
+    categories: { communication: { enabled: true, threshold: 120, alertMessage: 'Just talk to {app}' } },
+  });
+
+  it('fills placeholders in alertMessage', () => {
+    expect(renderAlertMessage(base, { app: 'Code', count: 40 })).toBe('40 keys in Code');
+  });
+
+  it('uses the threshold of the app when no count is given', () => {
+    const config = {
+      ...base,
+      alertMessage: '{count}/{threshold}',
+      categories: { communication: { enabled: true, threshold: 120 } },
+    };
+    expect(renderAlertMessage(config, { app: 'Slack' })).toBe('120/120');
+  });
+
+  it('rotates through alertMessages', () => {
+    const config = { ...base, alertMessages: ['First ({streak})', 'Second'], alertRotation: 'sequential' };
+    expect(renderAlertMessage(config, { app: 'Code', index: 0, streak: 3 })).toBe('First (3)');
+    expect(renderAlertMessage(config, { app: 'Code', index: 1 })).toBe('Second');
+  });
+
+  it('prefers an app override message over alertMessages', () => {
+    const config = { ...base, alertMessages: ['Rotating'] };
+    expect(renderAlertMessage(config, { app: 'Slack' })).toBe('Just talk to Slack');
+  });
+});
+
+describe('resolveTier', () => {
+  const config = mergeConfig(DEFAULT_CONFIG, {
+    alertDurationSeconds: 2,
+    voice: { enabled: false },
+    tiers: [
+      { threshold: 50, style: 'toast' },
+      { threshold: 100 },
+      { threshold: 200, voice: true, alertDurationSeconds: 5, alertMessage: '{count}!' },
+    ],
+  });
+
+  it('returns null without tiers or below the first tier', () => {
+    expect(resolveTier(DEFAULT_CONFIG, 500)).toBe(null);
+    expect(resolveTier(config, 49)).toBe(null);
+  });
+
+  it('returns the highest tier reached, with defaults from the config', () => {
+    expect(resolveTier(config, 50)).toEqual({
+      level: 1, threshold: 50, style: 'toast', voice: false, alertDurationSeconds: 2, alertMessage: null, isLast: false,
+    });
+    expect(resolveTier(config, 150)).toMatchObject({ level: 2, style: 'alert' });
+    expect(resolveTier(config, 200)).toEqual({
+      level: 3, threshold: 200, style: 'alert', voice: true, alertDurationSeconds: 5, alertMessage: '{count}!', isLast: true,
+    });
+  });
+
+  it('gives the next tier threshold, or the app threshold without tiers', () => {
+    expect(getNextThreshold(config, 0, 80)).toBe(50);
+    expect(getNextThreshold(config, 100, 80)).toBe(200);
+    expect(getNextThreshold(DEFAULT_CONFIG, 0, 80)).toBe(80);
+  });
+
+  it('uses the tier message over all others', () => {
+    const tier = resolveTier(config, 200);
+    expect(renderAlertMessage({ ...config, alertMessages: ['Rotating'] }, { app: 'Code', count: 200, tier })).toBe('200!');
+  });
+});
+
+describe('getAllCategories', () => {
+  it('returns built-in categories without custom ones', () => {
+    expect(getAllCategories({})).toEqual(CATEGORIES);
+  });
+
+  it('appends custom categories after built-in ones', () => {
+    const design = { name: 'Design Tools', description: '', apps: ['Figma'] };
+    const all = getAllCategories({ customCategories: { designTools: design } });
+    expect(Object.keys(all)).toEqual([...Object.keys(CATEGORIES), 'designTools']);
+    expect(all.designTools).toBe(design);
+  });
+
+  it('never lets a custom category shadow a built-in one', () => {
+    const all = getAllCategories({ customCategories: { devTools: { name: 'Mine', apps: [] } } });
+    expect(all.devTools).toBe(CATEGORIES.devTools);
+  });
+
+  it('starts from the given built-in categories', () => {
+    const installed = { devTools: { name: 'Dev', description: '', apps: ['Zed'] } };
+    const design = { name: 'Design Tools', description: '', apps: ['Figma'] };
+    expect(getAllCategories({ customCategories: { designTools: design } }, installed)).toEqual({ ...installed, designTools: design });
+  });
+});
+
+describe('validateCategory', () => {
+  it('accepts a complete definition', () => {
+    expect(validateCategory({ name: 'Design', description: 'Design apps', apps: ['Figma'] }).valid).toBe(true);
+  });
+
+  it('allows a missing description and empty app list', () => {
+    expect(validateCategory({ name: 'Design', apps: [] }).valid).toBe(true);
+  });
+
+  it('rejects missing name and bad apps', () => {
+    const result = validateCategory({ name: ' ', apps: ['Figma', 3] });
+    expect(result.fieldErrors).toEqual([
+      { field: 'name', message: 'name must be a non-empty string' },
+      { field: 'apps.1', message: 'apps[1] must be a non-empty string' },
+    ]);
+  });
+
+  it('rejects unknown fields', () => {
+    expect(validateCategory({ name: 'A', apps: [], color: 'red' }).errors).toContain('color is not a recognized category field');
+  });
+});
+
+describe('custom category CRUD', () => {
+  const design = { name: ' Design Tools ', description: 'Design apps', apps: ['Figma', 'Sketch ', 'Figma'] };
+
+  it('adds, normalizes and enables a category', () => {
+    const config = addCustomCategory(DEFAULT_CONFIG, 'designTools', design);
+    expect(config.customCategories.designTools).toEqual({
+      name: 'Design Tools',
+      description: 'Design apps',
+      apps: ['Figma', 'Sketch'],
+    });
+    expect(config.categories.designTools).toEqual({ enabled: true });
+    expect(validateConfig(config).valid).toBe(true);
+    expect(DEFAULT_CONFIG.customCategories).toEqual({});
+  });
+
+  it('rejects duplicate and built-in ids', () => {
+    const config = addCustomCategory(DEFAULT_CONFIG, 'designTools', design);
+    expect(() => addCustomCategory(config, 'designTools', design)).toThrow('Category already exists');
+    expect(() => addCustomCategory(config, 'devTools', design)).toThrow(expect.objectContaining({ code: 'EXISTS' }));
+  });
+
+  it('rejects invalid ids and definitions', () => {
+    expect(() => addCustomCategory(DEFAULT_CONFIG, '1st', design)).toThrow(expect.objectContaining({ code: 'INVALID' }));
+    expect(() => addCustomCategory(DEFAULT_CONFIG, 'x', { apps: [] })).toThrow(expect.objectContaining({
+      code: 'INVALID',
+      fieldErrors: [{ field: 'name', message: 'name must be a non-empty string' }],
+    }));
+  });
+
+  it('updates a custom category', () => {
+    const config = addCustomCategory(DEFAULT_CONFIG, 'designTools', design);
+    const updated = updateCustomCategory(config, 'designTools', { apps: ['Figma', 'Affinity Designer'] });
+    expect(updated.customCategories.designTools.apps).toEqual(['Figma', 'Affinity Designer']);
+    expect(updated.customCategories.designTools.name).toBe('Design Tools');
+  });
+
+  it('refuses to update built-in or unknown categories', () => {
+    expect(() => updateCustomCategory(DEFAULT_CONFIG, 'devTools', { apps: [] })).toThrow(expect.objectContaining({ code: 'BUILT_IN' }));
+    expect(() => updateCustomCategory(DEFAULT_CONFIG, 'nope', { apps: [] })).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+  });
+
+  it('removes a custom category and its enabled state', () => {
+    const config = addCustomCategory(DEFAULT_CONFIG, 'designTools', design);
+    const removed = removeCustomCategory(config, 'designTools');
+    expect(removed.customCategories).toEqual({});
+    expect(removed.categories.designTools).toBeUndefined();
+    expect(() => removeCustomCategory(removed, 'designTools')).toThrow('Unknown category: designTools');
+    expect(() => removeCustomCategory(removed, 'devTools')).toThrow(expect.objectContaining({ code: 'BUILT_IN' }));
+  });
+
+  it('drops the state of custom categories a change removed', () => {
+    const config = addCustomCategory(DEFAULT_CONFIG, 'designTools', design);
+    const next = dropRemovedCategoryStates(config, { ...config, customCategories: {} });
+    expect(next.categories).toEqual(DEFAULT_CONFIG.categories);
+    expect(dropRemovedCategoryStates(config, config)).toBe(config);
+  });
+});
+
+describe('resetConfig', () => {
+  const design = { name: 'Design Tools', apps: ['Figma'] };
+  const config = {
+    ...addCustomCategory(DEFAULT_CONFIG, 'designTools', design),
+    threshold: 120,
+    voice: { enabled: true },
+  };
+
+  it('resets the whole config', () => {
+    expect(resetConfig(config)).toEqual(DEFAULT_CONFIG);
+  });
+
+  it('resets one section and keeps the rest', () => {
+    const reset = resetConfig(config, 'voice');
+    expect(reset.voice).toEqual(DEFAULT_CONFIG.voice);
+    expect(reset.threshold).toBe(120);
+    expect(reset.customCategories.designTools).toBeDefined();
+  });
+
+  it('drops the enabled state of removed custom categories', () => {
+    const reset = resetConfig({ ...config, categories: { ...config.categories, designTools: { enabled: true } } }, 'customCategories');
+    expect(reset.customCategories).toEqual({});
+    expect(reset.categories.designTools).toBeUndefined();
+    expect(reset.categories.devTools).toEqual(config.categories.devTools);
+  });
+
+  it('returns copies of the defaults', () => {
+    resetConfig(config, 'customApps').customApps.apps.push('Figma');
+    expect(DEFAULT_CONFIG.customApps.apps).toEqual([]);
+  });
+
+  it('refuses unknown sections and configVersion', () => {
+    for (const section of ['nope', 'configVersion']) {
+      expect(() => resetConfig(config, section)).toThrow(expect.objectContaining({
+        code: 'INVALID',
+        fieldErrors: [expect.objectContaining({ field: 'section' })],
+      }));
+    }
+  });
 });
 
 describe('applyPreset', () => {
@@ -216,6 +549,113 @@ describe('applyPreset', () => {
   it('includes available presets in error message', () => {
     expect(() => applyPreset({}, 'invalid')).toThrow('aggressive, relaxed, zen');
   });
+
+  it('throws NOT_FOUND for unknown presets', () => {
+    expect(() => applyPreset({}, 'unknown')).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+  });
+
+  it('resolves user presets', () => {
+    const userPresets = { focus: { threshold: 40 } };
+    expect(applyPreset({ threshold: 50 }, 'focus', userPresets).threshold).toBe(40);
+    expect(applyPreset({ threshold: 50 }, 'FOCUS', userPresets).threshold).toBe(40);
+    expect(() => applyPreset({}, 'other', userPresets)).toThrow('zen-tiered, focus');
+  });
+
+  it('merges voice and only changes the categories a preset lists', () => {
+    const config = {
+      voice: { enabled: false },
+      categories: { devTools: { enabled: true, threshold: 80 }, communication: { enabled: false } },
+    };
+    const userPresets = {
+      chatty: { voice: { enabled: true }, categories: { communication: { enabled: true } } },
+    };
+    const result = applyPreset(config, 'chatty', userPresets);
+    expect(result.voice).toEqual({ enabled: true });
+    expect(result.categories).toEqual({
+      devTools: { enabled: true, threshold: 80 },
+      communication: { enabled: true },
+    });
+    expect(config.categories.communication.enabled).toBe(false);
+  });
+});
+
+describe('getAllPresets', () => {
+  it('returns built-in presets by default', () => {
+    expect(getAllPresets()).toEqual(PRESETS);
+  });
+
+  it('adds user presets after built-in ones without letting them shadow built-ins', () => {
+    const presets = getAllPresets({ focus: { threshold: 40 }, Zen: { threshold: 10 } });
+    expect(Object.keys(presets)).toEqual([
+      'aggressive', 'relaxed', 'zen', 'aggressive-tiered', 'relaxed-tiered', 'zen-tiered', 'focus',
+    ]);
+    expect(presets.zen).toEqual(PRESETS.zen);
+  });
+});
+
+describe('presetFromConfig', () => {
+  it('takes behavior, voice and categories but not apps or schedule', () => {
+    const preset = presetFromConfig({ ...DEFAULT_CONFIG, threshold: 40 });
+    expect(Object.keys(preset)).toEqual([
+      'threshold',
+      'resetAfterSeconds',
+      'alertDurationSeconds',
+      'alertMessage',
+      'alertMessages',
+      'alertRotation',
+      'tiers',
+      'voice',
+      'categories',
+    ]);
+    expect(preset.threshold).toBe(40);
+    expect(preset.categories).not.toBe(DEFAULT_CONFIG.categories);
+  });
+});
+
+describe('validatePreset', () => {
+  it('accepts presets built from a valid config', () => {
+    expect(validatePreset(presetFromConfig(DEFAULT_CONFIG)).valid).toBe(true);
+    expect(validatePreset(PRESETS.zen).valid).toBe(true);
+  });
+
+  it('rejects settings presets cannot change', () => {
+    const result = validatePreset({ threshold: 40, customApps: { enabled: true, apps: [] } });
+    expect(result.fieldErrors).toEqual([{ field: 'customApps', message: 'customApps cannot be set by a preset' }]);
+  });
+
+  it('rejects invalid values', () => {
+    const result = validatePreset({ threshold: 5, categories: { devTools: { enabled: 'yes' } } });
+    expect(result.fieldErrors.map(e => e.field)).toEqual(['threshold', 'categories.devTools.enabled']);
+  });
+
+  it('rejects non-object presets', () => {
+    expect(validatePreset(null).errors).toEqual(['Preset must be an object']);
+  });
+});
+
+describe('saveUserPreset', () => {
+  it('adds or replaces a user preset', () => {
+    const presets = saveUserPreset({ focus: { threshold: 40 } }, 'focus', { threshold: 45 });
+    expect(saveUserPreset(presets, 'docs', { threshold: 90 })).toEqual({
+      focus: { threshold: 45 },
+      docs: { threshold: 90 },
+    });
+  });
+
+  it('rejects invalid names', () => {
+    expect(() => saveUserPreset({}, '1st', { threshold: 40 })).toThrow(expect.objectContaining({ code: 'INVALID' }));
+  });
+
+  it('refuses to replace built-in presets', () => {
+    expect(() => saveUserPreset({}, 'Zen', { threshold: 40 })).toThrow(expect.objectContaining({ code: 'BUILT_IN' }));
+  });
+
+  it('rejects invalid presets with field errors', () => {
+    expect(() => saveUserPreset({}, 'focus', { threshold: 'lots' })).toThrow(expect.objectContaining({
+      code: 'INVALID',
+      fieldErrors: [{ field: 'threshold', message: 'threshold must be a number between 10 and 500' }],
+    }));
+  });
 });
 
 describe('clampThreshold', () => {
@@ -364,6 +804,51 @@ describe('mergeConfig', () => {
 });
 
 describe('validateConfig', () => {
+  it('rejects unknown placeholders in alert messages', () => {
+    const result = validateConfig({
+      ...DEFAULT_CONFIG,
+      alertMessage: '{cnt} keys',
+      alertMessages: ['{count} keys', { text: 'Hi {user}', weight: 2 }],
+      alertRotation: 'weighted',
+    });
+    expect(result.fieldErrors.map(e => e.field)).toEqual(['alertMessage', 'alertMessages.1.text']);
+  });
+
+  it('requires strictly increasing tier thresholds', () => {
+    const result = validateConfig({
+      ...DEFAULT_CONFIG,
+      tiers: [{ threshold: 50 }, { threshold: 100 }, { threshold: 100 }, { threshold: 80 }],
+    });
+    expect(result.fieldErrors.map(e => e.field)).toEqual(['tiers.2.threshold', 'tiers.3.threshold']);
+    expect(result.errors[0]).toBe("tiers.2.threshold must be greater than the previous tier's (100)");
+  });
+
+  it('validates tier settings', () => {
+    const result = validateConfig({
+      ...DEFAULT_CONFIG,
+      tiers: [
+        { style: 'toast' },
+        { threshold: 100, style: 'banner', voice: 'yes', alertDurationSeconds: 60, alertMessage: '{who}', color: 'red' },
+        'big',
+      ],
+    });
+    expect(result.fieldErrors.map(e => e.field)).toEqual([
+      'tiers.0.threshold',
+      'tiers.1.alertDurationSeconds',
+      'tiers.1.alertMessage',
+      'tiers.1.color',
+      'tiers.1.style',
+      'tiers.1.voice',
+      'tiers.2',
+    ]);
+    expect(validateConfig({ ...DEFAULT_CONFIG, tiers: {} }).errors).toEqual(['tiers must be an array']);
+  });
+
+  it('rejects an unknown alertRotation', () => {
+    const result = validateConfig({ ...DEFAULT_CONFIG, alertRotation: 'shuffle' });
+    expect(result.fieldErrors.map(e => e.field)).toEqual(['alertRotation']);
+  });
+
   it('validates complete config', () => {
     const result = validateConfig(DEFAULT_CONFIG);
     expect(result.valid).toBe(true);
@@ -450,4 +935,263 @@ describe('validateConfig', () => {
     expect(result.valid).toBe(false);
     expect(result.errors.length).toBeGreaterThan(1);
   });
+
+  it('rejects unknown top-level keys', () => {
+    const config = { ...DEFAULT_CONFIG, treshold: 50 };
+    const result = validateConfig(config);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('treshold is not a recognized setting');
+  });
+
+  it('rejects unsupported configVersion', () => {
+    const config = { ...DEFAULT_CONFIG, configVersion: 1 };
+    expect(validateConfig(config).errors).toContain(`configVersion must be ${CONFIG_VERSION}`);
+  });
+
+  it('rejects legacy monitoredApps field', () => {
+    const config = { ...DEFAULT_CONFIG, monitoredApps: ['Code'] };
+    expect(validateConfig(config).errors).toContain('monitoredApps is not a recognized setting');
+  });
+
+  it('validates custom category definitions', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      customCategories: {
+        designTools: { name: '', apps: ['Figma'] },
+        devTools: { name: 'Mine', apps: [] },
+      },
+    };
+    const result = validateConfig(config);
+    expect(result.errors).toContain('customCategories.designTools.name must be a non-empty string');
+    expect(result.errors).toContain('customCategories.devTools conflicts with a built-in category');
+  });
+
+  it('validates enabled state of custom categories like built-in ones', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      categories: { ...DEFAULT_CONFIG.categories, designTools: { enabled: 'on' } },
+      customCategories: { designTools: { name: 'Design', apps: [] } },
+    };
+    expect(validateConfig(config).errors).toContain('categories.designTools.enabled must be a boolean');
+  });
+
+  it('accepts valid category and custom app overrides', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      categories: { ...DEFAULT_CONFIG.categories, communication: { enabled: true, threshold: 80, alertMessage: 'Talk' } },
+      customApps: { enabled: true, apps: ['Notion'], overrides: { Notion: { resetAfterSeconds: 60 } } },
+    };
+    expect(validateConfig(config).errors).toEqual([]);
+  });
+
+  it('rejects out-of-range and unknown category overrides', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      categories: { ...DEFAULT_CONFIG.categories, communication: { enabled: true, threshold: 5, sound: 'ping' } },
+    };
+    const result = validateConfig(config);
+    expect(result.errors).toContain('categories.communication.threshold must be a number between 10 and 500');
+    expect(result.errors).toContain('categories.communication.sound is not a recognized setting');
+  });
+
+  it('rejects overrides for apps that are not custom apps', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      customApps: { enabled: true, apps: ['Notion'], overrides: { Slack: { threshold: 80 }, Notion: { alertMessage: '' } } },
+    };
+    const result = validateConfig(config);
+    expect(result.errors).toContain('customApps.overrides.Slack does not match a custom app');
+    expect(result.errors).toContain('customApps.overrides.Notion.alertMessage must be a non-empty string');
+  });
+
+  it('rejects array config', () => {
+    expect(validateConfig([]).valid).toBe(false);
+  });
+
+  it('rejects non-boolean voice.enabled', () => {
+    const config = { ...DEFAULT_CONFIG, voice: { enabled: 'yes' } };
+    const result = validateConfig(config);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('voice.enabled must be a boolean');
+  });
+
+  it('rejects non-object voice', () => {
+    const config = { ...DEFAULT_CONFIG, voice: true };
+    expect(validateConfig(config).errors).toContain('voice must be an object');
+  });
+
+  it('rejects invalid menuBar fields', () => {
+    const config = { ...DEFAULT_CONFIG, menuBar: { showCount: 1, icon: '' } };
+    const result = validateConfig(config);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('menuBar.showCount must be a boolean');
+    expect(result.errors).toContain('menuBar.icon must be a non-empty string');
+  });
+
+  it('rejects non-string customApps.apps elements', () => {
+    const config = { ...DEFAULT_CONFIG, customApps: { enabled: true, apps: ['Notion', 42, ''] } };
+    const result = validateConfig(config);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('customApps.apps[1] must be a non-empty string');
+    expect(result.errors).toContain('customApps.apps[2] must be a non-empty string');
+  });
+
+  it('validates schedule rules', () => {
+    const schedule = {
+      enabled: true,
+      timezone: 'Mars/Olympus',
+      activeHours: [{ days: ['mon', 'funday'], start: '9am', end: '18:00' }],
+      quietHours: [{ start: '12:00', end: '12:00' }],
+    };
+    const result = validateConfig({ ...DEFAULT_CONFIG, schedule });
+    expect(result.valid).toBe(false);
+    expect(result.fieldErrors.map(e => e.field)).toEqual([
+      'schedule.timezone',
+      'schedule.activeHours.0.days',
+      'schedule.activeHours.0.start',
+      'schedule.quietHours.0.end',
+    ]);
+  });
+
+  it('rejects non-object schedule', () => {
+    const config = { ...DEFAULT_CONFIG, schedule: 'weekdays' };
+    expect(validateConfig(config).errors).toContain('schedule must be an object');
+  });
+
+  it('reports the offending field for each error', () => {
+    const config = { ...DEFAULT_CONFIG, threshold: 'abc', voice: { enabled: 1 } };
+    const result = validateConfig(config);
+    expect(result.fieldErrors).toEqual([
+      { field: 'threshold', message: 'threshold must be a number between 10 and 500' },
+      { field: 'voice.enabled', message: 'voice.enabled must be a boolean' },
+    ]);
+  });
+});
+
+describe('normalizeConfig', () => {
+  it('fills missing fields from defaults', () => {
+    const result = normalizeConfig({ threshold: 80 });
+    expect(result.valid).toBe(true);
+    expect(result.config.threshold).toBe(80);
+    expect(result.config.resetAfterSeconds).toBe(DEFAULT_CONFIG.resetAfterSeconds);
+  });
+
+  it('merges nested sections with defaults', () => {
+    const result = normalizeConfig({ menuBar: { showCount: true } });
+    expect(result.config.menuBar).toEqual({ showCount: true, icon: DEFAULT_CONFIG.menuBar.icon });
+  });
+
+  it('reports invalid values after merging', () => {
+    const result = normalizeConfig({ threshold: 'abc' });
+    expect(result.valid).toBe(false);
+    expect(result.fieldErrors[0].field).toBe('threshold');
+  });
+
+  it('rejects non-object input without a config', () => {
+    const result = normalizeConfig('nope');
+    expect(result.valid).toBe(false);
+    expect(result.config).toBeNull();
+  });
+});
+
+describe('detectConfigVersion', () => {
+  it('detects legacy flat configs as version 0', () => {
+    expect(detectConfigVersion(loadFixture('config-v0-default.json'))).toBe(0);
+  });
+
+  it('detects unversioned category configs as version 1', () => {
+    expect(detectConfigVersion(loadFixture('config-v1.json'))).toBe(1);
+  });
+
+  it('reads configVersion when present', () => {
+    expect(detectConfigVersion(loadFixture('config-v2.json'))).toBe(2);
+  });
+});
+
+describe('migrateConfig', () => {
+  it('migrates an untouched legacy config to default categories', () => {
+    const { config, fromVersion, toVersion, migrated } = migrateConfig(loadFixture('config-v0-default.json'));
+    expect(migrated).toBe(true);
+    expect(fromVersion).toBe(0);
+    expect(toVersion).toBe(CONFIG_VERSION);
+    expect(config.configVersion).toBe(CONFIG_VERSION);
+    expect(config.monitoredApps).toBeUndefined();
+    expect(config.categories).toEqual(DEFAULT_CONFIG.categories);
+    expect(config.customApps).toEqual({ enabled: true, apps: [] });
+  });
+
+  it('maps a customized legacy app list to categories and custom apps', () => {
+    const { config } = migrateConfig(loadFixture('config-v0-custom.json'));
+    expect(config.categories.communication).toEqual({ enabled: true });
+    expect(config.categories.devTools).toEqual({ enabled: false });
+    expect(config.customApps.apps).toEqual(['Code', 'Notion']);
+    expect(getEnabledApps(config)).toEqual(expect.arrayContaining(loadFixture('config-v0-custom.json').monitoredApps));
+  });
+
+  it('keeps other legacy settings', () => {
+    const { config } = migrateConfig(loadFixture('config-v0-custom.json'));
+    expect(config.enabled).toBe(false);
+    expect(config.threshold).toBe(80);
+    expect(config.voice).toEqual({ enabled: true });
+    expect(config.menuBar).toEqual({ showCount: true, icon: '10X' });
+  });
+
+  it('migrates version 1 by dropping monitoredApps', () => {
+    const v1 = loadFixture('config-v1.json');
+    const { config, fromVersion } = migrateConfig(v1);
+    expect(fromVersion).toBe(1);
+    expect(config.monitoredApps).toBeUndefined();
+    expect(config.categories).toEqual(v1.categories);
+    expect(config.customApps).toEqual(v1.customApps);
+  });
+
+  it('produces valid configs from every historical shape', () => {
+    for (const name of ['config-v0-default.json', 'config-v0-custom.json', 'config-v1.json', 'config-v2.json']) {
+      const { config } = migrateConfig(loadFixture(name));
+      expect(validateConfig(config).errors).toEqual([]);
+    }
+  });
+
+  it('leaves current configs untouched', () => {
+    const v2 = loadFixture('config-v2.json');
+    const result = migrateConfig(v2);
+    expect(result.migrated).toBe(false);
+    expect(result.config).toBe(v2);
+  });
+
+  it('reads empty lists the Hammerspoon menu wrote as {} back as arrays', () => {
+    const written = {
+      ...loadFixture('config-v2.json'),
+      alertMessages: {},
+      tiers: {},
+      customApps: { enabled: true, apps: {} },
+      customCategories: { designTools: { name: 'Design', apps: {} } },
+      categories: { ...DEFAULT_CONFIG.categories, designTools: { enabled: true } },
+      schedule: { enabled: true, timezone: '', activeHours: {}, quietHours: {} },
+    };
+    const { config } = migrateConfig(written);
+
+    expect(config).toMatchObject({
+      alertMessages: [],
+      tiers: [],
+      customApps: { apps: [] },
+      customCategories: { designTools: { apps: [] } },
+      schedule: { activeHours: [], quietHours: [] },
+    });
+    expect(validateConfig(mergeConfig(DEFAULT_CONFIG, config)).valid).toBe(true);
+    expect(isActiveAt(config, new Date())).toBe(true);
+  });
+
+  it('leaves configs from newer versions untouched', () => {
+    const future = { ...loadFixture('config-v2.json'), configVersion: CONFIG_VERSION + 1 };
+    const result = migrateConfig(future);
+    expect(result.migrated).toBe(false);
+    expect(result.toVersion).toBe(CONFIG_VERSION + 1);
+  });
+
+  it('does not mutate the input', () => {
+    const v0 = loadFixture('config-v0-custom.json');
+    migrateConfig(v0);
+    expect(v0).toEqual(loadFixture('config-v0-custom.json'));
+  });
 });
@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createReadStream, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CONFIG, mergeConfig } from '../lib/config.js';
+import { parseNotifier, createNotifier, checkDaemonOptions, createDaemon, readInput } from '../lib/daemon.js';
+import { EVDEV_EVENT_SIZE } from '../lib/input.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const config = mergeConfig(DEFAULT_CONFIG, {
+  threshold: 3,
+  resetAfterSeconds: 10,
+  alertMessage: 'Talk!',
+  categories: { devTools: { enabled: true } },
+});
+
+const nudge = { type: 'nudge', timestamp: '2026-01-05T10:00:00.000Z', app: 'Code', count: 3, message: 'Talk!' };
+
+describe('parseNotifier', () => {
+  it('parses each notifier type', () => {
+    expect(parseNotifier('stdout')).toEqual({ type: 'stdout' });
+    expect(parseNotifier('command:notify-send Vibe10X "$VIBE10X_MESSAGE"'))
+      .toEqual({ type: 'command', command: 'notify-send Vibe10X "$VIBE10X_MESSAGE"' });
+    expect(parseNotifier('webhook:http://localhost:9000/nudge')).toEqual({ type: 'webhook', url: 'http://localhost:9000/nudge' });
+  });
+
+  it('rejects unknown or incomplete specs', () => {
+    for (const spec of ['email', 'stdout:x', 'command:', 'webhook:not a url', 'webhook:file:///tmp/x']) {
+      expect(() => parseNotifier(spec)).toThrow(expect.objectContaining({ code: 'INVALID' }));
+    }
+  });
+});
+
+describe('checkDaemonOptions', () => {
+  it('refuses evdev input without a way to learn the app', () => {
+    expect(() => checkDaemonOptions({ format: 'evdev' })).toThrow(expect.objectContaining({ code: 'INVALID' }));
+    expect(() => checkDaemonOptions({ format: 'evdev' })).toThrow(/--window-command/);
+  });
+
+  it('accepts evdev input with a window command or a fixed app, and any jsonl input', () => {
+    expect(() => checkDaemonOptions({ format: 'evdev', windowCommand: 'xdotool getactivewindow getwindowclassname' })).not.toThrow();
+    expect(() => checkDaemonOptions({ format: 'evdev', app: 'Code' })).not.toThrow();
+    expect(() => checkDaemonOptions({ format: 'jsonl' })).not.toThrow();
+  });
+});
+
+describe('createNotifier', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prints nudges as JSON lines', async () => {
+    let output = '';
+    await createNotifier('stdout', { stdout: { write: (text) => { output += text; } } })(nudge);
+    expect(JSON.parse(output)).toEqual(nudge);
+  });
+
+  it('runs a command with the message in the environment', async () => {
+    const outPath = join(dir, 'out.txt');
+    await createNotifier(`command:printf '%s %s %s' "$VIBE10X_MESSAGE" "$VIBE10X_APP" "$VIBE10X_COUNT" > ${outPath}`)(nudge);
+    expect(readFileSync(outPath, 'utf8')).toBe('Talk! Code 3');
+  });
+
+  it('fails when the command fails', async () => {
+    await expect(createNotifier('command:exit 3')(nudge)).rejects.toThrow(/code 3/);
+  });
+
+  it('posts nudges to a webhook', async () => {
+    const received = [];
+    const server = createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      received.push({ method: req.method, body: JSON.parse(body) });
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      await createNotifier(`webhook:http://127.0.0.1:${server.address().port}/nudge`)(nudge);
+      expect(received).toEqual([{ method: 'POST', body: nudge }]);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('createDaemon', () => {
+  // Run a daemon over a stream, collecting engine events and notified nudges
+  async function play(stream, options = {}) {
+    const events = [];
+    const nudges = [];
+    const daemon = createDaemon(config, {
+      notifiers: [async (event) => nudges.push(event)],
+      onEvent: event => events.push(event),
+    });
+    await readInput(daemon, stream, options);
+    await daemon.stop();
+    return { events, nudges };
+  }
+
+  it('plays back a recorded jsonl trace with its original timing', async () => {
+    const { events, nudges } = await play(createReadStream(join(fixturesDir, 'daemon-trace.jsonl')));
+
+    expect(nudges).toEqual([
+      { type: 'nudge', timestamp: '2026-01-05T10:00:20.400Z', app: 'Code', count: 3, message: 'Talk!' },
+    ]);
+    expect(events.filter(e => e.type === 'reset').map(e => [e.reason, e.app, e.count, e.timestamp])).toEqual([
+      ['inactivity', 'Code', 2, '2026-01-05T10:00:20.000Z'],
+      ['nudge', 'Code', 3, '2026-01-05T10:00:20.400Z'],
+      ['app_switch', 'Code', 1, '2026-01-05T10:00:21.000Z'],
+    ]);
+    expect(events.filter(e => e.type === 'app_switch').map(e => e.app)).toEqual(['Code', 'firefox']);
+  });
+
+  it('reports and skips malformed lines', async () => {
+    const errors = [];
+    const input = Readable.from(['{"type":"focus","app":"Code"}\nnot json\n{"type":"key","keyCode":30}']);
+    const { events } = await play(input, { onError: err => errors.push(err.message) });
+
+    expect(errors).toEqual([expect.stringMatching(/^Line 2: Invalid JSON/)]);
+    expect(events.filter(e => e.type === 'count').map(e => e.count)).toEqual([1, 0]);
+  });
+
+  it('reads evdev records', async () => {
+    const record = (code, value) => {
+      const buffer = Buffer.alloc(EVDEV_EVENT_SIZE);
+      buffer.writeBigInt64LE(1767607200n, 0);
+      buffer.writeUInt16LE(1, 16);
+      buffer.writeUInt16LE(code, 18);
+      buffer.writeInt32LE(value, 20);
+      return buffer;
+    };
+    const daemon = createDaemon(config);
+    daemon.handle({ type: 'focus', app: 'Code' });
+
+    await readInput(daemon, Readable.from([Buffer.concat([record(30, 1), record(30, 0), record(31, 1)])]), { format: 'evdev' });
+    expect(daemon.engine.getState().count).toBe(2);
+  });
+
+  it('resets after inactivity when ticked without input', () => {
+    let wall = Date.UTC(2026, 0, 5, 10);
+    const events = [];
+    const daemon = createDaemon(config, { now: () => wall, onEvent: e => events.push(e) });
+    daemon.handle({ type: 'focus', app: 'Code' });
+    daemon.handle({ type: 'key', keyCode: 30 });
+
+    wall += 10000;
+    daemon.tick();
+    expect(events.at(-2)).toMatchObject({ type: 'reset', reason: 'inactivity', count: 1 });
+  });
+
+  it('reports notifier failures without stopping', async () => {
+    const errors = [];
+    const daemon = createDaemon(config, {
+      notifiers: [async () => { throw new Error('offline'); }],
+      onError: err => errors.push(err.message),
+    });
+    daemon.handle({ type: 'focus', app: 'Code' });
+    for (let i = 0; i < 3; i++) daemon.handle({ type: 'key', keyCode: 30 });
+
+    await daemon.stop();
+    expect(errors).toEqual(['offline']);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_CONFIG } from '../lib/config.js';
+import { diffValues, mergeRemoteChanges, applyMergePatch } from '../lib/diff.js';
+
+describe('diffValues', () => {
+  it('lists changed, added and removed fields by path', () => {
+    const before = { threshold: 50, voice: { enabled: false }, apps: ['Code'], old: 1 };
+    const after = { threshold: 80, voice: { enabled: false }, apps: ['Code', 'Zed'], added: true };
+    expect(diffValues(before, after)).toEqual([
+      { path: 'threshold', from: 50, to: 80 },
+      { path: 'apps', from: ['Code'], to: ['Code', 'Zed'] },
+      { path: 'old', from: 1, to: undefined },
+      { path: 'added', from: undefined, to: true },
+    ]);
+  });
+
+  it('returns nothing for equal values', () => {
+    expect(diffValues(DEFAULT_CONFIG, structuredClone(DEFAULT_CONFIG))).toEqual([]);
+  });
+});
+
+describe('mergeRemoteChanges', () => {
+  const base = {
+    threshold: 50,
+    voice: { enabled: false },
+    categories: { devTools: { enabled: true }, communication: { enabled: false } },
+    customApps: { enabled: true, apps: ['Notion'] },
+  };
+
+  it('takes remote changes when there are no local edits', () => {
+    const remote = { ...base, threshold: 80 };
+    const result = mergeRemoteChanges(base, base, remote);
+    expect(result.config).toEqual(remote);
+    expect(result.changed).toEqual(['threshold']);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('keeps local edits to other fields', () => {
+    const local = { ...base, threshold: 30 };
+    const remote = { ...base, categories: { ...base.categories, communication: { enabled: true } } };
+    const result = mergeRemoteChanges(base, local, remote);
+    expect(result.config.threshold).toBe(30);
+    expect(result.config.categories.communication.enabled).toBe(true);
+    expect(result.changed).toEqual(['categories.communication.enabled']);
+  });
+
+  it('reports conflicting edits and keeps the local value', () => {
+    const local = { ...base, customApps: { enabled: true, apps: ['Notion', 'Bear'] } };
+    const remote = { ...base, customApps: { enabled: true, apps: ['Notion', 'Figma'] } };
+    const result = mergeRemoteChanges(base, local, remote);
+    expect(result.config.customApps.apps).toEqual(['Notion', 'Bear']);
+    expect(result.changed).toEqual([]);
+    expect(result.conflicts).toEqual([
+      { path: 'customApps.apps', local: ['Notion', 'Bear'], remote: ['Notion', 'Figma'] },
+    ]);
+  });
+
+  it('does not report the same edit made on both sides', () => {
+    const edited = { ...base, threshold: 80 };
+    const result = mergeRemoteChanges(base, edited, edited);
+    expect(result.conflicts).toEqual([]);
+    expect(result.config).toEqual(edited);
+  });
+
+  it('applies added and removed fields', () => {
+    const remote = { ...base, menuBar: { showCount: true } };
+    delete remote.voice;
+    const result = mergeRemoteChanges(base, base, remote);
+    expect(result.config).toEqual(remote);
+  });
+
+  it('does not modify its inputs', () => {
+    const local = structuredClone(base);
+    mergeRemoteChanges(base, local, { ...base, threshold: 80 });
+    expect(local).toEqual(base);
+  });
+});
+
+describe('applyMergePatch', () => {
+  const config = { threshold: 50, voice: { enabled: false }, customApps: { enabled: true, apps: ['Figma'] } };
+
+  it('merges objects key by key', () => {
+    expect(applyMergePatch(config, { voice: { enabled: true } })).toEqual({ ...config, voice: { enabled: true } });
+  });
+
+  it('removes keys set to null', () => {
+    expect(applyMergePatch(config, { voice: null, customApps: { enabled: null } }))
+      .toEqual({ threshold: 50, customApps: { apps: ['Figma'] } });
+  });
+
+  it('replaces arrays and other values as a whole', () => {
+    expect(applyMergePatch(config, { customApps: { apps: ['Xcode'] } }).customApps.apps).toEqual(['Xcode']);
+    expect(applyMergePatch(config, { threshold: { min: 10 } }).threshold).toEqual({ min: 10 });
+    expect(applyMergePatch(config, ['a'])).toEqual(['a']);
+  });
+
+  it('follows the examples of RFC 7386', () => {
+    const target = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'], content: 'This will be unchanged' };
+    const patch = { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: ['example'] };
+    expect(applyMergePatch(target, patch)).toEqual({
+      title: 'Hello!',
+      author: { givenName: 'John' },
+      tags: ['example'],
+      content: 'This will be unchanged',
+      phoneNumber: '+01-123-456-7890',
+    });
+    expect(applyMergePatch({ a: 'foo' }, { a: { b: 'c' } })).toEqual({ a: { b: 'c' } });
+    expect(applyMergePatch('foo', { a: { bb: { ccc: null } } })).toEqual({ a: { bb: {} } });
+  });
+
+  it('leaves the target untouched', () => {
+    const target = structuredClone(config);
+    applyMergePatch(target, { voice: { enabled: true }, threshold: null });
+    expect(target).toEqual(config);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, readFileSync, symlinkSync, readlinkSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CONFIG, validateConfig } from '../lib/config.js';
+import { repairConfig, runChecks, fixProblems, summarizeChecks, getRepairBackupPath } from '../lib/doctor.js';
+
+const repoDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+describe('repairConfig', () => {
+  it('resets invalid settings and drops unknown ones', () => {
+    const { config, repaired } = repairConfig({
+      threshold: 5,
+      bogus: true,
+      alertMessage: 'Talk!',
+      categories: { devTools: { enabled: true, threshold: 1 } },
+    });
+    expect(validateConfig(config).valid).toBe(true);
+    expect(config.threshold).toBe(DEFAULT_CONFIG.threshold);
+    expect(config.alertMessage).toBe('Talk!');
+    expect(config.categories.devTools).toEqual({ enabled: true });
+    expect(config).not.toHaveProperty('bogus');
+    expect(repaired).toEqual(['bogus', 'threshold', 'categories.devTools.threshold']);
+  });
+
+  it('removes broken list items', () => {
+    const { config } = repairConfig({ tiers: [{ threshold: 50 }, { style: 'toast' }] });
+    expect(validateConfig(config).valid).toBe(true);
+    expect(config.tiers).toEqual([{ threshold: 50 }]);
+  });
+
+  it('removes several broken list items without touching the valid ones after them', () => {
+    const { config, repaired } = repairConfig({ customApps: { enabled: true, apps: [1, 2, 'Figma', 3, 'Sketch'] } });
+    expect(validateConfig(config).valid).toBe(true);
+    expect(config.customApps.apps).toEqual(['Figma', 'Sketch']);
+    expect(repaired).toEqual(['customApps.apps.0', 'customApps.apps.1', 'customApps.apps.3']);
+  });
+
+  it('falls back to the defaults for a non-object', () => {
+    expect(repairConfig([])).toEqual({ config: DEFAULT_CONFIG, repaired: [''] });
+  });
+});
+
+describe('runChecks and fixProblems', () => {
+  let home;
+  let env;
+
+  beforeEach(() => {
+    home = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    env = {
+      home,
+      hammerspoonDir: join(home, '.hammerspoon'),
+      initPath: join(home, '.hammerspoon', 'init.lua'),
+      sourceLuaDir: join(repoDir, 'hammerspoon'),
+      configPath: join(home, '.vibe10x', 'config.json'),
+      categoriesPath: join(home, '.vibe10x', 'categories.json'),
+      sourceCategoriesPath: join(repoDir, 'config', 'categories.json'),
+      nodeVersion: 'v20.1.0',
+      exists: path => path === '/Applications/Hammerspoon.app' || path === '/usr/local/bin/hs',
+      isRunning: async () => true,
+    };
+  });
+
+  afterEach(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  const byId = (checks) => Object.fromEntries(checks.map(c => [c.id, c]));
+
+  it('reports missing pieces with remedies', async () => {
+    const checks = byId(await runChecks({ ...env, nodeVersion: 'v16.0.0', isRunning: async () => false, exists: () => false }));
+
+    expect(checks.node.status).toBe('fail');
+    expect(checks['hammerspoon-app']).toMatchObject({ status: 'fail', remedy: expect.stringContaining('brew install'), fixable: false });
+    expect(checks['hammerspoon-running'].status).toBe('fail');
+    expect(checks['hs-cli'].status).toBe('warn');
+    expect(checks['lua:vibe10x.lua']).toMatchObject({ status: 'fail', fixable: true });
+    expect(checks['init-lua']).toMatchObject({ status: 'fail', fixable: true });
+    expect(checks.config).toMatchObject({ status: 'warn', fixable: true });
+    expect(checks.categories).toMatchObject({ status: 'fail', fixable: true });
+  });
+
+  it('flags links pointing elsewhere and unparseable configs', async () => {
+    mkdirSync(env.hammerspoonDir);
+    symlinkSync('/old/checkout/hammerspoon/vibe10x.lua', join(env.hammerspoonDir, 'vibe10x.lua'));
+    writeFileSync(join(env.hammerspoonDir, 'vibe10x-menu.lua'), '-- copy');
+    mkdirSync(dirname(env.configPath));
+    writeFileSync(env.configPath, '{ "threshold": ');
+
+    const checks = byId(await runChecks(env));
+    expect(checks['lua:vibe10x.lua'].message).toContain('points at /old/checkout');
+    expect(checks['lua:vibe10x-menu.lua'].status).toBe('warn');
+    expect(checks.config.message).toContain('not valid JSON');
+  });
+
+  it('repairs everything fixable, keeping a backup of the config', async () => {
+    mkdirSync(dirname(env.configPath));
+    writeFileSync(env.configPath, JSON.stringify({ threshold: 5, alertMessage: 'Talk!' }));
+    mkdirSync(env.hammerspoonDir);
+    writeFileSync(join(env.hammerspoonDir, 'init.lua'), 'require("vibe10x")\n');
+
+    const fixed = fixProblems(await runChecks(env), { ...env, source: 'test' });
+    expect(fixed.map(f => f.id)).toEqual(['lua:vibe10x.lua', 'lua:vibe10x-menu.lua', 'init-lua', 'config', 'categories']);
+
+    const checks = await runChecks(env);
+    expect(summarizeChecks(checks)).toEqual({ pass: checks.length, warn: 0, fail: 0 });
+    expect(readlinkSync(join(env.hammerspoonDir, 'vibe10x.lua'))).toBe(join(repoDir, 'hammerspoon', 'vibe10x.lua'));
+    expect(readFileSync(env.initPath, 'utf8')).toContain('-- BEGIN vibe10x');
+    expect(JSON.parse(readFileSync(env.configPath, 'utf8'))).toMatchObject({ threshold: 50, alertMessage: 'Talk!' });
+    expect(JSON.parse(readFileSync(getRepairBackupPath(env.configPath), 'utf8')).threshold).toBe(5);
+    expect(existsSync(env.categoriesPath)).toBe(true);
+  });
+
+  it('checks and repairs init.lua against a Vibe10X dir other than ~/.vibe10x', async () => {
+    const vibe10xDir = join(home, 'dotfiles', 'vibe10x');
+    const customEnv = { ...env, vibe10xDir, configPath: join(vibe10xDir, 'config.json'), categoriesPath: join(vibe10xDir, 'categories.json') };
+    fixProblems(await runChecks(env), env);
+
+    const checks = byId(await runChecks(customEnv));
+    expect(checks['init-lua'].status).toBe('warn');
+
+    fixProblems(Object.values(checks), customEnv);
+    expect(readFileSync(env.initPath, 'utf8')).toContain(`VIBE10X_HOME = "${vibe10xDir}"`);
+    expect(byId(await runChecks(customEnv))['init-lua'].status).toBe('pass');
+    expect(byId(await runChecks({ ...env, vibe10xDir: join(home, '.vibe10x') }))['init-lua'].status).toBe('warn');
+  });
+
+  it('writes the defaults when there is no config', async () => {
+    const fixed = fixProblems(await runChecks(env), env);
+    expect(fixed.find(f => f.id === 'config').message).toContain('Wrote the default config');
+    expect(existsSync(getRepairBackupPath(env.configPath))).toBe(false);
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DEFAULT_CONFIG, mergeConfig } from '../lib/config.js';
+import { createEngine, IGNORED_KEY_CODES } from '../lib/engine.js';
+
+const KEY_A = { keyCode: 0 };
+const RETURN = 36;
+
+const baseConfig = mergeConfig(DEFAULT_CONFIG, {
+  threshold: 3,
+  resetAfterSeconds: 10,
+  alertMessage: 'Talk!',
+  categories: { devTools: { enabled: true } },
+  customApps: { enabled: true, apps: ['Notes'], overrides: { Notes: { threshold: 5, alertMessage: 'Dictate it' } } },
+});
+
+// Engine with a clock the test moves by hand
+function setup(config = baseConfig, options = {}) {
+  const clock = { now: Date.UTC(2026, 0, 5, 10) };
+  const engine = createEngine(config, { clock: () => clock.now, app: 'Code', ...options });
+  return { engine, clock };
+}
+
+const types = (events) => events.map(e => e.type);
+
+function typeKeys(engine, n, key = KEY_A) {
+  const events = [];
+  for (let i = 0; i < n; i++) {
+    events.push(...engine.onKey(key));
+  }
+  return events;
+}
+
+describe('createEngine', () => {
+  let engine;
+  let clock;
+
+  beforeEach(() => {
+    ({ engine, clock } = setup());
+  });
+
+  it('counts keystrokes in monitored apps', () => {
+    const events = engine.onKey(KEY_A);
+    expect(events).toEqual([
+      { type: 'count', timestamp: '2026-01-05T10:00:00.000Z', app: 'Code', count: 1, threshold: 3 },
+    ]);
+    expect(engine.getState()).toEqual({ count: 1, threshold: 3, app: 'Code', isMonitoredApp: true });
+  });
+
+  it('nudges at the threshold and starts over', () => {
+    const events = typeKeys(engine, 3);
+    expect(types(events)).toEqual(['count', 'count', 'count', 'nudge', 'reset', 'count']);
+    expect(events[3]).toMatchObject({ type: 'nudge', app: 'Code', count: 3, message: 'Talk!' });
+    expect(events[4]).toMatchObject({ type: 'reset', app: 'Code', count: 3, reason: 'nudge' });
+    expect(events[5]).toMatchObject({ count: 0 });
+    expect(engine.getState().count).toBe(0);
+  });
+
+  it('ignores keys while a modifier is held', () => {
+    for (const modifier of ['cmd', 'ctrl', 'alt']) {
+      expect(engine.onKey({ ...KEY_A, [modifier]: true })).toEqual([]);
+    }
+    expect(engine.getState().count).toBe(0);
+  });
+
+  it('ignores navigation and function keys', () => {
+    for (const keyCode of IGNORED_KEY_CODES) {
+      expect(engine.onKey({ keyCode })).toEqual([]);
+    }
+  });
+
+  it('accepts a custom list of ignored key codes', () => {
+    ({ engine } = setup(baseConfig, { ignoredKeyCodes: [28] }));
+    expect(engine.onKey({ keyCode: 28 })).toEqual([]);
+    expect(engine.onKey({ keyCode: RETURN })).toHaveLength(1);
+  });
+
+  it('does not count in apps that are not monitored', () => {
+    engine.onAppActivated('Finder');
+    expect(engine.onKey(KEY_A)).toEqual([]);
+    expect(engine.getState().isMonitoredApp).toBe(false);
+  });
+
+  it('matches apps by substring', () => {
+    engine.onAppActivated('Code - Insiders');
+    expect(engine.onKey(KEY_A)).toHaveLength(1);
+  });
+
+  it('does nothing while disabled', () => {
+    ({ engine } = setup({ ...baseConfig, enabled: false }));
+    expect(engine.onKey(KEY_A)).toEqual([]);
+  });
+
+  it('does nothing outside the schedule', () => {
+    const schedule = { enabled: true, timezone: 'UTC', activeHours: [{ start: '09:00', end: '17:00' }], quietHours: [] };
+    ({ engine, clock } = setup({ ...baseConfig, schedule }));
+    expect(engine.onKey(KEY_A)).toHaveLength(1);
+
+    clock.now = Date.UTC(2026, 0, 5, 18);
+    expect(engine.onKey(KEY_A)).toEqual([]);
+  });
+
+  it('uses the per-app overrides', () => {
+    engine.onAppActivated('Notes');
+    const events = typeKeys(engine, 5);
+    expect(events[0].threshold).toBe(5);
+    expect(events.find(e => e.type === 'nudge')).toMatchObject({ app: 'Notes', count: 5, message: 'Dictate it' });
+  });
+
+  it('resets after the inactivity period', () => {
+    typeKeys(engine, 2);
+    expect(engine.tick(clock.now + 9999)).toEqual([]);
+
+    const events = engine.tick(clock.now + 10000);
+    expect(events[0]).toEqual({
+      type: 'reset', timestamp: '2026-01-05T10:00:10.000Z', app: 'Code', count: 2, reason: 'inactivity',
+    });
+    expect(engine.tick(clock.now + 20000)).toEqual([]);
+  });
+
+  it('restarts the inactivity period with every keystroke', () => {
+    engine.onKey(KEY_A);
+    clock.now += 8000;
+    engine.onKey(KEY_A);
+    expect(engine.tick(clock.now + 8000)).toEqual([]);
+    expect(types(engine.tick(clock.now + 10000))).toEqual(['reset', 'count']);
+  });
+
+  it('uses the engine clock when tick is called without a time', () => {
+    engine.onKey(KEY_A);
+    clock.now += 10000;
+    expect(types(engine.tick())).toEqual(['reset', 'count']);
+  });
+
+  it('resets when switching from a monitored app to an unmonitored one', () => {
+    typeKeys(engine, 2);
+    const events = engine.onAppActivated('Finder');
+    expect(types(events)).toEqual(['app_switch', 'reset', 'count']);
+    expect(events[0]).toMatchObject({ app: 'Finder', count: 2 });
+    expect(events[1]).toMatchObject({ app: 'Code', count: 2, reason: 'app_switch' });
+  });
+
+  it('keeps counting when switching between monitored apps', () => {
+    typeKeys(engine, 2);
+    expect(types(engine.onAppActivated('Cursor'))).toEqual(['app_switch']);
+    expect(engine.getState().count).toBe(2);
+  });
+
+  it('does not report switches between unmonitored apps', () => {
+    engine.onAppActivated('Finder');
+    expect(engine.onAppActivated('Safari')).toEqual([]);
+    expect(types(engine.onAppActivated('Code'))).toEqual(['app_switch']);
+  });
+
+  it('does not report re-activating the same app', () => {
+    expect(engine.onAppActivated('Code')).toEqual([]);
+  });
+
+  it('forgets the app when it is deactivated', () => {
+    engine.onAppDeactivated('Code');
+    expect(engine.getState().app).toBe(null);
+    expect(engine.onKey(KEY_A)).toEqual([]);
+  });
+
+  it('resets on request, but only reports a non-empty burst', () => {
+    expect(engine.reset()).toEqual([]);
+    engine.onKey(KEY_A);
+    expect(engine.reset('stop')[0]).toMatchObject({ type: 'reset', count: 1, reason: 'stop' });
+  });
+
+  it('picks up a new config', () => {
+    engine.setConfig({ ...baseConfig, threshold: 2 });
+    expect(types(typeKeys(engine, 2))).toContain('nudge');
+  });
+
+  it('resolves apps and overrides against the categories it is given', () => {
+    const config = mergeConfig(baseConfig, { categories: { devTools: { enabled: true, threshold: 2 } } });
+    const installed = { devTools: { name: 'Dev', description: '', apps: ['Zed'] } };
+    ({ engine, clock } = setup(config, { app: 'Zed', categories: installed }));
+    expect(engine.getState()).toMatchObject({ isMonitoredApp: true, threshold: 2 });
+
+    engine.setConfig(config, { devTools: { ...installed.devTools, apps: [] } });
+    expect(engine.getState().isMonitoredApp).toBe(false);
+  });
+
+  it('fills placeholders and rotates messages across nudges', () => {
+    const config = {
+      ...baseConfig,
+      alertMessages: ['{count} keys in {app}', 'Nudge {streak} in a row'],
+      alertRotation: 'sequential',
+    };
+    ({ engine, clock } = setup(config));
+
+    const messages = () => typeKeys(engine, 3).filter(e => e.type === 'nudge').map(e => e.message);
+    expect(messages()).toEqual(['3 keys in Code']);
+    expect(messages()).toEqual(['Nudge 2 in a row']);
+
+    // A typing pause ends the streak
+    clock.now += 10000;
+    engine.tick();
+    expect(messages()).toEqual(['3 keys in Code']);
+    expect(messages()).toEqual(['Nudge 2 in a row']);
+  });
+
+  it('escalates through tiers and resets after the last one', () => {
+    const config = {
+      ...baseConfig,
+      tiers: [
+        { threshold: 2, style: 'toast' },
+        { threshold: 4, voice: true, alertDurationSeconds: 5, alertMessage: '{count} keys!' },
+      ],
+    };
+    ({ engine } = setup(config));
+
+    const first = typeKeys(engine, 2);
+    expect(first.filter(e => e.type === 'nudge')).toEqual([expect.objectContaining({
+      count: 2, message: 'Talk!', tier: 1, style: 'toast', voice: false, alertDurationSeconds: 2,
+    })]);
+    expect(engine.getState()).toMatchObject({ count: 2, threshold: 4 });
+
+    const second = typeKeys(engine, 2);
+    expect(types(second)).toEqual(['count', 'count', 'nudge', 'reset', 'count']);
+    expect(second[2]).toMatchObject({ count: 4, message: '4 keys!', tier: 2, voice: true, alertDurationSeconds: 5 });
+    expect(engine.getState()).toMatchObject({ count: 0, threshold: 2 });
+  });
+
+  it('passes every event to onEvent', () => {
+    const seen = [];
+    ({ engine } = setup(baseConfig, { onEvent: event => seen.push(event.type) }));
+    typeKeys(engine, 3);
+    expect(seen).toEqual(['count', 'count', 'count', 'nudge', 'reset', 'count']);
+  });
+});
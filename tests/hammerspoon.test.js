@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, symlinkSync, lstatSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  findHsCli,
+  buildManagedBlock,
+  inspectInitLua,
+  installManagedBlock,
+  removeManagedBlock,
+  editInitLua,
+  getInitBackupPath,
+} from '../lib/hammerspoon.js';
+
+const block = buildManagedBlock().join('\n');
+
+describe('findHsCli', () => {
+  it('prefers the Apple Silicon Homebrew path', () => {
+    expect(findHsCli(() => true)).toBe('/opt/homebrew/bin/hs');
+    expect(findHsCli(path => path === '/usr/local/bin/hs')).toBe('/usr/local/bin/hs');
+    expect(findHsCli(() => false)).toBe(null);
+  });
+});
+
+describe('installManagedBlock', () => {
+  it('appends the block after a blank line', () => {
+    expect(installManagedBlock('hs.alert.show("hi")\n').content).toBe(`hs.alert.show("hi")\n\n${block}\n`);
+    expect(installManagedBlock('').content).toBe(`${block}\n`);
+  });
+
+  it('is idempotent', () => {
+    const once = installManagedBlock('local x = 1\n').content;
+    expect(installManagedBlock(once)).toEqual({ content: once, changed: false });
+    expect(inspectInitLua(once)).toBe('current');
+  });
+
+  it('rewrites an edited block in place', () => {
+    const edited = `local x = 1\n-- BEGIN vibe10x\nrequire("vibe10x")\n-- END vibe10x\nlocal y = 2\n`;
+    expect(inspectInitLua(edited)).toBe('outdated');
+    expect(installManagedBlock(edited).content).toBe(`local x = 1\n${block}\nlocal y = 2\n`);
+  });
+
+  it('replaces the bare require lines of earlier versions', () => {
+    const legacy = 'require("hs.ipc")\nlocal x = 1\nrequire("vibe10x")\nrequire("vibe10x-menu")';
+    expect(inspectInitLua(legacy)).toBe('legacy');
+    expect(installManagedBlock(legacy).content).toBe(`local x = 1\n\n${block}\n`);
+  });
+
+  it('keeps a require("hs.ipc") the user added themselves', () => {
+    expect(installManagedBlock('require("hs.ipc")\n').content).toBe(`require("hs.ipc")\n\n${block}\n`);
+  });
+
+  it('points the modules at a Vibe10X dir other than ~/.vibe10x', () => {
+    const options = { vibe10xDir: '/Users/me/dotfiles/vibe "10x"' };
+    const { content } = installManagedBlock('', options);
+    expect(content.split('\n')).toContain('VIBE10X_HOME = "/Users/me/dotfiles/vibe \\"10x\\""');
+    expect(content.indexOf('VIBE10X_HOME')).toBeLessThan(content.indexOf('require("vibe10x")'));
+    expect(inspectInitLua(content, options)).toBe('current');
+    expect(inspectInitLua(content)).toBe('outdated');
+    expect(inspectInitLua(`${block}\n`, options)).toBe('outdated');
+    expect(removeManagedBlock(content).content).toBe('');
+  });
+
+  it('refuses an unterminated block', () => {
+    expect(() => installManagedBlock('-- BEGIN vibe10x\nrequire("vibe10x")\n'))
+      .toThrow(expect.objectContaining({ code: 'INVALID' }));
+  });
+});
+
+describe('removeManagedBlock', () => {
+  it('removes the block without leaving blank lines behind', () => {
+    const original = 'local x = 1\n';
+    expect(removeManagedBlock(installManagedBlock(original).content).content).toBe(original);
+    expect(removeManagedBlock(`local x = 1\n\n${block}\n\nlocal y = 2\n`).content).toBe('local x = 1\n\nlocal y = 2\n');
+  });
+
+  it('removes bare require lines of earlier versions', () => {
+    expect(removeManagedBlock('require("hs.ipc")\nlocal x = 1\nrequire("vibe10x")\nrequire("vibe10x-menu")').content)
+      .toBe('local x = 1\n');
+  });
+
+  it('reports no change when there is nothing to remove', () => {
+    expect(removeManagedBlock('local x = 1\n').changed).toBe(false);
+    expect(inspectInitLua('local x = 1\n')).toBe('missing');
+  });
+});
+
+describe('editInitLua', () => {
+  let dir;
+  const now = new Date(2026, 0, 5, 10, 0, 0);
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('backs up init.lua before editing it', () => {
+    const initPath = join(dir, 'init.lua');
+    writeFileSync(initPath, 'local x = 1\n');
+
+    const result = editInitLua(initPath, installManagedBlock, now);
+    expect(result).toEqual({ changed: true, backupPath: join(dir, 'init.lua.20260105-100000.vibe10x.bak') });
+    expect(readFileSync(result.backupPath, 'utf8')).toBe('local x = 1\n');
+    expect(readFileSync(initPath, 'utf8')).toContain(block);
+
+    expect(editInitLua(initPath, installManagedBlock, now)).toEqual({ changed: false, backupPath: null });
+  });
+
+  it('creates a missing init.lua and its directory without a backup', () => {
+    const initPath = join(dir, 'hammerspoon', 'init.lua');
+    expect(editInitLua(initPath, installManagedBlock, now).backupPath).toBe(null);
+    expect(readFileSync(initPath, 'utf8')).toBe(`${block}\n`);
+    expect(existsSync(getInitBackupPath(initPath, now))).toBe(false);
+  });
+
+  it('keeps a symlinked init.lua a symlink', () => {
+    const target = join(dir, 'dotfiles-init.lua');
+    const initPath = join(dir, 'init.lua');
+    writeFileSync(target, '');
+    symlinkSync(target, initPath);
+
+    editInitLua(initPath, installManagedBlock, now);
+    expect(lstatSync(initPath).isSymbolicLink()).toBe(true);
+    expect(readFileSync(target, 'utf8')).toBe(`${block}\n`);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { parseHistory, summarizeHistory, getHistoryEntry } from '../lib/history.js';
+
+const entry = (hour, source, threshold) => ({
+  timestamp: new Date(Date.UTC(2026, 0, 5, hour)).toISOString(),
+  source,
+  config: { enabled: true, threshold },
+});
+
+const entries = [
+  entry(9, 'before history', 50),
+  entry(10, 'web', 80),
+  entry(11, 'cli --preset aggressive', 30),
+];
+
+describe('parseHistory', () => {
+  it('parses one snapshot per line', () => {
+    const text = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+    expect(parseHistory(text)).toEqual(entries);
+  });
+
+  it('skips blank, truncated and config-less lines', () => {
+    const text = [JSON.stringify(entries[0]), '', '{"timestamp": "2026', '{"source": "web"}'].join('\n');
+    expect(parseHistory(text)).toEqual([entries[0]]);
+  });
+
+  it('labels snapshots without a source', () => {
+    expect(parseHistory('{"timestamp": "2026-01-05T10:00:00.000Z", "config": {}}')[0].source).toBe('unknown');
+  });
+});
+
+describe('summarizeHistory', () => {
+  it('lists newest first with rollback numbers and changes', () => {
+    expect(summarizeHistory(entries)).toEqual([
+      {
+        number: 1,
+        timestamp: entries[2].timestamp,
+        source: 'cli --preset aggressive',
+        changes: [{ path: 'threshold', from: 80, to: 30 }],
+      },
+      {
+        number: 2,
+        timestamp: entries[1].timestamp,
+        source: 'web',
+        changes: [{ path: 'threshold', from: 50, to: 80 }],
+      },
+      { number: 3, timestamp: entries[0].timestamp, source: 'before history', changes: [] },
+    ]);
+  });
+
+  it('returns nothing for an empty history', () => {
+    expect(summarizeHistory([])).toEqual([]);
+  });
+});
+
+describe('getHistoryEntry', () => {
+  it('counts back from the newest snapshot', () => {
+    expect(getHistoryEntry(entries, 1)).toBe(entries[2]);
+    expect(getHistoryEntry(entries, '3')).toBe(entries[0]);
+  });
+
+  it('rejects invalid numbers', () => {
+    for (const number of [0, -1, 1.5, 'abc']) {
+      expect(() => getHistoryEntry(entries, number)).toThrow(expect.objectContaining({ code: 'INVALID' }));
+    }
+  });
+
+  it('throws NOT_FOUND past the oldest snapshot', () => {
+    expect(() => getHistoryEntry(entries, 4)).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+  });
+});
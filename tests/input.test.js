@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { parseInputLine, createEvdevDecoder, EVDEV_EVENT_SIZE } from '../lib/input.js';
+
+// Build one struct input_event record
+function evdevRecord(type, code, value, seconds = 1767607200, micros = 500000) {
+  const buffer = Buffer.alloc(EVDEV_EVENT_SIZE);
+  buffer.writeBigInt64LE(BigInt(seconds), 0);
+  buffer.writeBigInt64LE(BigInt(micros), 8);
+  buffer.writeUInt16LE(type, 16);
+  buffer.writeUInt16LE(code, 18);
+  buffer.writeInt32LE(value, 20);
+  return buffer;
+}
+
+const EV_SYN = 0;
+const EV_KEY = 1;
+const KEY_A = 30;
+const KEY_LEFTCTRL = 29;
+const KEY_RIGHTCTRL = 97;
+const KEY_LEFTSHIFT = 42;
+
+describe('parseInputLine', () => {
+  it('parses key events with defaults for modifiers', () => {
+    expect(parseInputLine('{"type":"key","keyCode":30}')).toEqual({
+      type: 'key', keyCode: 30, cmd: false, ctrl: false, alt: false,
+    });
+  });
+
+  it('parses ISO and millisecond times', () => {
+    expect(parseInputLine('{"type":"key","keyCode":30,"ctrl":true,"time":"2026-01-05T10:00:00.000Z"}'))
+      .toMatchObject({ ctrl: true, time: Date.UTC(2026, 0, 5, 10) });
+    expect(parseInputLine('{"type":"focus","app":"Code","time":1000}')).toEqual({ type: 'focus', app: 'Code', time: 1000 });
+  });
+
+  it('treats an empty focus app as no app', () => {
+    expect(parseInputLine('{"type":"focus","app":""}')).toEqual({ type: 'focus', app: null });
+  });
+
+  it('skips blank lines', () => {
+    expect(parseInputLine('   ')).toBe(null);
+  });
+
+  it('rejects malformed lines', () => {
+    expect(() => parseInputLine('{nope')).toThrow(/Invalid JSON/);
+    expect(() => parseInputLine('[]')).toThrow(/object/);
+    expect(() => parseInputLine('{"type":"mouse"}')).toThrow(/type must be/);
+    expect(() => parseInputLine('{"type":"key","keyCode":-1}')).toThrow(/keyCode/);
+    expect(() => parseInputLine('{"type":"focus","app":3}')).toThrow(/app/);
+    expect(() => parseInputLine('{"type":"key","keyCode":1,"time":"soon"}')).toThrow(/Invalid time/);
+  });
+});
+
+describe('createEvdevDecoder', () => {
+  it('decodes key presses and auto-repeat, ignoring releases and other event types', () => {
+    const decode = createEvdevDecoder();
+    const events = decode(Buffer.concat([
+      evdevRecord(EV_KEY, KEY_A, 1),
+      evdevRecord(EV_SYN, 0, 0),
+      evdevRecord(EV_KEY, KEY_A, 2),
+      evdevRecord(EV_KEY, KEY_A, 0),
+    ]));
+
+    expect(events).toEqual([
+      { type: 'key', keyCode: KEY_A, cmd: false, ctrl: false, alt: false, time: 1767607200500 },
+      { type: 'key', keyCode: KEY_A, cmd: false, ctrl: false, alt: false, time: 1767607200500 },
+    ]);
+  });
+
+  it('keeps partial records until the rest arrives', () => {
+    const decode = createEvdevDecoder();
+    const record = evdevRecord(EV_KEY, KEY_A, 1);
+    expect(decode(record.subarray(0, 10))).toEqual([]);
+    expect(decode(record.subarray(10))).toHaveLength(1);
+  });
+
+  it('tracks held modifiers without counting them', () => {
+    const decode = createEvdevDecoder();
+    const events = decode(Buffer.concat([
+      evdevRecord(EV_KEY, KEY_LEFTSHIFT, 1),
+      evdevRecord(EV_KEY, KEY_LEFTCTRL, 1),
+      evdevRecord(EV_KEY, KEY_RIGHTCTRL, 1),
+      evdevRecord(EV_KEY, KEY_A, 1),
+      evdevRecord(EV_KEY, KEY_LEFTCTRL, 0),
+      evdevRecord(EV_KEY, KEY_A, 1),
+      evdevRecord(EV_KEY, KEY_RIGHTCTRL, 0),
+      evdevRecord(EV_KEY, KEY_A, 1),
+    ]));
+
+    expect(events.map(e => e.ctrl)).toEqual([true, true, false]);
+  });
+});
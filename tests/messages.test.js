@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findUnknownPlaceholders,
+  describeUnknownPlaceholders,
+  validateAlertMessages,
+  pickAlertMessage,
+  fillPlaceholders,
+} from '../lib/messages.js';
+
+describe('findUnknownPlaceholders', () => {
+  it('lists each unknown placeholder once', () => {
+    expect(findUnknownPlaceholders('{count} in {app}')).toEqual([]);
+    expect(findUnknownPlaceholders('{cnt} {cnt} {user}')).toEqual(['cnt', 'user']);
+  });
+
+  it('describes unknown placeholders with the ones available', () => {
+    expect(describeUnknownPlaceholders('alertMessage', 'Hi')).toBe(null);
+    expect(describeUnknownPlaceholders('alertMessage', '{cnt} keys')).toBe(
+      'alertMessage uses unknown placeholder {cnt} (available: {count}, {app}, {threshold}, {streak})'
+    );
+  });
+});
+
+describe('validateAlertMessages', () => {
+  it('accepts strings and weighted entries', () => {
+    expect(validateAlertMessages(['Talk!', { text: '{count} keys in {app}', weight: 2 }], 'weighted')).toEqual([]);
+    expect(validateAlertMessages(undefined, undefined)).toEqual([]);
+  });
+
+  it('reports fields for invalid entries', () => {
+    const errors = validateAlertMessages(['', { text: '{who}?', weight: 0, color: 'red' }, 3], 'shuffle');
+    expect(errors.map(e => e.field)).toEqual([
+      'alertRotation',
+      'alertMessages.0',
+      'alertMessages.1.text',
+      'alertMessages.1.color',
+      'alertMessages.1.weight',
+      'alertMessages.2',
+    ]);
+  });
+
+  it('rejects a non-array', () => {
+    expect(validateAlertMessages('Talk!')).toEqual([{ field: 'alertMessages', message: 'alertMessages must be an array' }]);
+  });
+});
+
+describe('pickAlertMessage', () => {
+  const messages = ['one', 'two', { text: 'three', weight: 2 }];
+
+  it('goes through messages in order for sequential', () => {
+    expect([0, 1, 2, 3].map(index => pickAlertMessage(messages, 'sequential', { index }))).toEqual(['one', 'two', 'three', 'one']);
+  });
+
+  it('picks uniformly for random, ignoring weights', () => {
+    expect(pickAlertMessage(messages, 'random', { random: 0 })).toBe('one');
+    expect(pickAlertMessage(messages, 'random', { random: 0.5 })).toBe('two');
+    expect(pickAlertMessage(messages, 'random', { random: 0.99 })).toBe('three');
+  });
+
+  it('picks in proportion to weight for weighted', () => {
+    // Weights 1, 1, 2 out of 4
+    expect(pickAlertMessage(messages, 'weighted', { random: 0.2 })).toBe('one');
+    expect(pickAlertMessage(messages, 'weighted', { random: 0.3 })).toBe('two');
+    expect(pickAlertMessage(messages, 'weighted', { random: 0.5 })).toBe('three');
+    expect(pickAlertMessage(messages, 'weighted', { random: 0.999 })).toBe('three');
+  });
+});
+
+describe('fillPlaceholders', () => {
+  it('fills known placeholders and leaves others alone', () => {
+    expect(fillPlaceholders('{count}/{threshold} in {app} ({streak}) {other}', { count: 50, threshold: 50, app: 'Code', streak: 2 }))
+      .toBe('50/50 in Code (2) {other}');
+  });
+
+  it('fills missing values with nothing', () => {
+    expect(fillPlaceholders('in {app}', { app: null })).toBe('in ');
+  });
+});
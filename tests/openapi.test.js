@@ -0,0 +1,304 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer, request as httpRequest } from 'http';
+import { mkdtempSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createApp } from '../server.mjs';
+import { createOpenApiDocument } from '../lib/openapi.js';
+import { DEFAULT_CONFIG, validateConfig } from '../lib/config.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TOKEN = 'test-token';
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const document = createOpenApiDocument();
+
+// Every documented operation as { path, method, operation }
+const operations = Object.entries(document.paths).flatMap(([path, item]) =>
+  Object.entries(item)
+    .filter(([method]) => METHODS.includes(method.toUpperCase()))
+    .map(([method, operation]) => ({ path, method: method.toUpperCase(), operation }))
+);
+
+function resolveRef(ref) {
+  return ref.slice(2).split('/').reduce((node, key) => node[key], document);
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'object') return typeof value === 'object' && value !== null && !Array.isArray(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'null') return value === null;
+  return typeof value === type;
+}
+
+// Just enough JSON Schema to check values against the document's schemas
+function schemaErrors(value, schema, path = '(root)') {
+  if (schema.$ref) {
+    return schemaErrors(value, resolveRef(schema.$ref), path);
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push(`${path} ${message}`);
+
+  if (schema.type && ![].concat(schema.type).some(type => hasType(value, type))) {
+    fail(`is not ${[].concat(schema.type).join(' or ')}`);
+    return errors;
+  }
+  if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) fail(`is not ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`is not one of ${schema.enum.join(', ')}`);
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => schemaErrors(value, option, path).length === 0).length;
+    if (matches !== 1) fail(`matches ${matches} oneOf options`);
+  }
+  for (const part of schema.allOf || []) {
+    errors.push(...schemaErrors(value, part, path));
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`is below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`is above ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`is not above ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('is too short');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`does not match ${schema.pattern}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('has too few items');
+    if (schema.items) value.forEach((item, i) => errors.push(...schemaErrors(item, schema.items, `${path}.${i}`)));
+  }
+  if (hasType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`is missing ${key}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) fail(`has an invalid key ${key}`);
+      if (schema.properties?.[key]) {
+        errors.push(...schemaErrors(item, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail(`has an unknown key ${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...schemaErrors(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+describe('OpenAPI document', () => {
+  it('is an OpenAPI 3.1 document secured by the launch token', () => {
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.components.securitySchemes.token).toEqual({ type: 'apiKey', in: 'header', name: 'X-Vibe10X-Token' });
+  });
+
+  it('gives every operation a unique operationId and documented responses', () => {
+    const ids = operations.map(({ operation }) => operation.operationId);
+    expect(new Set(ids).size).toBe(ids.length);
+    for (const { path, method, operation } of operations) {
+      expect(Object.keys(operation.responses).length, `${method} ${path}`).toBeGreaterThan(0);
+    }
+  });
+
+  it('only refers to schemas and headers it defines', () => {
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g).map(match => match.slice(8, -1));
+    for (const ref of new Set(refs)) {
+      expect(resolveRef(ref), ref).toBeDefined();
+    }
+  });
+
+  it('returns a fresh copy each time', () => {
+    createOpenApiDocument().paths['/api/config'].get.summary = 'changed';
+    expect(createOpenApiDocument().paths['/api/config'].get.summary).toBe('Get the config');
+  });
+});
+
+describe('config schema', () => {
+  const config = (changes) => ({ ...structuredClone(DEFAULT_CONFIG), ...changes });
+  const design = { name: 'Design Tools', apps: ['Figma'] };
+
+  const samples = {
+    'the defaults': config({}),
+    tiers: config({ tiers: [{ threshold: 30, style: 'toast' }, { threshold: 60, voice: true }] }),
+    'alert messages': config({ alertMessages: ['Speak!', { text: 'Voice!', weight: 2 }], alertRotation: 'weighted' }),
+    schedule: config({ schedule: { enabled: true, timezone: '', activeHours: [{ days: ['mon'], start: '09:00', end: '17:00' }], quietHours: [] } }),
+    'custom categories': config({ customCategories: { designTools: design }, categories: { devTools: { enabled: true, threshold: 80 }, designTools: { enabled: true } } }),
+    'custom app overrides': config({ customApps: { enabled: true, apps: ['Figma'], overrides: { Figma: { threshold: 100 } } } }),
+    'a low threshold': config({ threshold: 5 }),
+    'a threshold string': config({ threshold: '50' }),
+    'an unknown rotation': config({ alertRotation: 'shuffle' }),
+    'voice without enabled': config({ voice: {} }),
+    'a tier without threshold': config({ tiers: [{ style: 'toast' }] }),
+    'an unknown tier style': config({ tiers: [{ threshold: 30, style: 'banner' }] }),
+    'an empty icon': config({ menuBar: { showCount: false, icon: '' } }),
+    'an unknown setting': config({ sound: true }),
+    'an invalid time': config({ schedule: { enabled: true, activeHours: [{ start: '25:00', end: '17:00' }] } }),
+    'an empty custom app': config({ customApps: { enabled: true, apps: [''] } }),
+    'a category state string': config({ categories: { devTools: { enabled: 'yes' } } }),
+    'an invalid category id': config({ customCategories: { '1design': design } }),
+    'a zero weight': config({ alertMessages: [{ text: 'Speak!', weight: 0 }] }),
+    'an old configVersion': config({ configVersion: 1 }),
+  };
+
+  for (const [name, sample] of Object.entries(samples)) {
+    it(`agrees with validateConfig on ${name}`, () => {
+      const errors = schemaErrors(sample, document.components.schemas.Config);
+      expect(errors.length === 0, errors.join('; ')).toBe(validateConfig(sample).valid);
+    });
+  }
+});
+
+describe('server and spec', () => {
+  let dir;
+  let app;
+  let server;
+  let port;
+
+  // Send a raw request; event streams resolve as soon as their headers arrive
+  function request(path, { method = 'GET', headers = {}, body } = {}) {
+    return new Promise((done, fail) => {
+      const req = httpRequest({
+        host: '127.0.0.1',
+        port,
+        path,
+        method,
+        headers: { Host: `localhost:${port}`, 'X-Vibe10X-Token': TOKEN, ...headers },
+      }, (res) => {
+        if (res.headers['content-type'] === 'text/event-stream') {
+          req.destroy();
+          done({ status: res.statusCode, headers: res.headers, json: null });
+          return;
+        }
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try { json = JSON.parse(text); } catch { /* not JSON */ }
+          done({ status: res.statusCode, headers: res.headers, json });
+        });
+      });
+      req.on('error', fail);
+      req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+  }
+
+  // The static file handler's answer, for routes the API does not handle
+  const isUnhandled = (res) => res.status === 404 && res.headers['content-type'] === 'text/plain';
+
+  beforeAll(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-openapi-'));
+    app = createApp({ dir, token: TOKEN, reload: () => {} });
+    server = createServer(app.handler);
+    await new Promise(done => server.listen(0, '127.0.0.1', done));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    app.close();
+    await new Promise(done => server.close(done));
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('serves the document at /api/openapi.json', async () => {
+    const res = await request('/api/openapi.json');
+    expect(res.status).toBe(200);
+    expect(res.json).toEqual(JSON.parse(JSON.stringify(document)));
+  });
+
+  it('documents every API route of server.mjs', () => {
+    const source = readFileSync(join(__dirname, '..', 'server.mjs'), 'utf8');
+    const literal = [...source.matchAll(/path === '(\/api\/[^']+)'/g)].map(([, path]) => path);
+    const patterns = [...source.matchAll(/path\.match\(\/\^(\\\/api[^$]+)\$\/\)/g)]
+      .map(([, pattern]) => pattern.replaceAll('\\/', '/').replaceAll('([^/]+)', '{}'));
+    const documented = Object.keys(document.paths).map(path => path.replace(/\{\w+\}/g, '{}'));
+
+    expect(literal.length).toBeGreaterThan(10);
+    expect(patterns.length).toBeGreaterThan(3);
+    expect([...new Set([...literal, ...patterns])].sort()).toEqual([...documented].sort());
+  });
+
+  it('answers exactly the documented methods of each path', async () => {
+    for (const [path, item] of Object.entries(document.paths)) {
+      const url = path.replace(/\{\w+\}/g, 'unknown');
+      for (const method of METHODS) {
+        const res = await request(url, { method });
+        const operation = item[method.toLowerCase()];
+        if (operation) {
+          expect(isUnhandled(res), `${method} ${path} is not handled`).toBe(false);
+          expect(Object.keys(operation.responses), `${method} ${path} answered ${res.status}`).toContain(String(res.status));
+        } else {
+          expect(isUnhandled(res), `${method} ${path} is handled but not documented`).toBe(true);
+        }
+      }
+    }
+  });
+
+  describe('responses match their schemas', () => {
+    const results = {};
+
+    // In order: later requests use what earlier ones set up
+    const samples = [
+      { operationId: 'getHealth', path: '/api/health' },
+      { operationId: 'getOpenApi', path: '/api/openapi.json' },
+      { operationId: 'getConfig', path: '/api/config' },
+      { operationId: 'saveConfig', path: '/api/config', method: 'POST', headers: { 'If-Match': '*' }, body: { threshold: 80 } },
+      { operationId: 'saveConfig', path: '/api/config', method: 'POST', headers: { 'If-Match': '*' }, body: { threshold: 5 }, status: 422 },
+      { operationId: 'saveConfig', path: '/api/config', method: 'POST', headers: { 'If-Match': '"stale"' }, body: {}, status: 409 },
+      { operationId: 'patchConfig', path: '/api/config', method: 'PATCH', body: { voice: { enabled: true } } },
+      { operationId: 'resetConfig', path: '/api/config/reset?section=voice', method: 'POST' },
+      { operationId: 'resetConfig', path: '/api/config/reset?section=nope', method: 'POST', status: 422 },
+      { operationId: 'getEffectiveApps', path: '/api/config/effective' },
+      { operationId: 'getDefaults', path: '/api/defaults' },
+      { operationId: 'streamConfig', path: '/api/stream' },
+      { operationId: 'getHistory', path: '/api/config/history' },
+      { operationId: 'restoreHistory', path: '/api/config/history/2/restore', method: 'POST' },
+      { operationId: 'getCategories', path: '/api/categories' },
+      { operationId: 'addCategory', path: '/api/categories/designTools', method: 'POST', body: { name: 'Design Tools', apps: ['Figma'] }, status: 201 },
+      { operationId: 'updateCategory', path: '/api/categories/designTools', method: 'PUT', body: { apps: ['Figma', 'Sketch'] } },
+      { operationId: 'updateCategory', path: '/api/categories/devTools', method: 'PUT', body: { apps: [] }, status: 403 },
+      { operationId: 'removeCategory', path: '/api/categories/designTools', method: 'DELETE' },
+      { operationId: 'recordEvents', path: '/api/events', method: 'POST', body: [{ type: 'nudge', app: 'Code', count: 50 }], status: 201 },
+      { operationId: 'getStats', path: '/api/stats?groupBy=app' },
+      { operationId: 'getPresets', path: '/api/presets' },
+      { operationId: 'applyPreset', path: '/api/presets/zen/apply', method: 'POST' },
+      { operationId: 'exportSetup', path: '/api/export' },
+      { operationId: 'importSetup', path: '/api/import?dryRun=1', method: 'POST', body: () => results.exportSetup },
+      { operationId: 'importSetup', path: '/api/import', method: 'POST', body: () => results.exportSetup },
+      { operationId: 'getProfiles', path: '/api/profiles' },
+      { operationId: 'saveProfile', path: '/api/profiles', method: 'POST', body: { name: 'work' }, status: 201 },
+      { operationId: 'activateProfile', path: '/api/profiles/work/activate', method: 'POST' },
+      { operationId: 'activateProfile', path: '/api/profiles/home/activate', method: 'POST', status: 404 },
+    ];
+
+    it('has a successful sample for every operation', () => {
+      const sampled = samples.filter(sample => !sample.status || sample.status < 300).map(sample => sample.operationId);
+      for (const { operation } of operations) {
+        expect(sampled, operation.operationId).toContain(operation.operationId);
+      }
+    });
+
+    for (const { operationId, path, method = 'GET', headers, body, status = 200 } of samples) {
+      it(`${operationId}: ${method} ${path} -> ${status}`, async () => {
+        const { operation } = operations.find(({ operation }) => operation.operationId === operationId);
+        expect(operations.find(op => op.operation === operation).method).toBe(method);
+
+        const res = await request(path, { method, headers, body: typeof body === 'function' ? body() : body });
+        expect(res.status, JSON.stringify(res.json)).toBe(status);
+        results[operationId] ??= res.json;
+
+        const response = operation.responses[status];
+        expect(response, `${status} is not documented`).toBeDefined();
+        const schema = response.content['application/json']?.schema;
+        if (schema) {
+          expect(schemaErrors(res.json, schema)).toEqual([]);
+        }
+        const etag = response.headers?.ETag;
+        if (etag && (etag.$ref ? resolveRef(etag.$ref) : etag).required) {
+          expect(res.headers.etag).toBeTruthy();
+        }
+      });
+    }
+  });
+});
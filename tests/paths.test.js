@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { resolve } from 'path';
+import {
+  expandHome,
+  resolveVibe10xDir,
+  isDefaultVibe10xDir,
+  getVibe10xPaths,
+  resolveHammerspoonPaths,
+  resolvePaths,
+} from '../lib/paths.js';
+
+const home = '/Users/me';
+
+describe('expandHome', () => {
+  it('expands a leading ~ only', () => {
+    expect(expandHome('~', home)).toBe('/Users/me');
+    expect(expandHome('~/dotfiles', home)).toBe('/Users/me/dotfiles');
+    expect(expandHome('/tmp/~/x', home)).toBe('/tmp/~/x');
+    expect(expandHome('~other/x', home)).toBe('~other/x');
+  });
+});
+
+describe('resolveVibe10xDir', () => {
+  it('prefers --config-dir, then VIBE10X_HOME, then ~/.vibe10x', () => {
+    const env = { VIBE10X_HOME: '~/dotfiles/vibe10x' };
+    expect(resolveVibe10xDir({ configDir: '/srv/vibe10x', env, home })).toBe('/srv/vibe10x');
+    expect(resolveVibe10xDir({ env, home })).toBe('/Users/me/dotfiles/vibe10x');
+    expect(resolveVibe10xDir({ env: {}, home })).toBe('/Users/me/.vibe10x');
+  });
+
+  it('ignores an empty VIBE10X_HOME', () => {
+    expect(resolveVibe10xDir({ env: { VIBE10X_HOME: '' }, home })).toBe('/Users/me/.vibe10x');
+  });
+
+  it('resolves relative dirs against the working directory', () => {
+    expect(resolveVibe10xDir({ configDir: 'setups/work', env: {}, home })).toBe(resolve('setups/work'));
+  });
+});
+
+describe('isDefaultVibe10xDir', () => {
+  it('recognizes ~/.vibe10x however it is written', () => {
+    expect(isDefaultVibe10xDir('/Users/me/.vibe10x', home)).toBe(true);
+    expect(isDefaultVibe10xDir('/Users/me/.vibe10x/', home)).toBe(true);
+    expect(isDefaultVibe10xDir('/Users/me/dotfiles/vibe10x', home)).toBe(false);
+  });
+});
+
+describe('getVibe10xPaths', () => {
+  it('puts every file inside the dir', () => {
+    const paths = getVibe10xPaths('/srv/vibe10x');
+    expect(paths).toEqual({
+      vibe10xDir: '/srv/vibe10x',
+      configPath: '/srv/vibe10x/config.json',
+      categoriesPath: '/srv/vibe10x/categories.json',
+      eventsPath: '/srv/vibe10x/events.jsonl',
+      historyPath: '/srv/vibe10x/history.jsonl',
+      presetsPath: '/srv/vibe10x/presets.json',
+      profilesDir: '/srv/vibe10x/profiles',
+      lockPath: '/srv/vibe10x/.vibe10x.lock',
+      serverStatePath: '/srv/vibe10x/server.json',
+    });
+  });
+});
+
+describe('resolveHammerspoonPaths', () => {
+  it('prefers the chosen dir, then MJConfigFile, then ~/.hammerspoon', () => {
+    expect(resolveHammerspoonPaths({ home, dir: '~/dotfiles/hs', configFile: '~/.config/hammerspoon/init.lua' }))
+      .toEqual({ dir: '/Users/me/dotfiles/hs', initPath: '/Users/me/dotfiles/hs/init.lua' });
+    expect(resolveHammerspoonPaths({ home, configFile: '~/.config/hammerspoon/main.lua' }))
+      .toEqual({ dir: '/Users/me/.config/hammerspoon', initPath: '/Users/me/.config/hammerspoon/main.lua' });
+    expect(resolveHammerspoonPaths({ home }))
+      .toEqual({ dir: '/Users/me/.hammerspoon', initPath: '/Users/me/.hammerspoon/init.lua' });
+  });
+});
+
+describe('resolvePaths', () => {
+  it('resolves the Vibe10X and Hammerspoon paths together', () => {
+    const paths = resolvePaths({ configDir: '/srv/vibe10x', hammerspoonDir: '~/hs', env: {}, home });
+    expect(paths).toMatchObject({
+      home,
+      vibe10xDir: '/srv/vibe10x',
+      configPath: '/srv/vibe10x/config.json',
+      hammerspoonDir: '/Users/me/hs',
+      initPath: '/Users/me/hs/init.lua',
+    });
+  });
+
+  it('reads the environment when no flags are given', () => {
+    const env = { VIBE10X_HOME: '/srv/vibe10x', VIBE10X_HAMMERSPOON_DIR: '/srv/hs' };
+    const paths = resolvePaths({ env, home, readConfigFile: () => null });
+    expect(paths.vibe10xDir).toBe('/srv/vibe10x');
+    expect(paths.hammerspoonDir).toBe('/srv/hs');
+  });
+
+  it('only asks for MJConfigFile when no Hammerspoon dir is given', () => {
+    let reads = 0;
+    const readConfigFile = () => {
+      reads++;
+      return '~/.config/hammerspoon/init.lua';
+    };
+    resolvePaths({ hammerspoonDir: '/srv/hs', env: {}, home, readConfigFile });
+    expect(reads).toBe(0);
+    expect(resolvePaths({ env: {}, home, readConfigFile }).initPath).toBe('/Users/me/.config/hammerspoon/init.lua');
+    expect(reads).toBe(1);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SCHEDULE,
+  validateSchedule,
+  isActiveAt,
+  parseScheduleRules,
+} from '../lib/schedule.js';
+
+// 2026-01-05 is a Monday; local time so checks are independent of the machine's timezone
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute);
+
+const withSchedule = (schedule) => ({
+  enabled: true,
+  schedule: { ...DEFAULT_SCHEDULE, enabled: true, ...schedule },
+});
+
+describe('validateSchedule', () => {
+  it('accepts the default schedule', () => {
+    expect(validateSchedule(DEFAULT_SCHEDULE)).toEqual([]);
+  });
+
+  it('accepts rules with and without days', () => {
+    const schedule = {
+      enabled: true,
+      timezone: 'Europe/Berlin',
+      activeHours: [{ days: ['mon', 'fri'], start: '09:00', end: '18:00' }],
+      quietHours: [{ start: '22:00', end: '07:00' }],
+    };
+    expect(validateSchedule(schedule)).toEqual([]);
+  });
+
+  it('rejects unknown keys and a non-boolean enabled', () => {
+    const fields = validateSchedule({ enabled: 'yes', weekends: false }).map(e => e.field);
+    expect(fields).toEqual(['weekends', 'enabled']);
+  });
+
+  it('rejects unknown time zones', () => {
+    const errors = validateSchedule({ ...DEFAULT_SCHEDULE, timezone: 'Nowhere/City' });
+    expect(errors[0].field).toBe('timezone');
+  });
+
+  it('rejects malformed rules', () => {
+    const errors = validateSchedule({
+      ...DEFAULT_SCHEDULE,
+      activeHours: [{ days: [], start: '25:00', end: '9:00' }, 'always'],
+    });
+    expect(errors.map(e => e.field)).toEqual([
+      'activeHours.0.days',
+      'activeHours.0.start',
+      'activeHours.0.end',
+      'activeHours.1',
+    ]);
+  });
+
+  it('rejects rules that start and end at the same time', () => {
+    const errors = validateSchedule({ ...DEFAULT_SCHEDULE, quietHours: [{ start: '12:00', end: '12:00' }] });
+    expect(errors).toEqual([{ field: 'quietHours.0.end', message: 'quietHours[0].end must differ from start' }]);
+  });
+});
+
+describe('isActiveAt', () => {
+  it('is inactive when vibe10x is disabled', () => {
+    expect(isActiveAt({ enabled: false }, at(5, 10))).toBe(false);
+  });
+
+  it('is always active when the schedule is disabled', () => {
+    const config = { enabled: true, schedule: { ...DEFAULT_SCHEDULE, activeHours: [{ start: '09:00', end: '10:00' }] } };
+    expect(isActiveAt(config, at(5, 23))).toBe(true);
+    expect(isActiveAt({ enabled: true }, at(5, 23))).toBe(true);
+  });
+
+  it('limits nudges to active hours on the listed days', () => {
+    const config = withSchedule({ activeHours: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00' }] });
+    expect(isActiveAt(config, at(5, 9))).toBe(true);
+    expect(isActiveAt(config, at(5, 17, 59))).toBe(true);
+    expect(isActiveAt(config, at(5, 18))).toBe(false);
+    expect(isActiveAt(config, at(5, 8, 59))).toBe(false);
+    expect(isActiveAt(config, at(10, 12))).toBe(false); // Saturday
+  });
+
+  it('is active all day when only quiet hours are set', () => {
+    const config = withSchedule({ quietHours: [{ start: '12:00', end: '13:00' }] });
+    expect(isActiveAt(config, at(5, 3))).toBe(true);
+    expect(isActiveAt(config, at(5, 12, 30))).toBe(false);
+    expect(isActiveAt(config, at(5, 13))).toBe(true);
+  });
+
+  it('lets quiet hours override active hours', () => {
+    const config = withSchedule({
+      activeHours: [{ start: '09:00', end: '18:00' }],
+      quietHours: [{ start: '12:00', end: '13:00' }],
+    });
+    expect(isActiveAt(config, at(5, 11))).toBe(true);
+    expect(isActiveAt(config, at(5, 12))).toBe(false);
+  });
+
+  it('handles rules that run past midnight', () => {
+    const config = withSchedule({ activeHours: [{ days: ['fri'], start: '22:00', end: '02:00' }] });
+    expect(isActiveAt(config, at(9, 23))).toBe(true); // Friday night
+    expect(isActiveAt(config, at(10, 1))).toBe(true); // early Saturday
+    expect(isActiveAt(config, at(10, 23))).toBe(false); // Saturday night
+    expect(isActiveAt(config, at(9, 1))).toBe(false); // early Friday
+  });
+
+  it('evaluates rules in the configured time zone', () => {
+    const config = withSchedule({ timezone: 'Asia/Tokyo', activeHours: [{ start: '09:00', end: '18:00' }] });
+    // 01:00 UTC is 10:00 in Tokyo; 12:00 UTC is 21:00
+    expect(isActiveAt(config, new Date('2026-01-05T01:00:00Z'))).toBe(true);
+    expect(isActiveAt(config, new Date('2026-01-05T12:00:00Z'))).toBe(false);
+  });
+});
+
+describe('parseScheduleRules', () => {
+  it('parses rules with and without days', () => {
+    expect(parseScheduleRules('mon-fri 09:00-18:00; 12:00-13:00')).toEqual([
+      { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00' },
+      { start: '12:00', end: '13:00' },
+    ]);
+  });
+
+  it('parses day lists, wrapping ranges and short hours', () => {
+    expect(parseScheduleRules('mon,wed 9:00-17:30')).toEqual([
+      { days: ['mon', 'wed'], start: '09:00', end: '17:30' },
+    ]);
+    expect(parseScheduleRules('sat-sun 10:00-14:00')[0].days).toEqual(['sat', 'sun']);
+    expect(parseScheduleRules('fri-mon 10:00-14:00')[0].days).toEqual(['fri', 'sat', 'sun', 'mon']);
+  });
+
+  it('returns no rules for empty input', () => {
+    expect(parseScheduleRules('')).toEqual([]);
+    expect(parseScheduleRules(undefined)).toEqual([]);
+  });
+
+  it('throws on invalid rules', () => {
+    expect(() => parseScheduleRules('weekdays')).toThrow('Invalid schedule rule');
+    expect(() => parseScheduleRules('mon-funday 09:00-10:00')).toThrow('Invalid days');
+    expect(() => parseScheduleRules('25:00-26:00')).toThrow('Invalid time');
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'stream';
+import { join, resolve } from 'path';
+import {
+  TOKEN_HEADER,
+  MAX_BODY_BYTES,
+  createToken,
+  getAllowedOrigins,
+  isAllowedHost,
+  isAllowedOrigin,
+  tokenMatches,
+  checkRequest,
+  resolveStaticPath,
+  readBody,
+} from '../lib/security.js';
+
+const PORT = 3847;
+const TOKEN = 'launch-token';
+const server = { token: TOKEN, port: PORT };
+
+// A request from the settings page itself
+function pageRequest(path, headers = {}) {
+  return {
+    path,
+    headers: {
+      host: `localhost:${PORT}`,
+      origin: `http://localhost:${PORT}`,
+      'x-vibe10x-token': TOKEN,
+      ...headers,
+    },
+    query: new URLSearchParams(),
+  };
+}
+
+// A request body arriving in chunks
+function body(chunks, headers = {}) {
+  const stream = Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+  stream.headers = headers;
+  return stream;
+}
+
+describe('createToken', () => {
+  it('creates a different URL-safe token each time', () => {
+    const a = createToken();
+    const b = createToken();
+    expect(a).not.toBe(b);
+    expect(a).toMatch(/^[A-Za-z0-9_-]{32}$/);
+  });
+});
+
+describe('isAllowedHost', () => {
+  it('accepts loopback names on the server port', () => {
+    expect(isAllowedHost('localhost:3847', PORT)).toBe(true);
+    expect(isAllowedHost('127.0.0.1:3847', PORT)).toBe(true);
+    expect(isAllowedHost('[::1]:3847', PORT)).toBe(true);
+    expect(isAllowedHost('LOCALHOST:3847', PORT)).toBe(true);
+  });
+
+  it('rejects other names, other ports and a missing Host', () => {
+    expect(isAllowedHost('evil.example:3847', PORT)).toBe(false);
+    expect(isAllowedHost('localhost.evil.example:3847', PORT)).toBe(false);
+    expect(isAllowedHost('localhost:8080', PORT)).toBe(false);
+    expect(isAllowedHost('localhost', PORT)).toBe(false);
+    expect(isAllowedHost(undefined, PORT)).toBe(false);
+  });
+});
+
+describe('isAllowedOrigin', () => {
+  it('accepts the server origins and requests without an Origin', () => {
+    for (const origin of getAllowedOrigins(PORT)) {
+      expect(isAllowedOrigin(origin, PORT)).toBe(true);
+    }
+    expect(isAllowedOrigin(undefined, PORT)).toBe(true);
+  });
+
+  it('rejects other origins', () => {
+    expect(isAllowedOrigin('https://evil.example', PORT)).toBe(false);
+    expect(isAllowedOrigin('http://localhost:8080', PORT)).toBe(false);
+    expect(isAllowedOrigin('https://localhost:3847', PORT)).toBe(false);
+    expect(isAllowedOrigin('null', PORT)).toBe(false);
+  });
+});
+
+describe('tokenMatches', () => {
+  it('matches only the exact token', () => {
+    expect(tokenMatches(TOKEN, TOKEN)).toBe(true);
+    expect(tokenMatches('launch-tokem', TOKEN)).toBe(false);
+    expect(tokenMatches('launch', TOKEN)).toBe(false);
+    expect(tokenMatches('', TOKEN)).toBe(false);
+    expect(tokenMatches(null, TOKEN)).toBe(false);
+    expect(tokenMatches(undefined, TOKEN)).toBe(false);
+  });
+});
+
+describe('checkRequest', () => {
+  it('lets the settings page through', () => {
+    expect(checkRequest(pageRequest('/api/config'), server)).toBeNull();
+    expect(checkRequest(pageRequest('/index.html'), server)).toBeNull();
+  });
+
+  it('lets same-origin requests without an Origin through, like curl and page loads', () => {
+    expect(checkRequest(pageRequest('/api/stats', { origin: undefined }), server)).toBeNull();
+  });
+
+  it('rejects a rebound Host with 403', () => {
+    const rejection = checkRequest(pageRequest('/api/config', { host: 'evil.example:3847' }), server);
+    expect(rejection.status).toBe(403);
+    expect(rejection.error).toContain('evil.example:3847');
+  });
+
+  it('rejects a rebound Host for static files too', () => {
+    expect(checkRequest(pageRequest('/', { host: 'evil.example:3847', 'x-vibe10x-token': undefined }), server).status).toBe(403);
+  });
+
+  it('rejects another origin with 403, even with the token', () => {
+    const rejection = checkRequest(pageRequest('/api/config', { origin: 'https://evil.example' }), server);
+    expect(rejection.status).toBe(403);
+    expect(rejection.error).toContain('https://evil.example');
+  });
+
+  it('rejects API calls without the token with 401', () => {
+    const rejection = checkRequest(pageRequest('/api/config', { 'x-vibe10x-token': undefined }), server);
+    expect(rejection.status).toBe(401);
+  });
+
+  it('rejects API calls with a wrong token with 401', () => {
+    expect(checkRequest(pageRequest('/api/config', { 'x-vibe10x-token': 'guess' }), server).status).toBe(401);
+  });
+
+  it('takes the token from the query for EventSource', () => {
+    const request = pageRequest('/api/stream', { 'x-vibe10x-token': undefined });
+    request.query = new URLSearchParams({ token: TOKEN });
+    expect(checkRequest(request, server)).toBeNull();
+  });
+
+  it('serves static files without the token', () => {
+    expect(checkRequest(pageRequest('/', { 'x-vibe10x-token': undefined }), server)).toBeNull();
+  });
+
+  it('names the header the page sends', () => {
+    expect(TOKEN_HEADER.toLowerCase()).toBe('x-vibe10x-token');
+  });
+});
+
+describe('resolveStaticPath', () => {
+  const root = resolve('/srv/vibe10x/web');
+
+  it('resolves paths inside the directory', () => {
+    expect(resolveStaticPath(root, '/index.html')).toBe(join(root, 'index.html'));
+    expect(resolveStaticPath(root, '/css/app.css')).toBe(join(root, 'css', 'app.css'));
+    expect(resolveStaticPath(root, '/my%20file.txt')).toBe(join(root, 'my file.txt'));
+  });
+
+  it('rejects paths leading out of the directory', () => {
+    expect(resolveStaticPath(root, '/../server.mjs')).toBeNull();
+    expect(resolveStaticPath(root, '/..%2F..%2Fetc%2Fpasswd')).toBeNull();
+    expect(resolveStaticPath(root, '/%2e%2e/server.mjs')).toBeNull();
+    expect(resolveStaticPath(root, '/../web-other/index.html')).toBeNull();
+    expect(resolveStaticPath(root, '/')).toBeNull();
+  });
+
+  it('rejects null bytes and malformed escapes', () => {
+    expect(resolveStaticPath(root, '/index.html%00.png')).toBeNull();
+    expect(resolveStaticPath(root, '/%E0%A4%A')).toBeNull();
+  });
+});
+
+describe('readBody', () => {
+  it('reads a body under the limit', async () => {
+    await expect(readBody(body(['{"a":', '1}']))).resolves.toBe('{"a":1}');
+  });
+
+  it('keeps multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('"🎙"');
+    const stream = Readable.from([bytes.subarray(0, 3), bytes.subarray(3)]);
+    await expect(readBody(stream)).resolves.toBe('"🎙"');
+  });
+
+  it('rejects a body that grows over the limit with TOO_LARGE', async () => {
+    await expect(readBody(body(['12345', '67890']), 8)).rejects.toMatchObject({ code: 'TOO_LARGE' });
+  });
+
+  it('rejects a Content-Length over the limit before reading', async () => {
+    const err = await readBody(body(['{}'], { 'content-length': String(MAX_BODY_BYTES + 1) })).catch(e => e);
+    expect(err.code).toBe('TOO_LARGE');
+    expect(err.message).toContain(String(MAX_BODY_BYTES));
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'http';
+import { mkdtempSync, rmSync, existsSync, statSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  resolveServeOptions,
+  getExtraHostNames,
+  getServerUrl,
+  getBrowserCommand,
+  listenWithFallback,
+  getServerStatePath,
+  writeServerState,
+  readServerState,
+  removeServerState,
+  findRunningServer,
+} from '../lib/serve.js';
+
+describe('resolveServeOptions', () => {
+  it('defaults to 127.0.0.1:3847 and opening a browser', () => {
+    expect(resolveServeOptions({}, {})).toEqual({ port: DEFAULT_PORT, host: DEFAULT_HOST, open: true });
+  });
+
+  it('reads the environment', () => {
+    const env = { VIBE10X_PORT: '4000', VIBE10X_HOST: '0.0.0.0', VIBE10X_NO_OPEN: '1' };
+    expect(resolveServeOptions({}, env)).toEqual({ port: 4000, host: '0.0.0.0', open: false });
+  });
+
+  it('prefers flags over the environment', () => {
+    const env = { VIBE10X_PORT: '4000', VIBE10X_HOST: '0.0.0.0' };
+    expect(resolveServeOptions({ port: '5000', host: '127.0.0.1', noOpen: true }, env))
+      .toEqual({ port: 5000, host: '127.0.0.1', open: false });
+  });
+
+  it('keeps opening the browser for other VIBE10X_NO_OPEN values', () => {
+    expect(resolveServeOptions({}, { VIBE10X_NO_OPEN: '0' }).open).toBe(true);
+  });
+
+  it('rejects invalid ports', () => {
+    for (const port of ['0', '65536', 'abc', '80.5', '-1']) {
+      expect(() => resolveServeOptions({ port }, {})).toThrow(expect.objectContaining({ code: 'INVALID' }));
+    }
+  });
+});
+
+describe('getExtraHostNames', () => {
+  it('allows a specific bind address as a Host name', () => {
+    expect(getExtraHostNames('192.168.1.5')).toEqual(['192.168.1.5']);
+    expect(getExtraHostNames('fe80::1')).toEqual(['[fe80::1]']);
+  });
+
+  it('adds nothing for wildcard addresses', () => {
+    expect(getExtraHostNames('0.0.0.0')).toEqual([]);
+    expect(getExtraHostNames('::')).toEqual([]);
+  });
+});
+
+describe('getServerUrl', () => {
+  it('uses localhost for loopback and wildcard addresses', () => {
+    expect(getServerUrl('127.0.0.1', 3847)).toBe('http://localhost:3847/');
+    expect(getServerUrl('0.0.0.0', 3848)).toBe('http://localhost:3848/');
+  });
+
+  it('uses other addresses as they are', () => {
+    expect(getServerUrl('192.168.1.5', 3847)).toBe('http://192.168.1.5:3847/');
+    expect(getServerUrl('fe80::1', 3847)).toBe('http://[fe80::1]:3847/');
+  });
+});
+
+describe('getBrowserCommand', () => {
+  const url = 'http://localhost:3847/?token=abc';
+
+  it('uses open on macOS, xdg-open on Linux and start on Windows', () => {
+    expect(getBrowserCommand(url, 'darwin')).toEqual({ command: 'open', args: [url] });
+    expect(getBrowserCommand(url, 'linux')).toEqual({ command: 'xdg-open', args: [url] });
+    expect(getBrowserCommand(url, 'win32')).toEqual({ command: 'cmd', args: ['/c', 'start', '', url] });
+  });
+});
+
+describe('listenWithFallback', () => {
+  const servers = [];
+  const newServer = () => {
+    const server = createServer();
+    servers.push(server);
+    return server;
+  };
+
+  afterEach(async () => {
+    await Promise.all(servers.splice(0).map(server => new Promise(done => server.close(done))));
+  });
+
+  it('moves on to the next port when the requested one is taken', async () => {
+    const taken = newServer();
+    const port = await listenWithFallback(taken, { port: 0, host: '127.0.0.1' });
+
+    const second = newServer();
+    const next = await listenWithFallback(second, { port, host: '127.0.0.1', attempts: 5 });
+    expect(next).not.toBe(port);
+    expect(second.listening).toBe(true);
+  });
+
+  it('falls back to any free port after the attempts run out', async () => {
+    const taken = newServer();
+    const port = await listenWithFallback(taken, { port: 0, host: '127.0.0.1' });
+
+    const second = newServer();
+    const next = await listenWithFallback(second, { port, host: '127.0.0.1', attempts: 1 });
+    expect(next).toBeGreaterThan(0);
+    expect(next).not.toBe(port);
+  });
+});
+
+describe('server state', () => {
+  let dir;
+  let statePath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-serve-'));
+    statePath = getServerStatePath(dir);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const state = { pid: 4242, host: '127.0.0.1', port: 3847, url: 'http://localhost:3847/', token: 'abc' };
+
+  it('writes server.json readable only by the user', () => {
+    writeServerState(statePath, state);
+    expect(readServerState(statePath)).toEqual(state);
+    if (process.platform !== 'win32') {
+      expect(statSync(statePath).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  it('reads a missing or broken file as no server', () => {
+    expect(readServerState(statePath)).toBeNull();
+    writeFileSync(statePath, '{ not json');
+    expect(readServerState(statePath)).toBeNull();
+  });
+
+  it('only removes the file of the stopping server', () => {
+    writeServerState(statePath, state);
+    removeServerState(statePath, 1111);
+    expect(existsSync(statePath)).toBe(true);
+    removeServerState(statePath, 4242);
+    expect(existsSync(statePath)).toBe(false);
+  });
+
+  describe('findRunningServer', () => {
+    const answer = (body, ok = true) => async () => ({ ok, json: async () => body });
+
+    it('returns the recorded server when its process is alive and answers', async () => {
+      writeServerState(statePath, state);
+      const requests = [];
+      const fetch = async (url, init) => {
+        requests.push({ url: String(url), token: init.headers['X-Vibe10X-Token'] });
+        return answer({ ok: true, pid: 4242 })();
+      };
+      expect(await findRunningServer(statePath, { isAlive: () => true, fetch })).toEqual(state);
+      expect(requests).toEqual([{ url: 'http://localhost:3847/api/health', token: 'abc' }]);
+    });
+
+    it('ignores a dead process', async () => {
+      writeServerState(statePath, state);
+      const fetch = answer({ ok: true, pid: 4242 });
+      expect(await findRunningServer(statePath, { isAlive: () => false, fetch })).toBeNull();
+    });
+
+    it('ignores a server that does not answer, refuses the token or is another process', async () => {
+      writeServerState(statePath, state);
+      const isAlive = () => true;
+      expect(await findRunningServer(statePath, { isAlive, fetch: async () => { throw new Error('ECONNREFUSED'); } })).toBeNull();
+      expect(await findRunningServer(statePath, { isAlive, fetch: answer({ error: 'token' }, false) })).toBeNull();
+      expect(await findRunningServer(statePath, { isAlive, fetch: answer({ ok: true, pid: 1 }) })).toBeNull();
+    });
+
+    it('returns null without server.json', async () => {
+      expect(await findRunningServer(statePath, { isAlive: () => true })).toBeNull();
+    });
+  });
+});
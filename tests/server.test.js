@@ -0,0 +1,313 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createServer, request as httpRequest } from 'http';
+import { mkdtempSync, mkdirSync, rmSync, existsSync, readFileSync, writeFileSync, copyFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createApp } from '../server.mjs';
+import { DEFAULT_CONFIG } from '../lib/config.js';
+
+const TOKEN = 'test-token';
+
+describe('settings server', () => {
+  let dir;
+  let app;
+  let server;
+  let port;
+  let reloads;
+
+  // Send a raw request, so Host and unnormalized paths go out as given
+  function request(path, { method = 'GET', headers = {}, body } = {}) {
+    return new Promise((done, fail) => {
+      const req = httpRequest({
+        host: '127.0.0.1',
+        port,
+        path,
+        method,
+        headers: { Host: `localhost:${port}`, 'X-Vibe10X-Token': TOKEN, ...headers },
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { text += chunk; });
+        res.on('end', () => {
+          let json = null;
+          try { json = JSON.parse(text); } catch { /* not JSON */ }
+          done({ status: res.statusCode, headers: res.headers, text, json });
+        });
+      });
+      req.on('error', fail);
+      req.end(body);
+    });
+  }
+
+  beforeEach(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-server-'));
+    reloads = 0;
+    app = createApp({ dir, token: TOKEN, reload: () => { reloads++; } });
+    server = createServer(app.handler);
+    await new Promise(done => server.listen(0, '127.0.0.1', done));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    app.close();
+    await new Promise(done => server.close(done));
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('does not touch the dir until a request comes in', () => {
+    const untouched = mkdtempSync(join(tmpdir(), 'vibe10x-server-'));
+    rmSync(untouched, { recursive: true });
+    createApp({ dir: untouched });
+    expect(existsSync(untouched)).toBe(false);
+  });
+
+  it('defaults to the dir in VIBE10X_HOME', async () => {
+    const previous = process.env.VIBE10X_HOME;
+    process.env.VIBE10X_HOME = dir;
+    try {
+      server.removeAllListeners('request');
+      server.on('request', createApp({ token: TOKEN, reload: () => {} }).handler);
+      const { json: config, headers } = await request('/api/config');
+      await request('/api/config', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'If-Match': headers.etag },
+        body: JSON.stringify({ ...config, threshold: 90 }),
+      });
+      expect(JSON.parse(readFileSync(join(dir, 'config.json'), 'utf8')).threshold).toBe(90);
+    } finally {
+      if (previous === undefined) delete process.env.VIBE10X_HOME;
+      else process.env.VIBE10X_HOME = previous;
+    }
+  });
+
+  it('serves the config of its dir with an ETag', async () => {
+    const res = await request('/api/config');
+    expect(res.status).toBe(200);
+    expect(res.json.threshold).toBeGreaterThan(0);
+    expect(res.headers.etag).toBeTruthy();
+  });
+
+  it('saves to its dir and reloads', async () => {
+    const { json: config, headers } = await request('/api/config');
+    const res = await request('/api/config', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'If-Match': headers.etag },
+      body: JSON.stringify({ ...config, threshold: 120 }),
+    });
+    expect(res.status).toBe(200);
+    expect(JSON.parse(readFileSync(join(dir, 'config.json'), 'utf8')).threshold).toBe(120);
+    expect(reloads).toBe(1);
+  });
+
+  describe('config API', () => {
+    const patch = (body, headers = {}) => request('/api/config', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/merge-patch+json', ...headers },
+      body: JSON.stringify(body),
+    });
+    const saved = () => JSON.parse(readFileSync(join(dir, 'config.json'), 'utf8'));
+
+    it('applies a merge patch to the saved config', async () => {
+      await patch({ threshold: 120, customApps: { apps: ['Figma'] } });
+      const res = await patch({ voice: { enabled: true } });
+      expect(res.status).toBe(200);
+      expect(res.headers.etag).toBeTruthy();
+      expect(saved()).toMatchObject({ threshold: 120, voice: { enabled: true }, customApps: { enabled: true, apps: ['Figma'] } });
+      expect(reloads).toBe(2);
+    });
+
+    it('puts fields patched to null back to their defaults', async () => {
+      await patch({ threshold: 120, menuBar: { icon: 'X' } });
+      await patch({ threshold: null, menuBar: { icon: null } });
+      expect(saved().threshold).toBe(50);
+      expect(saved().menuBar.icon).toBe('🦄');
+    });
+
+    it('refuses an invalid patch with 422 and writes nothing', async () => {
+      for (const body of [{ threshold: 5 }, { nope: true }, ['threshold'], 7]) {
+        const res = await patch(body);
+        expect(res.status, JSON.stringify(body)).toBe(422);
+      }
+      expect(existsSync(join(dir, 'config.json'))).toBe(false);
+      expect(reloads).toBe(0);
+    });
+
+    it('checks If-Match when a patch sends it', async () => {
+      const { headers } = await request('/api/config');
+      expect((await patch({ threshold: 60 }, { 'If-Match': headers.etag })).status).toBe(200);
+      expect((await patch({ threshold: 70 }, { 'If-Match': headers.etag })).status).toBe(409);
+      expect(saved().threshold).toBe(60);
+    });
+
+    it('resets the whole config', async () => {
+      await patch({ threshold: 120, voice: { enabled: true } });
+      const res = await request('/api/config/reset', { method: 'POST' });
+      expect(res.status).toBe(200);
+      expect(saved()).toEqual(res.json.config);
+      expect(saved()).toMatchObject({ threshold: 50, voice: { enabled: false } });
+    });
+
+    it('resets one section', async () => {
+      await patch({ threshold: 120, customApps: { apps: ['Figma'] } });
+      const res = await request('/api/config/reset?section=customApps', { method: 'POST' });
+      expect(res.status).toBe(200);
+      expect(saved().customApps.apps).toEqual([]);
+      expect(saved().threshold).toBe(120);
+    });
+
+    it('refuses to reset an unknown section with 422', async () => {
+      const res = await request('/api/config/reset?section=nope', { method: 'POST' });
+      expect(res.status).toBe(422);
+      expect(res.json.errors[0].field).toBe('section');
+      expect(existsSync(join(dir, 'config.json'))).toBe(false);
+    });
+
+    it('lists the apps being monitored', async () => {
+      await patch({ categories: { devTools: { enabled: false } }, customApps: { apps: ['Figma'] } });
+      const res = await request('/api/config/effective');
+      expect(res.json).toEqual({ enabled: true, apps: ['Figma'] });
+    });
+
+    it('drops the state of a custom category patched to null', async () => {
+      await request('/api/categories/designTools', { method: 'POST', body: JSON.stringify({ name: 'Design', apps: ['Figma'] }) });
+      expect(saved().categories.designTools).toEqual({ enabled: true });
+
+      const res = await patch({ customCategories: { designTools: null } });
+      expect(res.status).toBe(200);
+      expect(saved().customCategories).toEqual({});
+      expect(saved().categories.designTools).toBeUndefined();
+    });
+
+    it('resolves the monitored apps against the installed categories', async () => {
+      const shipped = JSON.parse(readFileSync(new URL('../config/categories.json', import.meta.url), 'utf8'));
+      writeFileSync(join(dir, 'categories.json'), JSON.stringify({ ...shipped, devTools: { ...shipped.devTools, apps: ['Zed'] } }));
+      await patch({ categories: { devTools: { enabled: true } } });
+
+      const res = await request('/api/config/effective');
+      expect(res.json.apps).toEqual(['Zed']);
+    });
+
+    it('migrates an old config file without holding up the request', async () => {
+      copyFileSync(new URL('./fixtures/config-v0-custom.json', import.meta.url), join(dir, 'config.json'));
+      const res = await request('/api/config');
+      expect(res.json.configVersion).toBe(DEFAULT_CONFIG.configVersion);
+
+      await vi.waitFor(() => expect(saved().configVersion).toBe(DEFAULT_CONFIG.configVersion));
+      expect(existsSync(join(dir, 'config.v0.backup.json'))).toBe(true);
+    });
+
+    it('serves the defaults', async () => {
+      const res = await request('/api/defaults');
+      expect(res.status).toBe(200);
+      expect(res.json).toEqual(DEFAULT_CONFIG);
+    });
+  });
+
+  it('answers health checks with its process id', async () => {
+    const res = await request('/api/health');
+    expect(res.json).toEqual({ ok: true, pid: process.pid });
+  });
+
+  it('serves the settings page without the token', async () => {
+    const res = await request('/', { headers: { 'X-Vibe10X-Token': '' } });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/html');
+  });
+
+  it('serves the API client to the settings page', async () => {
+    const res = await request('/lib/client.js', { headers: { 'X-Vibe10X-Token': '' } });
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('export function createClient');
+  });
+
+  describe('file system errors', () => {
+    it('answers 500 when categories.json does not parse', async () => {
+      writeFileSync(join(dir, 'categories.json'), '{ "devTools": ');
+      for (const path of ['/api/categories', '/api/config/effective', '/api/stats', '/api/stream']) {
+        const res = await request(path);
+        expect(res.status, path).toBe(500);
+        expect(res.json.error, path).toMatch(/JSON/);
+      }
+    });
+
+    it('answers 500 when events cannot be written', async () => {
+      mkdirSync(join(dir, 'events.jsonl'));
+      const res = await request('/api/events', { method: 'POST', body: JSON.stringify({ type: 'nudge', app: 'Code', count: 50 }) });
+      expect(res.status).toBe(500);
+    });
+
+    it('answers 500 when the profiles cannot be listed', async () => {
+      writeFileSync(join(dir, 'profiles'), '');
+      const res = await request('/api/profiles');
+      expect(res.status).toBe(500);
+    });
+  });
+
+  describe('rejections', () => {
+    it('refuses API calls without the token with 401', async () => {
+      const res = await request('/api/config', { headers: { 'X-Vibe10X-Token': '' } });
+      expect(res.status).toBe(401);
+    });
+
+    it('refuses API calls with a wrong token with 401', async () => {
+      const res = await request('/api/config', { headers: { 'X-Vibe10X-Token': 'guess' } });
+      expect(res.status).toBe(401);
+    });
+
+    it('accepts the token as a query parameter', async () => {
+      const res = await request(`/api/config?token=${TOKEN}`, { headers: { 'X-Vibe10X-Token': '' } });
+      expect(res.status).toBe(200);
+    });
+
+    it('refuses a rebound Host with 403', async () => {
+      const res = await request('/api/config', { headers: { Host: `evil.example:${port}` } });
+      expect(res.status).toBe(403);
+    });
+
+    it('refuses another origin with 403 and sends it no CORS headers', async () => {
+      const res = await request('/api/config', { method: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+      expect(res.status).toBe(403);
+      expect(res.headers['access-control-allow-origin']).toBeUndefined();
+    });
+
+    it('sends CORS headers only for its own origin', async () => {
+      const origin = `http://localhost:${port}`;
+      const res = await request('/api/config', { headers: { Origin: origin } });
+      expect(res.status).toBe(200);
+      expect(res.headers['access-control-allow-origin']).toBe(origin);
+    });
+
+    it('does not serve files outside web/', async () => {
+      for (const path of ['/../package.json', '/..%2fpackage.json', '/%2e%2e/package.json', '/lib/store.js']) {
+        const res = await request(path);
+        expect(res.status, path).toBe(404);
+        expect(res.text).not.toContain('"name": "vibe10x"');
+      }
+    });
+
+    it('refuses malformed escapes in route parameters with 400', async () => {
+      for (const path of [
+        '/api/presets/%E0%A4%A/apply',
+        '/api/profiles/%E0%A4%A/activate',
+        '/api/config/history/%E0%A4%A/restore',
+        '/api/categories/%E0%A4%A',
+      ]) {
+        const res = await request(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        expect(res.status, path).toBe(400);
+      }
+      const res = await request('/api/categories/%E0%A4%A', { method: 'DELETE' });
+      expect(res.status).toBe(400);
+      expect((await request('/api/health')).status).toBe(200);
+    });
+
+    it('refuses bodies over the limit with 413', async () => {
+      const res = await request('/api/events', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: `"${'a'.repeat(1024 * 1024)}"`,
+      });
+      expect(res.status).toBe(413);
+      expect(existsSync(join(dir, 'events.jsonl'))).toBe(false);
+    });
+  });
+});
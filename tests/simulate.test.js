@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CONFIG, mergeConfig, applyPreset } from '../lib/config.js';
+import { parseTrace, simulateTrace } from '../lib/simulate.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const traceText = readFileSync(join(fixturesDir, 'daemon-trace.jsonl'), 'utf8');
+
+const config = mergeConfig(DEFAULT_CONFIG, {
+  threshold: 3,
+  resetAfterSeconds: 10,
+  categories: { devTools: { enabled: true } },
+});
+
+const start = Date.UTC(2026, 0, 5, 10);
+
+// A trace typing `keys` keystrokes per burst in Code, one burst a minute
+function burstTrace(bursts, keys) {
+  const lines = [{ type: 'focus', app: 'Code', time: start }];
+  for (let b = 0; b < bursts; b++) {
+    for (let k = 0; k < keys; k++) {
+      lines.push({ type: 'key', keyCode: 30, time: start + b * 60000 + k * 200 });
+    }
+  }
+  return lines;
+}
+
+describe('parseTrace', () => {
+  it('parses a recorded trace', () => {
+    const { inputs, errors } = parseTrace(traceText);
+    expect(errors).toEqual([]);
+    expect(inputs).toHaveLength(11);
+    expect(inputs[0]).toEqual({ type: 'focus', app: 'Code', time: start });
+  });
+
+  it('requires times and reports bad lines by number', () => {
+    const { inputs, errors } = parseTrace('{"type":"key","keyCode":30}\n{"type":"focus","app":"Code","time":5}\nnope');
+    expect(inputs).toHaveLength(1);
+    expect(errors).toEqual([
+      'Line 1: time is required to replay a trace',
+      expect.stringMatching(/^Line 3: Invalid JSON/),
+    ]);
+  });
+
+  it('orders events by time', () => {
+    const { inputs } = parseTrace('{"type":"key","keyCode":30,"time":20}\n{"type":"focus","app":"Code","time":10}');
+    expect(inputs.map(i => i.type)).toEqual(['focus', 'key']);
+  });
+});
+
+describe('simulateTrace', () => {
+  it('matches apps against the categories it is given', () => {
+    const inputs = parseTrace(traceText).inputs;
+    expect(simulateTrace(config, inputs, { categories: { devTools: { name: 'Dev', apps: ['Xcode'] } } }).totals.nudges).toBe(0);
+  });
+
+  it('reports when nudges would fire, per hour and per app', () => {
+    const result = simulateTrace(config, parseTrace(traceText).inputs);
+
+    expect(result.nudges).toEqual([{ timestamp: '2026-01-05T10:00:20.400Z', app: 'Code', count: 3 }]);
+    expect(result.totals).toEqual({ nudges: 1, keystrokes: 6, hours: 22000 / 3600000 });
+    expect(result.perHour).toBe(null);
+    expect(result.byHour).toEqual([{ hour: expect.stringMatching(/^2026-01-0[45] \d\d:00$/), nudges: 1 }]);
+    expect(result.byApp).toEqual([{ app: 'Code', nudges: 1, keystrokes: 6 }]);
+  });
+
+  it('computes the nudge rate over the length of the trace', () => {
+    const result = simulateTrace(config, burstTrace(30, 3));
+    expect(result.totals.nudges).toBe(30);
+    expect(result.perHour).toBeCloseTo(30 / ((29 * 60000 + 400) / 3600000));
+  });
+
+  it('gives different results for different presets', () => {
+    const inputs = burstTrace(10, 40);
+    const nudges = (name) => simulateTrace(applyPreset(config, name), inputs).totals.nudges;
+    expect(nudges('aggressive')).toBe(10);
+    expect(nudges('zen')).toBe(10);
+    // Relaxed resets only after 60s, so bursts a minute apart add up
+    expect(nudges('relaxed')).toBe(4);
+  });
+
+  it('handles an empty trace', () => {
+    expect(simulateTrace(config, [])).toEqual({
+      nudges: [], totals: { nudges: 0, keystrokes: 0, hours: 0 }, perHour: null, byHour: [], byApp: [],
+    });
+  });
+});
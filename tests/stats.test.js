@@ -0,0 +1,168 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateEvent,
+  normalizeEvent,
+  parseEvents,
+  trimEvents,
+  parseRangeBound,
+  aggregateEvents,
+} from '../lib/stats.js';
+
+// Local-time timestamps so day grouping is independent of the machine's timezone
+const at = (day, hour) => new Date(2026, 0, day, hour).toISOString();
+
+const events = [
+  { timestamp: at(5, 9), type: 'app_switch', app: 'Code', count: 0 },
+  { timestamp: at(5, 10), type: 'nudge', app: 'Code', count: 50 },
+  { timestamp: at(5, 10), type: 'reset', app: 'Code', count: 50, reason: 'nudge' },
+  { timestamp: at(5, 11), type: 'reset', app: 'Slack', count: 20, reason: 'inactivity' },
+  { timestamp: at(6, 9), type: 'reset', app: 'Notion', count: 5, reason: 'app_switch' },
+  { timestamp: at(6, 9), type: 'reset', app: 'Code', count: 0, reason: 'stop' },
+];
+
+const categories = {
+  devTools: { name: 'Dev Tools', apps: ['Code', 'Cursor'] },
+  communication: { name: 'Communication', apps: ['Slack'] },
+};
+
+describe('validateEvent', () => {
+  it('accepts a complete event', () => {
+    expect(validateEvent(events[2]).valid).toBe(true);
+  });
+
+  it('accepts a minimal event', () => {
+    expect(validateEvent({ type: 'nudge' }).valid).toBe(true);
+  });
+
+  it('rejects non-objects', () => {
+    expect(validateEvent(null).valid).toBe(false);
+    expect(validateEvent([]).valid).toBe(false);
+  });
+
+  it('rejects unknown types and fields', () => {
+    const result = validateEvent({ type: 'keypress', key: 'a' });
+    expect(result.errors).toContain('key is not a recognized event field');
+    expect(result.fieldErrors.map(e => e.field)).toContain('type');
+  });
+
+  it('rejects bad timestamp, app and count', () => {
+    const result = validateEvent({ type: 'nudge', timestamp: 'yesterday', app: 3, count: -1 });
+    expect(result.fieldErrors.map(e => e.field)).toEqual(['timestamp', 'app', 'count']);
+  });
+
+  it('only allows a reason on reset events', () => {
+    expect(validateEvent({ type: 'nudge', reason: 'nudge' }).valid).toBe(false);
+    expect(validateEvent({ type: 'reset', reason: 'bored' }).valid).toBe(false);
+    expect(validateEvent({ type: 'reset', reason: 'inactivity' }).valid).toBe(true);
+  });
+
+  it('only allows a tier on nudge events', () => {
+    expect(validateEvent({ type: 'nudge', tier: 2 }).valid).toBe(true);
+    expect(validateEvent({ type: 'nudge', tier: 0 }).valid).toBe(false);
+    expect(validateEvent({ type: 'reset', tier: 1 }).valid).toBe(false);
+    expect(normalizeEvent({ type: 'nudge', tier: 2 }).tier).toBe(2);
+  });
+});
+
+describe('normalizeEvent', () => {
+  it('fills in defaults', () => {
+    const now = new Date('2026-01-05T10:00:00Z');
+    expect(normalizeEvent({ type: 'nudge' }, now)).toEqual({
+      timestamp: '2026-01-05T10:00:00.000Z',
+      type: 'nudge',
+      app: null,
+      count: 0,
+    });
+  });
+
+  it('canonicalizes the timestamp and keeps the reason', () => {
+    const event = normalizeEvent({ type: 'reset', timestamp: '2026-01-05T10:00:00Z', reason: 'manual', count: 3 });
+    expect(event.timestamp).toBe('2026-01-05T10:00:00.000Z');
+    expect(event.reason).toBe('manual');
+  });
+});
+
+describe('parseEvents', () => {
+  it('parses JSON lines and skips bad ones', () => {
+    const text = [
+      JSON.stringify(events[1]),
+      '',
+      '{"timestamp": "2026-01-05T10:00',
+      JSON.stringify({ type: 'bogus', timestamp: at(5, 1) }),
+      JSON.stringify({ type: 'nudge' }),
+      JSON.stringify(events[2]),
+    ].join('\n');
+    expect(parseEvents(text)).toEqual([events[1], events[2]]);
+  });
+});
+
+describe('trimEvents', () => {
+  it('keeps the newest whole lines that fit', () => {
+    const text = '{"n":1}\n{"n":2}\n\n{"n":3}\n';
+    expect(trimEvents(text, 16)).toBe('{"n":2}\n{"n":3}\n');
+    expect(trimEvents(text, 15)).toBe('{"n":3}\n');
+    expect(trimEvents(text, 1000)).toBe('{"n":1}\n{"n":2}\n{"n":3}\n');
+    expect(trimEvents(text, 4)).toBe('');
+  });
+});
+
+describe('parseRangeBound', () => {
+  it('returns null for missing values', () => {
+    expect(parseRangeBound(null)).toBeNull();
+    expect(parseRangeBound('')).toBeNull();
+  });
+
+  it('treats date-only values as local days', () => {
+    expect(parseRangeBound('2026-01-05')).toEqual(new Date(2026, 0, 5));
+    expect(parseRangeBound('2026-01-05', { endOfDay: true })).toEqual(new Date(2026, 0, 5, 23, 59, 59, 999));
+  });
+
+  it('parses full timestamps', () => {
+    expect(parseRangeBound('2026-01-05T10:00:00Z')).toEqual(new Date('2026-01-05T10:00:00Z'));
+  });
+
+  it('throws on invalid dates', () => {
+    expect(() => parseRangeBound('soon')).toThrow('Invalid date: soon');
+  });
+});
+
+describe('aggregateEvents', () => {
+  it('computes totals', () => {
+    const { totals } = aggregateEvents(events);
+    expect(totals).toEqual({ nudges: 1, bursts: 3, keystrokes: 75, appSwitches: 1 });
+  });
+
+  it('groups by day in order', () => {
+    const { groups } = aggregateEvents(events, { groupBy: 'day' });
+    expect(groups).toEqual([
+      { key: '2026-01-05', nudges: 1, bursts: 2, keystrokes: 70, appSwitches: 1 },
+      { key: '2026-01-06', nudges: 0, bursts: 1, keystrokes: 5, appSwitches: 0 },
+    ]);
+  });
+
+  it('groups by app, busiest first', () => {
+    const { groups } = aggregateEvents(events, { groupBy: 'app' });
+    expect(groups.map(g => [g.key, g.keystrokes])).toEqual([['Code', 50], ['Slack', 20], ['Notion', 5]]);
+  });
+
+  it('groups by category with uncategorized apps', () => {
+    const { groups } = aggregateEvents(events, { groupBy: 'category', categories });
+    expect(groups.map(g => [g.key, g.keystrokes])).toEqual([
+      ['devTools', 50],
+      ['communication', 20],
+      ['uncategorized', 5],
+    ]);
+  });
+
+  it('filters by range', () => {
+    const { totals } = aggregateEvents(events, {
+      from: parseRangeBound('2026-01-06'),
+      to: parseRangeBound('2026-01-06', { endOfDay: true }),
+    });
+    expect(totals.keystrokes).toBe(5);
+  });
+
+  it('throws on unknown groupBy', () => {
+    expect(() => aggregateEvents(events, { groupBy: 'week' })).toThrow('Unknown groupBy: week');
+  });
+});
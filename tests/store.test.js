@@ -0,0 +1,554 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, copyFileSync, existsSync, readdirSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { CONFIG_VERSION, DEFAULT_CONFIG } from '../lib/config.js';
+import { HISTORY_LIMIT } from '../lib/history.js';
+import { EVENTS_MAX_BYTES, EVENTS_KEEP_BYTES } from '../lib/stats.js';
+import {
+  loadStoredConfig,
+  getBackupPath,
+  syncCategories,
+  readCategoryState,
+  getCategoryOverlayPaths,
+  writeCategoryOverlay,
+  getHistoryPath,
+  readHistory,
+  recordHistory,
+  saveConfigFile,
+  saveConfigFileAsync,
+  getConfigEtag,
+  getLockPath,
+  withLock,
+  withLockAsync,
+  writeFileAtomic,
+  getProfilesDir,
+  listProfiles,
+  loadProfile,
+  saveProfile,
+  findActiveProfile,
+  getPresetsPath,
+  loadUserPresets,
+  saveUserPresets,
+  appendEvents,
+  snapshotFiles,
+  applyImport,
+  migrateConfigFileAsync,
+} from '../lib/store.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+describe('loadStoredConfig', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    configPath = join(dir, 'config.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns null when no config exists', () => {
+    expect(loadStoredConfig(configPath)).toEqual({ config: null, migration: null });
+  });
+
+  it('throws on unparseable config', () => {
+    writeFileSync(configPath, '{ "threshold": ');
+    expect(() => loadStoredConfig(configPath)).toThrow();
+  });
+
+  it('migrates a legacy config and writes it back', () => {
+    copyFileSync(join(fixturesDir, 'config-v0-custom.json'), configPath);
+    const { config, migration } = loadStoredConfig(configPath);
+
+    expect(migration).toEqual({
+      fromVersion: 0,
+      toVersion: CONFIG_VERSION,
+      backupPath: getBackupPath(configPath, 0),
+    });
+    expect(JSON.parse(readFileSync(configPath, 'utf8'))).toEqual(config);
+  });
+
+  it('loads empty lists saved as {} by the menu bar as arrays', () => {
+    writeFileSync(configPath, JSON.stringify({
+      ...DEFAULT_CONFIG,
+      tiers: {},
+      customApps: { enabled: true, apps: {} },
+      schedule: { enabled: true, timezone: '', activeHours: {}, quietHours: {} },
+    }));
+    const { config, migration } = loadStoredConfig(configPath);
+
+    expect(migration).toBe(null);
+    expect(config.tiers).toEqual([]);
+    expect(config.customApps.apps).toEqual([]);
+    expect(config.schedule).toMatchObject({ activeHours: [], quietHours: [] });
+  });
+
+  it('leaves the file alone when asked to migrate in memory only', () => {
+    copyFileSync(join(fixturesDir, 'config-v0-custom.json'), configPath);
+    const original = readFileSync(configPath, 'utf8');
+    const { migration } = loadStoredConfig(configPath, { migrateFile: false });
+
+    expect(migration).toEqual({ fromVersion: 0, toVersion: CONFIG_VERSION, backupPath: null });
+    expect(readFileSync(configPath, 'utf8')).toBe(original);
+  });
+
+  it('migrates the file asynchronously', async () => {
+    copyFileSync(join(fixturesDir, 'config-v0-custom.json'), configPath);
+    const migration = await migrateConfigFileAsync(configPath);
+
+    expect(migration).toEqual({ fromVersion: 0, toVersion: CONFIG_VERSION, backupPath: getBackupPath(configPath, 0) });
+    expect(JSON.parse(readFileSync(configPath, 'utf8')).configVersion).toBe(CONFIG_VERSION);
+    expect(await migrateConfigFileAsync(configPath)).toBe(null);
+  });
+
+  it('backs up the original file before migrating', () => {
+    copyFileSync(join(fixturesDir, 'config-v1.json'), configPath);
+    const original = readFileSync(configPath, 'utf8');
+    const { migration } = loadStoredConfig(configPath);
+
+    expect(readFileSync(migration.backupPath, 'utf8')).toBe(original);
+  });
+
+  it('records the migration in the config history', () => {
+    copyFileSync(join(fixturesDir, 'config-v1.json'), configPath);
+    loadStoredConfig(configPath);
+
+    const history = readHistory(getHistoryPath(configPath));
+    expect(history.map(e => e.source)).toEqual(['before history', 'migration']);
+    expect(history[0].config.monitoredApps).toBeDefined();
+    expect(history[1].config.configVersion).toBe(CONFIG_VERSION);
+  });
+
+  it('does not rewrite or back up current configs', () => {
+    copyFileSync(join(fixturesDir, 'config-v2.json'), configPath);
+    const original = readFileSync(configPath, 'utf8');
+    const { migration } = loadStoredConfig(configPath);
+
+    expect(migration).toBeNull();
+    expect(readFileSync(configPath, 'utf8')).toBe(original);
+    expect(existsSync(getBackupPath(configPath, 2))).toBe(false);
+  });
+});
+
+describe('syncCategories', () => {
+  let dir;
+  let shippedPath;
+  let installedPath;
+  const readJson = (path) => JSON.parse(readFileSync(path, 'utf8'));
+  const ship = (apps) => writeFileSync(shippedPath, JSON.stringify({
+    devTools: { name: 'Dev Tools', description: 'Editors', apps },
+  }));
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    shippedPath = join(dir, 'shipped.json');
+    installedPath = join(dir, 'categories.json');
+    ship(['Code', 'Atom']);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('installs the shipped list on first run', () => {
+    syncCategories(shippedPath, installedPath);
+    const { overlayPath, basePath } = getCategoryOverlayPaths(installedPath);
+
+    expect(readJson(installedPath)).toEqual(readJson(shippedPath));
+    expect(readJson(basePath)).toEqual(readJson(shippedPath));
+    expect(readJson(overlayPath)).toEqual({});
+  });
+
+  it('keeps hand edits and lets new upstream apps flow in', () => {
+    syncCategories(shippedPath, installedPath);
+
+    // User adds Nova and removes Atom by hand
+    const installed = readJson(installedPath);
+    installed.devTools.apps = ['Code', 'Nova'];
+    writeFileSync(installedPath, JSON.stringify(installed));
+
+    // Upgrade ships Zed
+    ship(['Code', 'Atom', 'Zed']);
+    const { overlay } = syncCategories(shippedPath, installedPath);
+
+    expect(overlay).toEqual({ devTools: { add: ['Nova'], remove: ['Atom'] } });
+    expect(readJson(installedPath).devTools.apps).toEqual(['Code', 'Zed', 'Nova']);
+    expect(readJson(getCategoryOverlayPaths(installedPath).overlayPath)).toEqual(overlay);
+  });
+
+  it('keeps only additions from installs without a shipped snapshot', () => {
+    // Older setup copied an earlier shipped list, then the user added Nova
+    writeFileSync(installedPath, JSON.stringify({
+      devTools: { name: 'Dev Tools', description: 'Editors', apps: ['Code', 'Nova'] },
+    }));
+
+    const { categories } = syncCategories(shippedPath, installedPath);
+    expect(categories.devTools.apps).toEqual(['Code', 'Atom', 'Nova']);
+  });
+
+  it('rebuilds from the overlay when categories.json was deleted', () => {
+    syncCategories(shippedPath, installedPath);
+    writeFileSync(getCategoryOverlayPaths(installedPath).overlayPath, JSON.stringify({ devTools: { add: ['Nova'] } }));
+    rmSync(installedPath);
+
+    syncCategories(shippedPath, installedPath);
+    expect(readJson(installedPath).devTools.apps).toEqual(['Code', 'Atom', 'Nova']);
+  });
+
+  it('replaces the overlay and reinstalls categories', () => {
+    syncCategories(shippedPath, installedPath);
+    writeCategoryOverlay(shippedPath, installedPath, { devTools: { add: ['Nova'], remove: ['Atom'] } });
+
+    expect(readJson(installedPath).devTools.apps).toEqual(['Code', 'Nova']);
+    expect(readCategoryState(shippedPath, installedPath).overlay).toEqual({
+      devTools: { add: ['Nova'], remove: ['Atom'] },
+    });
+  });
+
+  it('reads state without writing', () => {
+    const state = readCategoryState(shippedPath, installedPath);
+    expect(state.categories).toEqual(readJson(shippedPath));
+    expect(existsSync(installedPath)).toBe(false);
+  });
+});
+
+describe('profiles', () => {
+  let dir;
+  let profilesDir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    profilesDir = getProfilesDir(join(dir, 'config.json'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps profiles next to config.json', () => {
+    expect(profilesDir).toBe(join(dir, 'profiles'));
+  });
+
+  it('lists nothing before any profile is saved', () => {
+    expect(listProfiles(profilesDir)).toEqual([]);
+  });
+
+  it('saves, lists and loads profiles', () => {
+    const deepWork = { ...DEFAULT_CONFIG, threshold: 30 };
+    saveProfile(profilesDir, 'pairing', DEFAULT_CONFIG);
+    saveProfile(profilesDir, 'deep-work', deepWork);
+
+    expect(listProfiles(profilesDir)).toEqual(['deep-work', 'pairing']);
+    expect(loadProfile(profilesDir, 'deep-work')).toEqual(deepWork);
+  });
+
+  it('overwrites a profile saved under the same name', () => {
+    saveProfile(profilesDir, 'docs', DEFAULT_CONFIG);
+    saveProfile(profilesDir, 'docs', { ...DEFAULT_CONFIG, threshold: 120 });
+    expect(loadProfile(profilesDir, 'docs').threshold).toBe(120);
+  });
+
+  it('rejects names that are not safe file names', () => {
+    for (const name of ['../config', '', '.hidden', 'a/b', undefined]) {
+      expect(() => saveProfile(profilesDir, name, DEFAULT_CONFIG)).toThrow(expect.objectContaining({ code: 'INVALID' }));
+    }
+  });
+
+  it('throws NOT_FOUND for unknown profiles', () => {
+    expect(() => loadProfile(profilesDir, 'missing')).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+  });
+
+  it('migrates profiles saved with an older schema', () => {
+    saveProfile(profilesDir, 'legacy', JSON.parse(readFileSync(join(fixturesDir, 'config-v0-custom.json'), 'utf8')));
+    const profile = loadProfile(profilesDir, 'legacy');
+    expect(profile.configVersion).toBe(CONFIG_VERSION);
+    expect(profile.monitoredApps).toBeUndefined();
+  });
+
+  it('finds the profile matching the current config', () => {
+    saveProfile(profilesDir, 'deep-work', { ...DEFAULT_CONFIG, threshold: 30 });
+    saveProfile(profilesDir, 'pairing', { ...DEFAULT_CONFIG, threshold: 200 });
+
+    expect(findActiveProfile(profilesDir, { ...DEFAULT_CONFIG, threshold: 200 })).toBe('pairing');
+    expect(findActiveProfile(profilesDir, { ...DEFAULT_CONFIG, threshold: 90 })).toBeNull();
+  });
+
+  it('ignores unreadable profiles when finding the active one', () => {
+    saveProfile(profilesDir, 'good', DEFAULT_CONFIG);
+    writeFileSync(join(profilesDir, 'broken.json'), '{');
+    expect(findActiveProfile(profilesDir, DEFAULT_CONFIG)).toBe('good');
+  });
+});
+
+describe('user presets', () => {
+  let dir;
+  let presetsPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    presetsPath = getPresetsPath(join(dir, 'config.json'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps presets next to config.json', () => {
+    expect(presetsPath).toBe(join(dir, 'presets.json'));
+  });
+
+  it('returns no presets when the file does not exist', () => {
+    expect(loadUserPresets(presetsPath)).toEqual({});
+  });
+
+  it('round-trips saved presets', () => {
+    const presets = { focus: { threshold: 40, voice: { enabled: true } } };
+    saveUserPresets(presetsPath, presets);
+    expect(loadUserPresets(presetsPath)).toEqual(presets);
+  });
+
+  it('throws on an unparseable file instead of treating it as empty', () => {
+    writeFileSync(presetsPath, '{ "focus": ');
+    expect(() => loadUserPresets(presetsPath)).toThrow();
+  });
+});
+
+describe('config history', () => {
+  let dir;
+  let configPath;
+  let historyPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    configPath = join(dir, 'config.json');
+    historyPath = getHistoryPath(configPath);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps history next to config.json', () => {
+    expect(historyPath).toBe(join(dir, 'history.jsonl'));
+  });
+
+  it('returns no history when the file does not exist', () => {
+    expect(readHistory(historyPath)).toEqual([]);
+  });
+
+  it('records each save with its source', () => {
+    saveConfigFile(configPath, { ...DEFAULT_CONFIG, threshold: 80 }, 'web');
+    saveConfigFile(configPath, { ...DEFAULT_CONFIG, threshold: 30 }, 'cli --preset aggressive');
+
+    expect(JSON.parse(readFileSync(configPath, 'utf8')).threshold).toBe(30);
+    const history = readHistory(historyPath);
+    expect(history.map(e => [e.source, e.config.threshold])).toEqual([
+      ['web', 80],
+      ['cli --preset aggressive', 30],
+    ]);
+  });
+
+  it('records the config being replaced by the first tracked save', () => {
+    writeFileSync(configPath, JSON.stringify({ ...DEFAULT_CONFIG, threshold: 60 }));
+    saveConfigFile(configPath, DEFAULT_CONFIG, 'web');
+
+    expect(readHistory(historyPath).map(e => [e.source, e.config.threshold])).toEqual([
+      ['before history', 60],
+      ['web', 50],
+    ]);
+  });
+
+  it('keeps only the last HISTORY_LIMIT snapshots', () => {
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+      recordHistory(historyPath, { threshold: 10 + i }, 'test', new Date(Date.UTC(2026, 0, 1, 0, i)));
+    }
+
+    const history = readHistory(historyPath);
+    expect(history).toHaveLength(HISTORY_LIMIT);
+    expect(history[0].config.threshold).toBe(15);
+    expect(history[HISTORY_LIMIT - 1].config.threshold).toBe(10 + HISTORY_LIMIT + 4);
+  });
+});
+
+describe('appendEvents', () => {
+  let dir;
+  let eventsPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    eventsPath = join(dir, 'events.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const nudge = { timestamp: '2026-01-05T10:00:00.000Z', type: 'nudge', app: 'Code', count: 50 };
+
+  it('appends one line per event', () => {
+    appendEvents(eventsPath, [nudge]);
+    appendEvents(eventsPath, [nudge, { ...nudge, count: 60 }]);
+    expect(readFileSync(eventsPath, 'utf8').trim().split('\n').map(line => JSON.parse(line).count)).toEqual([50, 50, 60]);
+  });
+
+  it('drops the oldest events once the file grows past EVENTS_MAX_BYTES', () => {
+    const line = JSON.stringify(nudge) + '\n';
+    writeFileSync(eventsPath, line.repeat(Math.ceil(EVENTS_MAX_BYTES / line.length)));
+    appendEvents(eventsPath, [{ ...nudge, count: 60 }]);
+
+    const text = readFileSync(eventsPath, 'utf8');
+    expect(text.length).toBeLessThanOrEqual(EVENTS_KEEP_BYTES);
+    expect(text.length).toBeGreaterThan(EVENTS_KEEP_BYTES - line.length * 2);
+    expect(JSON.parse(text.trim().split('\n').pop()).count).toBe(60);
+  });
+});
+
+describe('applyImport', () => {
+  let dir;
+  let paths;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    paths = {
+      presetsPath: getPresetsPath(join(dir, 'config.json')),
+      shippedPath: join(fixturesDir, '..', '..', 'config', 'categories.json'),
+      installedPath: join(dir, 'categories.json'),
+    };
+    syncCategories(paths.shippedPath, paths.installedPath);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const next = { presets: { mine: { threshold: 80 } }, categories: { devTools: { add: ['Zed'] } } };
+
+  it('writes the presets and categories before saving the config', async () => {
+    let installed;
+    expect(await applyImport(paths, next, () => {
+      installed = JSON.parse(readFileSync(paths.installedPath, 'utf8'));
+      return 'saved';
+    })).toBe('saved');
+    expect(installed.devTools.apps).toContain('Zed');
+    expect(loadUserPresets(paths.presetsPath)).toEqual(next.presets);
+  });
+
+  it('puts the presets and categories back when the config is not saved', async () => {
+    const before = readFileSync(paths.installedPath, 'utf8');
+    await expect(applyImport(paths, next, () => { throw new Error('locked'); })).rejects.toThrow('locked');
+    expect(await applyImport(paths, next, () => null)).toBe(null);
+
+    expect(readFileSync(paths.installedPath, 'utf8')).toBe(before);
+    expect(existsSync(paths.presetsPath)).toBe(false);
+  });
+});
+
+describe('concurrent writes', () => {
+  let dir;
+  let configPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibe10x-'));
+    configPath = join(dir, 'config.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes atomically without leaving temp files behind', () => {
+    writeFileAtomic(configPath, '{"threshold": 80}');
+    expect(readFileSync(configPath, 'utf8')).toBe('{"threshold": 80}');
+    expect(readdirSync(dir)).toEqual(['config.json']);
+  });
+
+  it('derives the ETag from the stored content', () => {
+    const empty = getConfigEtag(configPath);
+    expect(empty).toMatch(/^"[0-9a-f]{16}"$/);
+
+    const etag = saveConfigFile(configPath, DEFAULT_CONFIG, 'web');
+    expect(etag).not.toBe(empty);
+    expect(getConfigEtag(configPath)).toBe(etag);
+
+    writeFileSync(configPath, JSON.stringify({ ...DEFAULT_CONFIG, threshold: 80 }));
+    expect(getConfigEtag(configPath)).not.toBe(etag);
+  });
+
+  it('saves when If-Match is current or a wildcard', () => {
+    const etag = saveConfigFile(configPath, DEFAULT_CONFIG, 'web');
+    const next = saveConfigFile(configPath, { ...DEFAULT_CONFIG, threshold: 80 }, 'web', { ifMatch: etag });
+    saveConfigFile(configPath, { ...DEFAULT_CONFIG, threshold: 30 }, 'web', { ifMatch: '*' });
+
+    expect(next).not.toBe(etag);
+    expect(JSON.parse(readFileSync(configPath, 'utf8')).threshold).toBe(30);
+  });
+
+  it('refuses a save based on a stale ETag', () => {
+    const etag = saveConfigFile(configPath, DEFAULT_CONFIG, 'web');
+    saveConfigFile(configPath, { ...DEFAULT_CONFIG, threshold: 80 }, 'cli --threshold 80');
+
+    expect(() => saveConfigFile(configPath, { ...DEFAULT_CONFIG, threshold: 30 }, 'web', { ifMatch: etag }))
+      .toThrow(expect.objectContaining({ code: 'CONFLICT' }));
+    expect(JSON.parse(readFileSync(configPath, 'utf8')).threshold).toBe(80);
+    expect(readHistory(getHistoryPath(configPath))).toHaveLength(2);
+  });
+
+  it('releases the lock after a save, even a refused one', () => {
+    const lockPath = getLockPath(configPath);
+    saveConfigFile(configPath, DEFAULT_CONFIG, 'web');
+    expect(existsSync(lockPath)).toBe(false);
+
+    expect(() => saveConfigFile(configPath, DEFAULT_CONFIG, 'web', { ifMatch: '"stale"' })).toThrow();
+    expect(existsSync(lockPath)).toBe(false);
+  });
+
+  it('puts snapshotted files back as they were', () => {
+    const presetsPath = join(dir, 'presets.json');
+    writeFileSync(configPath, '{"threshold": 80}');
+    const restore = snapshotFiles([configPath, presetsPath]);
+    writeFileSync(configPath, '{"threshold": 30}');
+    writeFileSync(presetsPath, '{}');
+
+    restore();
+    expect(readFileSync(configPath, 'utf8')).toBe('{"threshold": 80}');
+    expect(existsSync(presetsPath)).toBe(false);
+  });
+
+  it('waits for a held lock without blocking the event loop', async () => {
+    const lockPath = getLockPath(configPath);
+    writeFileSync(lockPath, '12345');
+    setTimeout(() => rmSync(lockPath), 50);
+
+    expect(await withLockAsync(lockPath, () => 'done')).toBe('done');
+    expect(existsSync(lockPath)).toBe(false);
+  });
+
+  it('saves asynchronously under the same rules', async () => {
+    const etag = await saveConfigFileAsync(configPath, DEFAULT_CONFIG, 'web');
+    expect(getConfigEtag(configPath)).toBe(etag);
+    await expect(saveConfigFileAsync(configPath, DEFAULT_CONFIG, 'web', { ifMatch: '"stale"' }))
+      .rejects.toMatchObject({ code: 'CONFLICT' });
+    expect(existsSync(getLockPath(configPath))).toBe(false);
+  });
+
+  it('leaves a lock taken over by another writer in place', () => {
+    const lockPath = getLockPath(configPath);
+    withLock(lockPath, () => writeFileSync(lockPath, 'another writer'));
+    expect(readFileSync(lockPath, 'utf8')).toBe('another writer');
+  });
+
+  it('takes over a lock abandoned by a crashed writer', () => {
+    const lockPath = getLockPath(configPath);
+    writeFileSync(lockPath, '12345');
+    const old = new Date(Date.now() - 60 * 1000);
+    utimesSync(lockPath, old, old);
+
+    expect(withLock(lockPath, () => 'done')).toBe('done');
+    expect(readdirSync(dir)).toEqual([]);
+  });
+});